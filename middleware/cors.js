@@ -74,8 +74,9 @@ function getCorsOptions(baseUrl) {
   const corsOptions = {
     origin: allowedOrigins,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposedHeaders: ['ETag', 'X-Total-Count'],
   };
   return corsOptions;
 }
@@ -0,0 +1,32 @@
+/**
+ * Checkout helpers
+ * Read the loans the server keeps on every asset and component in `checkouts`, oldest first.
+ * The one without a check-in date is the current loan.
+ */
+
+/**
+ * Today's date in the browser's timezone, in the format the loans are stored in
+ * @returns {string} YYYY-MM-DD
+ */
+export function getToday() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * @param {Object} record - Asset or component
+ * @returns {Object|null} The loan it is currently out on, or null if it is in
+ */
+export function getOpenCheckout(record) {
+    return (record?.checkouts || []).find(checkout => !checkout.checkedInAt) || null;
+}
+
+/**
+ * @param {Object} checkout - Checkout
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {number} Days past the expected return date, 0 if it isn't due yet, has no due date or was returned
+ */
+export function getDaysOverdue(checkout, today = getToday()) {
+    if (!checkout?.dueDate || checkout.checkedInAt || checkout.dueDate >= today) return 0;
+    return Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${checkout.dueDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
@@ -0,0 +1,62 @@
+/**
+ * Depreciation helpers
+ * Work out what an asset or component is worth today (its book value). A record uses its own
+ * depreciation method, or else that of the nearest category that sets one. Mirrors src/services/depreciation.
+ */
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+export const DEPRECIATION_METHOD_LABELS = {
+    none: 'None',
+    straightLine: 'Straight-line',
+    decliningBalance: 'Declining balance'
+};
+
+/**
+ * @param {Object} record - Asset or component
+ * @param {Object[]} categoryAncestry - The record's category and its parents, from the top down
+ * @returns {Object|null} { method, usefulLifeYears, rate }, or null if neither the record nor its categories set one
+ */
+export function getDepreciation(record, categoryAncestry = []) {
+    if (record?.depreciation?.method) return record.depreciation;
+    return [...categoryAncestry].reverse().find(category => category.depreciation?.method)?.depreciation || null;
+}
+
+/**
+ * @param {Object} record - Asset or component
+ * @param {Object|null} depreciation - From getDepreciation()
+ * @param {Date} [today]
+ * @returns {number|null} Book value of one unit, rounded to cents, or null if the record has no
+ *   price. Without a purchase date or a depreciation method it is the price.
+ */
+export function getBookValue(record, depreciation, today = new Date()) {
+    const price = record.price ?? record.purchasePrice;
+    if (typeof price !== 'number') return null;
+    if (!depreciation || depreciation.method === 'none' || !record.purchaseDate) return price;
+
+    const salvageValue = Math.min(record.salvageValue || 0, price);
+    const years = Math.max(0, (today - new Date(`${record.purchaseDate}T00:00:00`)) / YEAR_MS);
+    const { method, usefulLifeYears } = depreciation;
+    let value;
+    if (years >= usefulLifeYears) {
+        value = salvageValue;
+    } else if (method === 'straightLine') {
+        value = price - (price - salvageValue) * (years / usefulLifeYears);
+    } else {
+        const rate = (depreciation.rate || 200 / usefulLifeYears) / 100;
+        value = Math.max(salvageValue, price * Math.pow(1 - rate, years));
+    }
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {Object|null} depreciation - From getDepreciation()
+ * @returns {string} e.g. "Straight-line over 5 years" or "Declining balance at 40% a year over 5 years"
+ */
+export function describeDepreciation(depreciation) {
+    if (!depreciation || depreciation.method === 'none') return DEPRECIATION_METHOD_LABELS.none;
+    const years = `${depreciation.usefulLifeYears} year${depreciation.usefulLifeYears === 1 ? '' : 's'}`;
+    if (depreciation.method === 'straightLine') return `${DEPRECIATION_METHOD_LABELS.straightLine} over ${years}`;
+    const rate = Math.round((depreciation.rate || 200 / depreciation.usefulLifeYears) * 10) / 10;
+    return `${DEPRECIATION_METHOD_LABELS.decliningBalance} at ${rate}% a year over ${years}`;
+}
@@ -0,0 +1,15 @@
+/**
+ * Stock helpers
+ * Consumables are records marked `consumable`; one with a `reorderThreshold` is low on stock once
+ * its quantity drops below the threshold. Mirrors src/services/stock.
+ */
+
+/**
+ * @param {Object} record - Asset or component
+ * @returns {boolean} True if it is a consumable below its reorder threshold
+ */
+export function isLowStock(record) {
+    return !!record?.consumable
+        && Number.isInteger(record.reorderThreshold)
+        && (record.quantity ?? 0) < record.reorderThreshold;
+}
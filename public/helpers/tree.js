@@ -0,0 +1,118 @@
+/**
+ * Tree helpers
+ * Work with the hierarchies the server stores as flat lists, such as categories and locations.
+ * Every node has an id, a name and the parentId of the node above it (null at the top).
+ */
+
+export const PATH_SEPARATOR = ' > ';
+
+/**
+ * The node and its parents, from the top of the tree down
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {Object[]} Nodes; empty for an unknown ID
+ */
+export function getAncestry(nodes, id) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const ancestry = [];
+    for (let node = byId.get(id); node && !ancestry.includes(node); node = byId.get(node.parentId)) {
+        ancestry.unshift(node);
+    }
+    return ancestry;
+}
+
+/**
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {string} e.g. "Home > Garage > Shelf 2", or '' for an unknown ID
+ */
+export function getPath(nodes, id) {
+    return getAncestry(nodes, id).map(node => node.name).join(PATH_SEPARATOR);
+}
+
+/**
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {Set<string>} The node and every node below it
+ */
+export function getSubtreeIds(nodes, id) {
+    const ids = new Set([id]);
+    let added = true;
+    while (added) {
+        added = false;
+        nodes.forEach(node => {
+            if (node.parentId && ids.has(node.parentId) && !ids.has(node.id)) {
+                ids.add(node.id);
+                added = true;
+            }
+        });
+    }
+    return ids;
+}
+
+/**
+ * Find a node by its path or name, ignoring case, e.g. as typed in a search filter
+ * @param {Object[]} nodes - All nodes
+ * @param {string} text - e.g. "Home > Garage" or "Garage"
+ * @returns {Object|null} The node; a name used by several nodes matches the first one
+ */
+export function findNode(nodes, text) {
+    const normalize = value => String(value).split('>').map(part => part.trim().toLowerCase()).join(PATH_SEPARATOR);
+    const wanted = normalize(text ?? '');
+    if (!wanted) return null;
+    return nodes.find(node => normalize(getPath(nodes, node.id)) === wanted)
+        || nodes.find(node => node.name.toLowerCase() === wanted)
+        || null;
+}
+
+/**
+ * The shortest text findNode() resolves to a node: its name, or its path if another node shares the name
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {string} Name or path, '' for an unknown ID
+ */
+export function getUniqueName(nodes, id) {
+    const node = nodes.find(candidate => candidate.id === id);
+    if (!node) return '';
+    const shared = nodes.some(other => other.id !== id && other.name.toLowerCase() === node.name.toLowerCase());
+    return shared ? getPath(nodes, id) : node.name;
+}
+
+/**
+ * Nodes in tree order, sorted by name under each parent
+ * @param {Object[]} nodes - All nodes
+ * @param {string} [excludeId] - Node to leave out together with the nodes below it
+ * @returns {Array<{ node: Object, depth: number }>} Nodes with their depth, 0 at the top
+ */
+export function getTreeRows(nodes, excludeId = null) {
+    const rows = [];
+    const addChildren = (parentId, depth) => {
+        nodes
+            .filter(node => (node.parentId || null) === parentId && node.id !== excludeId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(node => {
+                rows.push({ node, depth });
+                addChildren(node.id, depth + 1);
+            });
+    };
+    addChildren(null, 0);
+    return rows;
+}
+
+/**
+ * Fill a menu with a tree, indented by depth
+ * @param {HTMLSelectElement} select - Menu to fill; its first option ("None", "All categories"…) is kept
+ * @param {Object[]} nodes - All nodes
+ * @param {string} [value] - Node to select; an unknown node selects the first option
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Node to leave out together with the nodes below it
+ * @param {Function} [options.getLabel] - Receives a node and returns its text, the name by default
+ */
+export function renderTreeOptions(select, nodes, value = '', { excludeId = null, getLabel = node => node.name } = {}) {
+    if (!select) return;
+    select.length = 1;
+    getTreeRows(nodes, excludeId).forEach(({ node, depth }) => {
+        select.add(new Option(`${'\u00a0\u00a0'.repeat(depth)}${getLabel(node)}`, node.id));
+    });
+    select.value = value && nodes.some(node => node.id === value) ? value : '';
+}
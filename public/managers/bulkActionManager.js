@@ -0,0 +1,232 @@
+/**
+ * Bulk Action Manager
+ * Multi-select mode for the sidebar asset list: checkboxes on each asset, shift-click to select
+ * a range, and an action bar to tag, untag, set the warranty of, export or delete the selection
+ * in one request to /api/assets/bulk
+ */
+
+export class BulkActionManager {
+    constructor({
+        assetList,
+        selectModeBtn,
+        bulkActionBar,
+        selectionCount,
+        selectAllBtn,
+        addTagsBtn,
+        removeTagsBtn,
+        warrantyBtn,
+        exportBtn,
+        deleteBtn,
+        doneBtn,
+        getVisibleAssetIds,
+        renderList,
+        onComplete
+    }) {
+        this.assetList = assetList;
+        this.selectModeBtn = selectModeBtn;
+        this.bulkActionBar = bulkActionBar;
+        this.selectionCount = selectionCount;
+        this.selectAllBtn = selectAllBtn;
+        this.addTagsBtn = addTagsBtn;
+        this.removeTagsBtn = removeTagsBtn;
+        this.warrantyBtn = warrantyBtn;
+        this.exportBtn = exportBtn;
+        this.deleteBtn = deleteBtn;
+        this.doneBtn = doneBtn;
+        this.getVisibleAssetIds = getVisibleAssetIds;
+        this.renderList = renderList;
+        this.onComplete = onComplete;
+
+        this.active = false;
+        this.selectedIds = new Set();
+        this.lastToggledId = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.selectModeBtn.addEventListener('click', () => this.setActive(!this.active));
+        this.doneBtn.addEventListener('click', () => this.setActive(false));
+        this.selectAllBtn.addEventListener('click', () => this.toggleAll());
+        this.addTagsBtn.addEventListener('click', () => this.editTags('addTags'));
+        this.removeTagsBtn.addEventListener('click', () => this.editTags('removeTags'));
+        this.warrantyBtn.addEventListener('click', () => this.setWarranty());
+        this.exportBtn.addEventListener('click', () => this.exportSelected());
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    isSelected(assetId) {
+        return this.selectedIds.has(assetId);
+    }
+
+    setActive(active) {
+        this.active = active;
+        if (!active) {
+            this.selectedIds.clear();
+            this.lastToggledId = null;
+        }
+        this.selectModeBtn.classList.toggle('active', active);
+        this.renderList();
+        this.updateActionBar();
+    }
+
+    /**
+     * Select or deselect an asset from a click in the list
+     * @param {string} assetId - Clicked asset
+     * @param {Object} options
+     * @param {boolean} options.range - Shift was held: apply the clicked asset's new state to every
+     *   asset between it and the previously clicked one
+     * @param {string[]} options.orderedIds - Ids of the assets in the order they are listed
+     */
+    toggle(assetId, { range = false, orderedIds = [] } = {}) {
+        const selected = !this.selectedIds.has(assetId);
+        const from = orderedIds.indexOf(this.lastToggledId);
+        const to = orderedIds.indexOf(assetId);
+        const ids = range && from !== -1 && to !== -1
+            ? orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [assetId];
+
+        ids.forEach(id => selected ? this.selectedIds.add(id) : this.selectedIds.delete(id));
+        this.lastToggledId = assetId;
+        this._updateCheckboxes();
+        this.updateActionBar();
+    }
+
+    // Select every listed asset, or clear the selection if they are all selected already
+    toggleAll() {
+        const visibleIds = this.getVisibleAssetIds();
+        const allSelected = visibleIds.length > 0 && visibleIds.every(id => this.selectedIds.has(id));
+        visibleIds.forEach(id => allSelected ? this.selectedIds.delete(id) : this.selectedIds.add(id));
+        this._updateCheckboxes();
+        this.updateActionBar();
+    }
+
+    /**
+     * Drop selected assets that no longer exist, e.g. after they were deleted
+     * @param {Object[]} assets - Current assets
+     */
+    pruneSelection(assets) {
+        const ids = new Set(assets.map(asset => asset.id));
+        this.selectedIds.forEach(id => {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        });
+        this.updateActionBar();
+    }
+
+    updateActionBar() {
+        const count = this.selectedIds.size;
+        this.bulkActionBar.style.display = this.active ? 'flex' : 'none';
+        this.selectionCount.textContent = `${count} selected`;
+        [this.addTagsBtn, this.removeTagsBtn, this.warrantyBtn, this.exportBtn, this.deleteBtn]
+            .forEach(button => { button.disabled = count === 0; });
+    }
+
+    // Sync the rendered checkboxes without re-rendering the list, so its scroll position is kept
+    _updateCheckboxes() {
+        this.assetList.querySelectorAll('.asset-item').forEach(item => {
+            const selected = this.selectedIds.has(item.dataset.id);
+            item.classList.toggle('selected', selected);
+            const checkbox = item.querySelector('.asset-item-checkbox');
+            if (checkbox) checkbox.checked = selected;
+        });
+    }
+
+    _parseTags(input) {
+        return (input || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    async editTags(action) {
+        const count = this.selectedIds.size;
+        const input = prompt(action === 'addTags'
+            ? `Tags to add to ${count} asset(s), separated by commas:`
+            : `Tags to remove from ${count} asset(s), separated by commas:`);
+        const tags = this._parseTags(input);
+        if (tags.length === 0) return;
+
+        await this._run({ action, tags }, result => action === 'addTags'
+            ? `Tagged ${result.updated} asset(s)`
+            : `Removed tags from ${result.updated} asset(s)`);
+    }
+
+    async setWarranty() {
+        const input = prompt(`Warranty expiration date for ${this.selectedIds.size} asset(s) (YYYY-MM-DD), or "lifetime":`);
+        if (!input || !input.trim()) return;
+
+        const value = input.trim();
+        let warranty;
+        if (value.toLowerCase() === 'lifetime') {
+            warranty = { isLifetime: true, expirationDate: null };
+        } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            warranty = { isLifetime: false, expirationDate: value };
+        } else {
+            globalThis.toaster.show('Enter a date as YYYY-MM-DD or "lifetime"', 'error');
+            return;
+        }
+
+        const scope = prompt('Warranty scope (leave empty to keep the current scope):');
+        if (scope && scope.trim()) warranty.scope = scope.trim();
+
+        await this._run({ action: 'set', fields: { warranty } }, result => `Set the warranty of ${result.updated} asset(s)`);
+    }
+
+    async deleteSelected() {
+        const count = this.selectedIds.size;
+        if (!confirm(`Move ${count} asset(s) and all their components to the trash?`)) {
+            return;
+        }
+        await this._run({ action: 'delete' }, result => `${result.ids.length} asset(s) moved to trash`);
+    }
+
+    async exportSelected() {
+        try {
+            const response = await this._fetch({ action: 'export', format: 'xlsx' });
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            const dateStr = new Date().toISOString().split('T')[0];
+
+            link.setAttribute('href', url);
+            link.setAttribute('download', `dumbAssets_export_${dateStr}.xlsx`);
+            link.style.visibility = 'hidden';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            globalThis.toaster.show(`Exported ${this.selectedIds.size} asset(s)`);
+        } catch (error) {
+            globalThis.logError('Failed to export assets:', error.message);
+        }
+    }
+
+    async _fetch(body) {
+        const response = await fetch(`${globalThis.getApiBaseUrl()}/api/assets/bulk`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, ids: [...this.selectedIds] }),
+            credentials: 'include'
+        });
+        const responseValidation = await globalThis.validateResponse(response);
+        if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+        return response;
+    }
+
+    async _run(body, getSuccessMessage) {
+        const buttons = [this.addTagsBtn, this.removeTagsBtn, this.warrantyBtn, this.exportBtn, this.deleteBtn];
+        buttons.forEach(button => { button.disabled = true; });
+        try {
+            const response = await this._fetch(body);
+            const result = await response.json();
+            await this.onComplete(body.action);
+            globalThis.toaster.show(getSuccessMessage(result));
+        } catch (error) {
+            globalThis.logError('Bulk action failed:', error.message);
+        } finally {
+            this.updateActionBar();
+        }
+    }
+}
@@ -0,0 +1,393 @@
+/**
+ * Category Manager
+ * Lists, creates and edits the category tree in the Categories settings tab, fills the category
+ * menus of the asset and component forms, and keeps the sidebar category filter in step with the
+ * category: term of the search box
+ */
+
+import { formatFilterTerm, getFilterTerm, replaceFilterTerms } from '/src/services/render/searchQuery.js';
+import { getAncestry, getPath, getSubtreeIds, findNode, getUniqueName, getTreeRows, renderTreeOptions } from '../helpers/tree.js';
+import { addInterval, toDateString } from './templateManager.js';
+import { getDepreciation, describeDepreciation } from '../helpers/depreciation.js';
+
+/**
+ * Read a depreciation method, useful life and rate from form inputs
+ * @param {HTMLSelectElement} methodSelect - '' for "not set", or a method
+ * @param {HTMLInputElement} usefulLifeInput - Years
+ * @param {HTMLInputElement} rateInput - Yearly rate of a declining balance in percent
+ * @returns {Object|null} { method, usefulLifeYears, rate }, or null if no method is picked
+ */
+export function collectDepreciation(methodSelect, usefulLifeInput, rateInput) {
+    const method = methodSelect.value;
+    if (!method) return null;
+    if (method === 'none') return { method };
+    const usefulLifeYears = parseInt(usefulLifeInput.value, 10);
+    const rate = parseFloat(rateInput.value);
+    return {
+        method,
+        usefulLifeYears: isNaN(usefulLifeYears) ? null : usefulLifeYears,
+        rate: method === 'decliningBalance' && !isNaN(rate) ? rate : null
+    };
+}
+
+export class CategoryManager {
+    constructor({
+        categoryList,
+        categoryForm,
+        newCategoryBtn,
+        categoryFilter,
+        searchInput,
+        customFieldManager,
+        setButtonLoading,
+        onChange
+    }) {
+        this.categoryList = categoryList;
+        this.categoryForm = categoryForm;
+        this.categoryFormTitle = categoryForm.querySelector('#categoryFormTitle');
+        this.newCategoryBtn = newCategoryBtn;
+        this.categoryFilter = categoryFilter;
+        this.searchInput = searchInput;
+        this.customFieldManager = customFieldManager;
+        this.setButtonLoading = setButtonLoading;
+        this.onChange = onChange;
+        this.categories = [];
+        // Until the categories are loaded the forms leave stored categories alone
+        this.loaded = false;
+        this.editingCategory = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.newCategoryBtn.addEventListener('click', () => this.openCategoryForm());
+        this.categoryForm.querySelector('.cancel-btn').addEventListener('click', () => this.closeCategoryForm());
+        this.categoryForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveCategory();
+        });
+        this.categoryFilter?.addEventListener('change', () => this.applyFilter(this.categoryFilter.value));
+    }
+
+    getCategories() {
+        return this.categories;
+    }
+
+    async loadCategories() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/categories`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            this.categories = await response.json();
+            this.loaded = true;
+        } catch (error) {
+            globalThis.logError('Failed to load categories:', error.message);
+            this.categories = [];
+        }
+        this._renderCategories();
+        this._renderFilter();
+    }
+
+    getCategory(id) {
+        return this.categories.find(category => category.id === id) || null;
+    }
+
+    /**
+     * The category and its parents, from the top of the tree down
+     * @param {string} id - Category ID
+     * @returns {Object[]} Categories; empty for an unknown ID
+     */
+    getAncestry(id) {
+        return getAncestry(this.categories, id);
+    }
+
+    /**
+     * @param {string} id - Category ID
+     * @returns {string} e.g. "Electronics > Computers > Laptops", or '' for an unknown ID
+     */
+    getPath(id) {
+        return getPath(this.categories, id);
+    }
+
+    /**
+     * The icon of a category, or of its nearest parent that has one
+     * @param {string} id - Category ID
+     * @returns {string} Icon, or ''
+     */
+    getIcon(id) {
+        return this.getAncestry(id).reverse().find(category => category.icon)?.icon || '';
+    }
+
+    /**
+     * @param {string} id - Category ID
+     * @returns {string} Icon and path for display, or '' for an unknown ID
+     */
+    getLabel(id) {
+        const path = this.getPath(id);
+        if (!path) return '';
+        const icon = this.getIcon(id);
+        return icon ? `${icon} ${path}` : path;
+    }
+
+    /**
+     * @param {string} id - Category ID
+     * @returns {Set<string>} The category and every category below it
+     */
+    getSubtreeIds(id) {
+        return getSubtreeIds(this.categories, id);
+    }
+
+    /**
+     * Find a category by its path or name, ignoring case, as typed in a category: search term
+     * @param {string} text - e.g. "Electronics > Computers" or "Computers"
+     * @returns {Object|null} The category
+     */
+    findCategory(text) {
+        return findNode(this.categories, text);
+    }
+
+    /**
+     * The categories a category: search term matches
+     * @param {string} text - Term value
+     * @returns {Set<string>|null} The category and its subcategories, or null if none is named so
+     */
+    findCategoryIds(text) {
+        const category = this.findCategory(text);
+        return category ? this.getSubtreeIds(category.id) : null;
+    }
+
+    /**
+     * The category: search term for a category. The name is enough unless another category shares it.
+     * @param {string} id - Category ID, or "none" for records without a category
+     * @returns {string} e.g. category:Laptops or category:"Electronics > Computers"
+     */
+    getSearchTerm(id) {
+        if (id === 'none') return 'category:none';
+        const value = getUniqueName(this.categories, id);
+        return value ? formatFilterTerm('category', value) : '';
+    }
+
+    /**
+     * The defaults a record gets when it is put in a category. A subcategory inherits the
+     * warranty length and field values it doesn't set from its parents.
+     * @param {string} id - Category ID
+     * @param {string} [purchaseDate] - Purchase date (YYYY-MM-DD) the warranty is counted from, today if not set
+     * @returns {{ warrantyExpiration: string, customFields: Object }} Warranty expiration ('' if the
+     *   category has no warranty length) and custom field values keyed by field ID
+     */
+    getDefaults(id, purchaseDate) {
+        let warrantyMonths = null;
+        let customFields = {};
+        this.getAncestry(id).forEach(category => {
+            warrantyMonths = category.warrantyMonths || warrantyMonths;
+            customFields = { ...customFields, ...category.customFields };
+        });
+        return {
+            warrantyExpiration: warrantyMonths ? addInterval(purchaseDate || toDateString(new Date()), warrantyMonths, 'months') : '',
+            customFields
+        };
+    }
+
+    /**
+     * The depreciation that applies to a record: its own, or that of its category or the nearest
+     * parent category that sets one
+     * @param {Object} record - Asset or component
+     * @returns {Object|null} { method, usefulLifeYears, rate }, or null if none applies
+     */
+    getDepreciation(record) {
+        return getDepreciation(record, this.getAncestry(record?.categoryId));
+    }
+
+    /**
+     * Fill a category menu with the tree, indented by depth
+     * @param {HTMLSelectElement} select - Menu to fill; its first option ("None", "All categories"…) is kept
+     * @param {string} [value] - Category to select
+     * @param {string} [excludeId] - Category to leave out together with its subcategories
+     */
+    renderOptions(select, value = '', excludeId = null) {
+        // A category deleted since the record was loaded shows as "None"
+        renderTreeOptions(select, this.categories, value, {
+            excludeId,
+            getLabel: category => (category.icon ? `${category.icon} ${category.name}` : category.name)
+        });
+    }
+
+    _renderCategories() {
+        this.categoryList.innerHTML = '';
+        if (this.categories.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No categories yet.';
+            this.categoryList.appendChild(empty);
+            return;
+        }
+
+        const customFields = this.customFieldManager?.getCustomFields() || [];
+        getTreeRows(this.categories).forEach(({ node: category, depth }) => {
+            const row = document.createElement('div');
+            row.className = 'template-item';
+            row.style.marginLeft = `${depth * 1.25}rem`;
+
+            const defaultCount = customFields.filter(field => category.customFields?.[field.id] !== undefined).length;
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.textContent = category.icon ? `${category.icon} ${category.name}` : category.name;
+            const meta = document.createElement('div');
+            meta.className = 'template-item-meta';
+            meta.textContent = [
+                category.warrantyMonths ? `${category.warrantyMonths} month warranty` : null,
+                category.depreciation ? describeDepreciation(category.depreciation) : null,
+                defaultCount > 0 ? `${defaultCount} default field${defaultCount === 1 ? '' : 's'}` : null
+            ].filter(Boolean).join(' · ');
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-item-actions';
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'save-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.openCategoryForm(category));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'cancel-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteCategory(category, deleteBtn));
+            actions.append(editBtn, deleteBtn);
+
+            row.append(info, actions);
+            this.categoryList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the category form, empty or filled with an existing category
+     * @param {Object} [category] - Category to edit
+     */
+    openCategoryForm(category = null) {
+        this.editingCategory = category;
+        this.categoryFormTitle.textContent = category ? `Edit "${category.name}"` : 'New Category';
+        this.categoryForm.reset();
+
+        const { elements } = this.categoryForm;
+        elements.name.value = category?.name || '';
+        // A category can't be moved under itself or one of its subcategories
+        this.renderOptions(elements.parentId, category?.parentId || '', category?.id);
+        elements.icon.value = category?.icon || '';
+        elements.warrantyMonths.value = category?.warrantyMonths || '';
+        elements.depreciationMethod.value = category?.depreciation?.method || '';
+        elements.usefulLifeYears.value = category?.depreciation?.usefulLifeYears || '';
+        elements.depreciationRate.value = category?.depreciation?.rate || '';
+        this.customFieldManager?.renderInputs('category', category?.customFields);
+
+        this.categoryForm.style.display = 'block';
+        elements.name.focus();
+    }
+
+    closeCategoryForm() {
+        this.categoryForm.style.display = 'none';
+        this.editingCategory = null;
+    }
+
+    _collectCategory() {
+        const { elements } = this.categoryForm;
+        const warrantyMonths = parseInt(elements.warrantyMonths.value, 10);
+        const category = {
+            name: elements.name.value.trim(),
+            parentId: elements.parentId.value || null,
+            icon: elements.icon.value.trim(),
+            warrantyMonths: isNaN(warrantyMonths) ? null : warrantyMonths,
+            depreciation: collectDepreciation(elements.depreciationMethod, elements.usefulLifeYears, elements.depreciationRate)
+        };
+        // Left out when the field definitions couldn't be loaded, so the stored defaults are kept
+        const customFields = this.customFieldManager?.getValues('category');
+        category.customFields = customFields || this.editingCategory?.customFields || {};
+        return category;
+    }
+
+    async saveCategory() {
+        const category = this.editingCategory;
+        const submitBtn = this.categoryForm.querySelector('.save-btn');
+        this.setButtonLoading(submitBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/categories${category ? `/${category.id}` : ''}`, {
+                method: category ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this._collectCategory()),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const saved = await response.json();
+            this.closeCategoryForm();
+            await this.loadCategories();
+            this.onChange?.({ recordsMoved: false });
+            globalThis.toaster.show(`Saved category "${saved.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to save category:', error.message);
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+
+    async deleteCategory(category, button) {
+        const parent = this.getCategory(category.parentId);
+        const destination = parent ? `"${parent.name}"` : 'no category';
+        if (!confirm(`Delete the category "${category.name}"? Its subcategories, assets and components move to ${destination}.`)) {
+            return;
+        }
+        this.setButtonLoading(button, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/categories/${category.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const { moved } = await response.json();
+            if (this.editingCategory?.id === category.id) this.closeCategoryForm();
+            await this.loadCategories();
+            this.onChange?.({ recordsMoved: moved > 0 });
+            globalThis.toaster.show(`Deleted category "${category.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to delete category:', error.message);
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+
+    _renderFilter() {
+        if (!this.categoryFilter) return;
+        this.renderOptions(this.categoryFilter);
+        this.categoryFilter.add(new Option('Uncategorized', 'none'), 1);
+        this.categoryFilter.closest('.category-filter')?.style.setProperty('display', this.categories.length > 0 ? '' : 'none');
+        this.syncFilter(this.searchInput?.value || '');
+    }
+
+    /**
+     * Show the category: term of a search query in the sidebar category menu
+     * @param {string} query - Search query
+     */
+    syncFilter(query) {
+        if (!this.categoryFilter) return;
+        const term = getFilterTerm(query, 'category');
+        if (!term) {
+            this.categoryFilter.value = '';
+        } else if (term.value.toLowerCase() === 'none') {
+            this.categoryFilter.value = 'none';
+        } else {
+            this.categoryFilter.value = this.findCategory(term.value)?.id || '';
+        }
+    }
+
+    /**
+     * Replace the category: terms of the search box, e.g. when a category is picked in the sidebar
+     * @param {string} id - Category ID, "none" for uncategorized records or '' for every category
+     */
+    applyFilter(id) {
+        if (!this.searchInput) return;
+        this.searchInput.value = replaceFilterTerms(this.searchInput.value, 'category', id ? this.getSearchTerm(id) : '');
+        // Let the search box's own handler re-render the list and the chips
+        this.searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Checkout Manager
+ * The "Check Out" and "Check In" dialog on an asset's or component's details: lends it to someone
+ * with an expected return date and its condition, and records its condition when it comes back,
+ * through POST /api/assets/:id/checkout and /checkin (or the /api/subassets equivalents)
+ */
+
+import { formatDate } from '../helpers/utils.js';
+import { getToday, getOpenCheckout } from '../helpers/checkouts.js';
+
+export class CheckoutManager {
+    constructor({
+        checkoutModal,
+        getAssets,
+        getSubAssets,
+        setButtonLoading,
+        onSaved
+    }) {
+        this.checkoutModal = checkoutModal;
+        this.checkoutTitle = checkoutModal.querySelector('#checkoutTitle');
+        this.checkoutSummary = checkoutModal.querySelector('#checkoutSummary');
+        this.checkoutForm = checkoutModal.querySelector('#checkoutForm');
+        this.checkoutFields = checkoutModal.querySelector('#checkoutFields');
+        this.checkinFields = checkoutModal.querySelector('#checkinFields');
+        this.borrowerList = checkoutModal.querySelector('#borrowerList');
+        this.submitLabel = checkoutModal.querySelector('#checkoutSubmitLabel');
+        this.getAssets = getAssets;
+        this.getSubAssets = getSubAssets;
+        this.setButtonLoading = setButtonLoading;
+        this.onSaved = onSaved;
+        this.record = null;
+        this.isSubAsset = false;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.checkoutModal.querySelector('.close-btn').addEventListener('click', () => this.closeCheckoutModal());
+        this.checkoutForm.querySelector('.cancel-btn').addEventListener('click', () => this.closeCheckoutModal());
+        this.checkoutForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveCheckout();
+        });
+    }
+
+    /**
+     * Open the dialog: checks the record in if it is out, otherwise checks it out
+     * @param {Object} record - Asset or component
+     * @param {boolean} [isSubAsset] - Whether the record is a component
+     */
+    openCheckoutModal(record, isSubAsset = false) {
+        this.record = record;
+        this.isSubAsset = isSubAsset;
+        const open = getOpenCheckout(record);
+        const { elements } = this.checkoutForm;
+        this.checkoutForm.reset();
+
+        // Hidden inputs are disabled so the browser doesn't require them
+        this.checkoutFields.style.display = open ? 'none' : 'block';
+        this.checkinFields.style.display = open ? 'block' : 'none';
+        this.checkoutFields.disabled = !!open;
+        this.checkinFields.disabled = !open;
+
+        if (open) {
+            this.checkoutTitle.textContent = `Check In "${record.name}"`;
+            this.checkoutSummary.textContent = [
+                `Out with ${open.borrower} since ${formatDate(open.checkedOutAt)}${open.dueDate ? `, due back ${formatDate(open.dueDate)}` : ''}.`,
+                open.conditionOut ? `Condition when it left: ${open.conditionOut}` : ''
+            ].filter(Boolean).join(' ');
+            this.checkoutSummary.style.display = 'block';
+            elements.checkedInAt.value = getToday();
+        } else {
+            this.checkoutTitle.textContent = `Check Out "${record.name}"`;
+            this.checkoutSummary.style.display = 'none';
+            elements.checkedOutAt.value = getToday();
+            this._renderBorrowers();
+        }
+        this.submitLabel.textContent = open ? 'Check In' : 'Check Out';
+
+        this.checkoutModal.style.display = 'block';
+        (open ? elements.conditionIn : elements.borrower).focus();
+    }
+
+    closeCheckoutModal() {
+        this.checkoutModal.style.display = 'none';
+        this.record = null;
+    }
+
+    // Suggest everyone something was lent to before
+    _renderBorrowers() {
+        const borrowers = new Set();
+        [...this.getAssets(), ...this.getSubAssets()].forEach(record => {
+            (record.checkouts || []).forEach(checkout => borrowers.add(checkout.borrower));
+        });
+        this.borrowerList.innerHTML = '';
+        [...borrowers].sort((a, b) => a.localeCompare(b)).forEach(borrower => this.borrowerList.appendChild(new Option(borrower)));
+    }
+
+    _collectCheckout(isCheckIn) {
+        const { elements } = this.checkoutForm;
+        if (isCheckIn) {
+            return {
+                checkedInAt: elements.checkedInAt.value,
+                conditionIn: elements.conditionIn.value.trim()
+            };
+        }
+        return {
+            borrower: elements.borrower.value.trim(),
+            checkedOutAt: elements.checkedOutAt.value,
+            dueDate: elements.dueDate.value || null,
+            conditionOut: elements.conditionOut.value.trim()
+        };
+    }
+
+    async saveCheckout() {
+        const record = this.record;
+        if (!record) return;
+        const isCheckIn = !!getOpenCheckout(record);
+        const submitBtn = this.checkoutForm.querySelector('.save-btn');
+        this.setButtonLoading(submitBtn, true);
+        try {
+            const type = this.isSubAsset ? 'subassets' : 'assets';
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/${type}/${record.id}/${isCheckIn ? 'checkin' : 'checkout'}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${Number.isInteger(record.revision) ? record.revision : 0}"`
+                },
+                body: JSON.stringify(this._collectCheckout(isCheckIn)),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const saved = await response.json();
+            const isSubAsset = this.isSubAsset;
+            this.closeCheckoutModal();
+            await this.onSaved(saved, isSubAsset);
+            globalThis.toaster.show(isCheckIn
+                ? `Checked in "${saved.name}"`
+                : `Checked out "${saved.name}" to ${getOpenCheckout(saved).borrower}`);
+        } catch (error) {
+            globalThis.logError(`Failed to check ${isCheckIn ? 'in' : 'out'}:`, error.message);
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Clone Manager
+ * The "Duplicate" dialog on an asset's details: copies the asset, optionally with its components
+ * and maintenance schedules, as one or more new assets through POST /api/assets/:id/clone
+ */
+
+export class CloneManager {
+    constructor({
+        cloneModal,
+        setButtonLoading,
+        onCloned
+    }) {
+        this.cloneModal = cloneModal;
+        this.cloneTitle = cloneModal.querySelector('#cloneTitle');
+        this.cloneForm = cloneModal.querySelector('#cloneForm');
+        this.setButtonLoading = setButtonLoading;
+        this.onCloned = onCloned;
+        this.asset = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.cloneModal.querySelector('.close-btn').addEventListener('click', () => this.closeCloneModal());
+        this.cloneForm.querySelector('.cancel-btn').addEventListener('click', () => this.closeCloneModal());
+        this.cloneForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.cloneAsset();
+        });
+    }
+
+    /**
+     * Open the dialog for an asset
+     * @param {Object} asset - Asset to duplicate
+     */
+    openCloneModal(asset) {
+        this.asset = asset;
+        this.cloneTitle.textContent = `Duplicate "${asset.name}"`;
+        this.cloneForm.reset();
+        this.cloneForm.elements.name.value = `${asset.name} (Copy)`;
+        this.cloneModal.style.display = 'block';
+        this.cloneForm.elements.name.focus();
+    }
+
+    closeCloneModal() {
+        this.cloneModal.style.display = 'none';
+        this.asset = null;
+    }
+
+    _getOptions() {
+        const { elements } = this.cloneForm;
+        return {
+            name: elements.name.value.trim(),
+            count: parseInt(elements.count.value, 10) || 1,
+            attachments: elements.attachments.value,
+            includeComponents: elements.includeComponents.checked,
+            includeMaintenance: elements.includeMaintenance.checked,
+            clearFields: [...this.cloneForm.querySelectorAll('input[name="clearFields"]:checked')].map(input => input.value)
+        };
+    }
+
+    async cloneAsset() {
+        const asset = this.asset;
+        if (!asset) return;
+        const submitBtn = this.cloneForm.querySelector('.save-btn');
+        this.setButtonLoading(submitBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/assets/${asset.id}/clone`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this._getOptions()),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const { assets } = await response.json();
+            this.closeCloneModal();
+            await this.onCloned(assets);
+            globalThis.toaster.show(assets.length === 1
+                ? `Created "${assets[0].name}"`
+                : `Created ${assets.length} copies of "${asset.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to duplicate asset:', error.message);
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * Component Move Manager
+ * Moves a component, with its sub-components, under another asset or component, either from the
+ * "Move to…" picker or by dragging it onto an asset in the sidebar or another component.
+ * Also promotes a component to an asset, and demotes an asset to a component through the same picker.
+ */
+
+const DRAG_TYPE = 'application/x-dumbassets-component';
+
+export class ComponentMoveManager {
+    constructor({
+        moveModal,
+        assetList,
+        getAssets,
+        getSubAssets,
+        onMoved,
+        onConverted
+    }) {
+        this.moveModal = moveModal;
+        this.assetList = assetList;
+        this.moveTitle = moveModal.querySelector('#moveTitle');
+        this.moveFilter = moveModal.querySelector('#moveFilter');
+        this.moveTargetList = moveModal.querySelector('#moveTargetList');
+        this.getAssets = getAssets;
+        this.getSubAssets = getSubAssets;
+        this.onMoved = onMoved;
+        this.onConverted = onConverted;
+        this.subAsset = null;
+        // 'move' places a component, 'demote' places an asset as a component
+        this.mode = 'move';
+        this.draggedId = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.moveModal.querySelector('.close-btn').addEventListener('click', () => this.closeMovePicker());
+        this.moveFilter.addEventListener('input', () => this._renderTargets());
+
+        // Components are listed both under an asset and under a component's details, so listen on the whole page
+        document.addEventListener('dragstart', (e) => this._handleDragStart(e));
+        document.addEventListener('dragend', () => this._handleDragEnd());
+        document.addEventListener('dragover', (e) => this._handleDragOver(e));
+        document.addEventListener('dragleave', (e) => e.target.closest?.('.drop-target')?.classList.remove('drop-target'));
+        document.addEventListener('drop', (e) => this._handleDrop(e));
+    }
+
+    /**
+     * Ids of a component's sub-components at any depth
+     * @param {string} subAssetId - Component id
+     * @returns {Set<string>} Descendant ids
+     */
+    getDescendantIds(subAssetId) {
+        const subAssets = this.getSubAssets();
+        const ids = new Set();
+        const visit = (parentSubId) => {
+            subAssets.filter(sa => sa.parentSubId === parentSubId && !ids.has(sa.id)).forEach(child => {
+                ids.add(child.id);
+                visit(child.id);
+            });
+        };
+        visit(subAssetId);
+        return ids;
+    }
+
+    /**
+     * Whether a component can be placed at a location. Components are shown two levels deep, so a
+     * component with sub-components can only go directly under an asset.
+     * @param {Object} subAsset - Component to move
+     * @param {Object} target - { parentId } for an asset, or { parentSubId } for a component
+     * @returns {boolean} True if the move is allowed and changes something
+     */
+    canMoveTo(subAsset, { parentId = null, parentSubId = null }) {
+        if (parentSubId) {
+            if (parentSubId === subAsset.id || parentSubId === subAsset.parentSubId) return false;
+            const parent = this.getSubAssets().find(sa => sa.id === parentSubId);
+            if (!parent || parent.parentSubId) return false;
+            if (this.getDescendantIds(subAsset.id).size > 0) return false;
+            return true;
+        }
+        return !(parentId === subAsset.parentId && !subAsset.parentSubId);
+    }
+
+    /**
+     * Whether an asset can be made a component at a location. Its components come along one level
+     * deeper, so it must still fit in the two levels that are shown.
+     * @param {Object} asset - Asset to demote
+     * @param {Object} target - { parentId } for an asset, or { parentSubId } for a component
+     * @returns {boolean} True if the asset can be demoted there
+     */
+    canDemoteTo(asset, { parentId = null, parentSubId = null }) {
+        const components = this.getSubAssets().filter(sa => sa.parentId === asset.id);
+        if (parentSubId) {
+            const parent = this.getSubAssets().find(sa => sa.id === parentSubId);
+            return !!parent && !parent.parentSubId && parent.parentId !== asset.id && components.length === 0;
+        }
+        return parentId !== asset.id && !components.some(sa => sa.parentSubId);
+    }
+
+    _canPlace(target) {
+        return this.mode === 'demote' ? this.canDemoteTo(this.subAsset, target) : this.canMoveTo(this.subAsset, target);
+    }
+
+    openMovePicker(subAsset) {
+        this.mode = 'move';
+        this.subAsset = subAsset;
+        this.moveTitle.textContent = `Move "${subAsset.name}" to…`;
+        this.moveFilter.value = '';
+        this._renderTargets();
+        this.moveModal.style.display = 'block';
+        this.moveFilter.focus();
+    }
+
+    /**
+     * Open the picker to choose what an asset becomes a component of
+     * @param {Object} asset - Asset to demote
+     */
+    openDemotePicker(asset) {
+        this.mode = 'demote';
+        this.subAsset = asset;
+        this.moveTitle.textContent = `Make "${asset.name}" a component of…`;
+        this.moveFilter.value = '';
+        this._renderTargets();
+        this.moveModal.style.display = 'block';
+        this.moveFilter.focus();
+    }
+
+    closeMovePicker() {
+        this.moveModal.style.display = 'none';
+        this.subAsset = null;
+    }
+
+    _renderTargets() {
+        const subAsset = this.subAsset;
+        if (!subAsset) return;
+        const filter = this.moveFilter.value.trim().toLowerCase();
+        const subAssets = this.getSubAssets();
+        this.moveTargetList.innerHTML = '';
+
+        const matches = item => !filter || (item.name || '').toLowerCase().includes(filter);
+        let count = 0;
+        this.getAssets().forEach(asset => {
+            if (asset.id === subAsset.id) return;
+            const components = subAssets.filter(sa => sa.parentId === asset.id && !sa.parentSubId && sa.id !== subAsset.id && matches(sa));
+            if (!matches(asset) && components.length === 0) return;
+
+            this.moveTargetList.appendChild(this._createTarget(asset.name, 'Asset', { parentId: asset.id }));
+            components.forEach(component => {
+                this.moveTargetList.appendChild(this._createTarget(component.name, 'Component', { parentSubId: component.id }, true));
+            });
+            count++;
+        });
+
+        if (count === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No matching assets or components.';
+            this.moveTargetList.appendChild(empty);
+        }
+    }
+
+    _createTarget(name, type, target, nested = false) {
+        const allowed = this._canPlace(target);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `move-target${nested ? ' nested' : ''}`;
+        button.disabled = !allowed;
+
+        const label = document.createElement('span');
+        label.textContent = name || 'Unnamed';
+        const meta = document.createElement('span');
+        meta.className = 'move-target-meta';
+        const isCurrent = this.mode === 'move' && (target.parentSubId ? target.parentSubId === this.subAsset.parentSubId
+            : target.parentId === this.subAsset.parentId && !this.subAsset.parentSubId);
+        meta.textContent = isCurrent ? 'Current location' : type;
+        if (!allowed && !isCurrent) {
+            button.title = this.mode === 'demote'
+                ? 'Only an asset without components can be placed under a component, and components with their own sub-components can\'t be placed under another asset'
+                : 'Components with their own sub-components can only be moved under an asset';
+        }
+
+        button.append(label, meta);
+        button.addEventListener('click', async () => {
+            const { subAsset, mode } = this;
+            this.closeMovePicker();
+            if (mode === 'demote') await this.demoteAsset(subAsset, target, name);
+            else await this.moveComponent(subAsset, target, name);
+        });
+        return button;
+    }
+
+    /**
+     * Move a component and its sub-components
+     * @param {Object} subAsset - Component to move
+     * @param {Object} target - { parentId } for an asset, or { parentSubId } for a component
+     * @param {string} targetName - Name of the new parent, for the confirmation message
+     */
+    async moveComponent(subAsset, target, targetName) {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/subassets/${subAsset.id}/move`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${Number.isInteger(subAsset.revision) ? subAsset.revision : 0}"`
+                },
+                body: JSON.stringify(target),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const { subAsset: movedComponent } = await response.json();
+            await this.onMoved(movedComponent);
+            globalThis.toaster.show(`Moved "${subAsset.name}" to "${targetName}"`);
+        } catch (error) {
+            globalThis.logError('Failed to move component:', error.message);
+        }
+    }
+
+    /**
+     * Turn a component into an asset. Its sub-components become the new asset's components.
+     * @param {Object} subAsset - Component to promote
+     */
+    async promoteComponent(subAsset) {
+        if (!confirm(`Make "${subAsset.name}" an asset? Its sub-components will become the new asset's components.`)) {
+            return;
+        }
+        try {
+            const response = await this._convert(`/api/subassets/${subAsset.id}/promote`, subAsset);
+            const { asset } = await response.json();
+            await this.onConverted(asset, false);
+            globalThis.toaster.show(`"${subAsset.name}" is now an asset`);
+        } catch (error) {
+            globalThis.logError('Failed to promote component:', error.message);
+        }
+    }
+
+    /**
+     * Turn an asset into a component. Its components come along as sub-components.
+     * @param {Object} asset - Asset to demote
+     * @param {Object} target - { parentId } for an asset, or { parentSubId } for a component
+     * @param {string} targetName - Name of the new parent, for the confirmation message
+     */
+    async demoteAsset(asset, target, targetName) {
+        try {
+            const response = await this._convert(`/api/assets/${asset.id}/demote`, asset, target);
+            const { subAsset } = await response.json();
+            await this.onConverted(subAsset, true);
+            globalThis.toaster.show(`"${asset.name}" is now a component of "${targetName}"`);
+        } catch (error) {
+            globalThis.logError('Failed to demote asset:', error.message);
+        }
+    }
+
+    async _convert(path, record, body = {}) {
+        const response = await fetch(`${globalThis.getApiBaseUrl()}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${Number.isInteger(record.revision) ? record.revision : 0}"`
+            },
+            body: JSON.stringify(body),
+            credentials: 'include'
+        });
+        const responseValidation = await globalThis.validateResponse(response);
+        if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+        return response;
+    }
+
+    _handleDragStart(e) {
+        const item = e.target.closest?.('.sub-asset-item[draggable="true"]');
+        if (!item?.dataset.id) return;
+        this.draggedId = item.dataset.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData(DRAG_TYPE, item.dataset.id);
+    }
+
+    _handleDragEnd() {
+        this.draggedId = null;
+        document.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+    }
+
+    // The asset or component under the pointer, and where the dragged component would go
+    _getDropTarget(e) {
+        const subAsset = this.getSubAssets().find(sa => sa.id === this.draggedId);
+        if (!subAsset) return null;
+
+        const assetItem = e.target.closest?.('.asset-item');
+        if (assetItem && this.assetList.contains(assetItem)) {
+            const asset = this.getAssets().find(a => a.id === assetItem.dataset.id);
+            const target = { parentId: assetItem.dataset.id };
+            return asset && this.canMoveTo(subAsset, target) ? { element: assetItem, subAsset, target, name: asset.name } : null;
+        }
+
+        const componentItem = e.target.closest?.('.sub-asset-item');
+        if (componentItem && componentItem.dataset.id !== subAsset.id) {
+            const component = this.getSubAssets().find(sa => sa.id === componentItem.dataset.id);
+            const target = { parentSubId: componentItem.dataset.id };
+            return component && this.canMoveTo(subAsset, target) ? { element: componentItem, subAsset, target, name: component.name } : null;
+        }
+        return null;
+    }
+
+    _handleDragOver(e) {
+        if (!this.draggedId) return;
+        const dropTarget = this._getDropTarget(e);
+        if (!dropTarget) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        document.querySelectorAll('.drop-target').forEach(element => {
+            if (element !== dropTarget.element) element.classList.remove('drop-target');
+        });
+        dropTarget.element.classList.add('drop-target');
+    }
+
+    async _handleDrop(e) {
+        if (!this.draggedId) return;
+        const dropTarget = this._getDropTarget(e);
+        this._handleDragEnd();
+        if (!dropTarget) return;
+        e.preventDefault();
+        await this.moveComponent(dropTarget.subAsset, dropTarget.target, dropTarget.name);
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Custom Field Manager
+ * Lists, creates and edits the custom fields in the Fields settings tab, and renders their inputs
+ * in the asset, component and category forms
+ */
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    select: 'Choice',
+    url: 'Link',
+    boolean: 'Yes/No'
+};
+
+// Input type used in the asset and component forms; choices and yes/no fields use a select
+const INPUT_TYPES = { text: 'text', number: 'number', date: 'date', url: 'url' };
+
+export class CustomFieldManager {
+    constructor({
+        fieldList,
+        fieldForm,
+        newFieldBtn,
+        setButtonLoading
+    }) {
+        this.fieldList = fieldList;
+        this.fieldForm = fieldForm;
+        this.fieldFormTitle = fieldForm.querySelector('#customFieldFormTitle');
+        this.optionsGroup = fieldForm.querySelector('#customFieldOptionsGroup');
+        this.newFieldBtn = newFieldBtn;
+        this.setButtonLoading = setButtonLoading;
+        this.fields = [];
+        // Until the definitions are loaded the forms leave stored values alone
+        this.loaded = false;
+        this.editingField = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.newFieldBtn.addEventListener('click', () => this.openFieldForm());
+        this.fieldForm.querySelector('.cancel-btn').addEventListener('click', () => this.closeFieldForm());
+        this.fieldForm.elements.type.addEventListener('change', () => this._updateOptionsVisibility());
+        this.fieldForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveField();
+        });
+    }
+
+    getCustomFields() {
+        return this.fields;
+    }
+
+    async loadCustomFields() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/custom-fields`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            this.fields = await response.json();
+            this.loaded = true;
+        } catch (error) {
+            globalThis.logError('Failed to load custom fields:', error.message);
+            this.fields = [];
+        }
+        this._renderFields();
+    }
+
+    _renderFields() {
+        this.fieldList.innerHTML = '';
+        if (this.fields.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No custom fields yet.';
+            this.fieldList.appendChild(empty);
+            return;
+        }
+
+        this.fields.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'template-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.textContent = field.name;
+            const meta = document.createElement('div');
+            meta.className = 'template-item-meta';
+            meta.textContent = field.type === 'select'
+                ? `${CUSTOM_FIELD_TYPE_LABELS.select}: ${field.options.join(', ')}`
+                : CUSTOM_FIELD_TYPE_LABELS[field.type];
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-item-actions';
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'save-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.openFieldForm(field));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'cancel-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteField(field, deleteBtn));
+            actions.append(editBtn, deleteBtn);
+
+            row.append(info, actions);
+            this.fieldList.appendChild(row);
+        });
+    }
+
+    _updateOptionsVisibility() {
+        this.optionsGroup.style.display = this.fieldForm.elements.type.value === 'select' ? 'block' : 'none';
+    }
+
+    /**
+     * Show the field form, empty or filled with an existing field
+     * @param {Object} [field] - Custom field to edit
+     */
+    openFieldForm(field = null) {
+        this.editingField = field;
+        this.fieldFormTitle.textContent = field ? `Edit "${field.name}"` : 'New Field';
+        this.fieldForm.reset();
+
+        const { elements } = this.fieldForm;
+        elements.name.value = field?.name || '';
+        elements.type.value = field?.type || 'text';
+        elements.options.value = (field?.options || []).join('\n');
+        this._updateOptionsVisibility();
+
+        this.fieldForm.style.display = 'block';
+        elements.name.focus();
+    }
+
+    closeFieldForm() {
+        this.fieldForm.style.display = 'none';
+        this.editingField = null;
+    }
+
+    _collectField() {
+        const { elements } = this.fieldForm;
+        const field = {
+            name: elements.name.value.trim(),
+            type: elements.type.value
+        };
+        if (field.type === 'select') {
+            field.options = elements.options.value.split('\n').map(option => option.trim()).filter(Boolean);
+        }
+        return field;
+    }
+
+    async saveField() {
+        const field = this.editingField;
+        const submitBtn = this.fieldForm.querySelector('.save-btn');
+        this.setButtonLoading(submitBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/custom-fields${field ? `/${field.id}` : ''}`, {
+                method: field ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this._collectField()),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const saved = await response.json();
+            this.closeFieldForm();
+            await this.loadCustomFields();
+            globalThis.toaster.show(`Saved field "${saved.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to save custom field:', error.message);
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+
+    async deleteField(field, button) {
+        if (!confirm(`Delete the field "${field.name}"? Its values will no longer be shown and are removed when an asset is next saved.`)) {
+            return;
+        }
+        this.setButtonLoading(button, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/custom-fields/${field.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            if (this.editingField?.id === field.id) this.closeFieldForm();
+            await this.loadCustomFields();
+            globalThis.toaster.show(`Deleted field "${field.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to delete custom field:', error.message);
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+
+    /**
+     * ID of the form input for a custom field
+     * @param {'asset'|'subAsset'|'category'} type - The form the input is on
+     * @param {string} fieldId - Custom field ID
+     * @returns {string} Element ID
+     */
+    getInputId(type, fieldId) {
+        return `${type}CustomField-${fieldId}`;
+    }
+
+    /**
+     * Add an input for every custom field to a form
+     * @param {'asset'|'subAsset'|'category'} type - The form to render into
+     * @param {Object} [values] - Stored values, keyed by field ID
+     */
+    renderInputs(type, values = {}) {
+        const container = document.getElementById(`${type}CustomFields`);
+        if (!container) return;
+        container.innerHTML = '';
+
+        this.fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.htmlFor = this.getInputId(type, field.id);
+            label.textContent = field.name;
+
+            let input;
+            if (field.type === 'select' || field.type === 'boolean') {
+                input = document.createElement('select');
+                input.add(new Option('', ''));
+                if (field.type === 'boolean') {
+                    input.add(new Option('Yes', 'true'));
+                    input.add(new Option('No', 'false'));
+                } else {
+                    field.options.forEach(option => input.add(new Option(option, option)));
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = INPUT_TYPES[field.type];
+                if (field.type === 'number') input.step = 'any';
+            }
+            input.id = this.getInputId(type, field.id);
+            input.dataset.customFieldId = field.id;
+
+            const value = values?.[field.id];
+            if (value !== undefined && value !== null) {
+                input.value = String(value);
+            }
+
+            group.append(label, input);
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Read the custom field inputs of a form
+     * @param {'asset'|'subAsset'|'category'} type - The form to read
+     * @returns {Object|undefined} Values keyed by field ID, without empty fields, or undefined
+     *   if the definitions couldn't be loaded
+     */
+    getValues(type) {
+        if (!this.loaded) return undefined;
+        const values = {};
+        this.fields.forEach(field => {
+            const input = document.getElementById(this.getInputId(type, field.id));
+            const raw = input?.value.trim();
+            if (!raw) return;
+
+            if (field.type === 'number') {
+                const number = parseFloat(raw);
+                if (!isNaN(number)) values[field.id] = number;
+            } else if (field.type === 'boolean') {
+                values[field.id] = raw === 'true';
+            } else {
+                values[field.id] = raw;
+            }
+        });
+        return values;
+    }
+}
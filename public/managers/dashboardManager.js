@@ -3,6 +3,9 @@
  * Handles dashboard rendering, events collection, and events display functionality
  */
 import { formatDate } from '../helpers/utils.js';
+import { getOpenCheckout, getDaysOverdue } from '../helpers/checkouts.js';
+import { isLowStock } from '../helpers/stock.js';
+import { getBookValue } from '../helpers/depreciation.js';
 
 export class DashboardManager {
     constructor({
@@ -19,6 +22,7 @@ export class DashboardManager {
         // Managers
         chartManager,
         settingsManager,
+        categoryManager,
         
         // UI functions
         updateDashboardFilter,
@@ -26,6 +30,8 @@ export class DashboardManager {
         updateSelectedIds,
         renderAssetDetails,
         renderAssetList,
+        filterAssets,
+        subAssetMatchesSearch,
         handleSidebarNav,
         setButtonLoading,
         
@@ -34,7 +40,9 @@ export class DashboardManager {
         getSubAssets,
         getDashboardFilter,
         getCurrentSort,
-        getSelectedAssetId
+        getSelectedAssetId,
+        getSavedSearches,
+        applySavedSearch
     }) {
         // Store DOM elements
         this.assetDetails = assetDetails;
@@ -49,6 +57,7 @@ export class DashboardManager {
         // Store chart manager
         this.chartManager = chartManager;
         this.settingsManager = settingsManager;
+        this.categoryManager = categoryManager;
         
         // Store UI functions
         this.updateDashboardFilter = updateDashboardFilter;
@@ -56,6 +65,8 @@ export class DashboardManager {
         this.updateSelectedIds = updateSelectedIds;
         this.renderAssetDetails = renderAssetDetails;
         this.renderAssetList = renderAssetList;
+        this.filterAssets = filterAssets;
+        this.subAssetMatchesSearch = subAssetMatchesSearch;
         this.handleSidebarNav = handleSidebarNav;
         this.setButtonLoading = setButtonLoading;
         
@@ -65,6 +76,8 @@ export class DashboardManager {
         this.getDashboardFilter = getDashboardFilter;
         this.getCurrentSort = getCurrentSort;
         this.getSelectedAssetId = getSelectedAssetId;
+        this.getSavedSearches = getSavedSearches;
+        this.applySavedSearch = applySavedSearch;
         
         // Events state
         this.currentFilter = 'all';
@@ -72,8 +85,23 @@ export class DashboardManager {
         this.currentPage = 1;
         this.eventsPerPage = 5;
 
+        // Whether the Value card and the category cards show what was paid or the current book value
+        this.valueMode = localStorage.getItem('dashboardValueMode') === 'current' ? 'current' : 'purchase';
+
         this.addEventListeners();
     }
+
+    /**
+     * What a record counts for in the Value card and the category cards, all units included
+     * @param {Object} record - Asset or component
+     * @returns {number} Purchase price, or book value in "current" mode, times the quantity
+     */
+    getRecordValue(record) {
+        const price = parseFloat(record.price ?? record.purchasePrice) || 0;
+        if (this.valueMode !== 'current') return price * record.quantity;
+        const bookValue = getBookValue(record, this.categoryManager.getDepreciation(record));
+        return (bookValue ?? price) * record.quantity;
+    }
     
     async getDashboardSectionVisibility() {
         try {
@@ -147,17 +175,14 @@ export class DashboardManager {
         const totalComponents = totalSubAssets;
         
         // Calculate total value including sub-assets
-        const totalAssetsValue = assets.reduce((sum, a) => {
-            const price = parseFloat(a.price) || 0;
-            const quantity = a.quantity || 1;
-            return sum + (price * quantity);
-        }, 0);
-        const totalSubAssetsValue = subAssets.reduce((sum, sa) => {
-            const price = parseFloat(sa.purchasePrice) || 0;
-            const quantity = sa.quantity || 1;
-            return sum + (price * quantity);
-        }, 0);
-        const totalValue = totalAssetsValue + totalSubAssetsValue;
+        const totalValue = [...assets, ...subAssets].reduce((sum, record) => sum + this.getRecordValue(record), 0);
+        
+        // Assets and components currently lent out, and how many of them are past their return date
+        const openCheckouts = [...assets, ...subAssets].map(getOpenCheckout).filter(Boolean);
+        const overdueCheckouts = openCheckouts.filter(checkout => getDaysOverdue(checkout) > 0).length;
+        // Consumables below their reorder threshold, and how many of them have run out
+        const lowStock = [...assets, ...subAssets].filter(isLowStock);
+        const outOfStock = lowStock.filter(record => record.quantity === 0).length;
         
         
         const assetWarranties = assets.filter(a => a.warranty && (a.warranty.expirationDate || a.warranty.isLifetime));
@@ -210,6 +235,20 @@ export class DashboardManager {
                         ${cardVisibility.value !== false ? `<div class="dashboard-card card-asset-value" data-filter="value">
                             <div class="card-label">Value</div>
                             <div class="card-value">${this.formatCurrency(totalValue)}</div>
+                            <div class="value-mode-toggle">
+                                <button type="button" class="${this.valueMode === 'purchase' ? 'active' : ''}" data-value-mode="purchase" title="What was paid">Purchase</button>
+                                <button type="button" class="${this.valueMode === 'current' ? 'active' : ''}" data-value-mode="current" title="Book value after depreciation">Current</button>
+                            </div>
+                        </div>` : ''}
+                        ${cardVisibility.checkedOut !== false ? `<div class="dashboard-card card-checked-out${dashboardFilter === 'checkedOut' ? ' active' : ''}" data-filter="checkedOut">
+                            <div class="card-label">Checked Out</div>
+                            <div class="card-value">${openCheckouts.length}</div>
+                            ${overdueCheckouts > 0 ? `<div class="card-detail">${overdueCheckouts} overdue</div>` : ''}
+                        </div>` : ''}
+                        ${cardVisibility.lowStock !== false ? `<div class="dashboard-card card-low-stock${dashboardFilter === 'lowStock' ? ' active' : ''}" data-filter="lowStock">
+                            <div class="card-label">Low Stock</div>
+                            <div class="card-value">${lowStock.length}</div>
+                            ${outOfStock > 0 ? `<div class="card-detail">${outOfStock} out of stock</div>` : ''}
                         </div>` : ''}
                     </div>
                 </div>
@@ -244,6 +283,25 @@ export class DashboardManager {
                 </div>
             </fieldset>` : '';
         
+        // Value and count per top-level category, next to the Totals cards; filled in after rendering
+        const categoriesSection = sectionVisibility.totals && this.categoryManager?.getCategories().length > 0 ? `
+            <fieldset class="dashboard-legend">
+                <legend class="dashboard-legend-title">Categories</legend>
+                <div class="dashboard-section" data-section="categories">
+                    <div class="dashboard-cards category-cards"></div>
+                </div>
+            </fieldset>` : '';
+        
+        // Saved searches pinned to the dashboard; the cards are filled in after rendering
+        const pinnedSearches = this.getSavedSearches().filter(savedSearch => savedSearch.showOnDashboard);
+        const savedSearchesSection = pinnedSearches.length > 0 ? `
+            <fieldset class="dashboard-legend">
+                <legend class="dashboard-legend-title">Saved Searches</legend>
+                <div class="dashboard-section" data-section="savedSearches">
+                    <div class="dashboard-cards saved-search-cards"></div>
+                </div>
+            </fieldset>` : '';
+        
         // Generate Events section
         const eventsSection = sectionVisibility.events ? this.generateEventsSection() : '';
         
@@ -276,12 +334,17 @@ export class DashboardManager {
         if (sectionVisibility.events) sectionMap['events'] = eventsSection;
         
         // Build the sections in the custom order
+        // Saved search cards follow the Warranties cards, or the Totals cards if those are hidden
+        const savedSearchesAfter = sectionMap['warranties'] ? 'warranties' : 'totals';
         let orderedSections = '';
         sectionOrder.forEach(sectionName => {
             if (sectionMap[sectionName]) {
                 orderedSections += sectionMap[sectionName];
+                if (sectionName === 'totals') orderedSections += categoriesSection;
+                if (sectionName === savedSearchesAfter) orderedSections += savedSearchesSection;
             }
         });
+        if (!sectionMap[savedSearchesAfter]) orderedSections += savedSearchesSection;
         
         // Set the dashboard HTML with ordered sections
         this.subAssetContainer.classList.add('hidden');
@@ -303,9 +366,21 @@ export class DashboardManager {
         else
             this.chartManager.destroyAllCharts();
 
-        // Add click handlers for filtering (except value card)
+        this.renderCategoryCards(assets, subAssets);
+        this.renderSavedSearchCards(pinnedSearches, assets, subAssets);
+
+        this.assetDetails.querySelectorAll('.value-mode-toggle button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.valueMode = button.dataset.valueMode;
+                localStorage.setItem('dashboardValueMode', this.valueMode);
+                this.renderDashboard(false);
+            });
+        });
+
+        // Add click handlers for filtering (except value, category and saved search cards)
         this.assetDetails.querySelectorAll('.dashboard-card').forEach(card => {
-            if (card.getAttribute('data-filter') === 'value') return;
+            if (card.getAttribute('data-filter') === 'value' || card.dataset.category || card.dataset.savedSearch) return;
             card.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const filter = card.getAttribute('data-filter');
@@ -335,6 +410,101 @@ export class DashboardManager {
         });
     }
     
+    /**
+     * Add a card for each top-level category with the number of assets in it and the value of the
+     * assets and components in it, subcategories included, as picked on the Value card. Components
+     * without a category of their own count with their asset. Clicking a card filters the list by the category.
+     * @param {Array} assets - All assets
+     * @param {Array} subAssets - All sub-assets
+     */
+    renderCategoryCards(assets, subAssets) {
+        const container = this.assetDetails.querySelector('.category-cards');
+        if (!container) return;
+        const selectedCategory = document.getElementById('categoryFilter')?.value || '';
+        const assetCategories = new Map(assets.map(asset => [asset.id, asset.categoryId || '']));
+        const records = [
+            ...assets.map(asset => ({ categoryId: asset.categoryId || '', value: this.getRecordValue(asset) })),
+            ...subAssets.map(sa => ({
+                categoryId: sa.categoryId || assetCategories.get(sa.parentId) || '',
+                value: this.getRecordValue(sa)
+            }))
+        ];
+
+        const cards = this.categoryManager.getCategories()
+            .filter(category => !category.parentId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(category => ({ id: category.id, label: this.categoryManager.getLabel(category.id), categoryIds: this.categoryManager.getSubtreeIds(category.id) }));
+        if (assets.some(asset => !asset.categoryId)) {
+            cards.push({ id: 'none', label: 'Uncategorized', categoryIds: new Set(['']) });
+        }
+
+        cards.forEach(({ id, label, categoryIds }) => {
+            const card = document.createElement('div');
+            card.className = `dashboard-card card-category${selectedCategory === id ? ' active' : ''}`;
+            card.dataset.category = id;
+
+            const value = records
+                .filter(record => categoryIds.has(record.categoryId))
+                .reduce((sum, record) => sum + record.value, 0);
+            const labelElement = document.createElement('div');
+            labelElement.className = 'card-label';
+            labelElement.textContent = label;
+            const countElement = document.createElement('div');
+            countElement.className = 'card-value';
+            countElement.textContent = this.filterAssets(assets, subAssets, this.categoryManager.getSearchTerm(id), null).length;
+            const valueElement = document.createElement('div');
+            valueElement.className = 'card-detail';
+            valueElement.textContent = this.formatCurrency(value);
+            card.append(labelElement, countElement, valueElement);
+
+            card.addEventListener('click', (e) => {
+                e.stopPropagation();
+                // Clicking the selected category again shows every category
+                this.categoryManager.applyFilter(selectedCategory === id ? '' : id);
+                this.renderDashboard(false);
+            });
+            container.appendChild(card);
+        });
+    }
+    
+    /**
+     * Add a card for each saved search shown on the dashboard, with the number of matching assets
+     * @param {Array} savedSearches - Saved searches to show
+     * @param {Array} assets - All assets
+     * @param {Array} subAssets - All sub-assets
+     */
+    renderSavedSearchCards(savedSearches, assets, subAssets) {
+        const container = this.assetDetails.querySelector('.saved-search-cards');
+        if (!container) return;
+        const searchQuery = this.searchInput ? this.searchInput.value.trim() : '';
+        const dashboardFilter = this.getDashboardFilter();
+        const currentFilter = dashboardFilter && dashboardFilter !== 'all' ? dashboardFilter : null;
+
+        savedSearches.forEach(savedSearch => {
+            const card = document.createElement('div');
+            card.className = 'dashboard-card card-saved-search';
+            card.dataset.savedSearch = savedSearch.id;
+            if ((savedSearch.query || '') === searchQuery && (savedSearch.filter || null) === currentFilter) {
+                card.classList.add('active');
+            }
+            card.title = [savedSearch.query, savedSearch.filter].filter(Boolean).join(' · ');
+
+            const label = document.createElement('div');
+            label.className = 'card-label';
+            label.textContent = savedSearch.name;
+            const value = document.createElement('div');
+            value.className = 'card-value';
+            value.textContent = this.filterAssets(assets, subAssets, savedSearch.query || '', savedSearch.filter || null).length;
+            card.append(label, value);
+
+            card.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.applySavedSearch(savedSearch);
+            });
+            container.appendChild(card);
+        });
+    }
+    
     generateEventsSection() {
         // Get saved date range from localStorage, default to '12' (1 Year)
         const savedDateRange = localStorage.getItem('eventsDateRange') || '12';
@@ -446,159 +616,8 @@ export class DashboardManager {
         const searchQuery = this.searchInput ? this.searchInput.value : '';
         const dashboardFilter = this.getDashboardFilter();
         
-        // First apply search filter (same logic as renderAssetList)
-        let filteredAssets = searchQuery
-            ? assets.filter(asset => {
-                // Check if the asset itself matches the search query
-                const assetMatches = asset.name?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.tags?.some(tag => tag.toString().toLowerCase().includes(searchQuery.toLowerCase())) ||
-                    asset.manufacturer?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.modelNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.serialNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.location?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.notes?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.description?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.link?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.warranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    asset.secondaryWarranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    this.formatCurrency(asset.price, true).toLowerCase().includes(this.formatCurrency(searchQuery, true)) ||
-                    this.formatDate(asset.warranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                    this.formatDate(asset.secondaryWarranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                    this.formatDate(asset.purchaseDate, true).includes(searchQuery.toLowerCase());
-                
-                // If asset matches, return true
-                if (assetMatches) return true;
-                
-                // Check if any of its sub-assets match the search query
-                const hasMatchingSubAsset = subAssets.some(subAsset => {
-                    if (subAsset.parentId !== asset.id) return false;
-                    
-                    return subAsset.name?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.tags?.some(tag => tag.toString().toLowerCase().includes(searchQuery.toLowerCase())) ||
-                        subAsset.manufacturer?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.modelNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.serialNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.location?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.notes?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.description?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.link?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.warranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        subAsset.secondaryWarranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                        this.formatCurrency(subAsset.purchasePrice, true).toLowerCase().includes(this.formatCurrency(searchQuery, true)) ||
-                        this.formatDate(subAsset.warranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                        this.formatDate(subAsset.secondaryWarranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                        this.formatDate(subAsset.purchaseDate, true).includes(searchQuery.toLowerCase());
-                });
-                
-                return hasMatchingSubAsset;
-            })
-            : assets;
-
-        // Apply dashboard filter
-        if (dashboardFilter) {
-            const now = new Date();
-            
-            if (dashboardFilter === 'components') {
-                // Only show assets that have sub-assets associated with them
-                filteredAssets = filteredAssets.filter(a => 
-                    subAssets.some(sa => sa.parentId === a.id)
-                );
-            }
-            else if (dashboardFilter === 'warranties') {
-                // Assets with warranties
-                filteredAssets = filteredAssets.filter(a => a.warranty && a.warranty.expirationDate);
-            } else if (dashboardFilter === 'expired') {
-                // Assets with expired warranties
-                filteredAssets = filteredAssets.filter(a => {
-                    const exp = a.warranty?.expirationDate;
-                    if (!exp) return false;
-                    return new Date(this.formatDate(exp)) < now;
-                });
-                
-                // Also include assets with sub-assets that have expired warranties
-                const assetsWithExpiredComponents = assets.filter(a => 
-                    !filteredAssets.includes(a) && // Don't duplicate
-                    subAssets.some(sa => {
-                        if (sa.parentId !== a.id) return false;
-                        const exp = sa.warranty?.expirationDate;
-                        if (!exp) return false;
-                        return new Date(this.formatDate(exp)) < now;
-                    })
-                );
-                
-                filteredAssets = [...filteredAssets, ...assetsWithExpiredComponents];
-            } else if (dashboardFilter === 'within30') {
-                // Assets with warranties expiring within 30 days
-                filteredAssets = filteredAssets.filter(a => {
-                    const exp = a.warranty?.expirationDate;
-                    if (!exp) return false;
-                    const diff = (new Date(this.formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                    return diff >= 0 && diff <= 30;
-                });
-                
-                // Also include assets with sub-assets expiring within 30 days
-                const assetsWithExpiringComponents = assets.filter(a => 
-                    !filteredAssets.includes(a) && // Don't duplicate
-                    subAssets.some(sa => {
-                        if (sa.parentId !== a.id) return false;
-                        const exp = sa.warranty?.expirationDate;
-                        if (!exp) return false;
-                        const diff = (new Date(this.formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                        return diff >= 0 && diff <= 30;
-                    })
-                );
-                
-                filteredAssets = [...filteredAssets, ...assetsWithExpiringComponents];
-            } else if (dashboardFilter === 'within60') {
-                // Assets with warranties expiring between 31-60 days
-                filteredAssets = filteredAssets.filter(a => {
-                    const exp = a.warranty?.expirationDate;
-                    if (!exp) return false;
-                    const diff = (new Date(this.formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                    return diff > 30 && diff <= 60;
-                });
-                
-                // Also include assets with sub-assets expiring within 31-60 days
-                const assetsWithWarningComponents = assets.filter(a => 
-                    !filteredAssets.includes(a) && // Don't duplicate
-                    subAssets.some(sa => {
-                        if (sa.parentId !== a.id) return false;
-                        const exp = sa.warranty?.expirationDate;
-                        if (!exp) return false;
-                        const diff = (new Date(this.formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                        return diff > 30 && diff <= 60;
-                    })
-                );
-                
-                filteredAssets = [...filteredAssets, ...assetsWithWarningComponents];
-            } else if (dashboardFilter === 'active') {
-                // Assets with active warranties (more than 60 days)
-                filteredAssets = filteredAssets.filter(a => {
-                    const exp = a.warranty?.expirationDate;
-                    const isLifetime = a.warranty?.isLifetime;
-                    if (!exp && !isLifetime) return false;
-                    if (isLifetime) return true;
-                    const diff = (new Date(this.formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                    return diff > 60;
-                });
-                
-                // Also include assets with sub-assets having active warranties
-                const assetsWithActiveComponents = assets.filter(a => 
-                    !filteredAssets.includes(a) && // Don't duplicate
-                    subAssets.some(sa => {
-                        if (sa.parentId !== a.id) return false;
-                        const exp = sa.warranty?.expirationDate;
-                        const isLifetime = sa.warranty?.isLifetime;
-                        if (!exp && !isLifetime) return false;
-                        if (isLifetime) return true;
-                        const diff = (new Date(this.formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                        return diff > 60;
-                    })
-                );
-                
-                filteredAssets = [...filteredAssets, ...assetsWithActiveComponents];
-            }
-        }
+        // Same search and card filters as the sidebar list
+        const filteredAssets = this.filterAssets(assets, subAssets, searchQuery, dashboardFilter);
 
         // Get asset IDs that are visible in the filtered list
         const filteredAssetIds = new Set(filteredAssets.map(a => a.id));
@@ -613,21 +632,7 @@ export class DashboardManager {
             
             // If there's a search query, also include sub-assets that match the search directly
             if (searchQuery) {
-                return subAsset.name?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.tags?.some(tag => tag.toString().toLowerCase().includes(searchQuery.toLowerCase())) ||
-                    subAsset.manufacturer?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.modelNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.serialNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.location?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.notes?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.description?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.link?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.warranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.secondaryWarranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    this.formatCurrency(subAsset.purchasePrice, true).toLowerCase().includes(this.formatCurrency(searchQuery, true)) ||
-                    this.formatDate(subAsset.warranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                    this.formatDate(subAsset.secondaryWarranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                    this.formatDate(subAsset.purchaseDate, true).includes(searchQuery.toLowerCase());
+                return this.subAssetMatchesSearch(subAsset, searchQuery);
             }
             
             return false;
@@ -1425,6 +1430,20 @@ export class DashboardManager {
                 // Only show events from sub-assets (components)
                 events = events.filter(event => event.isSubAsset);
             }
+            else if (dashboardFilter === 'checkedOut') {
+                // Only show events of assets and components that are lent out
+                events = events.filter(event => {
+                    const records = event.isSubAsset ? this.getSubAssets() : this.getAssets();
+                    return !!getOpenCheckout(records.find(record => record.id === event.id));
+                });
+            }
+            else if (dashboardFilter === 'lowStock') {
+                // Only show events of consumables that need reordering
+                events = events.filter(event => {
+                    const records = event.isSubAsset ? this.getSubAssets() : this.getAssets();
+                    return isLowStock(records.find(record => record.id === event.id));
+                });
+            }
             else if (dashboardFilter === 'warranties') {
                 // Only show warranty events
                 events = events.filter(event => event.type === 'warranty');
@@ -1638,7 +1657,8 @@ export class DashboardManager {
                 
                 // Re-render list and dashboard
                 this.searchInput.value = '';
-                this.renderAssetList(this.searchInput.value);
+                // Let the search box's own handlers re-render the list and the saved searches
+                this.searchInput.dispatchEvent(new Event('input', { bubbles: true }));
                 await this.renderDashboard(false);
                 this.setButtonLoading(this.clearFiltersBtn, false);
             });
@@ -29,6 +29,8 @@ export class GlobalHandlers {
         }
 
         const responseData = await response.json();
+        // Keep the full body so callers can use structured details such as per-field validation errors
+        response.errorData = responseData;
         const errorMessage = responseData?.error || responseData?.message || await response.text() || response.statusText;
         response.errorMessage = errorMessage;
       } catch (error) {
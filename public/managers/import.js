@@ -12,7 +12,8 @@ export class ImportManager {
         columnSelects,
         setButtonLoading,
         loadAssets,
-        renderDashboard
+        renderDashboard,
+        getCustomFields
     }) {
         this.importModal = importModal;
         this.importBtn = importBtn;
@@ -22,6 +23,7 @@ export class ImportManager {
         this.setButtonLoading = setButtonLoading;
         this.loadAssets = loadAssets;
         this.renderDashboard = renderDashboard;
+        this.getCustomFields = getCustomFields;
         this._bindEvents();
     }
 
@@ -169,6 +171,7 @@ export class ImportManager {
                     select.appendChild(option);
                 });
             });
+            this._renderCustomFieldMappings(headers);
             this.autoMapColumns(headers);
             this.startImportBtn.disabled = headers.length === 0;
         } catch (error) {
@@ -196,7 +199,13 @@ export class ImportManager {
             secondaryWarranty: document.getElementById('secondaryWarrantyColumn') ? document.getElementById('secondaryWarrantyColumn').value : '',
             secondaryWarrantyExpiration: document.getElementById('secondaryWarrantyExpirationColumn') ? document.getElementById('secondaryWarrantyExpirationColumn').value : '',
             tags: document.getElementById('tagsColumn') ? document.getElementById('tagsColumn').value : '',
-            quantity: document.getElementById('quantityColumn') ? document.getElementById('quantityColumn').value : ''
+            quantity: document.getElementById('quantityColumn') ? document.getElementById('quantityColumn').value : '',
+            // Matched to a category and a location by name or path on the server
+            category: document.getElementById('categoryColumn') ? document.getElementById('categoryColumn').value : '',
+            location: document.getElementById('locationColumn') ? document.getElementById('locationColumn').value : '',
+            customFields: Object.fromEntries(
+                [...document.querySelectorAll('.custom-field-mapping select')].map(select => [select.dataset.customFieldId, select.value])
+            )
         };
         if (!mappings.name) {
             globalThis.toaster.show('Please map the Name column', 'error');
@@ -273,6 +282,30 @@ export class ImportManager {
         }
     }
 
+    // Add a mapping row for every custom field, pre-selecting the column with the same name
+    _renderCustomFieldMappings(headers) {
+        const mappingContainer = document.querySelector('.column-mapping .mapping-container');
+        if (!mappingContainer) return;
+        mappingContainer.querySelectorAll('.custom-field-mapping').forEach(row => row.remove());
+
+        const normalize = str => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+        (this.getCustomFields?.() || []).forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'mapping-row custom-field-mapping';
+            const label = document.createElement('label');
+            label.textContent = `${field.name}:`;
+            const select = document.createElement('select');
+            select.className = 'column-select';
+            select.dataset.customFieldId = field.id;
+            select.add(new Option('Select Column', ''));
+            headers.forEach((header, index) => select.add(new Option(header, index)));
+            const matchIndex = headers.findIndex(header => normalize(header) === normalize(field.name));
+            select.value = matchIndex === -1 ? '' : matchIndex;
+            row.append(label, select);
+            mappingContainer.appendChild(row);
+        });
+    }
+
     autoMapColumns(headers) {
         const mappingRules = {
             nameColumn: ["name"],
@@ -289,7 +322,9 @@ export class ImportManager {
             secondaryWarrantyColumn: ["secondary warranty", "secondary warranty scope", "warranty 2", "warranty2", "warranty scope 2"],
             secondaryWarrantyExpirationColumn: ["secondary warranty expiration", "secondary warranty expiry", "secondary warranty end", "secondary warranty end date", "warranty 2 expiration", "warranty2 expiration", "warranty expiration 2", "warranty expiry 2"],
             tagsColumn: ["tags", "tag", "labels", "categories"],
-            quantityColumn: ["quantity", "qty"]
+            quantityColumn: ["quantity", "qty"],
+            categoryColumn: ["category", "asset type", "type"],
+            locationColumn: ["location", "room", "place", "stored at", "storage location"]
         };
         function normalize(str) {
             return str.toLowerCase().replace(/[^a-z0-9]/g, "");
@@ -346,7 +381,9 @@ export class ImportManager {
             'secondaryWarrantyColumn',
             'secondaryWarrantyExpirationColumn',
             'tagsColumn',
-            'quantityColumn'
+            'quantityColumn',
+            'categoryColumn',
+            'locationColumn'
         ];
         columnIds.forEach(id => {
             const select = document.getElementById(id);
@@ -355,6 +392,7 @@ export class ImportManager {
                 select.value = '';
             }
         });
+        document.querySelectorAll('.custom-field-mapping').forEach(row => row.remove());
         this.startImportBtn.disabled = true;
         // Optionally hide column mapping UI if needed
         const mappingContainer = document.querySelector('.column-mapping');
@@ -378,7 +416,9 @@ export class ImportManager {
             'Secondary Warranty',
             'Secondary Warranty Expiration',
             'Tags',
-            'Quantity'
+            'Quantity',
+            'Category',
+            'Location'
         ];
         // Generate test data row
         const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
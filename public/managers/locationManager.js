@@ -0,0 +1,453 @@
+/**
+ * Location Manager
+ * Lists, creates and edits the location tree in the Locations settings tab, fills the location
+ * menus of the asset and component forms, keeps the sidebar location filter in step with the
+ * location: term of the search box, and shows everything stored at a location
+ */
+
+import { formatFilterTerm, getFilterTerm, replaceFilterTerms } from '/src/services/render/searchQuery.js';
+import { getAncestry, getPath, getSubtreeIds, findNode, getUniqueName, getTreeRows, renderTreeOptions, PATH_SEPARATOR } from '../helpers/tree.js';
+
+export class LocationManager {
+    constructor({
+        locationList,
+        locationForm,
+        newLocationBtn,
+        locationFilter,
+        locationContentsBtn,
+        locationModal,
+        searchInput,
+        getAssets,
+        getSubAssets,
+        openRecord,
+        setButtonLoading,
+        onChange
+    }) {
+        this.locationList = locationList;
+        this.locationForm = locationForm;
+        this.locationFormTitle = locationForm.querySelector('#locationFormTitle');
+        this.newLocationBtn = newLocationBtn;
+        this.locationFilter = locationFilter;
+        this.locationContentsBtn = locationContentsBtn;
+        this.locationModal = locationModal;
+        this.searchInput = searchInput;
+        this.getAssets = getAssets;
+        this.getSubAssets = getSubAssets;
+        this.openRecord = openRecord;
+        this.setButtonLoading = setButtonLoading;
+        this.onChange = onChange;
+        this.locations = [];
+        // Until the locations are loaded the forms leave stored locations alone
+        this.loaded = false;
+        this.editingLocation = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.newLocationBtn.addEventListener('click', () => this.openLocationForm());
+        this.locationForm.querySelector('.cancel-btn').addEventListener('click', () => this.closeLocationForm());
+        this.locationForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveLocation();
+        });
+        this.locationFilter?.addEventListener('change', () => this.applyFilter(this.locationFilter.value));
+        this.locationContentsBtn?.addEventListener('click', () => {
+            if (this.getLocation(this.locationFilter?.value)) this.openContents(this.locationFilter.value);
+        });
+        this.locationModal?.querySelector('.close-btn').addEventListener('click', () => this.closeContents());
+    }
+
+    getLocations() {
+        return this.locations;
+    }
+
+    async loadLocations() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/locations`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            this.locations = await response.json();
+            this.loaded = true;
+        } catch (error) {
+            globalThis.logError('Failed to load locations:', error.message);
+            this.locations = [];
+        }
+        this._renderLocations();
+        this._renderFilter();
+    }
+
+    getLocation(id) {
+        return this.locations.find(location => location.id === id) || null;
+    }
+
+    /**
+     * @param {string} id - Location ID
+     * @returns {string} e.g. "Home > Garage > Shelf 2", or '' for an unknown ID
+     */
+    getPath(id) {
+        return getPath(this.locations, id);
+    }
+
+    /**
+     * The locations a location: search term matches
+     * @param {string} text - Term value, a name or a path
+     * @returns {Set<string>|null} The location and the locations inside it, or null if none is named so
+     */
+    findLocationIds(text) {
+        const location = findNode(this.locations, text);
+        return location ? getSubtreeIds(this.locations, location.id) : null;
+    }
+
+    /**
+     * The location: search term for a location. The name is enough unless another location shares it.
+     * @param {string} id - Location ID, or "none" for records without a location
+     * @returns {string} e.g. location:Garage or location:"Home > Garage"
+     */
+    getSearchTerm(id) {
+        if (id === 'none') return 'location:none';
+        const value = getUniqueName(this.locations, id);
+        return value ? formatFilterTerm('location', value) : '';
+    }
+
+    /**
+     * Where a record is stored. A component without a location of its own is wherever the
+     * component or asset above it is.
+     * @param {Object} record - Asset or component
+     * @param {boolean} [isSubAsset] - Whether the record is a component
+     * @returns {string} Location ID, or '' if neither the record nor its parents have one
+     */
+    getEffectiveLocationId(record, isSubAsset = false) {
+        if (!record || record.locationId || !isSubAsset) return record?.locationId || '';
+        if (record.parentSubId) {
+            const parentComponent = this.getSubAssets().find(sa => sa.id === record.parentSubId);
+            if (parentComponent) return this.getEffectiveLocationId(parentComponent, true);
+        }
+        return this.getAssets().find(asset => asset.id === record.parentId)?.locationId || '';
+    }
+
+    /**
+     * Fill a location menu with the tree, indented by depth
+     * @param {HTMLSelectElement} select - Menu to fill; its first option ("None", "All locations"…) is kept
+     * @param {string} [value] - Location to select
+     * @param {string} [excludeId] - Location to leave out together with the locations inside it
+     */
+    renderOptions(select, value = '', excludeId = null) {
+        // A location deleted since the record was loaded shows as the first option
+        renderTreeOptions(select, this.locations, value, { excludeId });
+    }
+
+    _renderLocations() {
+        this.locationList.innerHTML = '';
+        if (this.locations.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No locations yet.';
+            this.locationList.appendChild(empty);
+            return;
+        }
+
+        getTreeRows(this.locations).forEach(({ node: location, depth }) => {
+            const row = document.createElement('div');
+            row.className = 'template-item';
+            row.style.marginLeft = `${depth * 1.25}rem`;
+
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.textContent = location.name;
+            const meta = document.createElement('div');
+            meta.className = 'template-item-meta';
+            meta.textContent = location.notes || '';
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-item-actions';
+            const contentsBtn = document.createElement('button');
+            contentsBtn.type = 'button';
+            contentsBtn.className = 'save-btn';
+            contentsBtn.textContent = 'Contents';
+            contentsBtn.addEventListener('click', () => this.openContents(location.id));
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'save-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.openLocationForm(location));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'cancel-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteLocation(location, deleteBtn));
+            actions.append(contentsBtn, editBtn, deleteBtn);
+
+            row.append(info, actions);
+            this.locationList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the location form, empty or filled with an existing location
+     * @param {Object} [location] - Location to edit
+     */
+    openLocationForm(location = null) {
+        this.editingLocation = location;
+        this.locationFormTitle.textContent = location ? `Edit "${location.name}"` : 'New Location';
+        this.locationForm.reset();
+
+        const { elements } = this.locationForm;
+        elements.name.value = location?.name || '';
+        // A location can't be moved into itself or one of the locations inside it
+        this.renderOptions(elements.parentId, location?.parentId || '', location?.id);
+        elements.notes.value = location?.notes || '';
+
+        this.locationForm.style.display = 'block';
+        elements.name.focus();
+    }
+
+    closeLocationForm() {
+        this.locationForm.style.display = 'none';
+        this.editingLocation = null;
+    }
+
+    _collectLocation() {
+        const { elements } = this.locationForm;
+        return {
+            name: elements.name.value.trim(),
+            parentId: elements.parentId.value || null,
+            notes: elements.notes.value.trim()
+        };
+    }
+
+    async saveLocation() {
+        const location = this.editingLocation;
+        const submitBtn = this.locationForm.querySelector('.save-btn');
+        this.setButtonLoading(submitBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/locations${location ? `/${location.id}` : ''}`, {
+                method: location ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this._collectLocation()),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const saved = await response.json();
+            this.closeLocationForm();
+            await this.loadLocations();
+            this.onChange?.({ recordsMoved: false });
+            globalThis.toaster.show(`Saved location "${saved.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to save location:', error.message);
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+
+    async deleteLocation(location, button) {
+        const parent = this.getLocation(location.parentId);
+        const destination = parent ? `"${parent.name}"` : 'no location';
+        if (!confirm(`Delete the location "${location.name}"? The locations, assets and components in it move to ${destination}.`)) {
+            return;
+        }
+        this.setButtonLoading(button, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/locations/${location.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const { moved } = await response.json();
+            if (this.editingLocation?.id === location.id) this.closeLocationForm();
+            await this.loadLocations();
+            this.onChange?.({ recordsMoved: moved > 0 });
+            globalThis.toaster.show(`Deleted location "${location.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to delete location:', error.message);
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+
+    _renderFilter() {
+        if (!this.locationFilter) return;
+        this.renderOptions(this.locationFilter);
+        this.locationFilter.add(new Option('No location', 'none'), 1);
+        this.locationFilter.closest('.location-filter')?.style.setProperty('display', this.locations.length > 0 ? '' : 'none');
+        this.syncFilter(this.searchInput?.value || '');
+    }
+
+    /**
+     * Show the location: term of a search query in the sidebar location menu
+     * @param {string} query - Search query
+     */
+    syncFilter(query) {
+        if (!this.locationFilter) return;
+        const term = getFilterTerm(query, 'location');
+        if (!term) {
+            this.locationFilter.value = '';
+        } else if (term.value.toLowerCase() === 'none') {
+            this.locationFilter.value = 'none';
+        } else {
+            this.locationFilter.value = findNode(this.locations, term.value)?.id || '';
+        }
+        if (this.locationContentsBtn) this.locationContentsBtn.disabled = !this.getLocation(this.locationFilter.value);
+    }
+
+    /**
+     * Replace the location: terms of the search box, e.g. when a location is picked in the sidebar
+     * @param {string} id - Location ID, "none" for records without a location or '' for every location
+     */
+    applyFilter(id) {
+        if (!this.searchInput) return;
+        this.searchInput.value = replaceFilterTerms(this.searchInput.value, 'location', id ? this.getSearchTerm(id) : '');
+        // Let the search box's own handler re-render the list and the chips
+        this.searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Show everything stored at a location and the locations inside it
+     * @param {string} id - Location ID
+     */
+    openContents(id) {
+        const location = this.getLocation(id);
+        if (!location || !this.locationModal) return;
+        this.locationModal.querySelector('#locationModalTitle').textContent = location.name;
+        this._renderBreadcrumb(location);
+        this._renderContents(location);
+        this.locationModal.style.display = 'block';
+    }
+
+    closeContents() {
+        if (this.locationModal) this.locationModal.style.display = 'none';
+    }
+
+    _renderBreadcrumb(location) {
+        const breadcrumb = this.locationModal.querySelector('#locationBreadcrumb');
+        breadcrumb.innerHTML = '';
+        const ancestry = getAncestry(this.locations, location.id);
+        ancestry.slice(0, -1).forEach(parent => {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'location-link';
+            link.textContent = parent.name;
+            link.addEventListener('click', () => this.openContents(parent.id));
+            breadcrumb.append(link, PATH_SEPARATOR);
+        });
+        breadcrumb.style.display = ancestry.length > 1 ? '' : 'none';
+        if (location.notes) {
+            const notes = document.createElement('div');
+            notes.className = 'location-notes';
+            notes.textContent = location.notes;
+            breadcrumb.appendChild(notes);
+            breadcrumb.style.display = '';
+        }
+    }
+
+    _renderContents(location) {
+        const container = this.locationModal.querySelector('#locationContents');
+        container.innerHTML = '';
+        const assets = this.getAssets();
+        const subAssets = this.getSubAssets();
+        const subtreeIds = getSubtreeIds(this.locations, location.id);
+        const rows = getTreeRows(this.locations).filter(({ node }) => subtreeIds.has(node.id));
+        const rootDepth = rows[0]?.depth || 0;
+        let assetCount = 0;
+        let componentCount = 0;
+
+        rows.forEach(({ node, depth }) => {
+            // Assets stored here, each with the components that are stored with it
+            const items = [];
+            assets.filter(asset => asset.locationId === node.id).forEach(asset => {
+                items.push({ record: asset, isSubAsset: false, nested: 0 });
+                assetCount++;
+                this._getComponentsWith(asset, false, node.id, subAssets).forEach(({ component, nested }) => {
+                    items.push({ record: component, isSubAsset: true, nested });
+                    componentCount++;
+                });
+            });
+            // Components stored here away from their asset
+            subAssets
+                .filter(component => component.locationId === node.id
+                    && this.getEffectiveLocationId(this._getParentRecord(component, assets, subAssets), !!component.parentSubId) !== node.id)
+                .forEach(component => {
+                    const asset = assets.find(a => a.id === component.parentId);
+                    items.push({ record: component, isSubAsset: true, nested: 0, meta: `Component of ${asset?.name || 'an asset'}` });
+                    componentCount++;
+                    this._getComponentsWith(component, true, node.id, subAssets).forEach(({ component: child, nested }) => {
+                        items.push({ record: child, isSubAsset: true, nested });
+                        componentCount++;
+                    });
+                });
+
+            // The location itself is listed even when empty; the ones inside it only when they hold something
+            if (items.length === 0 && node.id !== location.id) return;
+            const section = document.createElement('div');
+            section.className = 'location-section';
+            section.style.marginLeft = `${(depth - rootDepth) * 1.25}rem`;
+            const title = document.createElement('button');
+            title.type = 'button';
+            title.className = 'location-link location-section-title';
+            title.textContent = node.id === location.id ? 'Stored here' : node.name;
+            title.disabled = node.id === location.id;
+            title.addEventListener('click', () => this.openContents(node.id));
+            section.appendChild(title);
+
+            if (items.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'location-item-meta';
+                empty.textContent = 'Nothing stored directly here.';
+                section.appendChild(empty);
+            }
+            items.forEach(item => section.appendChild(this._createItem(item)));
+            container.appendChild(section);
+        });
+
+        const summary = this.locationModal.querySelector('#locationSummary');
+        summary.textContent = `${assetCount} asset${assetCount === 1 ? '' : 's'} · ${componentCount} component${componentCount === 1 ? '' : 's'}`;
+    }
+
+    // The component or asset directly above a component
+    _getParentRecord(component, assets, subAssets) {
+        return component.parentSubId
+            ? subAssets.find(sa => sa.id === component.parentSubId)
+            : assets.find(asset => asset.id === component.parentId);
+    }
+
+    // The components below an asset or component that are stored at the same location, in tree
+    // order with their depth
+    _getComponentsWith(parent, isSubAsset, locationId, subAssets) {
+        const result = [];
+        const addChildren = (isChild, nested) => {
+            subAssets.filter(isChild).forEach(component => {
+                if (this.getEffectiveLocationId(component, true) !== locationId) return;
+                result.push({ component, nested });
+                addChildren(sa => sa.parentSubId === component.id, nested + 1);
+            });
+        };
+        addChildren(isSubAsset ? sa => sa.parentSubId === parent.id : sa => sa.parentId === parent.id && !sa.parentSubId, 1);
+        return result;
+    }
+
+    _createItem({ record, isSubAsset, nested, meta }) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'location-item';
+        button.style.marginLeft = `${nested * 1.5}rem`;
+
+        const label = document.createElement('span');
+        label.textContent = record.name || 'Unnamed';
+        const detail = document.createElement('span');
+        detail.className = 'location-item-meta';
+        detail.textContent = meta || [
+            isSubAsset ? 'Component' : 'Asset',
+            record.quantity > 1 ? `× ${record.quantity}` : null
+        ].filter(Boolean).join(' ');
+        button.append(label, detail);
+        button.addEventListener('click', () => {
+            this.closeContents();
+            this.openRecord(record, isSubAsset);
+        });
+        return button;
+    }
+}
@@ -1,7 +1,7 @@
 import { calculateCollapsibleContentHeight, expandSection, collapseSection } from '../js/collapsible.js';
 
 /**
- * MaintenanceManager - Handles maintenance events for assets and sub-assets
+ * MaintenanceManager - Handles maintenance events for assets, sub-assets and asset templates
  * Manages the creation, editing, and deletion of maintenance events
  */
 
@@ -17,6 +17,7 @@ export class MaintenanceManager {
     initializeEventListeners() {
         const addAssetMaintenanceBtn = document.getElementById('addMaintenanceEvent');
         const addSubAssetMaintenanceBtn = document.getElementById('addSubAssetMaintenanceEvent');
+        const addTemplateMaintenanceBtn = document.getElementById('addTemplateMaintenanceEvent');
 
         if (addAssetMaintenanceBtn) {
             addAssetMaintenanceBtn.addEventListener('click', () => this.addMaintenanceEvent('asset'));
@@ -25,11 +26,15 @@ export class MaintenanceManager {
         if (addSubAssetMaintenanceBtn) {
             addSubAssetMaintenanceBtn.addEventListener('click', () => this.addMaintenanceEvent('subAsset'));
         }
+
+        if (addTemplateMaintenanceBtn) {
+            addTemplateMaintenanceBtn.addEventListener('click', () => this.addMaintenanceEvent('template'));
+        }
     }
 
     /**
      * Add a new maintenance event to the specified type (asset or sub-asset)
-     * @param {string} type - 'asset' or 'subAsset'
+     * @param {string} type - 'asset', 'subAsset' or 'template'
      */
     addMaintenanceEvent(type) {
         const container = document.getElementById(`${type}MaintenanceEvents`);
@@ -125,7 +130,7 @@ export class MaintenanceManager {
 
     /**
      * Get all maintenance events for a specific type (asset or sub-asset)
-     * @param {string} type - 'asset' or 'subAsset'
+     * @param {string} type - 'asset', 'subAsset' or 'template'
      * @returns {Array} Array of maintenance event objects
      */
     getMaintenanceEvents(type) {
@@ -141,7 +146,7 @@ export class MaintenanceManager {
             };
 
             if (event.type === 'frequency') {
-                event.frequency = eventElement.querySelector('[name="frequency"]').value;
+                event.frequency = parseInt(eventElement.querySelector('[name="frequency"]').value) || null;
                 event.frequencyUnit = eventElement.querySelector('[name="frequencyUnit"]').value;
                 event.nextDueDate = eventElement.querySelector('[name="nextDueDate"]').value;
             } else {
@@ -156,7 +161,7 @@ export class MaintenanceManager {
 
     /**
      * Set maintenance events for a specific type (asset or sub-asset)
-     * @param {string} type - 'asset' or 'subAsset'
+     * @param {string} type - 'asset', 'subAsset' or 'template'
      * @param {Array} events - Array of maintenance event objects
      */
     setMaintenanceEvents(type, events) {
@@ -233,33 +238,30 @@ export class MaintenanceManager {
         const container = select.closest('[id$="MaintenanceEvents"]');
         if (container) {
             const containerId = container.id;
-            const type = containerId.includes('subAsset') ? 'subAsset' : 'asset';
+            const type = containerId.replace('MaintenanceEvents', '');
             this.recalculateCollapsibleHeight(type);
         }
     }
 
     /**
      * Expand the maintenance section if it's collapsed
-     * @param {string} type - 'asset' or 'subAsset'
+     * @param {string} type - 'asset', 'subAsset' or 'template'
      */
     expandMaintenanceSection(type) {
         this.recalculateCollapsibleHeight(type);
-        const sectionId = type === 'asset' ? '#assetMaintenanceSection' : '#subAssetMaintenanceSection';       
-        expandSection(sectionId);
+        expandSection(`#${type}MaintenanceSection`);
     }
 
     collapseMaintenanceSection(type) {
-        const sectionId = type === 'asset' ? '#assetMaintenanceSection' : '#subAssetMaintenanceSection';        
-        collapseSection(sectionId);
+        collapseSection(`#${type}MaintenanceSection`);
     }
 
     /**
      * Recalculate the height of the collapsible section
-     * @param {string} type - 'asset' or 'subAsset'
+     * @param {string} type - 'asset', 'subAsset' or 'template'
      */
     recalculateCollapsibleHeight(type) {
-        const sectionId = type === 'asset' ? 'assetMaintenanceSection' : 'subAssetMaintenanceSection';
-        const section = document.getElementById(sectionId);
+        const section = document.getElementById(`${type}MaintenanceSection`);
         if (section) {
             const content = section.querySelector('.collapsible-content');
             if (content) {
@@ -4,6 +4,86 @@
  */
 
 import { formatDate } from '../helpers/utils.js';
+import { getTemplateDefaults } from './templateManager.js';
+import { collectDepreciation } from './categoryManager.js';
+import { describeDepreciation } from '../helpers/depreciation.js';
+
+// Fields compared in the edit conflict dialog, in display order
+const CONFLICT_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'manufacturer', label: 'Manufacturer' },
+    { key: 'modelNumber', label: 'Model Number' },
+    { key: 'serialNumber', label: 'Serial Number' },
+    { key: 'purchaseDate', label: 'Purchase Date' },
+    { key: 'price', label: 'Price' },
+    { key: 'purchasePrice', label: 'Purchase Price' },
+    { key: 'salvageValue', label: 'Salvage Value' },
+    { key: 'depreciation', label: 'Depreciation' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'consumable', label: 'Consumable' },
+    { key: 'reorderThreshold', label: 'Reorder Below' },
+    { key: 'warranty', label: 'Warranty' },
+    { key: 'secondaryWarranty', label: 'Secondary Warranty' },
+    { key: 'link', label: 'Link' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'description', label: 'Notes' },
+    { key: 'notes', label: 'Notes' },
+    { key: 'maintenanceEvents', label: 'Maintenance Events' },
+    { key: 'photoPaths', label: 'Photos' },
+    { key: 'receiptPaths', label: 'Receipts' },
+    { key: 'manualPaths', label: 'Manuals' }
+];
+
+// Form inputs that server validation errors are shown next to, by field name
+const FIELD_INPUTS = {
+    asset: {
+        name: 'assetName',
+        manufacturer: 'assetManufacturer',
+        modelNumber: 'assetModel',
+        serialNumber: 'assetSerial',
+        purchaseDate: 'assetPurchaseDate',
+        price: 'assetPrice',
+        salvageValue: 'assetSalvageValue',
+        'depreciation.method': 'assetDepreciationMethod',
+        'depreciation.usefulLifeYears': 'assetUsefulLife',
+        'depreciation.rate': 'assetDepreciationRate',
+        quantity: 'assetQuantity',
+        reorderThreshold: 'assetReorderThreshold',
+        'warranty.scope': 'assetWarrantyScope',
+        'warranty.expirationDate': 'assetWarrantyExpiration',
+        'secondaryWarranty.scope': 'assetSecondaryWarrantyScope',
+        'secondaryWarranty.expirationDate': 'assetSecondaryWarrantyExpiration',
+        link: 'assetLink',
+        tags: 'assetTags',
+        categoryId: 'assetCategory',
+        locationId: 'assetLocation',
+        description: 'assetNotes'
+    },
+    subAsset: {
+        name: 'subAssetName',
+        manufacturer: 'subAssetManufacturer',
+        modelNumber: 'subAssetModel',
+        serialNumber: 'subAssetSerial',
+        purchaseDate: 'subAssetPurchaseDate',
+        purchasePrice: 'subAssetPurchasePrice',
+        salvageValue: 'subAssetSalvageValue',
+        'depreciation.method': 'subAssetDepreciationMethod',
+        'depreciation.usefulLifeYears': 'subAssetUsefulLife',
+        'depreciation.rate': 'subAssetDepreciationRate',
+        quantity: 'subAssetQuantity',
+        reorderThreshold: 'subAssetReorderThreshold',
+        'warranty.scope': 'subAssetWarrantyScope',
+        'warranty.expirationDate': 'subAssetWarrantyExpiration',
+        link: 'subAssetLink',
+        tags: 'subAssetTags',
+        categoryId: 'subAssetCategory',
+        locationId: 'subAssetLocation',
+        notes: 'subAssetNotes'
+    }
+};
+
+// Maintenance event keys whose input name differs from the field name
+const MAINTENANCE_EVENT_INPUTS = { name: 'eventName', type: 'eventType' };
 
 export class ModalManager {
     constructor({
@@ -12,6 +92,7 @@ export class ModalManager {
         assetForm,
         subAssetModal,
         subAssetForm,
+        conflictModal,
         
         // Utility functions
         formatDate,
@@ -34,14 +115,18 @@ export class ModalManager {
         saveAsset,
         saveSubAsset,
         
-        // Tag and maintenance managers
+        // Tag, maintenance, custom field, category and location managers
         assetTagManager,
         subAssetTagManager,
         maintenanceManager,
+        customFieldManager,
+        categoryManager,
+        locationManager,
         
         // Global state
         getAssets,
-        getSubAssets
+        getSubAssets,
+        getTemplates
     }) {
         // Store DOM elements
         this.assetModal = assetModal;
@@ -50,6 +135,7 @@ export class ModalManager {
         this.subAssetModal = subAssetModal;
         this.subAssetForm = subAssetForm;
         this.subAssetSaveBtn = this.subAssetForm.querySelector('.save-btn');
+        this.conflictModal = conflictModal;
         
         // Store utility functions
         this.formatDate = formatDate;
@@ -76,14 +162,19 @@ export class ModalManager {
         this.assetTagManager = assetTagManager;
         this.subAssetTagManager = subAssetTagManager;
         this.maintenanceManager = maintenanceManager;
+        this.customFieldManager = customFieldManager;
+        this.categoryManager = categoryManager;
+        this.locationManager = locationManager;
         
         // Store global state getters
         this.getAssets = getAssets;
         this.getSubAssets = getSubAssets;
+        this.getTemplates = getTemplates;
         
         // Modal state
         this.isEditMode = false;
         this.currentAsset = null;
+        this.currentTemplate = null;
         this.currentSubAsset = null;
         this.filesToDelete = [];
         
@@ -105,6 +196,13 @@ export class ModalManager {
     
     initializeEventListeners() {
         // Add any event listeners that are needed for the modals
+        const templateSelect = document.getElementById('assetTemplate');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', () => this.applyTemplate(templateSelect.value));
+        }
+        ['asset', 'subAsset'].forEach(type => {
+            document.getElementById(`${type}Category`)?.addEventListener('change', () => this.applyCategoryDefaults(type));
+        });
     }
     
     openAssetModal(asset = null) {
@@ -112,10 +210,13 @@ export class ModalManager {
         
         this.isEditMode = !!asset;
         this.currentAsset = asset;
+        this.currentTemplate = null;
         this.filesToDelete = [];
         
         document.getElementById('addAssetTitle').textContent = this.isEditMode ? 'Edit Asset' : 'Add Asset';
         this.assetForm.reset();
+        this.setupTemplateSelect();
+        this.clearFieldErrors(this.assetForm);
         let containsExistingFiles = false;
         let containsExistingMaintenanceEvents = false;
 
@@ -140,6 +241,9 @@ export class ModalManager {
         // Clear file inputs and previews
         this.clearFileInputs();
         
+        this.customFieldManager?.renderInputs('asset', asset?.customFields);
+        this.categoryManager?.renderOptions(document.getElementById('assetCategory'), asset?.categoryId);
+        this.locationManager?.renderOptions(document.getElementById('assetLocation'), asset?.locationId);
         if (this.isEditMode && asset) {
             this.populateAssetForm(asset);
             containsExistingFiles = this.setupAssetFilePreviews(asset);
@@ -192,6 +296,7 @@ export class ModalManager {
 
         this.assetModal.style.display = 'none';
         this.currentAsset = null;
+        this.currentTemplate = null;
         this.isEditMode = false;
     }
     
@@ -204,6 +309,7 @@ export class ModalManager {
         
         document.getElementById('addComponentTitle').textContent = this.isEditMode ? 'Edit Component' : 'Add Component';
         this.subAssetForm.reset();
+        this.clearFieldErrors(this.subAssetForm);
         let containsExistingFiles = false;
         
         // Reset loading state of save button
@@ -221,6 +327,9 @@ export class ModalManager {
         // Set parent IDs
         this.setParentIds(parentId, parentSubId, subAsset);
         
+        this.customFieldManager?.renderInputs('subAsset', subAsset?.customFields);
+        this.categoryManager?.renderOptions(document.getElementById('subAssetCategory'), subAsset?.categoryId);
+        this.locationManager?.renderOptions(document.getElementById('subAssetLocation'), subAsset?.locationId);
         if (this.isEditMode && subAsset) {
             this.populateSubAssetForm(subAsset);
             containsExistingFiles = this.setupSubAssetFilePreviews(subAsset);
@@ -366,15 +475,82 @@ export class ModalManager {
         }
     }
     
+    // List the templates in the "From template…" menu, which is only shown when adding an asset
+    setupTemplateSelect() {
+        const templateGroup = document.getElementById('assetTemplateGroup');
+        const templateSelect = document.getElementById('assetTemplate');
+        if (!templateGroup || !templateSelect) return;
+
+        const templates = this.getTemplates?.() || [];
+        templateSelect.length = 1;
+        templates.forEach(template => templateSelect.add(new Option(template.name, template.id)));
+        templateSelect.value = '';
+        templateGroup.style.display = !this.isEditMode && templates.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Pre-fill the Add Asset form from a template, keeping the name, serial number and purchase
+     * date already entered. The template's components are created when the asset is saved.
+     * @param {string} templateId - Template to apply, or '' for none
+     */
+    applyTemplate(templateId) {
+        const template = (this.getTemplates?.() || []).find(t => t.id === templateId) || null;
+        this.currentTemplate = template;
+        if (!template) return;
+
+        const purchaseDate = document.getElementById('assetPurchaseDate')?.value || '';
+        const defaults = getTemplateDefaults(template, purchaseDate);
+        this.populateAssetForm({
+            ...defaults,
+            name: document.getElementById('assetName')?.value || template.name,
+            categoryId: document.getElementById('assetCategory')?.value || '',
+            locationId: document.getElementById('assetLocation')?.value || '',
+            serialNumber: document.getElementById('assetSerial')?.value || '',
+            purchaseDate
+        });
+        this.maintenanceManager.setMaintenanceEvents('asset', defaults.maintenanceEvents);
+    }
+
+    /**
+     * Fill in the warranty expiration and custom fields of the chosen category that are still
+     * empty. Values already entered are kept.
+     * @param {'asset'|'subAsset'} type - The form whose category changed
+     */
+    applyCategoryDefaults(type) {
+        const categoryId = document.getElementById(`${type}Category`)?.value;
+        if (!categoryId || !this.categoryManager) return;
+
+        const purchaseDate = document.getElementById(`${type}PurchaseDate`)?.value || '';
+        const { warrantyExpiration, customFields } = this.categoryManager.getDefaults(categoryId, purchaseDate);
+        const expirationInput = document.getElementById(`${type}WarrantyExpiration`);
+        const lifetimeInput = document.getElementById(`${type}WarrantyLifetime`);
+        if (warrantyExpiration && expirationInput && !expirationInput.value && !lifetimeInput?.checked) {
+            expirationInput.value = warrantyExpiration;
+        }
+        if (!this.customFieldManager) return;
+        Object.entries(customFields).forEach(([fieldId, value]) => {
+            const input = document.getElementById(this.customFieldManager.getInputId(type, fieldId));
+            if (input && !input.value) input.value = String(value);
+        });
+    }
+
     populateAssetForm(asset) {
         const fields = {
             'assetName': asset.name || '',
+            'assetCategory': asset.categoryId || '',
+            'assetLocation': asset.locationId || '',
             'assetModel': asset.modelNumber || '',
             'assetManufacturer': asset.manufacturer || '',
             'assetSerial': asset.serialNumber || '',
             'assetPurchaseDate': asset.purchaseDate || '',
             'assetPrice': asset.price || '',
-            'assetQuantity': asset.quantity || 1,
+            'assetSalvageValue': asset.salvageValue ?? '',
+            'assetDepreciationMethod': asset.depreciation?.method || '',
+            'assetUsefulLife': asset.depreciation?.usefulLifeYears || '',
+            'assetDepreciationRate': asset.depreciation?.rate || '',
+            'assetQuantity': asset.quantity,
+            'assetConsumable': asset.consumable || false,
+            'assetReorderThreshold': asset.reorderThreshold ?? '',
             'assetWarrantyScope': asset.warranty?.scope || '',
             'assetWarrantyLifetime': asset.warranty?.isLifetime || false,
             'assetWarrantyExpiration': asset.warranty?.expirationDate ? new Date(asset.warranty.expirationDate).toISOString().split('T')[0] : '',
@@ -404,12 +580,19 @@ export class ModalManager {
         const fields = {
             'subAssetId': subAsset.id,
             'subAssetName': subAsset.name || '',
+            'subAssetCategory': subAsset.categoryId || '',
+            'subAssetLocation': subAsset.locationId || '',
             'subAssetManufacturer': subAsset.manufacturer || '',
             'subAssetModel': subAsset.modelNumber || '',
             'subAssetSerial': subAsset.serialNumber || '',
             'subAssetPurchaseDate': subAsset.purchaseDate || '',
             'subAssetPurchasePrice': subAsset.purchasePrice || '',
-            'subAssetQuantity': subAsset.quantity || 1,
+            'subAssetSalvageValue': subAsset.salvageValue ?? '',
+            'subAssetDepreciationMethod': subAsset.depreciation?.method || '',
+            'subAssetUsefulLife': subAsset.depreciation?.usefulLifeYears || '',
+            'subAssetDepreciationRate': subAsset.depreciation?.rate || '',
+            'subAssetQuantity': subAsset.quantity,
+            'subAssetReorderThreshold': subAsset.reorderThreshold ?? '',
             'subAssetLink': subAsset.link || '',
             'subAssetNotes': subAsset.notes || '',
             'subAssetWarrantyScope': subAsset.warranty?.scope || '',
@@ -423,6 +606,8 @@ export class ModalManager {
             }
         });
         
+        document.getElementById('subAssetConsumable').checked = subAsset.consumable || false;
+
         // Set warranty lifetime checkbox
         const lifetimeCheckbox = document.getElementById('subAssetWarrantyLifetime');
         if (lifetimeCheckbox) {
@@ -519,20 +704,6 @@ export class ModalManager {
                 );
             });
             containsExistingFiles = true;
-        } else if (asset.photoPath) {
-            // Backward compatibility for single photo
-            const photoInfo = asset.photoInfo?.[0] || {};
-            this.setupExistingFilePreview(
-                photoPreview, 
-                'photo', 
-                this.formatFilePath(asset.photoPath),
-                asset.photoPath,
-                photoInput, 
-                this,
-                photoInfo.originalName || asset.photoPath.split('/').pop(),
-                photoInfo.size ? this.formatFileSize(photoInfo.size) : null
-            );
-            containsExistingFiles = true;
         }
         
         // Handle multiple receipts
@@ -551,20 +722,6 @@ export class ModalManager {
                 );
             });
             containsExistingFiles = true;
-        } else if (asset.receiptPath) {
-            // Backward compatibility for single receipt
-            const receiptInfo = asset.receiptInfo?.[0] || {};
-            this.setupExistingFilePreview(
-                receiptPreview, 
-                'receipt', 
-                this.formatFilePath(asset.receiptPath),
-                asset.receiptPath,
-                receiptInput, 
-                this,
-                receiptInfo.originalName || asset.receiptPath.split('/').pop(),
-                receiptInfo.size ? this.formatFileSize(receiptInfo.size) : null
-            );
-            containsExistingFiles = true;
         }
         
         // Handle multiple manuals
@@ -583,20 +740,6 @@ export class ModalManager {
                 );
             });
             containsExistingFiles = true;
-        } else if (asset.manualPath) {
-            // Backward compatibility for single manual
-            const manualInfo = asset.manualInfo?.[0] || {};
-            this.setupExistingFilePreview(
-                manualPreview, 
-                'manual', 
-                this.formatFilePath(asset.manualPath),
-                asset.manualPath,
-                manualInput, 
-                this,
-                manualInfo.originalName || asset.manualPath.split('/').pop(),
-                manualInfo.size ? this.formatFileSize(manualInfo.size) : null
-            );
-            containsExistingFiles = true;
         }
         
         return containsExistingFiles;
@@ -632,20 +775,6 @@ export class ModalManager {
                 );
             });
             containsExistingFiles = true;
-        } else if (subAsset.photoPath) {
-            // Backward compatibility for single photo
-            const photoInfo = subAsset.photoInfo?.[0] || {};
-            this.setupExistingFilePreview(
-                photoPreview, 
-                'photo', 
-                this.formatFilePath(subAsset.photoPath),
-                subAsset.photoPath,
-                photoInput, 
-                this,
-                photoInfo.originalName || subAsset.photoPath.split('/').pop(),
-                photoInfo.size ? this.formatFileSize(photoInfo.size) : null
-            );
-            containsExistingFiles = true;
         }
         
         // Handle multiple receipts
@@ -664,20 +793,6 @@ export class ModalManager {
                 );
             });
             containsExistingFiles = true;
-        } else if (subAsset.receiptPath) {
-            // Backward compatibility for single receipt
-            const receiptInfo = subAsset.receiptInfo?.[0] || {};
-            this.setupExistingFilePreview(
-                receiptPreview, 
-                'receipt', 
-                this.formatFilePath(subAsset.receiptPath),
-                subAsset.receiptPath,
-                receiptInput, 
-                this,
-                receiptInfo.originalName || subAsset.receiptPath.split('/').pop(),
-                receiptInfo.size ? this.formatFileSize(receiptInfo.size) : null
-            );
-            containsExistingFiles = true;
         }
         
         // Handle multiple manuals
@@ -696,20 +811,6 @@ export class ModalManager {
                 );
             });
             containsExistingFiles = true;
-        } else if (subAsset.manualPath) {
-            // Backward compatibility for single manual
-            const manualInfo = subAsset.manualInfo?.[0] || {};
-            this.setupExistingFilePreview(
-                manualPreview, 
-                'manual', 
-                this.formatFilePath(subAsset.manualPath),
-                subAsset.manualPath,
-                manualInput, 
-                this,
-                manualInfo.originalName || subAsset.manualPath.split('/').pop(),
-                manualInfo.size ? this.formatFileSize(manualInfo.size) : null
-            );
-            containsExistingFiles = true;
         }
         
         return containsExistingFiles;
@@ -764,6 +865,31 @@ export class ModalManager {
         };
     }
     
+    // An empty quantity means 1; 0 is kept for consumables that ran out
+    getQuantity(inputId) {
+        const quantity = parseInt(document.getElementById(inputId)?.value, 10);
+        return Number.isInteger(quantity) && quantity >= 0 ? quantity : 1;
+    }
+
+    getReorderThreshold(inputId) {
+        const threshold = parseInt(document.getElementById(inputId)?.value, 10);
+        return Number.isInteger(threshold) ? threshold : null;
+    }
+
+    getSalvageValue(inputId) {
+        const salvageValue = parseFloat(document.getElementById(inputId)?.value);
+        return isNaN(salvageValue) ? null : salvageValue;
+    }
+
+    // The record's own depreciation, or null to use its category's
+    getDepreciation(prefix) {
+        return collectDepreciation(
+            document.getElementById(`${prefix}DepreciationMethod`),
+            document.getElementById(`${prefix}UsefulLife`),
+            document.getElementById(`${prefix}DepreciationRate`)
+        );
+    }
+
     collectAssetFormData() {
         const assetTags = this.assetTagManager.getTags();
         const tagsInput = document.getElementById('assetTags');
@@ -778,7 +904,11 @@ export class ModalManager {
             serialNumber: document.getElementById('assetSerial')?.value || '',
             purchaseDate: document.getElementById('assetPurchaseDate')?.value || '',
             price: parseFloat(document.getElementById('assetPrice')?.value) || null,
-            quantity: parseInt(document.getElementById('assetQuantity')?.value) || 1,
+            salvageValue: this.getSalvageValue('assetSalvageValue'),
+            depreciation: this.getDepreciation('asset'),
+            quantity: this.getQuantity('assetQuantity'),
+            consumable: document.getElementById('assetConsumable')?.checked || false,
+            reorderThreshold: this.getReorderThreshold('assetReorderThreshold'),
             warranty: {
                 scope: document.getElementById('assetWarrantyScope')?.value || '',
                 expirationDate: document.getElementById('assetWarrantyLifetime')?.checked ? null : (document.getElementById('assetWarrantyExpiration')?.value || ''),
@@ -807,13 +937,15 @@ export class ModalManager {
             }
         }
         
+        // Left out when the field definitions couldn't be loaded, so the stored values are kept
+        const customFields = this.customFieldManager?.getValues('asset');
+        if (customFields) newAsset.customFields = customFields;
+        if (this.categoryManager?.loaded) newAsset.categoryId = document.getElementById('assetCategory')?.value || '';
+        if (this.locationManager?.loaded) newAsset.locationId = document.getElementById('assetLocation')?.value || '';
+        
         // Add ID and file paths
         if (this.isEditMode && this.currentAsset) {
             newAsset.id = this.currentAsset.id;
-            // Copy both single and multiple file paths for backward compatibility
-            newAsset.photoPath = this.currentAsset.photoPath;
-            newAsset.receiptPath = this.currentAsset.receiptPath;
-            newAsset.manualPath = this.currentAsset.manualPath;
             newAsset.photoPaths = this.currentAsset.photoPaths || [];
             newAsset.receiptPaths = this.currentAsset.receiptPaths || [];
             newAsset.manualPaths = this.currentAsset.manualPaths || [];
@@ -821,11 +953,10 @@ export class ModalManager {
             newAsset.receiptInfo = this.currentAsset.receiptInfo || [];
             newAsset.manualInfo = this.currentAsset.manualInfo || [];
             newAsset.createdAt = this.currentAsset.createdAt;
+            // Revision the edit is based on, used by the server to detect conflicting saves
+            newAsset.revision = this.currentAsset.revision ?? 0;
         } else {
             newAsset.id = this.generateId();
-            newAsset.photoPath = null;
-            newAsset.receiptPath = null;
-            newAsset.manualPath = null;
             newAsset.createdAt = new Date().toISOString();
         }
         
@@ -846,7 +977,11 @@ export class ModalManager {
             serialNumber: document.getElementById('subAssetSerial')?.value || '',
             purchaseDate: document.getElementById('subAssetPurchaseDate')?.value || '',
             purchasePrice: parseFloat(document.getElementById('subAssetPurchasePrice')?.value) || null,
-            quantity: parseInt(document.getElementById('subAssetQuantity')?.value) || 1,
+            salvageValue: this.getSalvageValue('subAssetSalvageValue'),
+            depreciation: this.getDepreciation('subAsset'),
+            quantity: this.getQuantity('subAssetQuantity'),
+            consumable: document.getElementById('subAssetConsumable')?.checked || false,
+            reorderThreshold: this.getReorderThreshold('subAssetReorderThreshold'),
             parentId: document.getElementById('parentAssetId')?.value || '',
             parentSubId: document.getElementById('parentSubAssetId')?.value || '',
             link: document.getElementById('subAssetLink')?.value || '',
@@ -862,14 +997,16 @@ export class ModalManager {
             filesToDelete: this.filesToDelete || []
         };
         
+        // Left out when the field definitions couldn't be loaded, so the stored values are kept
+        const customFields = this.customFieldManager?.getValues('subAsset');
+        if (customFields) newSubAsset.customFields = customFields;
+        if (this.categoryManager?.loaded) newSubAsset.categoryId = document.getElementById('subAssetCategory')?.value || '';
+        if (this.locationManager?.loaded) newSubAsset.locationId = document.getElementById('subAssetLocation')?.value || '';
+        
         // Add ID and file paths
         if (this.isEditMode && this.currentSubAsset) {
             console.log('ModalManager: Edit mode - using existing sub-asset ID:', this.currentSubAsset.id);
             newSubAsset.id = this.currentSubAsset.id;
-            // Copy both single and multiple file paths for backward compatibility
-            newSubAsset.photoPath = this.currentSubAsset.photoPath;
-            newSubAsset.receiptPath = this.currentSubAsset.receiptPath;
-            newSubAsset.manualPath = this.currentSubAsset.manualPath;
             newSubAsset.photoPaths = this.currentSubAsset.photoPaths || [];
             newSubAsset.receiptPaths = this.currentSubAsset.receiptPaths || [];
             newSubAsset.manualPaths = this.currentSubAsset.manualPaths || [];
@@ -877,15 +1014,14 @@ export class ModalManager {
             newSubAsset.receiptInfo = this.currentSubAsset.receiptInfo || [];
             newSubAsset.manualInfo = this.currentSubAsset.manualInfo || [];
             newSubAsset.createdAt = this.currentSubAsset.createdAt;
+            // Revision the edit is based on, used by the server to detect conflicting saves
+            newSubAsset.revision = this.currentSubAsset.revision ?? 0;
             
             // Handle file deletions - This is now handled by filesToDelete array
         } else {
             const generatedId = this.generateId();
             console.log('ModalManager: Create mode - generating new ID:', generatedId);
             newSubAsset.id = generatedId;
-            newSubAsset.photoPath = null;
-            newSubAsset.receiptPath = null;
-            newSubAsset.manualPath = null;
             newSubAsset.createdAt = new Date().toISOString();
         }
         
@@ -972,6 +1108,188 @@ export class ModalManager {
         }
     }
     
+    /**
+     * Show server validation errors inline, next to the inputs they belong to.
+     * @param {'asset'|'subAsset'} type - The kind of record being saved
+     * @param {Array<{field: string, message: string}>} errors - Field errors from the API
+     * @returns {Array} Errors that have no matching input on the form
+     */
+    showFieldErrors(type, errors) {
+        const form = type === 'subAsset' ? this.subAssetForm : this.assetForm;
+        this.clearFieldErrors(form);
+
+        const unmatched = [];
+        let firstInput = null;
+        errors.forEach(error => {
+            const input = this.findFieldInput(type, error.field);
+            if (!input) {
+                unmatched.push(error);
+                return;
+            }
+
+            const label = form.querySelector(`label[for="${input.id}"]`)?.textContent.trim() || input.placeholder || error.field;
+            const errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.textContent = `${label} ${error.message}`;
+            (input.closest('.form-group') || input.parentElement).appendChild(errorElement);
+            input.classList.add('field-invalid');
+
+            // Clear the message as soon as the user edits the field
+            input.addEventListener('input', () => {
+                input.classList.remove('field-invalid');
+                errorElement.remove();
+            }, { once: true });
+
+            if (!firstInput) firstInput = input;
+        });
+
+        if (firstInput) {
+            const section = firstInput.closest('.collapsible-section');
+            if (section) this.expandSection(`#${section.id}`);
+            firstInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            firstInput.focus();
+        }
+
+        return unmatched;
+    }
+
+    /**
+     * Find the form input for a field path such as "price" or "maintenanceEvents[1].frequency"
+     * @param {'asset'|'subAsset'} type - The kind of record being saved
+     * @param {string} field - Field path reported by the API
+     * @returns {HTMLElement|null} The matching input, if it is on the form
+     */
+    findFieldInput(type, field) {
+        const eventMatch = field.match(/^maintenanceEvents\[(\d+)\]\.(\w+)$/);
+        if (eventMatch) {
+            const [, index, key] = eventMatch;
+            const eventElement = document.querySelectorAll(`#${type}MaintenanceEvents .maintenance-event`)[index];
+            return eventElement?.querySelector(`[name="${MAINTENANCE_EVENT_INPUTS[key] || key}"]`) || null;
+        }
+
+        const customFieldMatch = field.match(/^customFields\.(.+)$/);
+        if (customFieldMatch && this.customFieldManager) {
+            return document.getElementById(this.customFieldManager.getInputId(type, customFieldMatch[1]));
+        }
+
+        // Errors for individual tags are shown on the tags input
+        const inputId = FIELD_INPUTS[type][field.replace(/\[\d+\]$/, '')];
+        return inputId ? document.getElementById(inputId) : null;
+    }
+
+    clearFieldErrors(form) {
+        form.querySelectorAll('.field-error').forEach(element => element.remove());
+        form.querySelectorAll('.field-invalid').forEach(element => element.classList.remove('field-invalid'));
+    }
+
+    /**
+     * Show the edit conflict dialog with a field-by-field diff between the user's
+     * version and the version currently saved on the server.
+     * @param {'asset'|'subAsset'} type - The kind of record being saved
+     * @param {Object} mine - The data the user tried to save
+     * @param {Object} theirs - The record currently stored on the server
+     * @returns {Promise<'overwrite'|'reload'|'cancel'>} The option the user picked
+     */
+    showConflictDialog(type, mine, theirs) {
+        if (!this.conflictModal) return Promise.resolve('cancel');
+
+        const itemLabel = type === 'subAsset' ? 'component' : 'asset';
+        const changedAt = theirs.updatedAt ? new Date(theirs.updatedAt).toLocaleString() : null;
+        document.getElementById('conflictMessage').textContent =
+            `This ${itemLabel} was changed${changedAt ? ` on ${changedAt}` : ''} after you opened it. ` +
+            'Review the differences below before saving.';
+
+        const diffContainer = document.getElementById('conflictDiff');
+        diffContainer.innerHTML = '';
+        ['Field', 'Your Version', 'Saved Version'].forEach(heading => {
+            const cell = document.createElement('div');
+            cell.className = 'conflict-diff-heading';
+            cell.textContent = heading;
+            diffContainer.appendChild(cell);
+        });
+
+        const differences = CONFLICT_FIELDS.filter(({ key }) =>
+            (key in mine || key in theirs) &&
+            JSON.stringify(this.normalizeConflictValue(mine[key])) !== JSON.stringify(this.normalizeConflictValue(theirs[key]))
+        );
+
+        if (differences.length === 0) {
+            const cell = document.createElement('div');
+            cell.className = 'conflict-empty';
+            cell.style.gridColumn = '1 / -1';
+            cell.textContent = 'No differences in the fields you can edit.';
+            diffContainer.appendChild(cell);
+        }
+
+        differences.forEach(({ key, label }) => {
+            const fieldCell = document.createElement('div');
+            fieldCell.className = 'conflict-field';
+            fieldCell.textContent = label;
+
+            const mineCell = document.createElement('div');
+            mineCell.className = 'conflict-mine';
+            const theirsCell = document.createElement('div');
+
+            [[mineCell, mine[key]], [theirsCell, theirs[key]]].forEach(([cell, value]) => {
+                const text = this.formatConflictValue(key, value);
+                cell.textContent = text || '(empty)';
+                if (!text) cell.classList.add('conflict-empty');
+            });
+
+            diffContainer.append(fieldCell, mineCell, theirsCell);
+        });
+
+        this.conflictModal.style.display = 'block';
+        this.conflictModal.querySelector('.modal-content').scrollTop = 0;
+
+        return new Promise(resolve => {
+            const close = (result) => {
+                this.conflictModal.style.display = 'none';
+                resolve(result);
+            };
+            document.getElementById('conflictOverwriteBtn').onclick = () => close('overwrite');
+            document.getElementById('conflictReloadBtn').onclick = () => close('reload');
+            document.getElementById('conflictCancelBtn').onclick = () => close('cancel');
+            this.conflictModal.querySelector('.close-btn').onclick = () => close('cancel');
+        });
+    }
+
+    normalizeConflictValue(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (Array.isArray(value) && value.length === 0) return null;
+        return value;
+    }
+
+    formatConflictValue(key, value) {
+        if (this.normalizeConflictValue(value) === null) return '';
+
+        switch (key) {
+            case 'warranty':
+            case 'secondaryWarranty': {
+                const expiration = value.isLifetime ? 'Lifetime' : (value.expirationDate ? this.formatDate(value.expirationDate) : '');
+                return [value.scope, expiration].filter(Boolean).join(' - ');
+            }
+            case 'price':
+            case 'purchasePrice':
+            case 'salvageValue':
+                return this.formatCurrency(value);
+            case 'depreciation':
+                return describeDepreciation(value);
+            case 'purchaseDate':
+                return this.formatDate(value);
+            case 'tags':
+                return value.join(', ');
+            case 'maintenanceEvents':
+                return value.map(event => event.name).filter(Boolean).join(', ');
+            case 'photoPaths':
+            case 'receiptPaths':
+            case 'manualPaths':
+                return `${value.length} file${value.length === 1 ? '' : 's'}`;
+            default:
+                return String(value);
+        }
+    }
+    
     // Public methods for external access
     getDeleteFlags() {
         return {
@@ -0,0 +1,198 @@
+/**
+ * Saved Search Manager
+ * Saves the current search text and dashboard filter under a name, lists saved searches in the
+ * sidebar and applies them from the list, a dashboard card or a ?search=<id> link
+ */
+
+const FILTER_LABELS = {
+    components: 'Components',
+    checkedOut: 'Checked out',
+    lowStock: 'Low stock',
+    warranties: 'Warranties',
+    within60: 'In 60 days',
+    within30: 'In 30 days',
+    expired: 'Expired',
+    active: 'Active'
+};
+
+export class SavedSearchManager {
+    constructor({
+        savedSearchList,
+        saveSearchBtn,
+        searchInput,
+        getDashboardFilter,
+        applySearch,
+        onChange
+    }) {
+        this.savedSearchList = savedSearchList;
+        this.saveSearchBtn = saveSearchBtn;
+        this.searchInput = searchInput;
+        this.getDashboardFilter = getDashboardFilter;
+        this.applySearch = applySearch;
+        this.onChange = onChange;
+        this.savedSearches = [];
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.saveSearchBtn.addEventListener('click', () => this.saveCurrentSearch());
+    }
+
+    async loadSavedSearches() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/saved-searches`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            this.savedSearches = await response.json();
+            this.renderSavedSearches();
+        } catch (error) {
+            globalThis.logError('Failed to load saved searches:', error.message);
+        }
+    }
+
+    /**
+     * Whether a saved search is the search currently applied
+     * @param {Object} savedSearch - Saved search
+     * @returns {boolean} True if the search text and dashboard filter match
+     */
+    isActive(savedSearch) {
+        const filter = this.getDashboardFilter();
+        return (savedSearch.query || '') === this.searchInput.value.trim()
+            && (savedSearch.filter || null) === (filter && filter !== 'all' ? filter : null);
+    }
+
+    /**
+     * Short description of what a saved search matches
+     * @param {Object} savedSearch - Saved search
+     * @returns {string} e.g. 'tag:garage · In 60 days'
+     */
+    describe(savedSearch) {
+        return [savedSearch.query, FILTER_LABELS[savedSearch.filter]].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Apply a saved search by id, as used by ?search= links
+     * @param {string} id - Saved search id
+     * @returns {boolean} True if the saved search exists
+     */
+    applySavedSearchById(id) {
+        const savedSearch = this.savedSearches.find(item => item.id === id);
+        if (!savedSearch) return false;
+        this.applySavedSearch(savedSearch);
+        return true;
+    }
+
+    applySavedSearch(savedSearch) {
+        this.applySearch(savedSearch.query || '', savedSearch.filter || null);
+        this.renderSavedSearches();
+    }
+
+    renderSavedSearches() {
+        this.savedSearchList.innerHTML = '';
+        this.savedSearchList.style.display = this.savedSearches.length > 0 ? 'flex' : 'none';
+
+        this.savedSearches.forEach(savedSearch => {
+            const item = document.createElement('div');
+            item.className = `saved-search-item${this.isActive(savedSearch) ? ' active' : ''}`;
+
+            const applyBtn = document.createElement('button');
+            applyBtn.type = 'button';
+            applyBtn.className = 'saved-search-name';
+            applyBtn.textContent = savedSearch.name;
+            applyBtn.title = this.describe(savedSearch);
+            applyBtn.addEventListener('click', () => this.applySavedSearch(savedSearch));
+
+            const pinBtn = this._createActionButton(
+                savedSearch.showOnDashboard ? 'Remove from dashboard' : 'Show on dashboard',
+                '<path d="M12 17v5"/><path d="M9 10.76V6h6v4.76l2 2.24v2H7v-2z"/><path d="M8 2h8"/>',
+                () => this._toggleDashboard(savedSearch)
+            );
+            pinBtn.classList.toggle('pinned', !!savedSearch.showOnDashboard);
+            const linkBtn = this._createActionButton(
+                'Copy link',
+                '<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>',
+                () => this._copyLink(savedSearch)
+            );
+            const deleteBtn = this._createActionButton(
+                'Delete saved search',
+                '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>',
+                () => this._deleteSavedSearch(savedSearch)
+            );
+
+            item.append(applyBtn, pinBtn, linkBtn, deleteBtn);
+            this.savedSearchList.appendChild(item);
+        });
+    }
+
+    _createActionButton(title, iconPaths, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'saved-search-action';
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.innerHTML = `<svg viewBox="0 0 24 24" width="14" height="14" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">${iconPaths}</svg>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async saveCurrentSearch() {
+        const query = this.searchInput.value.trim();
+        const dashboardFilter = this.getDashboardFilter();
+        const filter = dashboardFilter && dashboardFilter !== 'all' ? dashboardFilter : null;
+        if (!query && !filter) {
+            globalThis.toaster.show('Type a search or pick a dashboard card first', 'error');
+            return;
+        }
+
+        const name = prompt('Name this search:', query || FILTER_LABELS[filter]);
+        if (!name || !name.trim()) return;
+
+        await this._request('/api/saved-searches', 'POST', { name: name.trim(), query, filter, showOnDashboard: false },
+            `Saved "${name.trim()}"`, 'Failed to save search:');
+    }
+
+    async _toggleDashboard(savedSearch) {
+        const showOnDashboard = !savedSearch.showOnDashboard;
+        await this._request(`/api/saved-searches/${savedSearch.id}`, 'PUT', { ...savedSearch, showOnDashboard },
+            showOnDashboard ? `"${savedSearch.name}" added to the dashboard` : `"${savedSearch.name}" removed from the dashboard`,
+            'Failed to update saved search:');
+    }
+
+    async _deleteSavedSearch(savedSearch) {
+        if (!confirm(`Delete the saved search "${savedSearch.name}"?`)) {
+            return;
+        }
+        await this._request(`/api/saved-searches/${savedSearch.id}`, 'DELETE', null,
+            `Deleted "${savedSearch.name}"`, 'Failed to delete saved search:');
+    }
+
+    async _request(path, method, body, successMessage, errorPrefix) {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined,
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            globalThis.toaster.show(successMessage);
+            await this.loadSavedSearches();
+            this.onChange();
+        } catch (error) {
+            globalThis.logError(errorPrefix, error.message);
+        }
+    }
+
+    _copyLink(savedSearch) {
+        const url = `${window.location.origin}${window.location.pathname}?search=${savedSearch.id}`;
+        navigator.clipboard.writeText(url).then(() => {
+            globalThis.toaster.show('Search link copied to clipboard!', 'success', false, 2000);
+        }).catch(err => {
+            console.error('Failed to copy link to clipboard:', err);
+            globalThis.logError('Failed to copy link to clipboard', err, false, 3000);
+        });
+    }
+}
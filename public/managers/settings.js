@@ -9,7 +9,11 @@ export class SettingsManager {
         settingsClose,
         testNotificationSettings,
         setButtonLoading,
-        renderDashboard
+        renderDashboard,
+        refreshData,
+        getCustomFields,
+        getCategoryPath,
+        getLocationPath
     }) {
         this.localSettingsStorageKey = 'dumbAssetSettings';
         this.localSettingsLastOpenedPaneKey = 'dumbAssetSettingsLastOpenedPane';
@@ -22,6 +26,10 @@ export class SettingsManager {
         this.testNotificationSettings = testNotificationSettings;
         this.setButtonLoading = setButtonLoading;
         this.renderDashboard = renderDashboard;
+        this.refreshData = refreshData;
+        this.getCustomFields = getCustomFields;
+        this.getCategoryPath = getCategoryPath;
+        this.getLocationPath = getLocationPath;
         this.selectedAssetId = null;
         this.DEBUG = false;
         this._bindEvents();
@@ -34,7 +42,10 @@ export class SettingsManager {
                 notify2Week: false,
                 notify7Day: true,
                 notify3Day: false,
-                notifyMaintenance: true // Default to true for compatibility
+                notifyMaintenance: true, // Default to true for compatibility
+                notifyOverdue: true,
+                notifyLowStock: true,
+                notifyBackupFailure: true
             },
             interfaceSettings: {
                 dashboardOrder: [],
@@ -48,12 +59,22 @@ export class SettingsManager {
                     assets: true,
                     components: true,
                     value: true,
+                    checkedOut: true,
+                    lowStock: true,
                     warranties: true,
                     within60: true,
                     within30: true,
                     expired: true,
                     active: true
                 }
+            },
+            backupSettings: {
+                enabled: false,
+                frequency: 'daily',
+                time: '02:00',
+                dayOfWeek: 0,
+                keepDaily: 7,
+                keepWeekly: 4
             }
         };
     }
@@ -82,6 +103,24 @@ export class SettingsManager {
         if (exportSimpleDataBtn) {
             exportSimpleDataBtn.addEventListener('click', () => this._exportSimpleData());
         }
+
+        // Backup and restore buttons
+        const downloadBackupBtn = document.getElementById('downloadBackupBtn');
+        if (downloadBackupBtn) {
+            downloadBackupBtn.addEventListener('click', () => this._downloadBackup());
+        }
+        const restoreBackupBtn = document.getElementById('restoreBackupBtn');
+        if (restoreBackupBtn) {
+            restoreBackupBtn.addEventListener('click', () => this._restoreBackup());
+        }
+        const runBackupBtn = document.getElementById('runBackupBtn');
+        if (runBackupBtn) {
+            runBackupBtn.addEventListener('click', () => this._runBackup());
+        }
+        const backupFrequency = document.getElementById('backupFrequency');
+        if (backupFrequency) {
+            backupFrequency.addEventListener('change', () => this._updateBackupDayVisibility());
+        }
         
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -166,6 +205,11 @@ export class SettingsManager {
             this.notificationForm.notifyMaintenance.checked = (typeof notificationSettings.notifyMaintenance !== 'undefined')
                 ? !!notificationSettings.notifyMaintenance
                 : (settings.notifyMaintenance !== false);
+            this.notificationForm.notifyOverdue.checked = notificationSettings.notifyOverdue !== false;
+            this.notificationForm.notifyLowStock.checked = notificationSettings.notifyLowStock !== false;
+            this.notificationForm.notifyBackupFailure.checked = notificationSettings.notifyBackupFailure !== false;
+            this._applyBackupSettings(settings.backupSettings);
+            this._loadBackupStatus();
                 
             const interfaceSettings = settings.interfaceSettings;
             // Dashboard order
@@ -223,6 +267,10 @@ export class SettingsManager {
             this.notificationForm.notify2Week.checked = this.defaultSettings.notificationSettings.notify2Week;
             this.notificationForm.notify7Day.checked = this.defaultSettings.notificationSettings.notify7Day;
             this.notificationForm.notify3Day.checked = this.defaultSettings.notificationSettings.notify3Day;
+            this.notificationForm.notifyOverdue.checked = this.defaultSettings.notificationSettings.notifyOverdue;
+            this.notificationForm.notifyLowStock.checked = this.defaultSettings.notificationSettings.notifyLowStock;
+            this.notificationForm.notifyBackupFailure.checked = this.defaultSettings.notificationSettings.notifyBackupFailure;
+            this._applyBackupSettings(this.defaultSettings.backupSettings);
             // Ensure Events toggle is enabled by default when loading fails
             document.getElementById('toggleEvents').checked = true;
         }
@@ -239,7 +287,10 @@ export class SettingsManager {
                 notify2Week: this.notificationForm.notify2Week.checked,
                 notify7Day: this.notificationForm.notify7Day.checked,
                 notify3Day: this.notificationForm.notify3Day.checked,
-                notifyMaintenance: this.notificationForm.notifyMaintenance.checked // Ensure this is always present
+                notifyMaintenance: this.notificationForm.notifyMaintenance.checked, // Ensure this is always present
+                notifyOverdue: this.notificationForm.notifyOverdue.checked,
+                notifyLowStock: this.notificationForm.notifyLowStock.checked,
+                notifyBackupFailure: this.notificationForm.notifyBackupFailure.checked
             },
             interfaceSettings: {
                 dashboardOrder: [],
@@ -253,13 +304,16 @@ export class SettingsManager {
                     assets: document.getElementById('toggleCardTotalAssets')?.checked !== false,
                     components: document.getElementById('toggleCardTotalComponents')?.checked !== false,
                     value: document.getElementById('toggleCardTotalValue')?.checked !== false,
+                    checkedOut: document.getElementById('toggleCardCheckedOut')?.checked !== false,
+                    lowStock: document.getElementById('toggleCardLowStock')?.checked !== false,
                     warranties: document.getElementById('toggleCardWarrantiesTotal')?.checked !== false,
                     within60: document.getElementById('toggleCardWarrantiesWithin60')?.checked !== false,
                     within30: document.getElementById('toggleCardWarrantiesWithin30')?.checked !== false,
                     expired: document.getElementById('toggleCardWarrantiesExpired')?.checked !== false,
                     active: document.getElementById('toggleCardWarrantiesActive')?.checked !== false
                 }
-            }
+            },
+            backupSettings: this._collectBackupSettings()
         };
         const dashboardSections = document.querySelectorAll('#dashboardSections .sortable-item');
         dashboardSections.forEach(section => {
@@ -305,6 +359,9 @@ export class SettingsManager {
         if (f.notify7Day.checked) enabledTypes.push('notify7Day');
         if (f.notify3Day.checked) enabledTypes.push('notify3Day');
         if (f.notifyMaintenance.checked) enabledTypes.push('notifyMaintenance');
+        if (f.notifyOverdue.checked) enabledTypes.push('notifyOverdue');
+        if (f.notifyLowStock.checked) enabledTypes.push('notifyLowStock');
+        if (f.notifyBackupFailure.checked) enabledTypes.push('notifyBackupFailure');
         if (enabledTypes.length === 0) enabledTypes.push('notifyAdd');
         fetch('/api/notification-test', {
             method: 'POST',
@@ -569,6 +626,155 @@ export class SettingsManager {
         }
     }
     
+    _applyBackupSettings(backupSettings) {
+        const settings = { ...this.defaultSettings.backupSettings, ...(backupSettings || {}) };
+        document.getElementById('backupEnabled').checked = !!settings.enabled;
+        document.getElementById('backupFrequency').value = settings.frequency;
+        document.getElementById('backupDayOfWeek').value = String(settings.dayOfWeek);
+        document.getElementById('backupTime').value = settings.time;
+        document.getElementById('backupKeepDaily').value = settings.keepDaily;
+        document.getElementById('backupKeepWeekly').value = settings.keepWeekly;
+        this._updateBackupDayVisibility();
+    }
+
+    _collectBackupSettings() {
+        const defaults = this.defaultSettings.backupSettings;
+        const toCount = (id, fallback) => {
+            const value = parseInt(document.getElementById(id).value, 10);
+            return Number.isInteger(value) ? value : fallback;
+        };
+        return {
+            enabled: document.getElementById('backupEnabled').checked,
+            frequency: document.getElementById('backupFrequency').value,
+            time: document.getElementById('backupTime').value || defaults.time,
+            dayOfWeek: parseInt(document.getElementById('backupDayOfWeek').value, 10),
+            keepDaily: toCount('backupKeepDaily', defaults.keepDaily),
+            keepWeekly: toCount('backupKeepWeekly', defaults.keepWeekly)
+        };
+    }
+
+    _updateBackupDayVisibility() {
+        const weekly = document.getElementById('backupFrequency').value === 'weekly';
+        document.getElementById('backupDayOfWeekRow').style.display = weekly ? '' : 'none';
+    }
+
+    async _loadBackupStatus() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/backups`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            this._renderBackupStatus(await response.json());
+        } catch (error) {
+            console.error('Error loading backup status:', error);
+        }
+    }
+
+    _renderBackupStatus({ status, backups }) {
+        const statusText = document.getElementById('backupStatus');
+        const backupList = document.getElementById('backupList');
+        const formatSize = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+        statusText.classList.toggle('backup-status-failed', !!status && !status.success);
+        if (!status) {
+            statusText.textContent = 'No backup has run yet.';
+        } else if (status.success) {
+            statusText.textContent = `Last backup: ${new Date(status.lastRunAt).toLocaleString()} (${formatSize(status.size)})`;
+        } else {
+            const lastSuccess = status.lastSuccessAt ? ` Last successful backup: ${new Date(status.lastSuccessAt).toLocaleString()}.` : '';
+            statusText.textContent = `Last backup failed on ${new Date(status.lastRunAt).toLocaleString()}: ${status.error}.${lastSuccess}`;
+        }
+
+        backupList.innerHTML = '';
+        backups.forEach(backup => {
+            const row = document.createElement('div');
+            row.className = 'backup-list-item';
+            const link = document.createElement('a');
+            link.href = `${globalThis.getApiBaseUrl()}/api/backups/${encodeURIComponent(backup.name)}`;
+            link.textContent = new Date(backup.createdAt).toLocaleString();
+            const size = document.createElement('span');
+            size.textContent = formatSize(backup.size);
+            row.append(link, size);
+            backupList.appendChild(row);
+        });
+    }
+
+    async _runBackup() {
+        const runBackupBtn = document.getElementById('runBackupBtn');
+        this.setButtonLoading(runBackupBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/backups/run`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            this._renderBackupStatus(await response.json());
+            globalThis.toaster.show('Backup created');
+        } catch (error) {
+            globalThis.logError('Failed to create backup:', error.message);
+            await this._loadBackupStatus();
+        } finally {
+            this.setButtonLoading(runBackupBtn, false);
+        }
+    }
+
+    _downloadBackup() {
+        // Let the browser stream the archive straight to disk instead of buffering it in memory
+        const link = document.createElement('a');
+        link.setAttribute('href', `${globalThis.getApiBaseUrl()}/api/backup`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    async _restoreBackup() {
+        const restoreBtn = document.getElementById('restoreBackupBtn');
+        const fileInput = document.getElementById('restoreBackupFile');
+        const mode = document.getElementById('restoreBackupMode').value;
+        const file = fileInput.files[0];
+        if (!file) {
+            globalThis.logError('Please choose a backup file to restore');
+            return;
+        }
+        const warning = mode === 'replace'
+            ? 'Replace ALL current assets, components, settings and files with the contents of this backup? This cannot be undone.'
+            : 'Add the assets, components and files from this backup that are not already here?';
+        if (!confirm(warning)) return;
+
+        this.setButtonLoading(restoreBtn, true);
+        try {
+            const formData = new FormData();
+            formData.append('mode', mode);
+            formData.append('backup', file);
+
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/backup/restore`, {
+                method: 'POST',
+                body: formData,
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const result = await response.json();
+            fileInput.value = '';
+            await this.refreshData();
+            this.renderDashboard();
+            const skipped = result.skipped && (result.skipped.assets + result.skipped.subAssets) > 0
+                ? `, ${result.skipped.assets + result.skipped.subAssets} already existed`
+                : '';
+            globalThis.toaster.show(`Restored ${result.assets} assets and ${result.subAssets} components${skipped}`);
+            if (mode === 'replace') {
+                // Settings may have changed as well
+                await this.loadSettings();
+            }
+        } catch (error) {
+            globalThis.logError('Failed to restore backup:', error.message);
+        } finally {
+            this.setButtonLoading(restoreBtn, false);
+        }
+    }
+
     _generateCSV(assets, subAssets) {
         // CSV headers
         const headers = [
@@ -585,6 +791,7 @@ export class SettingsManager {
             'URL',
             'Notes',
             'Tags',
+            'Category',
             'Warranty Scope',
             'Warranty Expiration',
             'Warranty Lifetime',
@@ -600,6 +807,9 @@ export class SettingsManager {
             'Created At',
             'Updated At'
         ];
+        // One column per custom field, after the standard columns
+        const customFields = this.getCustomFields?.() || [];
+        customFields.forEach(field => headers.push(field.name));
         
         const rows = [headers];
         
@@ -633,6 +843,12 @@ export class SettingsManager {
             }).join('; ');
         };
         
+        const formatCustomFields = (record) => customFields.map(field => {
+            const value = record.customFields?.[field.id];
+            if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+            return value ?? '';
+        });
+        
         // Add assets
         assets.forEach(asset => {
             const row = [
@@ -645,10 +861,12 @@ export class SettingsManager {
                 asset.purchaseDate || '',
                 asset.price || '',
                 asset.currency || '',
-                asset.location || '',
+                // Older records may have a location typed as text
+                (asset.locationId && this.getLocationPath?.(asset.locationId)) || asset.location || '',
                 asset.url || '',
                 asset.description || asset.notes || '',
                 (asset.tags && asset.tags.length > 0) ? asset.tags.join('; ') : '',
+                asset.categoryId ? this.getCategoryPath?.(asset.categoryId) || '' : '',
                 asset.warranty?.scope || '',
                 asset.warranty?.expirationDate || '',
                 asset.warranty?.isLifetime ? 'Yes' : 'No',
@@ -656,13 +874,14 @@ export class SettingsManager {
                 asset.secondaryWarranty?.expirationDate || '',
                 asset.secondaryWarranty?.isLifetime ? 'Yes' : 'No',
                 formatMaintenanceEvents(asset.maintenanceEvents),
-                asset.photoPath || '',
-                asset.receiptPath || '',
-                asset.manualPath || '',
+                (asset.photoPaths || []).join('; '),
+                (asset.receiptPaths || []).join('; '),
+                (asset.manualPaths || []).join('; '),
                 '', // Parent ID (empty for assets)
                 '', // Parent Sub ID (empty for assets)
                 asset.createdAt || '',
-                asset.updatedAt || ''
+                asset.updatedAt || '',
+                ...formatCustomFields(asset)
             ];
             rows.push(row.map(escapeCsvValue));
         });
@@ -679,10 +898,11 @@ export class SettingsManager {
                 subAsset.purchaseDate || '',
                 subAsset.purchasePrice || '',
                 subAsset.currency || '',
-                subAsset.location || '',
+                (subAsset.locationId && this.getLocationPath?.(subAsset.locationId)) || subAsset.location || '',
                 subAsset.url || '',
                 subAsset.notes || subAsset.description || '',
                 (subAsset.tags && subAsset.tags.length > 0) ? subAsset.tags.join('; ') : '',
+                subAsset.categoryId ? this.getCategoryPath?.(subAsset.categoryId) || '' : '',
                 subAsset.warranty?.scope || '',
                 subAsset.warranty?.expirationDate || '',
                 subAsset.warranty?.isLifetime ? 'Yes' : 'No',
@@ -690,13 +910,14 @@ export class SettingsManager {
                 '', // Secondary warranty expiration
                 '', // Secondary warranty lifetime
                 formatMaintenanceEvents(subAsset.maintenanceEvents),
-                subAsset.photoPath || '',
-                subAsset.receiptPath || '',
-                subAsset.manualPath || '',
+                (subAsset.photoPaths || []).join('; '),
+                (subAsset.receiptPaths || []).join('; '),
+                (subAsset.manualPaths || []).join('; '),
                 subAsset.parentId || '',
                 subAsset.parentSubId || '',
                 subAsset.createdAt || '',
-                subAsset.updatedAt || ''
+                subAsset.updatedAt || '',
+                ...formatCustomFields(subAsset)
             ];
             rows.push(row.map(escapeCsvValue));
         });
@@ -0,0 +1,47 @@
+/**
+ * Stock Manager
+ * The quick +/- adjustments on a consumable's details: uses up or restocks it through
+ * POST /api/assets/:id/stock (or /api/subassets/:id/stock), which logs the movement
+ */
+
+export class StockManager {
+    constructor({ onSaved }) {
+        this.onSaved = onSaved;
+        this.saving = false;
+    }
+
+    /**
+     * Change the quantity of a consumable
+     * @param {Object} record - Asset or component
+     * @param {boolean} isSubAsset - Whether the record is a component
+     * @param {number} change - Units put in (positive) or taken out (negative)
+     * @param {string} [note] - Why, e.g. "Replaced the upstairs filter"
+     */
+    async adjustStock(record, isSubAsset, change, note = '') {
+        // Ignore clicks while the previous adjustment is saving, it would fail the revision check
+        if (this.saving) return;
+        this.saving = true;
+        try {
+            const type = isSubAsset ? 'subassets' : 'assets';
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/${type}/${record.id}/stock`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${Number.isInteger(record.revision) ? record.revision : 0}"`
+                },
+                body: JSON.stringify({ change, note }),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const saved = await response.json();
+            await this.onSaved(saved, isSubAsset);
+            globalThis.toaster.show(`${change > 0 ? 'Restocked' : 'Used'} ${Math.abs(change)} of "${saved.name}", ${saved.quantity} left`);
+        } catch (error) {
+            globalThis.logError('Failed to adjust stock:', error.message);
+        } finally {
+            this.saving = false;
+        }
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Template Manager
+ * Lists, creates and edits asset templates in the Templates settings tab, and works out the values
+ * a template fills into the Add Asset form
+ */
+
+export function toDateString(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A YYYY-MM-DD date moved forward by a maintenance frequency or warranty length
+export function addInterval(dateString, amount, unit) {
+    const date = new Date(`${dateString}T00:00:00`);
+    if (unit === 'days') date.setDate(date.getDate() + amount);
+    else if (unit === 'weeks') date.setDate(date.getDate() + amount * 7);
+    else if (unit === 'months') date.setMonth(date.getMonth() + amount);
+    else if (unit === 'years') date.setFullYear(date.getFullYear() + amount);
+    return toDateString(date);
+}
+
+/**
+ * The asset form values a template fills in. The warranty expiration and the first due date of
+ * recurring maintenance are counted from the purchase date.
+ * @param {Object} template - Stored template
+ * @param {string} [purchaseDate] - Purchase date (YYYY-MM-DD), today if not set
+ * @returns {Object} Asset fields for ModalManager.populateAssetForm()
+ */
+export function getTemplateDefaults(template, purchaseDate) {
+    const startDate = purchaseDate || toDateString(new Date());
+    const warranty = template.warranty || {};
+    return {
+        ...template.fields,
+        quantity: template.fields?.quantity || 1,
+        tags: [...(template.tags || [])],
+        warranty: {
+            scope: warranty.scope || '',
+            isLifetime: !!warranty.isLifetime,
+            expirationDate: !warranty.isLifetime && warranty.months ? addInterval(startDate, warranty.months, 'months') : ''
+        },
+        maintenanceEvents: (template.maintenanceEvents || []).map(event => (
+            event.type === 'frequency' && !event.nextDueDate && event.frequency
+                ? { ...event, nextDueDate: addInterval(startDate, event.frequency, event.frequencyUnit) }
+                : { ...event }
+        ))
+    };
+}
+
+export class TemplateManager {
+    constructor({
+        templateList,
+        templateForm,
+        newTemplateBtn,
+        maintenanceManager,
+        setButtonLoading
+    }) {
+        this.templateList = templateList;
+        this.templateForm = templateForm;
+        this.templateFormTitle = templateForm.querySelector('#templateFormTitle');
+        this.newTemplateBtn = newTemplateBtn;
+        this.maintenanceManager = maintenanceManager;
+        this.setButtonLoading = setButtonLoading;
+        this.templates = [];
+        this.editingTemplate = null;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.newTemplateBtn.addEventListener('click', () => this.openTemplateForm());
+        this.templateForm.querySelector('.cancel-btn').addEventListener('click', () => this.closeTemplateForm());
+        this.templateForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveTemplate();
+        });
+    }
+
+    getTemplates() {
+        return this.templates;
+    }
+
+    async loadTemplates() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/templates`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            this.templates = await response.json();
+        } catch (error) {
+            globalThis.logError('Failed to load templates:', error.message);
+            this.templates = [];
+        }
+        this._renderTemplates();
+    }
+
+    _renderTemplates() {
+        this.templateList.innerHTML = '';
+        if (this.templates.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No templates yet.';
+            this.templateList.appendChild(empty);
+            return;
+        }
+
+        this.templates.forEach(template => {
+            const row = document.createElement('div');
+            row.className = 'template-item';
+
+            const componentCount = template.components?.length || 0;
+            const eventCount = template.maintenanceEvents?.length || 0;
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.textContent = template.name;
+            const meta = document.createElement('div');
+            meta.className = 'template-item-meta';
+            meta.textContent = [
+                template.fields?.manufacturer,
+                componentCount > 0 ? `${componentCount} component${componentCount === 1 ? '' : 's'}` : null,
+                eventCount > 0 ? `${eventCount} maintenance event${eventCount === 1 ? '' : 's'}` : null
+            ].filter(Boolean).join(' · ');
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-item-actions';
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'save-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.openTemplateForm(template));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'cancel-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteTemplate(template, deleteBtn));
+            actions.append(editBtn, deleteBtn);
+
+            row.append(info, actions);
+            this.templateList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the template form, empty or filled with an existing template
+     * @param {Object} [template] - Template to edit
+     */
+    openTemplateForm(template = null) {
+        this.editingTemplate = template;
+        this.templateFormTitle.textContent = template ? `Edit "${template.name}"` : 'New Template';
+        this.templateForm.reset();
+
+        const { elements } = this.templateForm;
+        const fields = template?.fields || {};
+        elements.name.value = template?.name || '';
+        elements.manufacturer.value = fields.manufacturer || '';
+        elements.modelNumber.value = fields.modelNumber || '';
+        elements.price.value = fields.price ?? '';
+        elements.quantity.value = fields.quantity || '';
+        elements.link.value = fields.link || '';
+        elements.description.value = fields.description || '';
+        elements.tags.value = (template?.tags || []).join(', ');
+        elements.warrantyScope.value = template?.warranty?.scope || '';
+        elements.warrantyMonths.value = template?.warranty?.months || '';
+        elements.warrantyLifetime.checked = !!template?.warranty?.isLifetime;
+        elements.components.value = (template?.components || []).map(component => component.name).join('\n');
+        this.maintenanceManager.setMaintenanceEvents('template', template?.maintenanceEvents || []);
+
+        this.templateForm.style.display = 'block';
+        elements.name.focus();
+    }
+
+    closeTemplateForm() {
+        this.templateForm.style.display = 'none';
+        this.editingTemplate = null;
+    }
+
+    _collectTemplate() {
+        const { elements } = this.templateForm;
+        const price = parseFloat(elements.price.value);
+        const quantity = parseInt(elements.quantity.value, 10);
+        const months = parseInt(elements.warrantyMonths.value, 10);
+        // Components are edited by name; keep the other details of components that are still listed
+        const existingComponents = new Map((this.editingTemplate?.components || []).map(component => [component.name, component]));
+        const componentNames = elements.components.value.split('\n').map(name => name.trim()).filter(Boolean);
+
+        return {
+            name: elements.name.value.trim(),
+            fields: {
+                manufacturer: elements.manufacturer.value.trim(),
+                modelNumber: elements.modelNumber.value.trim(),
+                price: isNaN(price) ? null : price,
+                quantity: isNaN(quantity) ? undefined : quantity,
+                link: elements.link.value.trim(),
+                description: elements.description.value
+            },
+            tags: elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+            warranty: {
+                scope: elements.warrantyScope.value.trim(),
+                months: isNaN(months) ? undefined : months,
+                isLifetime: elements.warrantyLifetime.checked
+            },
+            maintenanceEvents: this.maintenanceManager.getMaintenanceEvents('template'),
+            components: componentNames.map(name => existingComponents.get(name) || { name })
+        };
+    }
+
+    async saveTemplate() {
+        const template = this.editingTemplate;
+        const submitBtn = this.templateForm.querySelector('.save-btn');
+        this.setButtonLoading(submitBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/templates${template ? `/${template.id}` : ''}`, {
+                method: template ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this._collectTemplate()),
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const saved = await response.json();
+            this.closeTemplateForm();
+            await this.loadTemplates();
+            globalThis.toaster.show(`Saved template "${saved.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to save template:', error.message);
+        } finally {
+            this.setButtonLoading(submitBtn, false);
+        }
+    }
+
+    async deleteTemplate(template, button) {
+        if (!confirm(`Delete the template "${template.name}"? Assets created from it are kept.`)) {
+            return;
+        }
+        this.setButtonLoading(button, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/templates/${template.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            if (this.editingTemplate?.id === template.id) this.closeTemplateForm();
+            await this.loadTemplates();
+            globalThis.toaster.show(`Deleted template "${template.name}"`);
+        } catch (error) {
+            globalThis.logError('Failed to delete template:', error.message);
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+}
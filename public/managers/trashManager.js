@@ -0,0 +1,175 @@
+/**
+ * Trash Manager
+ * Lists deleted assets and components and lets the user restore or permanently delete them
+ */
+
+import { formatDate } from '../helpers/utils.js';
+
+export class TrashManager {
+    constructor({
+        trashModal,
+        trashBtn,
+        setButtonLoading,
+        refreshData,
+        renderDashboard
+    }) {
+        this.trashModal = trashModal;
+        this.trashBtn = trashBtn;
+        this.trashList = trashModal.querySelector('#trashList');
+        this.retentionText = trashModal.querySelector('#trashRetention');
+        this.emptyTrashBtn = trashModal.querySelector('#emptyTrashBtn');
+        this.setButtonLoading = setButtonLoading;
+        this.refreshData = refreshData;
+        this.renderDashboard = renderDashboard;
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.trashBtn.addEventListener('click', () => this.openTrashModal());
+        this.trashModal.querySelector('.close-btn').addEventListener('click', () => this.closeTrashModal());
+        this.emptyTrashBtn.addEventListener('click', () => this._emptyTrash());
+    }
+
+    async openTrashModal() {
+        this.trashModal.style.display = 'block';
+        await this.loadTrash();
+    }
+
+    closeTrashModal() {
+        this.trashModal.style.display = 'none';
+    }
+
+    async loadTrash() {
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/trash`, { credentials: 'include' });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            const { retentionDays, items } = await response.json();
+            this.retentionText.textContent = retentionDays > 0
+                ? `Deleted items are permanently removed after ${retentionDays} day${retentionDays === 1 ? '' : 's'}.`
+                : 'Deleted items are kept until you remove them.';
+            this._renderItems(items);
+        } catch (error) {
+            globalThis.logError('Failed to load trash:', error.message);
+        }
+    }
+
+    _renderItems(items) {
+        this.trashList.innerHTML = '';
+        this.emptyTrashBtn.disabled = items.length === 0;
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'Trash is empty.';
+            this.trashList.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'trash-item';
+
+            const details = [
+                item.type === 'asset' ? 'Asset' : 'Component',
+                item.componentCount > 0 ? `${item.componentCount} component${item.componentCount === 1 ? '' : 's'}` : null,
+                item.fileCount > 0 ? `${item.fileCount} file${item.fileCount === 1 ? '' : 's'}` : null,
+                `deleted ${formatDate(item.deletedAt)}`,
+                item.purgeAt ? `removed ${formatDate(item.purgeAt)}` : null
+            ].filter(Boolean).join(' · ');
+
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.className = 'trash-item-name';
+            name.textContent = item.name;
+            const meta = document.createElement('div');
+            meta.className = 'trash-item-meta';
+            meta.textContent = details;
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'trash-item-actions';
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'save-btn';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => this._restoreItem(item, restoreBtn));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'cancel-btn';
+            deleteBtn.textContent = 'Delete Forever';
+            deleteBtn.addEventListener('click', () => this._purgeItem(item, deleteBtn));
+            actions.append(restoreBtn, deleteBtn);
+
+            row.append(info, actions);
+            this.trashList.appendChild(row);
+        });
+    }
+
+    async _restoreItem(item, button) {
+        this.setButtonLoading(button, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/trash/${item.id}/restore`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            await this.refreshData();
+            this.renderDashboard();
+            globalThis.toaster.show(`Restored "${item.name}"`);
+            await this.loadTrash();
+        } catch (error) {
+            globalThis.logError('Failed to restore item:', error.message);
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+
+    async _purgeItem(item, button) {
+        if (!confirm(`Permanently delete "${item.name}" and its files? This cannot be undone.`)) {
+            return;
+        }
+        this.setButtonLoading(button, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/trash/${item.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            globalThis.toaster.show(`Permanently deleted "${item.name}"`);
+            await this.loadTrash();
+        } catch (error) {
+            globalThis.logError('Failed to delete item:', error.message);
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+
+    async _emptyTrash() {
+        if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+            return;
+        }
+        this.setButtonLoading(this.emptyTrashBtn, true);
+        try {
+            const response = await fetch(`${globalThis.getApiBaseUrl()}/api/trash`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const responseValidation = await globalThis.validateResponse(response);
+            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+            globalThis.toaster.show('Trash emptied');
+        } catch (error) {
+            globalThis.logError('Failed to empty trash:', error.message);
+        } finally {
+            this.setButtonLoading(this.emptyTrashBtn, false);
+        }
+        // Reload after the loading state is cleared so the button reflects the new contents
+        await this.loadTrash();
+    }
+}
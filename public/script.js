@@ -26,6 +26,9 @@ import {
     updateDashboardFilter as updateListDashboardFilter,
     updateSort,
     renderAssetList,
+    getVisibleAssetIds,
+    filterAssets,
+    subAssetMatchesSearch,
     sortAssets,
     // Import file preview renderer
     setupFilePreview,
@@ -44,6 +47,20 @@ import { ImportManager } from './managers/import.js';
 import { MaintenanceManager } from './managers/maintenanceManager.js';
 import { ModalManager } from './managers/modalManager.js';
 import { DashboardManager } from './managers/dashboardManager.js';
+import { TrashManager } from './managers/trashManager.js';
+import { SavedSearchManager } from './managers/savedSearchManager.js';
+import { BulkActionManager } from './managers/bulkActionManager.js';
+import { ComponentMoveManager } from './managers/componentMoveManager.js';
+import { CloneManager } from './managers/cloneManager.js';
+import { TemplateManager } from './managers/templateManager.js';
+import { CustomFieldManager } from './managers/customFieldManager.js';
+import { CategoryManager } from './managers/categoryManager.js';
+import { LocationManager } from './managers/locationManager.js';
+import { CheckoutManager } from './managers/checkoutManager.js';
+import { getDaysOverdue } from './helpers/checkouts.js';
+import { StockManager } from './managers/stockManager.js';
+import { isLowStock } from './helpers/stock.js';
+import { getBookValue, describeDepreciation } from './helpers/depreciation.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize variables for app state
@@ -58,6 +75,7 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateDashboardFilter(filter) {
         dashboardFilter = filter || 'all';
         updateListDashboardFilter(filter);
+        savedSearchManager?.renderSavedSearches();
     }
 
     // DOM Elements
@@ -86,6 +104,13 @@ document.addEventListener('DOMContentLoaded', () => {
     const sortWarrantyBtn = document.getElementById('sortWarrantyBtn');
     const topSortBtn = document.getElementById('topSortBtn');
     const homeBtn = document.getElementById('homeBtn');
+    const savedSearchList = document.getElementById('savedSearchList');
+    const saveSearchBtn = document.getElementById('saveSearchBtn');
+    const selectModeBtn = document.getElementById('selectModeBtn');
+    const bulkActionBar = document.getElementById('bulkActionBar');
+    const moveModal = document.getElementById('moveModal');
+    const cloneModal = document.getElementById('cloneModal');
+    const checkoutModal = document.getElementById('checkoutModal');
 
     // Import functionality
     const importModal = document.getElementById('importModal');
@@ -94,6 +119,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const startImportBtn = document.getElementById('startImportBtn');
     const columnSelects = document.querySelectorAll('.column-select');
 
+    // Trash UI
+    const trashBtn = document.getElementById('trashBtn');
+    const trashModal = document.getElementById('trashModal');
+
     // Settings UI
     const settingsBtn = document.getElementById('settingsBtn');
     const settingsModal = document.getElementById('settingsModal');
@@ -105,6 +134,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const toggleCardTotalAssets = document.getElementById('toggleCardTotalAssets')
     const toggleCardTotalComponents = document.getElementById('toggleCardTotalComponents')
     const toggleCardTotalValue = document.getElementById('toggleCardTotalValue')
+    const toggleCardCheckedOut = document.getElementById('toggleCardCheckedOut')
+    const toggleCardLowStock = document.getElementById('toggleCardLowStock')
     const toggleCardWarrantiesTotal = document.getElementById('toggleCardWarrantiesTotal')
     const toggleCardWarrantiesWithin60 = document.getElementById('toggleCardWarrantiesWithin60')
     const toggleCardWarrantiesWithin30 = document.getElementById('toggleCardWarrantiesWithin30')
@@ -114,6 +145,16 @@ document.addEventListener('DOMContentLoaded', () => {
     let settingsManager;
     let modalManager;
     let dashboardManager;
+    let savedSearchManager;
+    let bulkActionManager;
+    let componentMoveManager;
+    let cloneManager;
+    let templateManager;
+    let customFieldManager;
+    let categoryManager;
+    let locationManager;
+    let checkoutManager;
+    let stockManager;
     const chartManager = new ChartManager({formatDate});
 
     // Acts as constructor for the app
@@ -127,8 +168,103 @@ document.addEventListener('DOMContentLoaded', () => {
         addWindowEventListenersAndProperties();
         // initialize page title right away
         setupPageTitle();
+        if (savedSearchList && saveSearchBtn) {
+            savedSearchManager = new SavedSearchManager({
+                savedSearchList,
+                saveSearchBtn,
+                searchInput,
+                getDashboardFilter: () => dashboardFilter,
+                applySearch,
+                onChange: () => {
+                    // Refresh saved search cards if the dashboard is showing
+                    if (!selectedAssetId) dashboardManager?.renderDashboard(false);
+                }
+            });
+        }
+
+        const customFieldForm = document.getElementById('customFieldForm');
+        if (customFieldForm) {
+            customFieldManager = new CustomFieldManager({
+                fieldList: document.getElementById('customFieldList'),
+                fieldForm: customFieldForm,
+                newFieldBtn: document.getElementById('newCustomFieldBtn'),
+                setButtonLoading
+            });
+        }
+
+        const categoryForm = document.getElementById('categoryForm');
+        if (categoryForm) {
+            categoryManager = new CategoryManager({
+                categoryList: document.getElementById('categoryList'),
+                categoryForm,
+                newCategoryBtn: document.getElementById('newCategoryBtn'),
+                categoryFilter: document.getElementById('categoryFilter'),
+                searchInput,
+                customFieldManager,
+                setButtonLoading,
+                onChange: async ({ recordsMoved }) => {
+                    // Deleting a category moves its assets and components to the parent category
+                    if (recordsMoved) await refreshAllData();
+                    renderAssetList(searchInput ? searchInput.value : '');
+                    if (!selectedAssetId) dashboardManager?.renderDashboard(false);
+                }
+            });
+        }
+
+        const locationForm = document.getElementById('locationForm');
+        if (locationForm) {
+            locationManager = new LocationManager({
+                locationList: document.getElementById('locationList'),
+                locationForm,
+                newLocationBtn: document.getElementById('newLocationBtn'),
+                locationFilter: document.getElementById('locationFilter'),
+                locationContentsBtn: document.getElementById('locationContentsBtn'),
+                locationModal: document.getElementById('locationModal'),
+                searchInput,
+                getAssets: () => assets,
+                getSubAssets: () => subAssets,
+                openRecord: (record, isSubAsset) => {
+                    // The contents can also be opened from the Locations settings tab
+                    if (settingsModal?.style.display === 'block') settingsManager?.closeSettingsModal();
+                    updateSelectedIds(isSubAsset ? record.parentId : record.id, isSubAsset ? record.id : null);
+                    renderAssetDetails(record.id, isSubAsset);
+                    handleSidebarNav();
+                },
+                setButtonLoading,
+                onChange: async ({ recordsMoved }) => {
+                    // Deleting a location moves its assets and components to the parent location
+                    if (recordsMoved) await refreshAllData();
+                    renderAssetList(searchInput ? searchInput.value : '');
+                }
+            });
+        }
+
+        if (selectModeBtn && bulkActionBar) {
+            bulkActionManager = new BulkActionManager({
+                assetList,
+                selectModeBtn,
+                bulkActionBar,
+                selectionCount: document.getElementById('bulkSelectionCount'),
+                selectAllBtn: document.getElementById('bulkSelectAllBtn'),
+                addTagsBtn: document.getElementById('bulkAddTagsBtn'),
+                removeTagsBtn: document.getElementById('bulkRemoveTagsBtn'),
+                warrantyBtn: document.getElementById('bulkWarrantyBtn'),
+                exportBtn: document.getElementById('bulkExportBtn'),
+                deleteBtn: document.getElementById('bulkDeleteBtn'),
+                doneBtn: document.getElementById('bulkDoneBtn'),
+                getVisibleAssetIds,
+                renderList: () => renderAssetList(searchInput ? searchInput.value : ''),
+                onComplete: refreshAfterBulkAction
+            });
+        }
+
         // Load initial data
-        loadAllData().then(() => {
+        // Categories list their default field values by name, so they load after the custom fields
+        const loadDefinitions = Promise.resolve(customFieldManager?.loadCustomFields()).then(() => categoryManager?.loadCategories());
+        Promise.all([loadAllData(), savedSearchManager?.loadSavedSearches(), loadDefinitions, locationManager?.loadLocations()]).then(() => {
+            // Show the category icons and apply location filters, which may have loaded after the list was first rendered
+            if (categoryManager || locationManager) renderAssetList(searchInput ? searchInput.value : '');
+
             // Initialize dashboard manager first
             dashboardManager = new DashboardManager({
                 // DOM elements
@@ -144,6 +280,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Managers
                 chartManager,
                 settingsManager,
+                categoryManager,
                 
                 // UI functions
                 updateDashboardFilter,
@@ -151,6 +288,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 updateSelectedIds,
                 renderAssetDetails,
                 renderAssetList,
+                filterAssets,
+                subAssetMatchesSearch,
                 handleSidebarNav,
                 setButtonLoading,
                 
@@ -159,7 +298,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 getSubAssets: () => subAssets,
                 getDashboardFilter: () => dashboardFilter,
                 getCurrentSort: () => currentSort,
-                getSelectedAssetId: () => selectedAssetId
+                getSelectedAssetId: () => selectedAssetId,
+                getSavedSearches: () => savedSearchManager?.savedSearches || [],
+                applySavedSearch: (savedSearch) => savedSearchManager.applySavedSearch(savedSearch)
             });
             
             // Expose dashboardManager to global scope for chart access
@@ -189,9 +330,25 @@ document.addEventListener('DOMContentLoaded', () => {
             openSubAssetModal: (subAsset = null, parentId = null, parentSubId = null) => modalManager.openSubAssetModal(subAsset, parentId, parentSubId),
             deleteAsset,
             deleteSubAsset,
+            cloneAsset: (asset) => cloneManager?.openCloneModal(asset),
+            convertRecord: (record, isSubAsset) => isSubAsset
+                ? componentMoveManager?.promoteComponent(record)
+                : componentMoveManager?.openDemotePicker(record),
             createSubAssetElement,
             handleSidebarNav,
             renderSubAssets,
+            getCustomFields: () => customFieldManager?.getCustomFields() || [],
+            getCategoryLabel: (id) => categoryManager?.getLabel(id) || '',
+            getLocationPath: (id) => locationManager?.getPath(id) || '',
+            getEffectiveLocationId: (record, isSubAsset) => locationManager?.getEffectiveLocationId(record, isSubAsset) || '',
+            openLocationContents: (id) => locationManager?.openContents(id),
+            openCheckout: (record, isSubAsset) => checkoutManager?.openCheckoutModal(record, isSubAsset),
+            getDaysOverdue,
+            adjustStock: (record, isSubAsset, change, note) => stockManager?.adjustStock(record, isSubAsset, change, note),
+            isLowStock,
+            getDepreciation: (record) => categoryManager?.getDepreciation(record) || null,
+            getBookValue,
+            describeDepreciation,
             
             // Search functionality
             searchInput,
@@ -215,6 +372,11 @@ document.addEventListener('DOMContentLoaded', () => {
             handleSidebarNav,
             formatDate,
             formatCurrency,
+            findCategoryIds: (text) => categoryManager?.findCategoryIds(text) || null,
+            getCategoryIcon: (id) => categoryManager?.getIcon(id) || '',
+            syncCategoryFilter: (query) => categoryManager?.syncFilter(query),
+            findLocationIds: (text) => locationManager?.findLocationIds(text) || null,
+            syncLocationFilter: (query) => locationManager?.syncFilter(query),
             
             // Global state
             assets,
@@ -225,7 +387,9 @@ document.addEventListener('DOMContentLoaded', () => {
             searchInput,
             
             // DOM elements
-            assetList
+            assetList,
+            searchChips: document.getElementById('searchChips'),
+            bulkSelection: bulkActionManager
         });
         
         const maintenanceManager = new MaintenanceManager();
@@ -238,6 +402,7 @@ document.addEventListener('DOMContentLoaded', () => {
             assetForm,
             subAssetModal,
             subAssetForm,
+            conflictModal: document.getElementById('conflictModal'),
             
             // Utility functions
             formatDate,
@@ -260,16 +425,32 @@ document.addEventListener('DOMContentLoaded', () => {
             saveAsset,
             saveSubAsset,
             
-            // Tag and maintenance managers
+            // Tag, maintenance, custom field and category managers
             assetTagManager,
             subAssetTagManager,
             maintenanceManager,
+            customFieldManager,
+            categoryManager,
+            locationManager,
             
             // Global state
             getAssets: () => assets,
-            getSubAssets: () => subAssets
+            getSubAssets: () => subAssets,
+            getTemplates: () => templateManager?.getTemplates() || []
         });
 
+        const templateForm = document.getElementById('templateForm');
+        if (templateForm) {
+            templateManager = new TemplateManager({
+                templateList: document.getElementById('templateList'),
+                templateForm,
+                newTemplateBtn: document.getElementById('newTemplateBtn'),
+                maintenanceManager,
+                setButtonLoading
+            });
+            templateManager.loadTemplates();
+        }
+
         // Initialize SettingsManager after DashboardManager is ready
         if (settingsBtn && settingsModal && notificationForm && saveSettings && cancelSettings && settingsClose && testNotificationSettings) {
             settingsManager = new SettingsManager({
@@ -282,6 +463,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 testNotificationSettings,
                 setButtonLoading,
                 renderDashboard: (animate = true) => dashboardManager.renderDashboard(animate),
+                refreshData: refreshAllData,
+                getCustomFields: () => customFieldManager?.getCustomFields() || [],
+                getCategoryPath: (id) => categoryManager?.getPath(id) || '',
+                getLocationPath: (id) => locationManager?.getPath(id) || '',
             });
         }
 
@@ -295,9 +480,82 @@ document.addEventListener('DOMContentLoaded', () => {
                 setButtonLoading,
                 loadAssets,
                 renderDashboard: (animate = true) => dashboardManager.renderDashboard(animate),
+                getCustomFields: () => customFieldManager?.getCustomFields() || [],
+            });
+        }
+
+        if (trashModal && trashBtn) {
+            new TrashManager({
+                trashModal,
+                trashBtn,
+                setButtonLoading,
+                refreshData: refreshAllData,
+                renderDashboard: (animate = true) => dashboardManager.renderDashboard(animate),
+            });
+        }
+
+        if (moveModal) {
+            componentMoveManager = new ComponentMoveManager({
+                moveModal,
+                assetList,
+                getAssets: () => assets,
+                getSubAssets: () => subAssets,
+                onMoved: async (movedComponent) => {
+                    // Show the component's new parent
+                    await refreshAllData();
+                    renderAssetList(searchInput ? searchInput.value : '');
+                    const parentSubId = movedComponent.parentSubId || null;
+                    updateSelectedIds(movedComponent.parentId, parentSubId);
+                    await refreshAssetDetails(parentSubId || movedComponent.parentId, !!parentSubId);
+                },
+                onConverted: async (record, isSubAsset) => {
+                    // Show the record where it is now
+                    await refreshAllData();
+                    renderAssetList(searchInput ? searchInput.value : '');
+                    updateSelectedIds(isSubAsset ? record.parentId : record.id, isSubAsset ? record.id : null);
+                    await refreshAssetDetails(record.id, isSubAsset);
+                }
             });
         }
 
+        if (cloneModal) {
+            cloneManager = new CloneManager({
+                cloneModal,
+                setButtonLoading,
+                onCloned: async (clones) => {
+                    // Show the first copy
+                    await refreshAllData();
+                    renderAssetList(searchInput ? searchInput.value : '');
+                    updateSelectedIds(clones[0].id, null);
+                    await refreshAssetDetails(clones[0].id, false);
+                }
+            });
+        }
+
+        if (checkoutModal) {
+            checkoutManager = new CheckoutManager({
+                checkoutModal,
+                getAssets: () => assets,
+                getSubAssets: () => subAssets,
+                setButtonLoading,
+                onSaved: async (record, isSubAsset) => {
+                    await refreshAllData();
+                    renderAssetList(searchInput ? searchInput.value : '');
+                    updateSelectedIds(isSubAsset ? record.parentId : record.id, isSubAsset ? record.id : null);
+                    await refreshAssetDetails(record.id, isSubAsset);
+                }
+            });
+        }
+
+        stockManager = new StockManager({
+            onSaved: async (record, isSubAsset) => {
+                await refreshAllData();
+                renderAssetList(searchInput ? searchInput.value : '');
+                updateSelectedIds(isSubAsset ? record.parentId : record.id, isSubAsset ? record.id : null);
+                await refreshAssetDetails(record.id, isSubAsset);
+            }
+        });
+
         addElementEventListeners();
         setupDragIcons();
         addShortcutEventListeners();
@@ -397,6 +655,15 @@ document.addEventListener('DOMContentLoaded', () => {
         await Promise.all([loadAssets(), loadSubAssets()]);
     }
 
+    // Reload after a bulk action and go back to the dashboard, whose totals it may have changed
+    async function refreshAfterBulkAction() {
+        await refreshAllData();
+        bulkActionManager.pruneSelection(assets);
+        renderAssetList(searchInput ? searchInput.value : '');
+        updateSelectedIds(null, null);
+        dashboardManager?.renderDashboard(false);
+    }
+
     // Also add a dedicated refresh function to reload data without resetting the UI
     async function refreshAllData() {
         try {
@@ -424,21 +691,24 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('Starting saveAsset with data:', {
                 id: assetToSave.id,
                 name: assetToSave.name,
-                photoPath: assetToSave.photoPath,
-                receiptPath: assetToSave.receiptPath,
-                manualPath: assetToSave.manualPath
+                photoPaths: assetToSave.photoPaths,
+                receiptPaths: assetToSave.receiptPaths,
+                manualPaths: assetToSave.manualPaths
             });
             console.log('Edit mode determined as:', isEditMode);
             
             
             console.log('After handling deletions, asset state:', {
-                photoPath: assetToSave.photoPath,
-                receiptPath: assetToSave.receiptPath,
-                manualPath: assetToSave.manualPath
+                photoPaths: assetToSave.photoPaths,
+                receiptPaths: assetToSave.receiptPaths,
+                manualPaths: assetToSave.manualPaths
             });
             
-            // Make the API call to save the asset
-            const url = isEditMode ? `${apiBaseUrl}/api/assets/${assetToSave.id}` : `${apiBaseUrl}/api/asset`;
+            // Make the API call to save the asset. A new asset made from a template also gets the template's components.
+            const templateId = !isEditMode ? modalManager?.currentTemplate?.id : null;
+            const url = isEditMode
+                ? `${apiBaseUrl}/api/assets/${assetToSave.id}`
+                : `${apiBaseUrl}/api/asset${templateId ? `?template=${encodeURIComponent(templateId)}` : ''}`;
             const response = await fetch(url, {
                 method: isEditMode ? 'PUT' : 'POST',
                 headers: {
@@ -448,17 +718,28 @@ document.addEventListener('DOMContentLoaded', () => {
                 credentials: 'include'
             });
             
+            // Someone else saved this asset after the form was opened
+            if (response.status === 409) {
+                await handleSaveConflict('asset', assetToSave, response);
+                return;
+            }
+            
             const responseValidation = await globalThis.validateResponse(response);
-            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            if (responseValidation.errorMessage) {
+                // Highlight the fields the server rejected
+                const fieldErrors = responseValidation.errorData?.errors;
+                if (fieldErrors) modalManager.showFieldErrors('asset', fieldErrors);
+                throw new Error(responseValidation.errorMessage);
+            }
             
             // Get the saved asset from the response
             const savedAsset = await response.json();
             console.log('Asset saved successfully. Response data:', {
                 id: savedAsset.id,
                 name: savedAsset.name,
-                photoPath: savedAsset.photoPath,
-                receiptPath: savedAsset.receiptPath,
-                manualPath: savedAsset.manualPath
+                photoPaths: savedAsset.photoPaths,
+                receiptPaths: savedAsset.receiptPaths,
+                manualPaths: savedAsset.manualPaths
             });
             
             // Reload all data to ensure everything is updated
@@ -481,9 +762,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 const refreshedAsset = assets.find(a => a.id === savedAsset.id);
                 if (refreshedAsset) {
                     console.log('Refreshing asset display with data:', {
-                        photoPath: refreshedAsset.photoPath,
-                        receiptPath: refreshedAsset.receiptPath,
-                        manualPath: refreshedAsset.manualPath
+                        photoPaths: refreshedAsset.photoPaths,
+                        receiptPaths: refreshedAsset.receiptPaths,
+                        manualPaths: refreshedAsset.manualPaths
                     });
                 }
                 
@@ -538,8 +819,19 @@ document.addEventListener('DOMContentLoaded', () => {
                 credentials: 'include'
             });
             
+            // Someone else saved this component after the form was opened
+            if (response.status === 409) {
+                await handleSaveConflict('subAsset', subAsset, response);
+                return;
+            }
+            
             const responseValidation = await globalThis.validateResponse(response);
-            if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+            if (responseValidation.errorMessage) {
+                // Highlight the fields the server rejected
+                const fieldErrors = responseValidation.errorData?.errors;
+                if (fieldErrors) modalManager.showFieldErrors('subAsset', fieldErrors);
+                throw new Error(responseValidation.errorMessage);
+            }
             
             // Get the updated sub-asset from the response
             const savedSubAsset = await response.json();
@@ -573,8 +865,24 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Let the user resolve a save that was rejected because the record changed on the server
+    async function handleSaveConflict(type, localData, response) {
+        const { current } = await response.json();
+        const resolution = await modalManager.showConflictDialog(type, localData, current);
+        const save = type === 'subAsset' ? saveSubAsset : saveAsset;
+
+        if (resolution === 'overwrite') {
+            // Save again on top of the latest saved revision
+            await save({ ...localData, revision: current.revision ?? 0 });
+        } else if (resolution === 'reload') {
+            await refreshAllData();
+            if (type === 'subAsset') modalManager.openSubAssetModal(current);
+            else modalManager.openAssetModal(current);
+        }
+    }
+
     async function deleteAsset(assetId) {
-        if (!confirm('Are you sure you want to delete this asset? This will also delete all its components.')) {
+        if (!confirm('Move this asset and all its components to the trash?')) {
             return;
         }
         
@@ -591,14 +899,14 @@ document.addEventListener('DOMContentLoaded', () => {
             updateSelectedIds(null, null);
             await refreshAllData();
             dashboardManager.renderDashboard();
-            globalThis.toaster.show("Asset deleted successfully!");
+            globalThis.toaster.show("Asset moved to trash");
         } catch (error) {
             globalThis.logError('Error deleting asset:', error.message);
         }
     }
 
     async function deleteSubAsset(subAssetId) {
-        if (!confirm('Are you sure you want to delete this component? This will also delete any sub-components.')) {
+        if (!confirm('Move this component and any sub-components to the trash?')) {
             return;
         }
         
@@ -636,7 +944,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 await refreshAssetDetails(parentAssetId, false);
             }
             
-            globalThis.toaster.show("Component deleted successfully!");
+            globalThis.toaster.show("Component moved to trash");
         } catch (error) {
             globalThis.logError('Error deleting component:', error.message);
         }
@@ -760,6 +1068,9 @@ document.addEventListener('DOMContentLoaded', () => {
     function createSubAssetElement(subAsset) {
         const element = document.createElement('div');
         element.className = 'sub-asset-item';
+        element.dataset.id = subAsset.id;
+        // Drag onto an asset in the sidebar or onto another component to move it there
+        element.draggable = true;
         if (subAsset.id === selectedSubAssetId) {
             element.classList.add('active');
         }
@@ -794,6 +1105,9 @@ document.addEventListener('DOMContentLoaded', () => {
             ${warrantyDot}
             <div class="sub-asset-title">${subAsset.name}</div>
             <div class="sub-asset-actions">
+                <button class="move-sub-btn" data-id="${subAsset.id}" title="Move to…">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+                </button>
                 <button class="edit-sub-btn" data-id="${subAsset.id}" title="Edit">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19.5 3 21l1.5-4L16.5 3.5z"/></svg>
                 </button>
@@ -804,6 +1118,12 @@ document.addEventListener('DOMContentLoaded', () => {
         `;
         
         // Set up button event listeners
+        const moveBtn = details.querySelector('.move-sub-btn');
+        moveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            componentMoveManager?.openMovePicker(subAsset);
+        });
+
         const editBtn = details.querySelector('.edit-sub-btn');
         editBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -870,24 +1190,27 @@ document.addEventListener('DOMContentLoaded', () => {
         filePreviewsContainer.className = 'sub-asset-files';
         
         // Add file previews if available
-        if (subAsset.photoPath || subAsset.receiptPath || subAsset.manualPath) {
+        const [photoPath] = subAsset.photoPaths || [];
+        const [receiptPath] = subAsset.receiptPaths || [];
+        const [manualPath] = subAsset.manualPaths || [];
+        if (photoPath || receiptPath || manualPath) {
             const files = document.createElement('div');
             files.className = 'compact-files-grid';
             
-            if (subAsset.photoPath) {
+            if (photoPath) {
                 files.innerHTML += `
                     <div class="compact-file-item photo">
-                        <a href="${formatFilePath(subAsset.photoPath)}" target="_blank">
-                            <img src="${formatFilePath(subAsset.photoPath)}" alt="${subAsset.name}" class="compact-asset-image">
+                        <a href="${formatFilePath(photoPath)}" target="_blank">
+                            <img src="${formatFilePath(photoPath)}" alt="${subAsset.name}" class="compact-asset-image">
                         </a>
                     </div>
                 `;
             }
             
-            if (subAsset.receiptPath) {
+            if (receiptPath) {
                 files.innerHTML += `
                     <div class="compact-file-item receipt">
-                        <a href="${formatFilePath(subAsset.receiptPath)}" target="_blank">
+                        <a href="${formatFilePath(receiptPath)}" target="_blank">
                             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
                                 <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
                                 <path d="M5 21v-16a2 2 0 0 1 2 -2h10a2 2 0 0 1 2 2v16l-3 -2l-2 2l-2 -2l-2 2l-2 -2l-3 2"/>
@@ -900,10 +1223,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 `;
             }
             
-            if (subAsset.manualPath) {
+            if (manualPath) {
                 files.innerHTML += `
                     <div class="compact-file-item manual">
-                        <a href="${formatFilePath(subAsset.manualPath)}" target="_blank">
+                        <a href="${formatFilePath(manualPath)}" target="_blank">
                             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
                                 <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                                 <path d="M14 2v6h6"/>
@@ -932,6 +1255,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 children.forEach(child => {
                     const childElement = document.createElement('div');
                     childElement.className = 'sub-asset-item child';
+                    childElement.dataset.id = child.id;
+                    childElement.draggable = true;
                     
                     // Check warranty expiration for child
                     let childWarrantyDot = '';
@@ -963,6 +1288,9 @@ document.addEventListener('DOMContentLoaded', () => {
                         ${childWarrantyDot}
                         <div class="sub-asset-title">${child.name}</div>
                         <div class="sub-asset-actions">
+                            <button class="move-sub-btn" data-id="${child.id}" title="Move to…">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+                            </button>
                             <button class="edit-sub-btn" data-id="${child.id}" title="Edit">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19.5 3 21l1.5-4L16.5 3.5z"/></svg>
                             </button>
@@ -1021,24 +1349,27 @@ document.addEventListener('DOMContentLoaded', () => {
                     const childFilePreviewsContainer = document.createElement('div');
                     childFilePreviewsContainer.className = 'sub-asset-files';
                     
-                    if (child.photoPath || child.receiptPath || child.manualPath) {
+                    const [photoPath] = child.photoPaths || [];
+                    const [receiptPath] = child.receiptPaths || [];
+                    const [manualPath] = child.manualPaths || [];
+                    if (photoPath || receiptPath || manualPath) {
                         const childFiles = document.createElement('div');
                         childFiles.className = 'compact-files-grid';
                         
-                        if (child.photoPath) {
+                        if (photoPath) {
                             childFiles.innerHTML += `
                                 <div class="compact-file-item photo">
-                                    <a href="${formatFilePath(child.photoPath)}" target="_blank">
-                                        <img src="${formatFilePath(child.photoPath)}" alt="${child.name}" class="compact-asset-image">
+                                    <a href="${formatFilePath(photoPath)}" target="_blank">
+                                        <img src="${formatFilePath(photoPath)}" alt="${child.name}" class="compact-asset-image">
                                     </a>
                                 </div>
                             `;
                         }
                         
-                        if (child.receiptPath) {
+                        if (receiptPath) {
                             childFiles.innerHTML += `
                                 <div class="compact-file-item receipt">
-                                    <a href="${formatFilePath(child.receiptPath)}" target="_blank">
+                                    <a href="${formatFilePath(receiptPath)}" target="_blank">
                                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
                                             <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
                                             <path d="M5 21v-16a2 2 0 0 1 2 -2h10a2 2 0 0 1 2 2v16l-3 -2l-2 2l-2 -2l-2 2l-2 -2l-3 2"/>
@@ -1051,10 +1382,10 @@ document.addEventListener('DOMContentLoaded', () => {
                             `;
                         }
                         
-                        if (child.manualPath) {
+                        if (manualPath) {
                             childFiles.innerHTML += `
                                 <div class="compact-file-item manual">
-                                    <a href="${formatFilePath(child.manualPath)}" target="_blank">
+                                    <a href="${formatFilePath(manualPath)}" target="_blank">
                                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
                                             <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                                             <path d="M14 2v6h6"/>
@@ -1072,6 +1403,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     childElement.appendChild(childFilePreviewsContainer);
                     
                     // Add event listeners to child
+                    const childMoveBtn = childElement.querySelector('.move-sub-btn');
+                    childMoveBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        componentMoveManager?.openMovePicker(child);
+                    });
+
                     const childEditBtn = childElement.querySelector('.edit-sub-btn');
                     childEditBtn.addEventListener('click', (e) => {
                         e.stopPropagation();
@@ -1142,33 +1479,12 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log(`Found ${isSubAsset ? 'sub-asset' : 'asset'} data:`, {
             id: item.id,
             name: item.name,
-            photoPath: item.photoPath,
-            receiptPath: item.receiptPath,
-            manualPath: item.manualPath,
+            photoPaths: item.photoPaths,
+            receiptPaths: item.receiptPaths,
+            manualPaths: item.manualPaths,
             updatedAt: item.updatedAt
         });
         
-        // Ensure that any image paths are properly formatted
-        if (item.photoPath) {
-            console.log(`Original photo path: ${item.photoPath}`);
-            const formattedPhotoPath = formatFilePath(item.photoPath);
-            console.log(`Formatted photo path: ${formattedPhotoPath}`);
-        } else {
-            console.log(`No photo path found for asset ${item.id}`);
-        }
-        
-        if (item.receiptPath) {
-            console.log(`Original receipt path: ${item.receiptPath}`);
-            const formattedReceiptPath = formatFilePath(item.receiptPath);
-            console.log(`Formatted receipt path: ${formattedReceiptPath}`);
-        }
-        
-        if (item.manualPath) {
-            console.log(`Original manual path: ${item.manualPath}`);
-            const formattedManualPath = formatFilePath(item.manualPath);
-            console.log(`Formatted manual path: ${formattedManualPath}`);
-        }
-        
         // Add secondary warranty info if it exists
         let detailsHtml = '';
         if (item.secondaryWarranty) {
@@ -1319,6 +1635,8 @@ document.addEventListener('DOMContentLoaded', () => {
         toggleCardTotalAssets.checked = vis.assets !== false;
         toggleCardTotalComponents.checked = vis.components !== false;
         toggleCardTotalValue.checked = vis.value !== false;
+        toggleCardCheckedOut.checked = vis.checkedOut !== false;
+        toggleCardLowStock.checked = vis.lowStock !== false;
         toggleCardWarrantiesTotal.checked = vis.warranties !== false;
         toggleCardWarrantiesWithin60.checked = vis.within60 !== false;
         toggleCardWarrantiesWithin30.checked = vis.within30 !== false;
@@ -1331,6 +1649,18 @@ document.addEventListener('DOMContentLoaded', () => {
         const urlParams = new URLSearchParams(window.location.search);
         const assetId = urlParams.get('ass');
         const subAssetId = urlParams.get('sub');
+        const savedSearchId = urlParams.get('search');
+
+        // A saved search link filters the list and then shows the dashboard (or the linked asset)
+        if (savedSearchId) {
+            if (!savedSearchManager?.applySavedSearchById(savedSearchId)) {
+                console.error('Saved search not found for ID:', savedSearchId);
+                globalThis.toaster?.show('Saved search not found', 'error');
+            }
+            if (!assetId && window.history && window.history.replaceState) {
+                window.history.replaceState({}, document.title, window.location.pathname);
+            }
+        }
         
         console.log('handleUrlParameters called - URL:', window.location.href);
         console.log('Parsed parameters - assetId:', assetId, 'subAssetId:', subAssetId);
@@ -1338,24 +1668,17 @@ document.addEventListener('DOMContentLoaded', () => {
         if (assetId) {
             console.log('URL parameter detected - navigating to asset:', assetId, subAssetId ? `sub-asset: ${subAssetId}` : '');
             
-            // Check if the asset exists
-            const targetAsset = assets.find(a => a.id === assetId);
-            const targetSubAsset = subAssetId ? subAssets.find(sa => sa.id === subAssetId) : null;
-            
-            console.log('Found asset:', targetAsset ? targetAsset.name : 'NOT FOUND');
-            if (subAssetId) {
-                console.log('Found sub-asset:', targetSubAsset ? targetSubAsset.name : 'NOT FOUND');
-            }
+            // Records keep their ID when they are moved, promoted to an asset or demoted to a
+            // component, so the link is resolved by its most specific ID wherever that record is now
+            const linkedId = subAssetId || assetId;
+            const targetSubAsset = subAssets.find(sa => sa.id === linkedId);
+            const targetAsset = targetSubAsset ? null : assets.find(a => a.id === linkedId);
             
-            if (!targetAsset) {
-                console.error('Asset not found for ID:', assetId);
-                globalThis.toaster?.show('Asset not found', 'error');
-                return false;
-            }
+            console.log('Found record:', (targetSubAsset || targetAsset)?.name || 'NOT FOUND');
             
-            if (subAssetId && !targetSubAsset) {
-                console.error('Sub-asset not found for ID:', subAssetId);
-                globalThis.toaster?.show('Component not found', 'error');
+            if (!targetAsset && !targetSubAsset) {
+                console.error(`${subAssetId ? 'Sub-asset' : 'Asset'} not found for ID:`, linkedId);
+                globalThis.toaster?.show(subAssetId ? 'Component not found' : 'Asset not found', 'error');
                 return false;
             }
             
@@ -1366,16 +1689,16 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             // Navigate to the asset/sub-asset
-            if (subAssetId) {
+            if (targetSubAsset) {
                 // Navigate to sub-asset
-                console.log('Navigating to sub-asset:', subAssetId);
-                updateSelectedIds(assetId, subAssetId);
-                renderAssetDetails(subAssetId, true);
+                console.log('Navigating to sub-asset:', targetSubAsset.id);
+                updateSelectedIds(targetSubAsset.parentId, targetSubAsset.id);
+                renderAssetDetails(targetSubAsset.id, true);
             } else {
                 // Navigate to main asset
-                console.log('Navigating to main asset:', assetId);
-                updateSelectedIds(assetId, null);
-                renderAssetDetails(assetId, false);
+                console.log('Navigating to main asset:', targetAsset.id);
+                updateSelectedIds(targetAsset.id, null);
+                renderAssetDetails(targetAsset.id, false);
             }
             
             // Close sidebar on mobile after navigation
@@ -1388,6 +1711,21 @@ document.addEventListener('DOMContentLoaded', () => {
         return false; // No URL parameters to handle
     }
     
+    /**
+     * Show the results of a search text and dashboard filter, e.g. from a saved search
+     * @param {string} query - Search box text
+     * @param {string|null} filter - Dashboard card filter
+     */
+    function applySearch(query, filter) {
+        updateDashboardFilter(filter);
+        searchInput.value = query;
+        // Let the search box's own handler re-render the list, the chips and the events table
+        searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+        if (!selectedAssetId && dashboardManager) {
+            dashboardManager.renderDashboard(false);
+        }
+    }
+
     function goHome() {
         // Clear selected asset
         updateSelectedIds(null, null);
@@ -1470,6 +1808,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (clearSearchBtn) {
                     clearSearchBtn.style.display = e.target.value ? 'flex' : 'none';
                 }
+                savedSearchManager?.renderSavedSearches();
             });
         }
         if (clearSearchBtn && searchInput) {
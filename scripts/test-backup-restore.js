@@ -0,0 +1,153 @@
+/**
+ * Test script for backup and restore
+ * Writes records as they are stored into a backup archive and reads it back the way a restore does,
+ * checking that nothing the server keeps on a record is lost. No data is changed.
+ * Run with: node scripts/test-backup-restore.js
+ */
+
+const AdmZip = require('adm-zip');
+const { readBackupArchive, BACKUP_FORMAT_VERSION } = require('../src/services/backup');
+const { CURRENT_SCHEMA_VERSION } = require('../src/services/storage');
+
+console.log('🧪 TESTING BACKUP AND RESTORE');
+console.log('');
+
+/**
+ * Build a backup archive in memory, laid out like the ones createBackupArchive writes
+ */
+function buildArchive({ assets = [], subAssets = [] }) {
+    const zip = new AdmZip();
+    const entries = {
+        'manifest.json': {
+            app: 'DumbAssets',
+            formatVersion: BACKUP_FORMAT_VERSION,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            createdAt: new Date().toISOString(),
+            includesConfig: false,
+            files: []
+        },
+        'Assets.json': assets,
+        'SubAssets.json': subAssets,
+        'maintenanceTracking.json': [],
+        'Trash.json': [],
+        'AuditLog.json': []
+    };
+    Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.from(JSON.stringify(content))));
+    return zip.toBuffer();
+}
+
+/**
+ * Back up and read back records, and compare one field of every record with the original
+ */
+function checkRoundTrip(description, records, field) {
+    const { backup, error } = readBackupArchive(buildArchive(records));
+    if (error) {
+        console.log(`  ❌ ${description} - The backup was rejected: ${error}`);
+        return false;
+    }
+    const originals = [...(records.assets || []), ...(records.subAssets || [])];
+    const restored = [...backup.assets, ...backup.subAssets];
+    const lost = originals.find((record, index) => JSON.stringify(record[field]) !== JSON.stringify(restored[index][field]));
+    if (lost) {
+        console.log(`  ❌ ${description} - ${field} of "${lost.name}" was not restored`);
+        return false;
+    }
+    console.log(`  ✅ ${description}`);
+    return true;
+}
+
+/**
+ * Test that loans survive a backup and restore
+ */
+function testCheckouts() {
+    console.log('📤 Testing Checkouts...');
+
+    const asset = {
+        id: '1000000001',
+        name: 'Projector',
+        checkouts: [
+            { id: 'c1', borrower: 'Sam', checkedOutAt: '2026-01-05', dueDate: '2026-01-12', conditionOut: 'Good', checkedInAt: '2026-01-10', conditionIn: 'Good' },
+            { id: 'c2', borrower: 'Alex', checkedOutAt: '2026-03-01', dueDate: '2026-03-08', conditionOut: '' }
+        ]
+    };
+    const subAsset = {
+        id: '2000000001',
+        name: 'Remote',
+        parentId: asset.id,
+        checkouts: [{ id: 'c3', borrower: 'Alex', checkedOutAt: '2026-03-01', dueDate: null, conditionOut: '' }]
+    };
+
+    const results = [
+        checkRoundTrip('Open and returned loans of an asset and a component are restored', { assets: [asset], subAssets: [subAsset] }, 'checkouts')
+    ];
+    const passed = results.filter(Boolean).length;
+    console.log(`📊 Checkout Results: ${passed} passed, ${results.length - passed} failed\n`);
+    return passed === results.length;
+}
+
+/**
+ * Test that consumables keep their stock and stock log through a backup and restore
+ */
+function testConsumables() {
+    console.log('📦 Testing Consumables...');
+
+    const toner = {
+        id: '1000000002',
+        name: 'Printer toner',
+        consumable: true,
+        quantity: 0,
+        reorderThreshold: 2,
+        stockMovements: [
+            { id: 's1', date: '2026-02-01T09:00:00.000Z', change: 3, quantity: 3, note: 'Restocked' },
+            { id: 's2', date: '2026-04-12T15:30:00.000Z', change: -3, quantity: 0, note: '' }
+        ]
+    };
+    const filter = {
+        id: '2000000002',
+        name: 'HVAC filter',
+        parentId: toner.id,
+        consumable: true,
+        quantity: 4,
+        reorderThreshold: null,
+        stockMovements: [{ id: 's3', date: '2026-03-03T08:00:00.000Z', change: 4, quantity: 4, note: 'Box of 4' }]
+    };
+    const records = { assets: [toner], subAssets: [filter] };
+
+    const results = [
+        checkRoundTrip('Stock logs of an asset and a component are restored', records, 'stockMovements'),
+        checkRoundTrip('A consumable that ran out keeps a quantity of 0', records, 'quantity'),
+        checkRoundTrip('Reorder thresholds are restored', records, 'reorderThreshold')
+    ];
+    const passed = results.filter(Boolean).length;
+    console.log(`📊 Consumable Results: ${passed} passed, ${results.length - passed} failed\n`);
+    return passed === results.length;
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+    console.log('🚀 STARTING BACKUP AND RESTORE TESTS\n');
+
+    const results = [
+        testCheckouts(),
+        testConsumables()
+    ];
+
+    const allPassed = results.every(result => result === true);
+
+    console.log('📋 FINAL RESULTS:');
+    if (allPassed) {
+        console.log('🎉 ALL TESTS PASSED!');
+    } else {
+        console.log('⚠️  SOME TESTS FAILED! Please review the issues above before deploying.');
+        process.exitCode = 1;
+    }
+
+    return allPassed;
+}
+
+// Run the tests if this script is executed directly
+if (require.main === module) {
+    runAllTests();
+}
@@ -19,6 +19,26 @@ const { v4: uuidv4 } = require('uuid');
 const XLSX = require('xlsx');
 const { sendNotification } = require('./src/services/notifications/appriseNotifier');
 const { startWarrantyCron } = require('./src/services/notifications/warrantyCron');
+const { getStorage, COLLECTIONS, updateJsonFile } = require('./src/services/storage');
+const { validate, describeErrors, ASSET_SCHEMA, SUB_ASSET_SCHEMA, SETTINGS_SCHEMA, SAVED_SEARCH_SCHEMA, MOVE_SCHEMA } = require('./src/services/validation');
+const { getRetentionDays, moveToTrash, listTrash, restoreFromTrash, purgeTrash, startTrashPurgeCron } = require('./src/services/trash');
+const { recordChanges, getHistory, startAuditPurgeCron } = require('./src/services/audit');
+const { createBackupArchive, restoreBackup } = require('./src/services/backup');
+const { parseListQuery, queryRecords } = require('./src/services/query');
+const { applyPatch, PatchError, MERGE_PATCH_TYPE, JSON_PATCH_TYPE } = require('./src/services/patch');
+const { initSearchIndex, reindexTreePaths, search } = require('./src/services/search');
+const { parseBulkRequest, applyBulkEdit, describeBulkEdit, buildExportWorkbook } = require('./src/services/bulk');
+const { toAsset, toSubAsset } = require('./src/services/convert');
+const { getFilesInUse } = require('./src/services/files');
+const { parseCloneRequest, cloneAssetTree } = require('./src/services/clone');
+const { validateTemplate, createTemplateComponents } = require('./src/services/templates');
+const { validateCustomField, withCustomFields, parseImportValue } = require('./src/services/customFields');
+const { getDescendantIds, findNode, removeNode } = require('./src/services/tree');
+const { validateCategory } = require('./src/services/categories');
+const { validateLocation } = require('./src/services/locations');
+const { checkOut, checkIn } = require('./src/services/checkouts');
+const { adjustStock, fellBelowThreshold, getLowStockChanges } = require('./src/services/stock');
+const { DEFAULT_BACKUP_SETTINGS, listBackups, getBackupPath, getBackupStatus, runBackup, scheduleBackups } = require('./src/services/backup/scheduler');
 const { generatePWAManifest } = require("./scripts/pwa-manifest-generator");
 const { originValidationMiddleware, getCorsOptions } = require('./middleware/cors');
 const { demoModeMiddleware } = require('./middleware/demo');
@@ -45,7 +65,10 @@ const DEFAULT_SETTINGS = {
         notify2Week: false,
         notify7Day: true,
         notify3Day: false,
-        notifyMaintenance: false
+        notifyMaintenance: false,
+        notifyOverdue: true,
+        notifyLowStock: true,
+        notifyBackupFailure: true
     },
     interfaceSettings: {
         dashboardOrder: ["analytics", "totals", "warranties", "events"],
@@ -54,6 +77,8 @@ const DEFAULT_SETTINGS = {
             assets: true,
             components: true,
             value: true,
+            checkedOut: true,
+            lowStock: true,
             warranties: true,
             within60: true,
             within30: true,
@@ -61,6 +86,12 @@ const DEFAULT_SETTINGS = {
             active: true
         }
     },
+    backupSettings: { ...DEFAULT_BACKUP_SETTINGS },
+    savedSearches: [],
+    templates: [],
+    customFields: [],
+    categories: [],
+    locations: [],
 };
 
 // Currency configuration from environment variables
@@ -147,7 +178,7 @@ app.use(helmet({
   originAgentCluster: false,
   xssFilter: false,
 }));
-app.use(express.json());
+app.use(express.json({ type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE] }));
 app.set('trust proxy', 1);
 app.use(cors(getCorsOptions(BASE_URL)));
 app.use(cookieParser());
@@ -453,10 +484,6 @@ app.use('/api', (req, res, next) => {
 });
 
 // --- ASSET MANAGEMENT (existing code preserved) ---
-// File paths
-const assetsFilePath = path.join(DATA_DIR, 'Assets.json');
-const subAssetsFilePath = path.join(DATA_DIR, 'SubAssets.json');
-
 // Helper Functions
 function ensureDirectoryExists(directory) {
     if (!fs.existsSync(directory)) {
@@ -464,34 +491,110 @@ function ensureDirectoryExists(directory) {
     }
 }
 
-function readJsonFile(filePath) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            return [];
-        }
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filePath}:`, error);
-        return [];
+function generateId() {
+    // Generate a 10-digit ID
+    return Math.floor(1000000000 + Math.random() * 9000000000).toString();
+}
+
+/**
+ * Gets the revision number of an asset or sub-asset.
+ * Records saved before revisions were introduced are treated as revision 0.
+ * @param {Object} record - The stored asset or sub-asset
+ * @returns {number} The current revision
+ */
+function getRevision(record) {
+    return Number.isInteger(record.revision) ? record.revision : 0;
+}
+
+/**
+ * Gets the revision a client based its update on, taken from the If-Match header
+ * (e.g. `"3"` or `W/"3"`) or from the `revision` field of the request body.
+ * @param {Object} req - Express request
+ * @returns {number|null} The expected revision, or null if the client did not send one
+ */
+function getExpectedRevision(req) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch) {
+        const match = ifMatch.match(/^(?:W\/)?"?(\d+)"?$/);
+        return match ? parseInt(match[1], 10) : null;
     }
+    const revision = req.body && req.body.revision;
+    if (revision === undefined || revision === null || revision === '') return null;
+    const parsed = parseInt(revision, 10);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Sets the ETag header for a saved asset or sub-asset from its revision.
+ * @param {Object} res - Express response
+ * @param {Object} record - The saved record
+ */
+function setRevisionHeader(res, record) {
+    res.set('ETag', `"${getRevision(record)}"`);
 }
 
-function writeJsonFile(filePath, data) {
+/**
+ * Apply a PATCH request to a record and validate the result
+ * @param {Object} record - Record as currently stored
+ * @param {Object} req - Express request with a JSON Merge Patch or JSON Patch body
+ * @param {Object} schema - Schema the patched record must satisfy
+ * @returns {{ value: Object, errors: Array, error?: string, status?: number }} The patched record and
+ *   validation errors, or error/status if the patch itself can't be applied
+ */
+function patchRecord(record, req, schema) {
+    let patched;
     try {
-        const dirPath = path.dirname(filePath);
-        ensureDirectoryExists(dirPath);
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-        return true;
+        patched = applyPatch(record, req.body, req.get('Content-Type'));
     } catch (error) {
-        console.error(`Error writing to ${filePath}:`, error);
-        return false;
+        if (!(error instanceof PatchError)) throw error;
+        return { value: null, errors: [], error: `Invalid patch: ${error.message}`, status: error.status };
+    }
+    if (patched.id !== record.id) {
+        return { value: null, errors: [], error: 'Invalid patch: id cannot be changed', status: 400 };
     }
+
+    const { value, errors } = validate(schema, patched);
+    // Keep stored fields the schema doesn't describe, as PUT does, unless the patch removed them
+    const unknownFields = Object.fromEntries(Object.entries(record).filter(([key]) => !(key in schema) && key in patched));
+    return { value: { ...unknownFields, ...value }, errors };
 }
 
-function generateId() {
-    // Generate a 10-digit ID
-    return Math.floor(1000000000 + Math.random() * 9000000000).toString();
+/**
+ * An asset or component schema that also checks the custom fields, categories and locations defined in Settings
+ * @param {Object} schema - ASSET_SCHEMA or SUB_ASSET_SCHEMA
+ * @returns {Object} The schema with the current custom field definitions, category IDs and location IDs
+ */
+function getRecordSchema(schema) {
+    const { customFields, categories, locations } = getAppSettings();
+    return {
+        ...withCustomFields(schema, customFields),
+        categoryId: { ...schema.categoryId, enum: categories.map(category => category.id), enumMessage: 'must be an existing category' },
+        locationId: { ...schema.locationId, enum: locations.map(location => location.id), enumMessage: 'must be an existing location' }
+    };
+}
+
+/**
+ * Respond with a 400 listing every invalid field
+ * @param {Object} res - Express response
+ * @param {string} label - What was being saved, e.g. "asset"
+ * @param {Array<{ field: string, message: string }>} errors - Errors returned by validate()
+ */
+function sendValidationError(res, label, errors) {
+    res.status(400).json({ error: `Invalid ${label}: ${describeErrors(errors)}`, errors });
+}
+
+/**
+ * Audit log changes for every record in a trash entry
+ * @param {Object} entry - Trash entry returned by moveToTrash / restoreFromTrash
+ * @param {'delete'|'restore'} action - What happened to the records
+ * @param {Object} req - Express request
+ * @returns {Object[]} Changes for recordChanges()
+ */
+function getTrashEntryChanges(entry, action, req) {
+    return [
+        ...(entry.asset ? [{ action, type: 'asset', before: entry.asset, req }] : []),
+        ...entry.subAssets.map(subAsset => ({ action, type: 'subAsset', before: subAsset, req }))
+    ];
 }
 
 function deleteAssetFileAsync(filePath) {
@@ -572,30 +675,26 @@ async function deleteAssetFiles(input) {
             if (asset.photoPaths && Array.isArray(asset.photoPaths)) {
                 asset.photoPaths.forEach(p => console.log('[DEBUG] Will delete photo:', p));
                 pathsToDelete.push(...asset.photoPaths);
-            } else if (asset.photoPath) {
-                console.log('[DEBUG] Will delete photo:', asset.photoPath);
-                pathsToDelete.push(asset.photoPath);
             }
             // Receipts
             if (asset.receiptPaths && Array.isArray(asset.receiptPaths)) {
                 asset.receiptPaths.forEach(p => console.log('[DEBUG] Will delete receipt:', p));
                 pathsToDelete.push(...asset.receiptPaths);
-            } else if (asset.receiptPath) {
-                console.log('[DEBUG] Will delete receipt:', asset.receiptPath);
-                pathsToDelete.push(asset.receiptPath);
             }
             // Manuals
             if (asset.manualPaths && Array.isArray(asset.manualPaths)) {
                 asset.manualPaths.forEach(p => console.log('[DEBUG] Will delete manual:', p));
                 pathsToDelete.push(...asset.manualPaths);
-            } else if (asset.manualPath) {
-                console.log('[DEBUG] Will delete manual:', asset.manualPath);
-                pathsToDelete.push(asset.manualPath);
             }
         }
     }
-    // Delete all collected file paths
+    // Delete all collected file paths, except those another record (such as a clone) still uses
+    const filesInUse = getFilesInUse();
     for (const filePath of pathsToDelete) {
+        if (filesInUse.has(filePath)) {
+            console.log('[DEBUG] Keeping file still used by another record:', filePath);
+            continue;
+        }
         if (filePath) {
             try {
                 await deleteAssetFileAsync(filePath);
@@ -612,72 +711,115 @@ ensureDirectoryExists(path.join(DATA_DIR, 'Images'));
 ensureDirectoryExists(path.join(DATA_DIR, 'Receipts'));
 ensureDirectoryExists(path.join(DATA_DIR, 'Manuals'));
 
-// Initialize empty files if they don't exist
-if (!fs.existsSync(assetsFilePath)) {
-    writeJsonFile(assetsFilePath, []);
-}
+// Initialize the storage driver (creates empty data files / tables if they don't exist)
+const storage = getStorage();
 
-if (!fs.existsSync(subAssetsFilePath)) {
-    writeJsonFile(subAssetsFilePath, []);
-}
+// Load the search index and keep it up to date with every write
+initSearchIndex();
 
 // API Routes
-// Get all assets
+/**
+ * Send a filtered, sorted and paged list. The number of matching records before paging
+ * is returned in the X-Total-Count header, and with limit or offset the body is
+ * { items, total } so the total is in the response itself.
+ */
+function sendRecordList(req, res, records, children) {
+    const { options, errors } = parseListQuery(req.query);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'query', errors);
+    }
+    // A category or location also lists the records in the ones below it
+    const { categories, locations } = getAppSettings();
+    const getSubtree = (nodes, id) => (id && id !== 'none' ? getDescendantIds(nodes, id) : undefined);
+    const { items, total } = queryRecords(records, options, children, {
+        categoryIds: getSubtree(categories, options.category),
+        locationIds: getSubtree(locations, options.location)
+    });
+    res.set('X-Total-Count', String(total));
+    const paged = req.query.limit !== undefined || req.query.offset !== undefined;
+    res.json(paged ? { items, total } : items);
+}
+
+// Get assets, optionally filtered, sorted and paged
 app.get('/api/assets', (req, res) => {
-    const assets = readJsonFile(assetsFilePath);
-    
-    // Ensure backwards compatibility for quantity field
-    const assetsWithQuantity = assets.map(asset => ({
-        ...asset,
-        quantity: asset.quantity || 1
-    }));
-    
-    res.json(assetsWithQuantity);
+    sendRecordList(req, res, storage.getAll(COLLECTIONS.ASSETS), storage.getAll(COLLECTIONS.SUB_ASSETS));
 });
 
-// Get all sub-assets
+// Get sub-assets, optionally filtered, sorted and paged
 app.get('/api/subassets', (req, res) => {
-    const subAssets = readJsonFile(subAssetsFilePath);
-    
-    // Ensure backwards compatibility for quantity field
-    const subAssetsWithQuantity = subAssets.map(subAsset => ({
-        ...subAsset,
-        quantity: subAsset.quantity || 1
-    }));
-    
-    res.json(subAssetsWithQuantity);
+    sendRecordList(req, res, storage.getAll(COLLECTIONS.SUB_ASSETS));
+});
+
+// Search assets and components, including maintenance events and attached file names
+app.get('/api/search', (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const errors = [];
+    if (!q) errors.push({ field: 'q', message: 'is required' });
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        errors.push({ field: 'limit', message: 'must be a whole number from 1 to 100' });
+    }
+    if (errors.length > 0) {
+        return sendValidationError(res, 'query', errors);
+    }
+    res.json(search(q, { limit }));
+});
+
+// Get the change history of an asset
+app.get('/api/assets/:id/history', (req, res) => {
+    res.json(getHistory('asset', req.params.id));
+});
+
+// Get the change history of a sub-asset
+app.get('/api/subassets/:id/history', (req, res) => {
+    res.json(getHistory('subAsset', req.params.id));
 });
 
 // Create a new asset
 app.post('/api/asset', async (req, res) => {
-    const assets = readJsonFile(assetsFilePath);
-    const newAsset = req.body;
+    const { value: newAsset, errors } = validate(getRecordSchema(ASSET_SCHEMA), req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'asset', errors);
+    }
+
+    // ?template=<id> also creates the template's components under the new asset
+    let template = null;
+    if (req.query.template) {
+        template = (getAppSettings().templates || []).find(t => t.id === req.query.template);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+    }
 
     // Ensure maintenanceEvents is always present (even if empty)
     newAsset.maintenanceEvents = newAsset.maintenanceEvents || [];
     
-    // Ensure quantity is present for backwards compatibility
+    // Ensure quantity is present
     if (typeof newAsset.quantity === 'undefined' || newAsset.quantity === null) {
         newAsset.quantity = 1;
     }
     
-    // Ensure required fields
-    if (!newAsset.name) {
-        return res.status(400).json({ error: 'Asset name is required' });
-    }
-    
     // Generate ID if not provided
     if (!newAsset.id) {
         newAsset.id = generateId();
     }
     
-    // Set timestamps
+    // Set timestamps and initial revision
     newAsset.createdAt = new Date().toISOString();
     newAsset.updatedAt = new Date().toISOString();
+    newAsset.revision = 1;
     
-    assets.push(newAsset);
-    let success = writeJsonFile(assetsFilePath, assets);
+    let success = storage.insert(COLLECTIONS.ASSETS, newAsset);
     if (success) {
+        recordChanges({ action: 'create', type: 'asset', after: newAsset, req });
+        if (template && template.components.length > 0) {
+            const components = createTemplateComponents(template, newAsset, generateId);
+            if (storage.insertMany(COLLECTIONS.SUB_ASSETS, components)) {
+                recordChanges(components.map(after => ({ action: 'create', type: 'subAsset', after, req })));
+            } else {
+                console.error(`Failed to create the components of template "${template.name}" for asset ${newAsset.id}`);
+            }
+        }
         if (DEBUG) {
             console.log('[DEBUG] Asset added:', { name: newAsset.name, modelNumber: newAsset.modelNumber, description: newAsset.description });
         }
@@ -710,6 +852,7 @@ app.post('/api/asset', async (req, res) => {
         } catch (err) {
             console.error('Failed to send asset added notification:', err.message);
         }
+        setRevisionHeader(res, newAsset);
         res.status(201).json(newAsset);
     } else {
         res.status(500).json({ error: 'Failed to create asset' });
@@ -720,114 +863,149 @@ app.post('/api/asset', async (req, res) => {
 app.put('/api/assets/:id', async (req, res) => {
     try {
         const assetId = req.params.id;
-        const updatedAssetData = req.body;
-        const assets = readJsonFile(path.join(DATA_DIR, 'Assets.json'));
-        const assetIndex = assets.findIndex(a => a.id === assetId);
+        const existingAsset = storage.getById(COLLECTIONS.ASSETS, assetId);
 
-        if (assetIndex === -1) {
+        if (!existingAsset) {
             return res.status(404).json({ message: 'Asset not found' });
         }
 
-        // Validate required fields
-        if (!updatedAssetData.name) {
-            return res.status(400).json({ error: 'Asset name is required' });
+        const { value: updatedAssetData, errors } = validate(getRecordSchema(ASSET_SCHEMA), req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, 'asset', errors);
         }
 
-        const existingAsset = assets[assetIndex];
+        // Fields the client didn't send keep their current values
+        await saveAssetUpdate(req, res, existingAsset, { ...existingAsset, ...updatedAssetData });
+    } catch (error) {
+        console.error(`Error updating asset ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error updating asset' });
+    }
+});
 
-        // Ensure quantity is present for backwards compatibility
-        if (typeof updatedAssetData.quantity === 'undefined' || updatedAssetData.quantity === null) {
-            updatedAssetData.quantity = existingAsset.quantity || 1;
+// Partially update an asset with a JSON Merge Patch or JSON Patch
+app.patch('/api/assets/:id', async (req, res) => {
+    try {
+        const existingAsset = storage.getById(COLLECTIONS.ASSETS, req.params.id);
+        if (!existingAsset) {
+            return res.status(404).json({ message: 'Asset not found' });
         }
 
-        if (updatedAssetData.filesToDelete && updatedAssetData.filesToDelete.length > 0) {
-            await deleteAssetFiles(updatedAssetData.filesToDelete);
+        const { value: patchedAsset, errors, status, error } = patchRecord(existingAsset, req, getRecordSchema(ASSET_SCHEMA));
+        if (error) {
+            return res.status(status).json({ error, current: status === 409 ? existingAsset : undefined });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, 'asset', errors);
         }
 
-        const finalAsset = {
-            ...existingAsset,
-            ...updatedAssetData,
-            updatedAt: new Date().toISOString()
-        };
-        delete finalAsset.filesToDelete;
+        await saveAssetUpdate(req, res, existingAsset, patchedAsset);
+    } catch (error) {
+        console.error(`Error patching asset ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error updating asset' });
+    }
+});
 
-        assets[assetIndex] = finalAsset;
-        writeJsonFile(path.join(DATA_DIR, 'Assets.json'), assets);
+/**
+ * Save an edited asset and respond with it. Shared by PUT and PATCH: checks the revision the
+ * client based its change on, records the change, deletes removed files and sends the edit notification.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} existingAsset - Asset as currently stored
+ * @param {Object} updatedAssetData - The complete edited asset, already validated
+ */
+async function saveAssetUpdate(req, res, existingAsset, updatedAssetData) {
+    // Ensure quantity is present for backwards compatibility
+    if (typeof updatedAssetData.quantity === 'undefined' || updatedAssetData.quantity === null) {
+        updatedAssetData.quantity = existingAsset.quantity || 1;
+    }
+
+    // Reject the update if the asset changed since the client loaded it.
+    // The check and the write below run without yielding, so no other request can slip in between.
+    const expectedRevision = getExpectedRevision(req);
+    if (expectedRevision !== null && expectedRevision !== getRevision(existingAsset)) {
+        return res.status(409).json({
+            error: 'This asset was changed by someone else since you opened it',
+            current: existingAsset
+        });
+    }
 
+    const finalAsset = {
+        ...updatedAssetData,
+        id: existingAsset.id,
+        updatedAt: new Date().toISOString(),
+        revision: getRevision(existingAsset) + 1
+    };
+    delete finalAsset.filesToDelete;
+
+    if (!storage.update(COLLECTIONS.ASSETS, finalAsset)) {
+        return res.status(500).json({ message: 'Error updating asset' });
+    }
+    recordChanges({ action: 'update', type: 'asset', before: existingAsset, after: finalAsset, req });
+
+    if (updatedAssetData.filesToDelete && updatedAssetData.filesToDelete.length > 0) {
+        await deleteAssetFiles(updatedAssetData.filesToDelete);
+    }
+
+    if (DEBUG) {
+        console.log('[DEBUG] Asset updated:', { id: finalAsset.id, name: finalAsset.name, modelNumber: finalAsset.modelNumber });
+    }
+
+    // Notification logic for asset edit
+    try {
+        const configPath = path.join(DATA_DIR, 'config.json');
+        let config = {};
+        if (fs.existsSync(configPath)) {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+        const notificationSettings = config.notificationSettings || {};
+        const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
         if (DEBUG) {
-            console.log('[DEBUG] Asset updated:', { id: finalAsset.id, name: finalAsset.name, modelNumber: finalAsset.modelNumber });
+            console.log('[DEBUG] Notification settings (edit):', notificationSettings, 'Apprise URL:', appriseUrl);
         }
-
-        // Notification logic for asset edit
-        try {
-            const configPath = path.join(DATA_DIR, 'config.json');
-            let config = {};
-            if (fs.existsSync(configPath)) {
-                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            }
-            const notificationSettings = config.notificationSettings || {};
-            const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+        if (notificationSettings.notifyEdit && appriseUrl) {
+            await sendNotification('asset_edited', {
+                id: finalAsset.id,
+                name: finalAsset.name,
+                modelNumber: finalAsset.modelNumber,
+                description: finalAsset.description
+            }, {
+                appriseUrl,
+                baseUrl: getBaseUrl(req)
+            });
             if (DEBUG) {
-                console.log('[DEBUG] Notification settings (edit):', notificationSettings, 'Apprise URL:', appriseUrl);
-            }
-            if (notificationSettings.notifyEdit && appriseUrl) {
-                await sendNotification('asset_edited', {
-                    id: finalAsset.id,
-                    name: finalAsset.name,
-                    modelNumber: finalAsset.modelNumber,
-                    description: finalAsset.description
-                }, {
-                    appriseUrl,
-                    baseUrl: getBaseUrl(req)
-                });
-                if (DEBUG) {
-                    console.log('[DEBUG] Asset edited notification sent.');
-                }
+                console.log('[DEBUG] Asset edited notification sent.');
             }
-        } catch (err) {
-            console.error('Failed to send asset edited notification:', err.message);
         }
-
-        res.json(finalAsset);
-
-    } catch (error) {
-        console.error(`Error updating asset ${req.params.id}:`, error);
-        res.status(500).json({ message: 'Error updating asset' });
+    } catch (err) {
+        console.error('Failed to send asset edited notification:', err.message);
     }
-});
+    await sendLowStockNotification(req, existingAsset, finalAsset);
+
+    setRevisionHeader(res, finalAsset);
+    res.json(finalAsset);
+}
 
 // Delete an asset
 app.delete('/api/asset/:id', async (req, res) => {
     const assetId = req.params.id;
-    const assets = readJsonFile(assetsFilePath);
-    const subAssets = readJsonFile(subAssetsFilePath);
+    const subAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
     // Find the asset to delete
-    const assetIndex = assets.findIndex(a => a.id === assetId);
-    if (assetIndex === -1) {
+    const deletedAsset = storage.getById(COLLECTIONS.ASSETS, assetId);
+    if (!deletedAsset) {
         return res.status(404).json({ error: 'Asset not found' });
     }
-    // Get the asset to delete
-    const deletedAsset = assets.splice(assetIndex, 1)[0];
     console.log(`[DEBUG] Deleting asset: ${deletedAsset.id} (${deletedAsset.name})`);
     // Find all sub-assets (including nested ones) that belong to this asset
     const allChildSubAssets = findAllChildSubAssets(assetId, null, subAssets);
     console.log(`[DEBUG] Found ${allChildSubAssets.length} sub-assets to delete for asset ${assetId}`);
-    // Remove all related sub-assets from the array
-    const updatedSubAssets = subAssets.filter(sa => {
-        return sa.parentId !== assetId && !allChildSubAssets.some(child => child.id === sa.id);
-    });
-    // Delete all associated files
-    try {
-        await deleteAssetFiles(deletedAsset);
-        if (allChildSubAssets.length > 0) {
-            await deleteAssetFiles(allChildSubAssets);
-        }
-        console.log(`[DEBUG] Deleted asset ${deletedAsset.id} and ${allChildSubAssets.length} sub-assets with their files`);
-    } catch (error) {
-        console.error('[DEBUG] Error deleting asset files:', error);
-    }
-    // Write updated assets
-    if (writeJsonFile(assetsFilePath, assets) && writeJsonFile(subAssetsFilePath, updatedSubAssets)) {
+    // Collect all related sub-assets
+    const subAssetsToDelete = subAssets
+        .filter(sa => sa.parentId === assetId || allChildSubAssets.some(child => child.id === sa.id));
+    // Move the asset, its sub-assets and their files to the trash
+    const trashEntry = moveToTrash({ type: 'asset', record: deletedAsset, subAssets: subAssetsToDelete });
+    if (trashEntry) {
+        recordChanges(getTrashEntryChanges(trashEntry, 'delete', req));
+        console.log(`[DEBUG] Moved asset ${deletedAsset.id} and ${subAssetsToDelete.length} sub-assets to the trash`);
         // Notification logic for asset delete
         try {
             const configPath = path.join(DATA_DIR, 'config.json');
@@ -857,43 +1035,159 @@ app.delete('/api/asset/:id', async (req, res) => {
         } catch (err) {
             console.error('Failed to send asset deleted notification:', err.message);
         }
-        res.json({ message: 'Asset deleted successfully' });
+        res.json({ message: 'Asset moved to trash' });
     } else {
         res.status(500).json({ error: 'Failed to delete asset' });
     }
 });
 
+/**
+ * Send one summary notification for a batch of assets instead of one per asset
+ * @param {Object} req - Express request
+ * @param {'assets_bulk_edited'|'assets_bulk_deleted'} eventType - Notification event
+ * @param {string} setting - Notification setting that has to be on, e.g. "notifyEdit"
+ * @param {Object[]} assets - Assets the batch changed
+ * @param {string} summary - What was done to them
+ */
+async function sendBulkNotification(req, eventType, setting, assets, summary) {
+    try {
+        const configPath = path.join(DATA_DIR, 'config.json');
+        let config = {};
+        if (fs.existsSync(configPath)) {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+        const notificationSettings = config.notificationSettings || {};
+        const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+        if (notificationSettings[setting] && appriseUrl && assets.length > 0) {
+            const names = assets.slice(0, 10).map(asset => asset.name);
+            if (assets.length > names.length) names.push(`and ${assets.length - names.length} more`);
+            await sendNotification(eventType, {
+                count: assets.length,
+                summary,
+                names: names.join(', ')
+            }, {
+                appriseUrl,
+                baseUrl: getBaseUrl(req)
+            });
+            if (DEBUG) {
+                console.log(`[DEBUG] Bulk notification (${eventType}) sent for ${assets.length} assets.`);
+            }
+        }
+    } catch (err) {
+        console.error('Failed to send bulk notification:', err.message);
+    }
+}
+
+// Tag, edit, delete or export several assets at once
+app.post('/api/assets/bulk', async (req, res) => {
+    try {
+        const { value: request, errors } = parseBulkRequest(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, 'bulk request', errors);
+        }
+
+        const assets = request.ids.map(id => storage.getById(COLLECTIONS.ASSETS, id));
+        const missingIds = request.ids.filter((id, index) => !assets[index]);
+        if (missingIds.length > 0) {
+            return res.status(404).json({ error: `Assets not found: ${missingIds.join(', ')}`, ids: missingIds });
+        }
+
+        if (request.action === 'export') {
+            const fileName = `dumbAssets_export_${new Date().toISOString().slice(0, 10)}`;
+            if (request.format === 'xlsx') {
+                res.attachment(`${fileName}.xlsx`);
+                const { customFields, categories, locations } = getAppSettings();
+                return res.send(buildExportWorkbook(assets, { customFields, categories, locations }));
+            }
+            const assetIds = new Set(request.ids);
+            res.attachment(`${fileName}.json`);
+            return res.json({
+                exportedAt: new Date().toISOString(),
+                assets,
+                subAssets: storage.getAll(COLLECTIONS.SUB_ASSETS).filter(subAsset => assetIds.has(subAsset.parentId))
+            });
+        }
+
+        if (request.action === 'delete') {
+            const allSubAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
+            const deleted = [];
+            for (const asset of assets) {
+                const childIds = new Set(findAllChildSubAssets(asset.id, null, allSubAssets).map(subAsset => subAsset.id));
+                const subAssetsToDelete = allSubAssets.filter(subAsset => subAsset.parentId === asset.id || childIds.has(subAsset.id));
+                const trashEntry = moveToTrash({ type: 'asset', record: asset, subAssets: subAssetsToDelete });
+                if (!trashEntry) break;
+                recordChanges(getTrashEntryChanges(trashEntry, 'delete', req).map(change => ({ ...change, source: 'bulk' })));
+                deleted.push(asset);
+            }
+            await sendBulkNotification(req, 'assets_bulk_deleted', 'notifyDelete', deleted, 'Moved to the trash');
+            if (deleted.length < assets.length) {
+                return res.status(500).json({
+                    error: `Failed to delete assets; ${deleted.length} of ${assets.length} were moved to the trash`,
+                    ids: deleted.map(asset => asset.id)
+                });
+            }
+            return res.json({ message: `${deleted.length} assets moved to trash`, ids: deleted.map(asset => asset.id) });
+        }
+
+        // Edit every asset first, so nothing is saved if any of them would become invalid
+        const now = new Date().toISOString();
+        const changes = [];
+        for (const asset of assets) {
+            const { value: editedAsset, errors: assetErrors } = applyBulkEdit(asset, request);
+            if (assetErrors.length > 0) {
+                return sendValidationError(res, `edit for asset "${asset.name}"`, assetErrors);
+            }
+            if (JSON.stringify(editedAsset) === JSON.stringify(asset)) continue;
+            changes.push({
+                before: asset,
+                after: { ...editedAsset, id: asset.id, updatedAt: now, revision: getRevision(asset) + 1 }
+            });
+        }
+
+        const updatedAssets = changes.map(change => change.after);
+        if (updatedAssets.length > 0 && !storage.updateMany(COLLECTIONS.ASSETS, updatedAssets)) {
+            return res.status(500).json({ error: 'Failed to update assets' });
+        }
+        recordChanges(changes.map(({ before, after }) => ({ action: 'update', type: 'asset', before, after, req, source: 'bulk' })));
+        await sendBulkNotification(req, 'assets_bulk_edited', 'notifyEdit', updatedAssets, describeBulkEdit(request));
+        for (const { before, after } of getLowStockChanges(changes)) {
+            await sendLowStockNotification(req, before, after);
+        }
+
+        res.json({ updated: updatedAssets.length, unchanged: assets.length - updatedAssets.length, assets: updatedAssets });
+    } catch (error) {
+        console.error('Error running bulk operation:', error);
+        res.status(500).json({ error: 'Failed to run bulk operation' });
+    }
+});
+
 // Create a new sub-asset
 app.post('/api/subasset', async (req, res) => {
-    const subAssets = readJsonFile(subAssetsFilePath);
-    const newSubAsset = req.body;
-    // Remove legacy maintenanceReminder if present
-    if (newSubAsset.maintenanceReminder) delete newSubAsset.maintenanceReminder;
+    const { value: newSubAsset, errors } = validate(getRecordSchema(SUB_ASSET_SCHEMA), req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'component', errors);
+    }
+
     // Ensure maintenanceEvents is always present (even if empty)
     newSubAsset.maintenanceEvents = newSubAsset.maintenanceEvents || [];
     
-    // Ensure quantity is present for backwards compatibility
+    // Ensure quantity is present
     if (typeof newSubAsset.quantity === 'undefined' || newSubAsset.quantity === null) {
         newSubAsset.quantity = 1;
     }
     
-    // Ensure required fields
-    if (!newSubAsset.name || !newSubAsset.parentId) {
-        return res.status(400).json({ error: 'Sub-asset name and parent ID are required' });
-    }
-    
     // Generate ID if not provided
     if (!newSubAsset.id) {
         newSubAsset.id = generateId();
     }
     
-    // Set timestamps
+    // Set timestamps and initial revision
     newSubAsset.createdAt = new Date().toISOString();
     newSubAsset.updatedAt = new Date().toISOString();
+    newSubAsset.revision = 1;
     
-    subAssets.push(newSubAsset);
-    
-    if (writeJsonFile(subAssetsFilePath, subAssets)) {
+    if (storage.insert(COLLECTIONS.SUB_ASSETS, newSubAsset)) {
+        recordChanges({ action: 'create', type: 'subAsset', after: newSubAsset, req });
         if (DEBUG) {
             console.log('[DEBUG] Sub-asset added:', { id: newSubAsset.id, name: newSubAsset.name, parentId: newSubAsset.parentId });
         }
@@ -906,145 +1200,681 @@ app.post('/api/subasset', async (req, res) => {
             }
             const notificationSettings = config.notificationSettings || {};
             const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
-            if (DEBUG) {
-                console.log('[DEBUG] Sub-asset notification settings (add):', notificationSettings, 'Apprise URL:', appriseUrl);
-            }
+            if (DEBUG) {
+                console.log('[DEBUG] Sub-asset notification settings (add):', notificationSettings, 'Apprise URL:', appriseUrl);
+            }
+            if (notificationSettings.notifyAdd && appriseUrl) {
+                await sendNotification('asset_added', {
+                    id: newSubAsset.id,
+                    parentId: newSubAsset.parentId,
+                    name: `${newSubAsset.name} (Component)`,
+                    modelNumber: newSubAsset.modelNumber,
+                    description: newSubAsset.description || newSubAsset.notes
+                }, {
+                    appriseUrl,
+                    baseUrl: getBaseUrl(req)
+                });
+                if (DEBUG) {
+                    console.log('[DEBUG] Sub-asset added notification sent.');
+                }
+            }
+        } catch (err) {
+            console.error('Failed to send sub-asset added notification:', err.message);
+        }
+        setRevisionHeader(res, newSubAsset);
+        res.status(201).json(newSubAsset);
+    } else {
+        res.status(500).json({ error: 'Failed to create sub-asset' });
+    }
+});
+
+// Update an existing sub-asset
+app.put('/api/subassets/:id', async (req, res) => {
+    try {
+        const subAssetId = req.params.id;
+        const existingSubAsset = storage.getById(COLLECTIONS.SUB_ASSETS, subAssetId);
+
+        if (!existingSubAsset) {
+            return res.status(404).json({ message: 'Sub-asset not found' });
+        }
+
+        const { value: updatedSubAssetData, errors } = validate(getRecordSchema(SUB_ASSET_SCHEMA), req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, 'component', errors);
+        }
+
+        // Fields the client didn't send keep their current values
+        await saveSubAssetUpdate(req, res, existingSubAsset, { ...existingSubAsset, ...updatedSubAssetData });
+    } catch (error) {
+        console.error(`Error updating sub-asset ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error updating sub-asset' });
+    }
+});
+
+// Partially update a sub-asset with a JSON Merge Patch or JSON Patch
+app.patch('/api/subassets/:id', async (req, res) => {
+    try {
+        const existingSubAsset = storage.getById(COLLECTIONS.SUB_ASSETS, req.params.id);
+        if (!existingSubAsset) {
+            return res.status(404).json({ message: 'Sub-asset not found' });
+        }
+
+        const { value: patchedSubAsset, errors, status, error } = patchRecord(existingSubAsset, req, getRecordSchema(SUB_ASSET_SCHEMA));
+        if (error) {
+            return res.status(status).json({ error, current: status === 409 ? existingSubAsset : undefined });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, 'component', errors);
+        }
+
+        await saveSubAssetUpdate(req, res, existingSubAsset, patchedSubAsset);
+    } catch (error) {
+        console.error(`Error patching sub-asset ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Error updating sub-asset' });
+    }
+});
+
+/**
+ * Save an edited sub-asset and respond with it. Shared by PUT and PATCH, see saveAssetUpdate.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} existingSubAsset - Sub-asset as currently stored
+ * @param {Object} updatedSubAssetData - The complete edited sub-asset, already validated
+ */
+async function saveSubAssetUpdate(req, res, existingSubAsset, updatedSubAssetData) {
+    // Ensure quantity is present for backwards compatibility
+    if (typeof updatedSubAssetData.quantity === 'undefined' || updatedSubAssetData.quantity === null) {
+        updatedSubAssetData.quantity = existingSubAsset.quantity || 1;
+    }
+
+    // Reject the update if the sub-asset changed since the client loaded it
+    const expectedRevision = getExpectedRevision(req);
+    if (expectedRevision !== null && expectedRevision !== getRevision(existingSubAsset)) {
+        return res.status(409).json({
+            error: 'This component was changed by someone else since you opened it',
+            current: existingSubAsset
+        });
+    }
+
+    const finalSubAsset = {
+        ...updatedSubAssetData,
+        id: existingSubAsset.id,
+        updatedAt: new Date().toISOString(),
+        revision: getRevision(existingSubAsset) + 1
+    };
+    delete finalSubAsset.filesToDelete;
+
+    if (!storage.update(COLLECTIONS.SUB_ASSETS, finalSubAsset)) {
+        return res.status(500).json({ message: 'Error updating sub-asset' });
+    }
+    recordChanges({ action: 'update', type: 'subAsset', before: existingSubAsset, after: finalSubAsset, req });
+
+    if (updatedSubAssetData.filesToDelete && updatedSubAssetData.filesToDelete.length > 0) {
+        await deleteAssetFiles(updatedSubAssetData.filesToDelete);
+    }
+
+    if (DEBUG) {
+        console.log('[DEBUG] Sub-asset updated:', { id: finalSubAsset.id, name: finalSubAsset.name, parentId: finalSubAsset.parentId });
+    }
+
+    // Notification logic for sub-asset edit
+    try {
+        const configPath = path.join(DATA_DIR, 'config.json');
+        let config = {};
+        if (fs.existsSync(configPath)) {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+        const notificationSettings = config.notificationSettings || {};
+        const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+        if (DEBUG) {
+            console.log('[DEBUG] Sub-asset notification settings (edit):', notificationSettings, 'Apprise URL:', appriseUrl);
+        }
+        if (notificationSettings.notifyEdit && appriseUrl) {
+            await sendNotification('asset_edited', {
+                id: finalSubAsset.id,
+                parentId: finalSubAsset.parentId,
+                name: `${finalSubAsset.name} (Component)`,
+                modelNumber: finalSubAsset.modelNumber,
+                description: finalSubAsset.description || finalSubAsset.notes
+            }, {
+                appriseUrl,
+                baseUrl: getBaseUrl(req)
+            });
+            if (DEBUG) {
+                console.log('[DEBUG] Sub-asset edited notification sent.');
+            }
+        }
+    } catch (err) {
+        console.error('Failed to send sub-asset edited notification:', err.message);
+    }
+    await sendLowStockNotification(req, existingSubAsset, finalSubAsset);
+
+    setRevisionHeader(res, finalSubAsset);
+    res.json(finalSubAsset);
+}
+
+// Move a component, with all of its sub-components, under another asset or component
+app.post('/api/subassets/:id/move', async (req, res) => {
+    try {
+        const subAsset = storage.getById(COLLECTIONS.SUB_ASSETS, req.params.id);
+        if (!subAsset) {
+            return res.status(404).json({ error: 'Component not found' });
+        }
+
+        const { value: target, errors } = validate(MOVE_SCHEMA, req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, 'move', errors);
+        }
+
+        const allSubAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
+        const descendants = findAllChildSubAssets(subAsset.parentId, subAsset.id, allSubAssets);
+        let newParentId = target.parentId;
+        const newParentSubId = target.parentSubId || null;
+
+        if (newParentSubId) {
+            if (newParentSubId === subAsset.id || descendants.some(child => child.id === newParentSubId)) {
+                return res.status(400).json({ error: 'A component cannot be moved into itself or one of its own sub-components' });
+            }
+            const parentComponent = storage.getById(COLLECTIONS.SUB_ASSETS, newParentSubId);
+            if (!parentComponent) {
+                return res.status(404).json({ error: 'Target component not found' });
+            }
+            if (newParentId && newParentId !== parentComponent.parentId) {
+                return res.status(400).json({ error: 'parentId must be the asset the target component belongs to' });
+            }
+            newParentId = parentComponent.parentId;
+        } else if (!storage.getById(COLLECTIONS.ASSETS, newParentId)) {
+            return res.status(404).json({ error: 'Target asset not found' });
+        }
+
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision !== null && expectedRevision !== getRevision(subAsset)) {
+            return res.status(409).json({
+                error: 'This component was changed by someone else since you opened it',
+                current: subAsset
+            });
+        }
+
+        if (newParentId === subAsset.parentId && newParentSubId === (subAsset.parentSubId || null)) {
+            setRevisionHeader(res, subAsset);
+            return res.json({ subAsset, movedIds: [] });
+        }
+
+        // Sub-components keep their place under the moved component, but follow it to its new asset
+        const now = new Date().toISOString();
+        const movedComponent = { ...subAsset, parentId: newParentId, updatedAt: now, revision: getRevision(subAsset) + 1 };
+        if (newParentSubId) {
+            movedComponent.parentSubId = newParentSubId;
+        } else {
+            delete movedComponent.parentSubId;
+        }
+        const changes = [{ before: subAsset, after: movedComponent }];
+        if (newParentId !== subAsset.parentId) {
+            descendants.forEach(child => changes.push({
+                before: child,
+                after: { ...child, parentId: newParentId, updatedAt: now, revision: getRevision(child) + 1 }
+            }));
+        }
+
+        if (!storage.updateMany(COLLECTIONS.SUB_ASSETS, changes.map(change => change.after))) {
+            return res.status(500).json({ error: 'Failed to move component' });
+        }
+        recordChanges(changes.map(({ before, after }) => ({ action: 'update', type: 'subAsset', before, after, req })));
+
+        if (DEBUG) {
+            console.log('[DEBUG] Component moved:', { id: subAsset.id, parentId: newParentId, parentSubId: newParentSubId, descendants: descendants.length });
+        }
+
+        // Notification logic for component move
+        try {
+            const configPath = path.join(DATA_DIR, 'config.json');
+            let config = {};
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+            const notificationSettings = config.notificationSettings || {};
+            const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+            if (notificationSettings.notifyEdit && appriseUrl) {
+                const newParent = newParentSubId
+                    ? storage.getById(COLLECTIONS.SUB_ASSETS, newParentSubId)
+                    : storage.getById(COLLECTIONS.ASSETS, newParentId);
+                await sendNotification('asset_edited', {
+                    id: movedComponent.id,
+                    parentId: movedComponent.parentId,
+                    name: `${movedComponent.name} (Component)`,
+                    modelNumber: movedComponent.modelNumber,
+                    description: `Moved to ${newParent?.name || newParentId}`
+                }, {
+                    appriseUrl,
+                    baseUrl: getBaseUrl(req)
+                });
+            }
+        } catch (err) {
+            console.error('Failed to send component moved notification:', err.message);
+        }
+
+        setRevisionHeader(res, movedComponent);
+        res.json({ subAsset: movedComponent, movedIds: changes.map(change => change.after.id) });
+    } catch (error) {
+        console.error(`Error moving component ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to move component' });
+    }
+});
+
+// Send the asset_edited notification for a component promoted to an asset or an asset demoted to a component
+async function sendConversionNotification(req, record, description) {
+    try {
+        const configPath = path.join(DATA_DIR, 'config.json');
+        let config = {};
+        if (fs.existsSync(configPath)) {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+        const notificationSettings = config.notificationSettings || {};
+        const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+        if (notificationSettings.notifyEdit && appriseUrl) {
+            await sendNotification('asset_edited', {
+                id: record.id,
+                parentId: record.parentId,
+                name: record.parentId ? `${record.name} (Component)` : record.name,
+                modelNumber: record.modelNumber,
+                description
+            }, {
+                appriseUrl,
+                baseUrl: getBaseUrl(req)
+            });
+        }
+    } catch (err) {
+        console.error('Failed to send conversion notification:', err.message);
+    }
+}
+
+// Promote a component to an asset. It keeps its ID, and its sub-components become the new asset's components.
+app.post('/api/subassets/:id/promote', async (req, res) => {
+    try {
+        const subAsset = storage.getById(COLLECTIONS.SUB_ASSETS, req.params.id);
+        if (!subAsset) {
+            return res.status(404).json({ error: 'Component not found' });
+        }
+        if (storage.getById(COLLECTIONS.ASSETS, subAsset.id)) {
+            return res.status(409).json({ error: `An asset with ID ${subAsset.id} already exists` });
+        }
+
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision !== null && expectedRevision !== getRevision(subAsset)) {
+            return res.status(409).json({
+                error: 'This component was changed by someone else since you opened it',
+                current: subAsset
+            });
+        }
+
+        const now = new Date().toISOString();
+        const asset = { ...toAsset(subAsset), updatedAt: now, revision: getRevision(subAsset) + 1 };
+        const descendants = findAllChildSubAssets(subAsset.parentId, subAsset.id, storage.getAll(COLLECTIONS.SUB_ASSETS));
+        const childChanges = descendants.map(child => {
+            const after = { ...child, parentId: asset.id, updatedAt: now, revision: getRevision(child) + 1 };
+            if (after.parentSubId === asset.id) delete after.parentSubId;
+            return { before: child, after };
+        });
+
+        const converted = storage.insert(COLLECTIONS.ASSETS, asset)
+            && storage.remove(COLLECTIONS.SUB_ASSETS, [subAsset.id])
+            && (childChanges.length === 0 || storage.updateMany(COLLECTIONS.SUB_ASSETS, childChanges.map(change => change.after)));
+        if (!converted) {
+            // Put everything back the way it was
+            storage.remove(COLLECTIONS.ASSETS, [asset.id]);
+            if (!storage.getById(COLLECTIONS.SUB_ASSETS, subAsset.id)) storage.insert(COLLECTIONS.SUB_ASSETS, subAsset);
+            return res.status(500).json({ error: 'Failed to promote component' });
+        }
+        recordChanges([
+            { action: 'promote', type: 'asset', before: subAsset, after: asset, req },
+            ...childChanges.map(({ before, after }) => ({ action: 'update', type: 'subAsset', before, after, req }))
+        ]);
+
+        if (DEBUG) {
+            console.log('[DEBUG] Component promoted to asset:', { id: asset.id, components: childChanges.length });
+        }
+        await sendConversionNotification(req, asset, 'Promoted from a component to an asset');
+
+        setRevisionHeader(res, asset);
+        res.json({ asset, movedIds: childChanges.map(change => change.after.id) });
+    } catch (error) {
+        console.error(`Error promoting component ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to promote component' });
+    }
+});
+
+// Demote an asset to a component of another asset or component. It keeps its ID, and its components come along.
+app.post('/api/assets/:id/demote', async (req, res) => {
+    try {
+        const asset = storage.getById(COLLECTIONS.ASSETS, req.params.id);
+        if (!asset) {
+            return res.status(404).json({ error: 'Asset not found' });
+        }
+        if (storage.getById(COLLECTIONS.SUB_ASSETS, asset.id)) {
+            return res.status(409).json({ error: `A component with ID ${asset.id} already exists` });
+        }
+
+        const { value: target, errors } = validate(MOVE_SCHEMA, req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, 'demote', errors);
+        }
+
+        let newParentId = target.parentId;
+        const newParentSubId = target.parentSubId || null;
+        if (newParentSubId) {
+            const parentComponent = storage.getById(COLLECTIONS.SUB_ASSETS, newParentSubId);
+            if (!parentComponent) {
+                return res.status(404).json({ error: 'Target component not found' });
+            }
+            if (newParentId && newParentId !== parentComponent.parentId) {
+                return res.status(400).json({ error: 'parentId must be the asset the target component belongs to' });
+            }
+            newParentId = parentComponent.parentId;
+        }
+        if (newParentId === asset.id) {
+            return res.status(400).json({ error: 'An asset cannot be made a component of itself or one of its own components' });
+        }
+        if (!newParentSubId && !storage.getById(COLLECTIONS.ASSETS, newParentId)) {
+            return res.status(404).json({ error: 'Target asset not found' });
+        }
+
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision !== null && expectedRevision !== getRevision(asset)) {
+            return res.status(409).json({
+                error: 'This asset was changed by someone else since you opened it',
+                current: asset
+            });
+        }
+
+        // The asset's own components now sit under it as sub-components of the new parent asset
+        const now = new Date().toISOString();
+        const subAsset = {
+            ...toSubAsset(asset, { parentId: newParentId, parentSubId: newParentSubId }),
+            updatedAt: now,
+            revision: getRevision(asset) + 1
+        };
+        const components = findAllChildSubAssets(asset.id, null, storage.getAll(COLLECTIONS.SUB_ASSETS));
+        const childChanges = components.map(child => ({
+            before: child,
+            after: {
+                ...child,
+                parentId: newParentId,
+                parentSubId: child.parentSubId || asset.id,
+                updatedAt: now,
+                revision: getRevision(child) + 1
+            }
+        }));
+
+        const converted = storage.insert(COLLECTIONS.SUB_ASSETS, subAsset)
+            && storage.remove(COLLECTIONS.ASSETS, [asset.id])
+            && (childChanges.length === 0 || storage.updateMany(COLLECTIONS.SUB_ASSETS, childChanges.map(change => change.after)));
+        if (!converted) {
+            // Put everything back the way it was
+            storage.remove(COLLECTIONS.SUB_ASSETS, [subAsset.id]);
+            if (!storage.getById(COLLECTIONS.ASSETS, asset.id)) storage.insert(COLLECTIONS.ASSETS, asset);
+            return res.status(500).json({ error: 'Failed to demote asset' });
+        }
+        recordChanges([
+            { action: 'demote', type: 'subAsset', before: asset, after: subAsset, req },
+            ...childChanges.map(({ before, after }) => ({ action: 'update', type: 'subAsset', before, after, req }))
+        ]);
+
+        if (DEBUG) {
+            console.log('[DEBUG] Asset demoted to component:', { id: subAsset.id, parentId: newParentId, parentSubId: newParentSubId, components: childChanges.length });
+        }
+        const newParent = newParentSubId
+            ? storage.getById(COLLECTIONS.SUB_ASSETS, newParentSubId)
+            : storage.getById(COLLECTIONS.ASSETS, newParentId);
+        await sendConversionNotification(req, subAsset, `Made a component of ${newParent?.name || newParentId}`);
+
+        setRevisionHeader(res, subAsset);
+        res.json({ subAsset, movedIds: childChanges.map(change => change.after.id) });
+    } catch (error) {
+        console.error(`Error demoting asset ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to demote asset' });
+    }
+});
+
+// Clone an asset, optionally with its component tree, as one or more new assets
+app.post('/api/assets/:id/clone', async (req, res) => {
+    try {
+        const asset = storage.getById(COLLECTIONS.ASSETS, req.params.id);
+        if (!asset) {
+            return res.status(404).json({ error: 'Asset not found' });
+        }
+
+        const { value: options, errors } = parseCloneRequest(req.body || {});
+        if (errors.length > 0) {
+            return sendValidationError(res, 'clone', errors);
+        }
+
+        const components = options.includeComponents
+            ? findAllChildSubAssets(asset.id, null, storage.getAll(COLLECTIONS.SUB_ASSETS))
+            : [];
+        const clones = cloneAssetTree({ asset, subAssets: components, options, generateId });
+
+        const saved = storage.insertMany(COLLECTIONS.ASSETS, clones.assets)
+            && (clones.subAssets.length === 0 || storage.insertMany(COLLECTIONS.SUB_ASSETS, clones.subAssets));
+        if (!saved) {
+            storage.remove(COLLECTIONS.ASSETS, clones.assets.map(clone => clone.id));
+            if (options.attachments === 'copy') await deleteAssetFiles([...clones.assets, ...clones.subAssets]);
+            return res.status(500).json({ error: 'Failed to clone asset' });
+        }
+        recordChanges([
+            ...clones.assets.map(after => ({ action: 'create', type: 'asset', after, req })),
+            ...clones.subAssets.map(after => ({ action: 'create', type: 'subAsset', after, req }))
+        ]);
+
+        if (DEBUG) {
+            console.log('[DEBUG] Asset cloned:', { id: asset.id, copies: clones.assets.length, components: clones.subAssets.length, attachments: options.attachments });
+        }
+
+        // Notification logic for cloned assets
+        try {
+            const configPath = path.join(DATA_DIR, 'config.json');
+            let config = {};
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+            const notificationSettings = config.notificationSettings || {};
+            const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
             if (notificationSettings.notifyAdd && appriseUrl) {
-                await sendNotification('asset_added', {
-                    id: newSubAsset.id,
-                    parentId: newSubAsset.parentId,
-                    name: `${newSubAsset.name} (Component)`,
-                    modelNumber: newSubAsset.modelNumber,
-                    description: newSubAsset.description || newSubAsset.notes
-                }, {
-                    appriseUrl,
-                    baseUrl: getBaseUrl(req)
-                });
-                if (DEBUG) {
-                    console.log('[DEBUG] Sub-asset added notification sent.');
+                for (const clone of clones.assets) {
+                    await sendNotification('asset_added', {
+                        id: clone.id,
+                        name: clone.name,
+                        modelNumber: clone.modelNumber,
+                        description: clone.description
+                    }, {
+                        appriseUrl,
+                        baseUrl: getBaseUrl(req)
+                    });
                 }
             }
         } catch (err) {
-            console.error('Failed to send sub-asset added notification:', err.message);
+            console.error('Failed to send asset cloned notification:', err.message);
         }
-        res.status(201).json(newSubAsset);
-    } else {
-        res.status(500).json({ error: 'Failed to create sub-asset' });
+
+        res.status(201).json(clones);
+    } catch (error) {
+        console.error(`Error cloning asset ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to clone asset' });
     }
 });
 
-// Update an existing sub-asset
-app.put('/api/subassets/:id', async (req, res) => {
+/**
+ * Check an asset or component out or in and respond with the updated record
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {'asset'|'subAsset'} type - Kind of record
+ * @param {'checkout'|'checkin'} action - What to record
+ */
+function saveCheckout(req, res, type, action) {
+    const isSubAsset = type === 'subAsset';
+    const collection = isSubAsset ? COLLECTIONS.SUB_ASSETS : COLLECTIONS.ASSETS;
     try {
-        const subAssetId = req.params.id;
-        const updatedSubAssetData = req.body;
-        const subAssets = readJsonFile(path.join(DATA_DIR, 'SubAssets.json'));
-        const subAssetIndex = subAssets.findIndex(sa => sa.id === subAssetId);
-
-        if (subAssetIndex === -1) {
-            return res.status(404).json({ message: 'Sub-asset not found' });
+        const record = storage.getById(collection, req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `${isSubAsset ? 'Component' : 'Asset'} not found` });
         }
 
-        // Validate required fields
-        if (!updatedSubAssetData.name) {
-            return res.status(400).json({ error: 'Sub-asset name is required' });
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision !== null && expectedRevision !== getRevision(record)) {
+            return res.status(409).json({
+                error: `This ${isSubAsset ? 'component' : 'asset'} was changed by someone else since you opened it`,
+                current: record
+            });
         }
 
-        const existingSubAsset = subAssets[subAssetIndex];
+        const { value, errors, error, status } = action === 'checkout'
+            ? checkOut(record, req.body, generateId)
+            : checkIn(record, req.body);
+        if (error) {
+            return res.status(status).json({ error, current: record });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, action === 'checkout' ? 'checkout' : 'check-in', errors);
+        }
 
-        // Ensure quantity is present for backwards compatibility
-        if (typeof updatedSubAssetData.quantity === 'undefined' || updatedSubAssetData.quantity === null) {
-            updatedSubAssetData.quantity = existingSubAsset.quantity || 1;
+        const updated = { ...value, updatedAt: new Date().toISOString(), revision: getRevision(record) + 1 };
+        if (!storage.update(collection, updated)) {
+            return res.status(500).json({ error: 'Failed to save checkout' });
         }
+        recordChanges({ action: 'update', type, before: record, after: updated, req });
 
-        if (updatedSubAssetData.filesToDelete && updatedSubAssetData.filesToDelete.length > 0) {
-            await deleteAssetFiles(updatedSubAssetData.filesToDelete);
+        if (DEBUG) {
+            console.log(`[DEBUG] ${isSubAsset ? 'Component' : 'Asset'} ${action === 'checkout' ? 'checked out' : 'checked in'}:`, { id: updated.id, checkout: updated.checkouts[updated.checkouts.length - 1] });
         }
 
-        const finalSubAsset = {
-            ...existingSubAsset,
-            ...updatedSubAssetData,
-            updatedAt: new Date().toISOString()
-        };
-        delete finalSubAsset.filesToDelete;
+        setRevisionHeader(res, updated);
+        res.json(updated);
+    } catch (err) {
+        console.error(`Error saving ${action} of ${type} ${req.params.id}:`, err);
+        res.status(500).json({ error: 'Failed to save checkout' });
+    }
+}
 
-        subAssets[subAssetIndex] = finalSubAsset;
-        writeJsonFile(path.join(DATA_DIR, 'SubAssets.json'), subAssets);
+// Lend an asset or component to someone
+app.post('/api/assets/:id/checkout', (req, res) => saveCheckout(req, res, 'asset', 'checkout'));
+app.post('/api/subassets/:id/checkout', (req, res) => saveCheckout(req, res, 'subAsset', 'checkout'));
 
-        if (DEBUG) {
-            console.log('[DEBUG] Sub-asset updated:', { id: finalSubAsset.id, name: finalSubAsset.name, parentId: finalSubAsset.parentId });
-        }
+// Record that a lent asset or component came back
+app.post('/api/assets/:id/checkin', (req, res) => saveCheckout(req, res, 'asset', 'checkin'));
+app.post('/api/subassets/:id/checkin', (req, res) => saveCheckout(req, res, 'subAsset', 'checkin'));
 
-        // Notification logic for sub-asset edit
-        try {
-            const configPath = path.join(DATA_DIR, 'config.json');
-            let config = {};
-            if (fs.existsSync(configPath)) {
-                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            }
-            const notificationSettings = config.notificationSettings || {};
-            const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+/**
+ * Send the low_stock notification if a save took a consumable below its reorder threshold
+ * @param {Object} req - Express request
+ * @param {Object} before - Record as it was stored
+ * @param {Object} after - Record as saved
+ */
+async function sendLowStockNotification(req, before, after) {
+    if (!fellBelowThreshold(before, after)) return;
+    try {
+        const configPath = path.join(DATA_DIR, 'config.json');
+        let config = {};
+        if (fs.existsSync(configPath)) {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+        const notificationSettings = config.notificationSettings || {};
+        const appriseUrl = process.env.APPRISE_URL || (config.appriseUrl || null);
+        if (notificationSettings.notifyLowStock !== false && appriseUrl) {
+            const parentAsset = after.parentId ? storage.getById(COLLECTIONS.ASSETS, after.parentId) : null;
+            await sendNotification('low_stock', {
+                id: after.id,
+                parentId: after.parentId,
+                name: after.name,
+                modelNumber: after.modelNumber,
+                // As text, so an empty stock of 0 isn't dropped with the empty values
+                quantity: String(after.quantity),
+                reorderThreshold: String(after.reorderThreshold),
+                type: after.parentId ? 'Component' : 'Asset',
+                parentAsset: parentAsset?.name
+            }, {
+                appriseUrl,
+                baseUrl: getBaseUrl(req)
+            });
             if (DEBUG) {
-                console.log('[DEBUG] Sub-asset notification settings (edit):', notificationSettings, 'Apprise URL:', appriseUrl);
-            }
-            if (notificationSettings.notifyEdit && appriseUrl) {
-                await sendNotification('asset_edited', {
-                    id: finalSubAsset.id,
-                    parentId: finalSubAsset.parentId,
-                    name: `${finalSubAsset.name} (Component)`,
-                    modelNumber: finalSubAsset.modelNumber,
-                    description: finalSubAsset.description || finalSubAsset.notes
-                }, {
-                    appriseUrl,
-                    baseUrl: getBaseUrl(req)
-                });
-                if (DEBUG) {
-                    console.log('[DEBUG] Sub-asset edited notification sent.');
-                }
+                console.log('[DEBUG] Low stock notification sent:', { id: after.id, quantity: after.quantity });
             }
-        } catch (err) {
-            console.error('Failed to send sub-asset edited notification:', err.message);
         }
+    } catch (err) {
+        console.error('Failed to send low stock notification:', err.message);
+    }
+}
 
-        res.json(finalSubAsset);
+/**
+ * Use up or restock a consumable asset or component and respond with the updated record
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {'asset'|'subAsset'} type - Kind of record
+ */
+async function saveStockAdjustment(req, res, type) {
+    const isSubAsset = type === 'subAsset';
+    const collection = isSubAsset ? COLLECTIONS.SUB_ASSETS : COLLECTIONS.ASSETS;
+    try {
+        const record = storage.getById(collection, req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `${isSubAsset ? 'Component' : 'Asset'} not found` });
+        }
 
-    } catch (error) {
-        console.error(`Error updating sub-asset ${req.params.id}:`, error);
-        res.status(500).json({ message: 'Error updating sub-asset' });
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision !== null && expectedRevision !== getRevision(record)) {
+            return res.status(409).json({
+                error: `This ${isSubAsset ? 'component' : 'asset'} was changed by someone else since you opened it`,
+                current: record
+            });
+        }
+
+        const { value, errors, error, status } = adjustStock(record, req.body, generateId);
+        if (error) {
+            return res.status(status).json({ error, current: record });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, 'stock adjustment', errors);
+        }
+
+        const updated = { ...value, updatedAt: new Date().toISOString(), revision: getRevision(record) + 1 };
+        if (!storage.update(collection, updated)) {
+            return res.status(500).json({ error: 'Failed to adjust stock' });
+        }
+        recordChanges({ action: 'update', type, before: record, after: updated, req });
+
+        if (DEBUG) {
+            console.log(`[DEBUG] ${isSubAsset ? 'Component' : 'Asset'} stock adjusted:`, { id: updated.id, movement: updated.stockMovements[updated.stockMovements.length - 1] });
+        }
+        await sendLowStockNotification(req, record, updated);
+
+        setRevisionHeader(res, updated);
+        res.json(updated);
+    } catch (err) {
+        console.error(`Error adjusting stock of ${type} ${req.params.id}:`, err);
+        res.status(500).json({ error: 'Failed to adjust stock' });
     }
-});
+}
+
+// Use up or restock a consumable
+app.post('/api/assets/:id/stock', (req, res) => saveStockAdjustment(req, res, 'asset'));
+app.post('/api/subassets/:id/stock', (req, res) => saveStockAdjustment(req, res, 'subAsset'));
 
 // Delete a sub-asset
 app.delete('/api/subasset/:id', async (req, res) => {
     const subAssetId = req.params.id;
-    const subAssets = readJsonFile(subAssetsFilePath);
+    const subAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
     // Find the sub-asset to delete
-    const subAssetIndex = subAssets.findIndex(sa => sa.id === subAssetId);
-    if (subAssetIndex === -1) {
+    const deletedSubAsset = subAssets.find(sa => sa.id === subAssetId);
+    if (!deletedSubAsset) {
         return res.status(404).json({ error: 'Sub-asset not found' });
     }
-    // Get the sub-asset to delete
-    const deletedSubAsset = subAssets.splice(subAssetIndex, 1)[0];
     console.log(`[DEBUG] Deleting sub-asset: ${deletedSubAsset.id} (${deletedSubAsset.name})`);
     // Find all child sub-assets (nested ones) that belong to this sub-asset
     const allChildSubAssets = findAllChildSubAssets(deletedSubAsset.parentId, subAssetId, subAssets);
     console.log(`[DEBUG] Found ${allChildSubAssets.length} nested sub-assets to delete for sub-asset ${subAssetId}`);
-    // Remove all related sub-assets from the array
-    const updatedSubAssets = subAssets.filter(sa => {
-        return sa.id !== subAssetId && !allChildSubAssets.some(child => child.id === sa.id);
-    });
-    // Delete all associated files
-    try {
-        await deleteAssetFiles(deletedSubAsset);
-        if (allChildSubAssets.length > 0) {
-            await deleteAssetFiles(allChildSubAssets);
-        }
-        console.log(`[DEBUG] Deleted sub-asset ${deletedSubAsset.id} and ${allChildSubAssets.length} nested sub-assets with their files`);
-    } catch (error) {
-        console.error('[DEBUG] Error deleting files:', error);
-    }
-    // Write updated sub-assets
-    if (writeJsonFile(subAssetsFilePath, updatedSubAssets)) {
+    // Move the sub-asset, its nested children and their files to the trash
+    const trashEntry = moveToTrash({ type: 'subAsset', record: deletedSubAsset, subAssets: allChildSubAssets });
+    if (trashEntry) {
+        recordChanges(getTrashEntryChanges(trashEntry, 'delete', req));
+        console.log(`[DEBUG] Moved sub-asset ${deletedSubAsset.id} and ${allChildSubAssets.length} nested sub-assets to the trash`);
         // Notification logic for sub-asset delete
         try {
             const configPath = path.join(DATA_DIR, 'config.json');
@@ -1075,12 +1905,50 @@ app.delete('/api/subasset/:id', async (req, res) => {
         } catch (err) {
             console.error('Failed to send sub-asset deleted notification:', err.message);
         }
-        res.json({ message: 'Sub-asset deleted successfully' });
+        res.json({ message: 'Sub-asset moved to trash' });
     } else {
         res.status(500).json({ error: 'Failed to delete sub-asset' });
     }
 });
 
+// List deleted assets and components
+app.get('/api/trash', (req, res) => {
+    res.json({ retentionDays: getRetentionDays(), items: listTrash() });
+});
+
+// Restore an item from the trash
+app.post('/api/trash/:id/restore', (req, res) => {
+    const { entry, error, status } = restoreFromTrash(req.params.id);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    recordChanges(getTrashEntryChanges(entry, 'restore', req));
+    res.json({
+        message: `${entry.type === 'asset' ? 'Asset' : 'Component'} restored`,
+        type: entry.type,
+        id: (entry.asset || entry.subAssets[0]).id
+    });
+});
+
+// Permanently delete an item from the trash
+app.delete('/api/trash/:id', (req, res) => {
+    if (!storage.getById(COLLECTIONS.TRASH, req.params.id)) {
+        return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    if (!purgeTrash([req.params.id])) {
+        return res.status(500).json({ error: 'Failed to delete item' });
+    }
+    res.json({ message: 'Item permanently deleted' });
+});
+
+// Permanently delete everything in the trash
+app.delete('/api/trash', (req, res) => {
+    if (!purgeTrash(listTrash().map(item => item.id))) {
+        return res.status(500).json({ error: 'Failed to empty trash' });
+    }
+    res.json({ message: 'Trash emptied' });
+});
+
 // File upload endpoints
 const imageStorage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -1300,11 +2168,12 @@ app.post('/api/import-assets', upload.single('file'), (req, res) => {
         let json = XLSX.utils.sheet_to_json(sheet, { header: 1 });
         const headers = json[0] || [];
         const rows = json.slice(1);
+        const { customFields, categories, locations } = getAppSettings();
         let importedCount = 0;
-        let assets = readJsonFile(assetsFilePath);
+        const importedAssets = [];
         for (const row of rows) {
             if (!row.length) continue;
-            const get = idx => (mappings[idx] !== undefined && mappings[idx] !== "" && row[mappings[idx]] !== undefined) ? row[mappings[idx]] : "";
+            const get = (idx, columns = mappings) => (columns?.[idx] !== undefined && columns[idx] !== "" && row[columns[idx]] !== undefined) ? row[columns[idx]] : "";
             const name = get('name');
             if (!name) continue;
             // Parse lifetime warranty value
@@ -1321,7 +2190,7 @@ app.post('/api/import-assets', upload.single('file'), (req, res) => {
                 modelNumber: get('model'),
                 serialNumber: get('serial'),
                 purchaseDate: parseExcelDate(get('purchaseDate')),
-                price: get('purchasePrice'),
+                price: parseFloat(String(get('purchasePrice')).replace(/[^0-9.-]/g, '')) || null,
                 quantity: parseInt(get('quantity')) || 1,
                 description: get('notes'),
                 link: get('url'),
@@ -1335,9 +2204,26 @@ app.post('/api/import-assets', upload.single('file'), (req, res) => {
                     expirationDate: parseExcelDate(get('secondaryWarrantyExpiration'))
                 },
                 tags: [],
+                // Category and location columns may hold a name or a full path; unknown ones are left empty
+                categoryId: findNode(categories, get('category'))?.id || '',
+                locationId: findNode(locations, get('location'))?.id || '',
+                customFields: {},
+                maintenanceEvents: [],
+                photoPaths: [],
+                photoInfo: [],
+                receiptPaths: [],
+                receiptInfo: [],
+                manualPaths: [],
+                manualInfo: [],
                 createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
+                updatedAt: new Date().toISOString(),
+                revision: 1
             };
+            // Custom fields are mapped by field ID; cells that don't fit the field are left empty
+            customFields.forEach(definition => {
+                const value = parseImportValue(definition, get(definition.id, mappings.customFields), parseExcelDate);
+                if (value !== undefined) asset.customFields[definition.id] = value;
+            });
             // Parse tags if mapped
             if (mappings.tags !== undefined && mappings.tags !== "" && row[mappings.tags] !== undefined) {
                 const tagsRaw = row[mappings.tags];
@@ -1347,10 +2233,13 @@ app.post('/api/import-assets', upload.single('file'), (req, res) => {
                     asset.tags = tagsRaw.map(t => String(t).trim()).filter(Boolean);
                 }
             }
-            assets.push(asset);
+            importedAssets.push(asset);
             importedCount++;
         }
-        writeJsonFile(assetsFilePath, assets);
+        if (importedAssets.length > 0 && !storage.insertMany(COLLECTIONS.ASSETS, importedAssets)) {
+            return res.status(500).json({ error: 'Failed to import assets' });
+        }
+        recordChanges(importedAssets.map(asset => ({ action: 'create', type: 'asset', after: asset, req, source: 'import' })));
         res.json({ importedCount });
     } catch (err) {
         console.error('Import error:', err);
@@ -1358,6 +2247,74 @@ app.post('/api/import-assets', upload.single('file'), (req, res) => {
     }
 });
 
+// Backups include every uploaded file, so they get a much larger limit than imports
+const uploadBackup = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024 * 1024 // 1GB limit
+    }
+});
+
+// Download a full backup archive
+app.get('/api/backup', async (req, res) => {
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.attachment(`dumbAssets_backup_${dateStr}.zip`);
+    try {
+        await createBackupArchive(res);
+    } catch (err) {
+        console.error('Backup error:', err);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: 'Failed to create backup' });
+        }
+        res.destroy(err);
+    }
+});
+
+// Restore a backup archive, replacing or merging into the current data
+app.post('/api/backup/restore', uploadBackup.single('backup'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No backup file uploaded' });
+    }
+    try {
+        const { result, error, status } = restoreBackup(req.file.buffer, req.body.mode, req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (result.mode === 'replace') {
+            // The restored settings may use a different backup schedule and category and location trees
+            scheduleBackups();
+            reindexTreePaths();
+        }
+        res.json({ message: 'Backup restored', ...result });
+    } catch (err) {
+        console.error('Restore error:', err);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// Status of the automatic backups and the archives in the backup directory
+app.get('/api/backups', (req, res) => {
+    res.json({ status: getBackupStatus(), backups: listBackups() });
+});
+
+// Write a backup to the backup directory now
+app.post('/api/backups/run', async (req, res) => {
+    const status = await runBackup({ notify: false });
+    if (!status.success) {
+        return res.status(500).json({ error: `Backup failed: ${status.error}`, status });
+    }
+    res.json({ status, backups: listBackups() });
+});
+
+// Download a stored backup
+app.get('/api/backups/:name', (req, res) => {
+    const filePath = getBackupPath(req.params.name);
+    if (!filePath) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.download(filePath);
+});
+
 // Get all settings
 app.get('/api/settings', (req, res) => {
     try {
@@ -1371,18 +2328,398 @@ app.get('/api/settings', (req, res) => {
 // Save all settings
 app.post('/api/settings', (req, res) => {
     try {
-        const config = getAppSettings();
-        // Update settings with the new values
-        const updatedConfig = { ...config, ...req.body };
+        const { value: settings, errors } = validate(SETTINGS_SCHEMA, req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, 'settings', errors);
+        }
 
-        const configPath = path.join(DATA_DIR, 'config.json');
-        fs.writeFileSync(configPath, JSON.stringify(updatedConfig, null, 2));
+        // Update settings with the new values, locked like the config lists stored in the same file
+        const saved = updateJsonFile(path.join(DATA_DIR, 'config.json'), config => ({ ...DEFAULT_SETTINGS, ...config, ...settings }), {});
+        if (!saved) {
+            return res.status(500).json({ error: 'Failed to save settings' });
+        }
+        // Pick up changes to the backup schedule
+        scheduleBackups();
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: 'Failed to save settings' });
     }
 });
 
+/**
+ * Validate a saved search payload. A saved search needs a query, a dashboard filter or both.
+ * @param {Object} body - Request body
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} Validated fields and errors
+ */
+function validateSavedSearch(body) {
+    const { value, errors } = validate(SAVED_SEARCH_SCHEMA, body);
+    value.query = (value.query || '').trim();
+    value.filter = value.filter || null;
+    value.showOnDashboard = value.showOnDashboard === true;
+    if (errors.length === 0 && !value.query && !value.filter) {
+        errors.push({ field: 'query', message: 'or filter is required' });
+    }
+    return { value, errors };
+}
+
+/**
+ * Change a list stored in config.json (saved searches, templates, custom fields, categories, locations) as a single locked write
+ * @param {string} key - Config key of the list
+ * @param {Function} updater - Receives the list and returns the new list, or undefined to leave it unchanged
+ * @returns {boolean} True if the list was saved
+ */
+function updateConfigList(key, updater) {
+    return updateJsonFile(path.join(DATA_DIR, 'config.json'), config => {
+        const list = updater(config[key] || []);
+        return list === undefined ? undefined : { ...config, [key]: list };
+    }, {});
+}
+
+// Get saved searches
+app.get('/api/saved-searches', (req, res) => {
+    res.json(getAppSettings().savedSearches || []);
+});
+
+// Save a search
+app.post('/api/saved-searches', (req, res) => {
+    const { value, errors } = validateSavedSearch(req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'saved search', errors);
+    }
+    const savedSearch = { id: uuidv4(), ...value, createdAt: new Date().toISOString() };
+    if (!updateConfigList('savedSearches', savedSearches => [...savedSearches, savedSearch])) {
+        return res.status(500).json({ error: 'Failed to save search' });
+    }
+    res.status(201).json(savedSearch);
+});
+
+// Rename a saved search, change its query or show it on the dashboard
+app.put('/api/saved-searches/:id', (req, res) => {
+    const { value, errors } = validateSavedSearch(req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'saved search', errors);
+    }
+    let updated = null;
+    const saved = updateConfigList('savedSearches', savedSearches => {
+        const index = savedSearches.findIndex(savedSearch => savedSearch.id === req.params.id);
+        if (index === -1) return undefined;
+        updated = { ...savedSearches[index], ...value };
+        return savedSearches.map((savedSearch, i) => (i === index ? updated : savedSearch));
+    });
+    if (!updated) {
+        return res.status(404).json({ error: 'Saved search not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save search' });
+    }
+    res.json(updated);
+});
+
+// Delete a saved search
+app.delete('/api/saved-searches/:id', (req, res) => {
+    let found = false;
+    const saved = updateConfigList('savedSearches', savedSearches => {
+        found = savedSearches.some(savedSearch => savedSearch.id === req.params.id);
+        return found ? savedSearches.filter(savedSearch => savedSearch.id !== req.params.id) : undefined;
+    });
+    if (!found) {
+        return res.status(404).json({ error: 'Saved search not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete search' });
+    }
+    res.json({ success: true });
+});
+
+// Get asset templates
+app.get('/api/templates', (req, res) => {
+    res.json(getAppSettings().templates || []);
+});
+
+// Create an asset template
+app.post('/api/templates', (req, res) => {
+    const { value, errors } = validateTemplate(req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'template', errors);
+    }
+    const now = new Date().toISOString();
+    const template = { id: uuidv4(), ...value, createdAt: now, updatedAt: now };
+    if (!updateConfigList('templates', templates => [...templates, template])) {
+        return res.status(500).json({ error: 'Failed to save template' });
+    }
+    res.status(201).json(template);
+});
+
+// Replace an asset template
+app.put('/api/templates/:id', (req, res) => {
+    const { value, errors } = validateTemplate(req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'template', errors);
+    }
+    let updated = null;
+    const saved = updateConfigList('templates', templates => {
+        const index = templates.findIndex(template => template.id === req.params.id);
+        if (index === -1) return undefined;
+        const { id, createdAt } = templates[index];
+        updated = { id, ...value, createdAt, updatedAt: new Date().toISOString() };
+        return templates.map((template, i) => (i === index ? updated : template));
+    });
+    if (!updated) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save template' });
+    }
+    res.json(updated);
+});
+
+// Delete an asset template. Assets created from it are not affected.
+app.delete('/api/templates/:id', (req, res) => {
+    let found = false;
+    const saved = updateConfigList('templates', templates => {
+        found = templates.some(template => template.id === req.params.id);
+        return found ? templates.filter(template => template.id !== req.params.id) : undefined;
+    });
+    if (!found) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete template' });
+    }
+    res.json({ success: true });
+});
+
+// Get custom field definitions
+app.get('/api/custom-fields', (req, res) => {
+    res.json(getAppSettings().customFields || []);
+});
+
+// Define a custom field
+app.post('/api/custom-fields', (req, res) => {
+    const { value, errors } = validateCustomField(req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'custom field', errors);
+    }
+    const now = new Date().toISOString();
+    const customField = { id: uuidv4(), ...value, createdAt: now, updatedAt: now };
+    if (!updateConfigList('customFields', customFields => [...customFields, customField])) {
+        return res.status(500).json({ error: 'Failed to save custom field' });
+    }
+    res.status(201).json(customField);
+});
+
+// Rename a custom field or change its type or choices. Stored values are checked against the
+// new definition the next time their record is saved.
+app.put('/api/custom-fields/:id', (req, res) => {
+    const { value, errors } = validateCustomField(req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, 'custom field', errors);
+    }
+    let updated = null;
+    const saved = updateConfigList('customFields', customFields => {
+        const index = customFields.findIndex(customField => customField.id === req.params.id);
+        if (index === -1) return undefined;
+        const { id, createdAt } = customFields[index];
+        updated = { id, ...value, createdAt, updatedAt: new Date().toISOString() };
+        return customFields.map((customField, i) => (i === index ? updated : customField));
+    });
+    if (!updated) {
+        return res.status(404).json({ error: 'Custom field not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save custom field' });
+    }
+    res.json(updated);
+});
+
+// Delete a custom field. Its values are no longer shown and are dropped when a record is next saved.
+app.delete('/api/custom-fields/:id', (req, res) => {
+    let found = false;
+    const saved = updateConfigList('customFields', customFields => {
+        found = customFields.some(customField => customField.id === req.params.id);
+        return found ? customFields.filter(customField => customField.id !== req.params.id) : undefined;
+    });
+    if (!found) {
+        return res.status(404).json({ error: 'Custom field not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete custom field' });
+    }
+    res.json({ success: true });
+});
+
+/**
+ * Move every asset and component from a deleted category or location to another one
+ * @param {'categoryId'|'locationId'} field - Record field to change
+ * @param {string} fromId - ID of the deleted category or location
+ * @param {string} toId - ID to store instead, '' for none
+ * @param {Object} req - Request, for the change history
+ * @returns {number} Number of records moved
+ */
+function reassignRecords(field, fromId, toId, req) {
+    const now = new Date().toISOString();
+    const moveRecords = (collection, type) => {
+        const changes = storage.getAll(collection)
+            .filter(record => record[field] === fromId)
+            .map(record => ({
+                before: record,
+                after: { ...record, [field]: toId, updatedAt: now, revision: getRevision(record) + 1 }
+            }));
+        if (changes.length === 0) return 0;
+        if (!storage.updateMany(collection, changes.map(change => change.after))) {
+            console.error(`Failed to move ${type} records out of deleted ${field} ${fromId}`);
+            return 0;
+        }
+        recordChanges(changes.map(({ before, after }) => ({ action: 'update', type, before, after, req })));
+        return changes.length;
+    };
+    return moveRecords(COLLECTIONS.ASSETS, 'asset') + moveRecords(COLLECTIONS.SUB_ASSETS, 'subAsset');
+}
+
+// Get the category tree as a flat list; each category points to its parent with parentId
+app.get('/api/categories', (req, res) => {
+    res.json(getAppSettings().categories || []);
+});
+
+// Create a category
+app.post('/api/categories', (req, res) => {
+    const { categories, customFields } = getAppSettings();
+    const { value, errors } = validateCategory(req.body, { categories, customFields });
+    if (errors.length > 0) {
+        return sendValidationError(res, 'category', errors);
+    }
+    const now = new Date().toISOString();
+    const category = { id: uuidv4(), ...value, createdAt: now, updatedAt: now };
+    if (!updateConfigList('categories', list => [...list, category])) {
+        return res.status(500).json({ error: 'Failed to save category' });
+    }
+    res.status(201).json(category);
+});
+
+// Rename a category, change its defaults or move it under another parent
+app.put('/api/categories/:id', (req, res) => {
+    const { categories, customFields } = getAppSettings();
+    if (!categories.some(category => category.id === req.params.id)) {
+        return res.status(404).json({ error: 'Category not found' });
+    }
+    const { value, errors } = validateCategory(req.body, { categories, customFields, id: req.params.id });
+    if (errors.length > 0) {
+        return sendValidationError(res, 'category', errors);
+    }
+    let updated = null;
+    const saved = updateConfigList('categories', list => {
+        const index = list.findIndex(category => category.id === req.params.id);
+        if (index === -1) return undefined;
+        const { id, createdAt } = list[index];
+        updated = { id, ...value, createdAt, updatedAt: new Date().toISOString() };
+        return list.map((category, i) => (i === index ? updated : category));
+    });
+    if (!updated) {
+        return res.status(404).json({ error: 'Category not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save category' });
+    }
+    // A rename or move changes the path its records are found under in search
+    reindexTreePaths();
+    res.json(updated);
+});
+
+// Delete a category. Its subcategories and the assets and components in it move up to its parent,
+// or become uncategorized if it was a top-level category.
+app.delete('/api/categories/:id', (req, res) => {
+    let found = false;
+    let parentId = null;
+    const saved = updateConfigList('categories', list => {
+        found = list.some(category => category.id === req.params.id);
+        if (!found) return undefined;
+        const result = removeNode(list, req.params.id);
+        parentId = result.parentId;
+        return result.nodes;
+    });
+    if (!found) {
+        return res.status(404).json({ error: 'Category not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete category' });
+    }
+    const moved = reassignRecords('categoryId', req.params.id, parentId || '', req);
+    reindexTreePaths();
+    res.json({ success: true, moved });
+});
+
+// Get the location tree as a flat list; each location points to its parent with parentId
+app.get('/api/locations', (req, res) => {
+    res.json(getAppSettings().locations || []);
+});
+
+// Create a location
+app.post('/api/locations', (req, res) => {
+    const { locations } = getAppSettings();
+    const { value, errors } = validateLocation(req.body, { locations });
+    if (errors.length > 0) {
+        return sendValidationError(res, 'location', errors);
+    }
+    const now = new Date().toISOString();
+    const location = { id: uuidv4(), ...value, createdAt: now, updatedAt: now };
+    if (!updateConfigList('locations', list => [...list, location])) {
+        return res.status(500).json({ error: 'Failed to save location' });
+    }
+    res.status(201).json(location);
+});
+
+// Rename a location or move it into another one
+app.put('/api/locations/:id', (req, res) => {
+    const { locations } = getAppSettings();
+    if (!locations.some(location => location.id === req.params.id)) {
+        return res.status(404).json({ error: 'Location not found' });
+    }
+    const { value, errors } = validateLocation(req.body, { locations, id: req.params.id });
+    if (errors.length > 0) {
+        return sendValidationError(res, 'location', errors);
+    }
+    let updated = null;
+    const saved = updateConfigList('locations', list => {
+        const index = list.findIndex(location => location.id === req.params.id);
+        if (index === -1) return undefined;
+        const { id, createdAt } = list[index];
+        updated = { id, ...value, createdAt, updatedAt: new Date().toISOString() };
+        return list.map((location, i) => (i === index ? updated : location));
+    });
+    if (!updated) {
+        return res.status(404).json({ error: 'Location not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save location' });
+    }
+    // A rename or move changes the path its records are found under in search
+    reindexTreePaths();
+    res.json(updated);
+});
+
+// Delete a location. The locations inside it and the assets and components stored there move up to
+// its parent, or have no location if it was a top-level location.
+app.delete('/api/locations/:id', (req, res) => {
+    let found = false;
+    let parentId = null;
+    const saved = updateConfigList('locations', list => {
+        found = list.some(location => location.id === req.params.id);
+        if (!found) return undefined;
+        const result = removeNode(list, req.params.id);
+        parentId = result.parentId;
+        return result.nodes;
+    });
+    if (!found) {
+        return res.status(404).json({ error: 'Location not found' });
+    }
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to delete location' });
+    }
+    const moved = reassignRecords('locationId', req.params.id, parentId || '', req);
+    reindexTreePaths();
+    res.json({ success: true, moved });
+});
+
 // Test notification endpoint
 app.post('/api/notification-test', async (req, res) => {
     if (DEBUG) {
@@ -1501,6 +2838,31 @@ app.post('/api/notification-test', async (req, res) => {
                     };
                     message = `Test: Maintenance Schedule Notification\n\nTest Asset: ${notificationData.name} (Model: ${notificationData.modelNumber}, Serial: ${notificationData.serialNumber}) is due for scheduled maintenance. ${notificationData.description}`;
                     break;
+                case 'notifyOverdue':
+                    notificationData = {
+                        name: 'Borrowed Time Machine (notifyOverdue Test)',
+                        modelNumber: 'DLRN-88',
+                        serialNumber: 'OUTATIME',
+                        description: '📤 It was due back yesterday, which for a time machine is no excuse.'
+                    };
+                    message = `Test: Checkout Overdue\n\nTest Asset: ${notificationData.name} (Model: ${notificationData.modelNumber}, Serial: ${notificationData.serialNumber}) has not been returned by its expected date. ${notificationData.description}`;
+                    break;
+                case 'notifyLowStock':
+                    notificationData = {
+                        name: 'Infinite Toner Cartridge (notifyLowStock Test)',
+                        modelNumber: 'INK-0',
+                        serialNumber: 'EMPTY-1',
+                        description: '📦 Turns out infinite was an estimate. Time to reorder.'
+                    };
+                    message = `Test: Low Stock\n\nTest Asset: ${notificationData.name} (Model: ${notificationData.modelNumber}, Serial: ${notificationData.serialNumber}) has dropped below its reorder threshold. ${notificationData.description}`;
+                    break;
+                case 'notifyBackupFailure':
+                    notificationData = {
+                        name: 'Tape Drive (notifyBackupFailure Test)',
+                        description: '💾 A scheduled backup failed. Your data is fine, but it is not backed up.'
+                    };
+                    message = `Test: Backup Failed\n\n${notificationData.description}`;
+                    break;
             }
 
             // Send the notification
@@ -1534,6 +2896,15 @@ setInterval(() => {
 // Warranty expiration notification cron
 startWarrantyCron();
 
+// Purge items that have been in the trash longer than TRASH_RETENTION_DAYS
+startTrashPurgeCron();
+
+// Purge change history older than AUDIT_RETENTION_DAYS
+startAuditPurgeCron();
+
+// Automatic backups on the schedule in the backup settings
+scheduleBackups();
+
 // --- START SERVER ---
 app.listen(PORT, () => {
     debugLog('Server Configuration:', {
@@ -0,0 +1,171 @@
+/**
+ * Audit Log
+ * Append-only history of changes to assets and components. Each entry records what
+ * happened (create, update, delete, restore, or promote/demote between asset and component), a field-level diff of the old and new values,
+ * when it happened and which client made the change. Entries older than AUDIT_RETENTION_DAYS
+ * are purged daily so the log doesn't grow without limit.
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage, COLLECTIONS } = require('../storage');
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Bookkeeping fields that are set by the server and aren't worth reporting
+const IGNORED_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'revision', 'filesToDelete', 'photoInfo', 'receiptInfo', 'manualInfo']);
+// A component promoted to an asset, or an asset demoted to a component, keeps its ID
+const CONVERSION_ACTIONS = ['promote', 'demote'];
+// Objects that are diffed property by property, e.g. warranty.expirationDate, depreciation.method or customFields.<field ID>
+const NESTED_FIELDS = new Set(['warranty', 'secondaryWarranty', 'depreciation', 'customFields']);
+
+function normalize(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (Array.isArray(value) && value.length === 0) return null;
+    return value;
+}
+
+function isSame(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Compare two versions of a record
+ * @param {Object} before - Previous version (empty for a new record)
+ * @param {Object} after - New version
+ * @returns {Array<{ field: string, from: *, to: * }>} The fields that changed
+ */
+function diffRecords(before = {}, after = {}) {
+    const changes = [];
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+
+        if (NESTED_FIELDS.has(field)) {
+            const oldValue = before[field] || {};
+            const newValue = after[field] || {};
+            for (const key of new Set([...Object.keys(oldValue), ...Object.keys(newValue)])) {
+                if (!isSame(oldValue[key], newValue[key])) {
+                    changes.push({ field: `${field}.${key}`, from: normalize(oldValue[key]), to: normalize(newValue[key]) });
+                }
+            }
+        } else if (!isSame(before[field], after[field])) {
+            changes.push({ field, from: normalize(before[field]), to: normalize(after[field]) });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Describe the client that made a request
+ * @param {Object} [req] - Express request, omitted for changes made by the server itself
+ * @returns {{ ip: string|null, session: string|null }} Client IP and a short, non-reversible session id
+ */
+function getActor(req) {
+    if (!req) return { ip: null, session: null };
+    const session = req.session?.authenticated && req.sessionID
+        ? crypto.createHash('sha256').update(req.sessionID).digest('hex').slice(0, 12)
+        : null;
+    return { ip: req.ip || null, session };
+}
+
+/**
+ * Build an audit entry
+ * @param {Object} change
+ * @param {'create'|'update'|'delete'|'restore'|'promote'|'demote'} change.action - What happened
+ * @param {'asset'|'subAsset'} change.type - Kind of record
+ * @param {Object} [change.before] - Record before the change
+ * @param {Object} [change.after] - Record after the change
+ * @param {Object} [change.req] - Express request that made the change
+ * @param {string} [change.source] - Where the change came from: "web" (default), "import", "bulk" or "system"
+ * @returns {Object} The entry
+ */
+function createEntry({ action, type, before, after, req, source = req ? 'web' : 'system' }) {
+    const record = after || before;
+    return {
+        id: uuidv4(),
+        recordType: type,
+        recordId: record.id,
+        recordName: record.name,
+        action,
+        changes: ['create', 'update', ...CONVERSION_ACTIONS].includes(action) ? diffRecords(before, after) : [],
+        timestamp: new Date().toISOString(),
+        source,
+        ...getActor(req)
+    };
+}
+
+/**
+ * Append one or more changes to the audit log. Failures are logged but never block the change itself.
+ * @param {Object|Object[]} changes - Change descriptions, see createEntry
+ * @returns {boolean} True if the entries were saved
+ */
+function recordChanges(changes) {
+    const entries = (Array.isArray(changes) ? changes : [changes])
+        .map(createEntry)
+        // An update that only touched bookkeeping fields isn't worth an entry
+        .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+    if (entries.length === 0) return true;
+
+    const saved = getStorage().insertMany(COLLECTIONS.AUDIT_LOG, entries);
+    if (!saved) {
+        console.error('Failed to write audit log entries for:', entries.map(entry => entry.recordId));
+    }
+    return saved;
+}
+
+/**
+ * Number of days audit entries are kept before they are purged
+ * @returns {number} Days to keep entries, or 0 to keep them forever
+ */
+function getRetentionDays() {
+    const days = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Permanently delete audit entries older than the retention period
+ * @returns {number} Number of entries purged
+ */
+function purgeExpiredAuditEntries() {
+    const retentionDays = getRetentionDays();
+    if (retentionDays === 0) return 0;
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredIds = getStorage().getAll(COLLECTIONS.AUDIT_LOG)
+        .filter(entry => new Date(entry.timestamp).getTime() < cutoff)
+        .map(entry => entry.id);
+
+    if (expiredIds.length === 0 || !getStorage().remove(COLLECTIONS.AUDIT_LOG, expiredIds)) return 0;
+    console.log(`Audit log: purged ${expiredIds.length} entries older than ${retentionDays} days`);
+    return expiredIds.length;
+}
+
+/**
+ * Purge expired audit entries now and then daily at 3:30 AM in the configured timezone
+ */
+function startAuditPurgeCron() {
+    purgeExpiredAuditEntries();
+    cron.schedule('30 3 * * *', purgeExpiredAuditEntries, {
+        timezone: process.env.TZ || 'America/Chicago'
+    });
+}
+
+/**
+ * Get the change history of a record, newest first. For a record that was promoted or demoted,
+ * this includes its history from before the conversion.
+ * @param {'asset'|'subAsset'} type - Kind of record
+ * @param {string} id - Record ID
+ * @returns {Object[]} Audit entries
+ */
+function getHistory(type, id) {
+    const entries = getStorage().getAll(COLLECTIONS.AUDIT_LOG).filter(entry => entry.recordId === id);
+    const converted = entries.some(entry => CONVERSION_ACTIONS.includes(entry.action));
+    return entries
+        .filter(entry => converted || entry.recordType === type)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+module.exports = { diffRecords, recordChanges, getHistory, purgeExpiredAuditEntries, startAuditPurgeCron };
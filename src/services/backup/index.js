@@ -0,0 +1,415 @@
+/**
+ * Backup
+ * Full backups as a single ZIP archive: every asset, component and maintenance tracking record,
+ * the trash, the change history, the app settings and the uploaded photos, receipts and manuals,
+ * described by a manifest. Restoring validates the whole archive before anything is written, then
+ * either replaces the current data or merges the records and files that don't exist yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const { getStorage, COLLECTIONS, CURRENT_SCHEMA_VERSION, DEFAULT_DATA_DIR, writeJsonFile } = require('../storage');
+const { SCHEMA_MIGRATIONS } = require('../storage/schemaMigrations');
+const { validate, describeErrors, ASSET_SCHEMA, SUB_ASSET_SCHEMA } = require('../validation');
+const { recordChanges } = require('../audit');
+const { version: APP_VERSION } = require('../../../package.json');
+
+// 2: adds the trash and the change history
+const BACKUP_FORMAT_VERSION = 2;
+const MANIFEST_FILE = 'manifest.json';
+const CONFIG_FILE = 'config.json';
+const FILE_FOLDERS = ['Images', 'Receipts', 'Manuals'];
+// Each trash entry keeps its files in Trash/<entry ID>/Images etc.
+const TRASH_FOLDER = 'Trash';
+// Archive entry for each backed up collection
+const COLLECTION_FILES = {
+    [COLLECTIONS.ASSETS]: 'Assets.json',
+    [COLLECTIONS.SUB_ASSETS]: 'SubAssets.json',
+    [COLLECTIONS.MAINTENANCE_TRACKING]: 'maintenanceTracking.json'
+};
+// Collections added in format version 2. A version 1 backup restores with an empty trash and history.
+const HISTORY_FILES = {
+    [COLLECTIONS.TRASH]: 'Trash.json',
+    [COLLECTIONS.AUDIT_LOG]: 'AuditLog.json'
+};
+const BACKUP_FILES = { ...COLLECTION_FILES, ...HISTORY_FILES };
+const RESTORE_MODES = ['replace', 'merge'];
+
+/**
+ * Uploaded files in the data directory, as archive entry names ('Images/photo.jpg')
+ * @param {string} [base] - Folder holding the upload folders, relative to the data directory
+ * @returns {string[]} Entry names
+ */
+function listDataFiles(base = '') {
+    return FILE_FOLDERS.flatMap(folder => {
+        const entryFolder = base ? `${base}/${folder}` : folder;
+        const folderPath = path.join(DEFAULT_DATA_DIR, entryFolder);
+        if (!fs.existsSync(folderPath)) return [];
+        return fs.readdirSync(folderPath, { withFileTypes: true })
+            .filter(entry => entry.isFile())
+            .map(entry => `${entryFolder}/${entry.name}`);
+    });
+}
+
+/**
+ * IDs of the trash entries that have a folder of files
+ * @returns {string[]} Entry IDs
+ */
+function listTrashFolders() {
+    const trashPath = path.join(DEFAULT_DATA_DIR, TRASH_FOLDER);
+    if (!fs.existsSync(trashPath)) return [];
+    return fs.readdirSync(trashPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+}
+
+/**
+ * Uploaded files and the files of trash entries, as archive entry names
+ * @returns {string[]} Entry names
+ */
+function listAllFiles() {
+    return [...listDataFiles(), ...listTrashFolders().flatMap(entryId => listDataFiles(`${TRASH_FOLDER}/${entryId}`))];
+}
+
+/**
+ * Write a backup archive to a stream
+ * @param {stream.Writable} output - Destination, e.g. an Express response
+ * @returns {Promise<Object>} The manifest, once the archive has been written
+ */
+function createBackupArchive(output) {
+    const storage = getStorage();
+    const configPath = path.join(DEFAULT_DATA_DIR, CONFIG_FILE);
+    const collections = Object.fromEntries(
+        Object.keys(BACKUP_FILES).map(collection => [collection, storage.getAll(collection)])
+    );
+    const files = listAllFiles().map(name => ({
+        path: name,
+        size: fs.statSync(path.join(DEFAULT_DATA_DIR, name)).size
+    }));
+
+    const manifest = {
+        app: 'DumbAssets',
+        formatVersion: BACKUP_FORMAT_VERSION,
+        appVersion: APP_VERSION,
+        schemaVersion: storage.getSchemaVersion(),
+        createdAt: new Date().toISOString(),
+        includesConfig: fs.existsSync(configPath),
+        counts: {
+            assets: collections[COLLECTIONS.ASSETS].length,
+            subAssets: collections[COLLECTIONS.SUB_ASSETS].length,
+            maintenanceTracking: collections[COLLECTIONS.MAINTENANCE_TRACKING].length,
+            trash: collections[COLLECTIONS.TRASH].length,
+            auditLog: collections[COLLECTIONS.AUDIT_LOG].length
+        },
+        files
+    };
+
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        archive.on('error', reject);
+        archive.on('warning', error => console.warn('Backup warning:', error.message));
+        output.on('close', () => resolve(manifest));
+        archive.pipe(output);
+
+        archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_FILE });
+        for (const [collection, name] of Object.entries(BACKUP_FILES)) {
+            archive.append(JSON.stringify(collections[collection], null, 2), { name });
+        }
+        if (manifest.includesConfig) {
+            archive.file(configPath, { name: CONFIG_FILE });
+        }
+        files.forEach(file => archive.file(path.join(DEFAULT_DATA_DIR, file.path), { name: file.path }));
+        archive.finalize();
+    });
+}
+
+function isSafeName(name) {
+    return Boolean(name) && name !== '.' && name !== '..' && !name.includes('\\');
+}
+
+// Only top level files inside the upload folders, or inside a trash entry's upload folders
+// ('Trash/<entry ID>/Images/photo.jpg'), so an archive can't write outside them
+function isSafeFileEntry(name) {
+    if (typeof name !== 'string') return false;
+    const parts = name.split('/');
+    const inTrash = parts[0] === TRASH_FOLDER;
+    const [folder, fileName, ...rest] = inTrash ? parts.slice(2) : parts;
+    return (!inTrash || isSafeName(parts[1]))
+        && FILE_FOLDERS.includes(folder)
+        && rest.length === 0
+        && isSafeName(fileName);
+}
+
+function readJsonEntry(zip, name) {
+    const entry = zip.getEntry(name);
+    if (!entry) return undefined;
+    return JSON.parse(entry.getData().toString('utf8'));
+}
+
+/**
+ * Upgrade records from a backup made with an older schema version
+ * @param {Object[]} records - Assets or components
+ * @param {string} collection - COLLECTIONS.ASSETS or COLLECTIONS.SUB_ASSETS
+ * @param {number} fromVersion - Schema version the backup was made with
+ */
+function migrateRecords(records, collection, fromVersion) {
+    SCHEMA_MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .forEach(step => records.forEach(record => step.migrate(record, collection)));
+}
+
+/**
+ * Upgrade the records kept in trash entries from a backup made with an older schema version
+ * @param {Object[]} entries - Trash entries
+ * @param {number} fromVersion - Schema version the backup was made with
+ */
+function migrateTrash(entries, fromVersion) {
+    entries.forEach(entry => {
+        if (entry.asset) migrateRecords([entry.asset], COLLECTIONS.ASSETS, fromVersion);
+        migrateRecords(entry.subAssets, COLLECTIONS.SUB_ASSETS, fromVersion);
+    });
+}
+
+function isValidTrashEntry(entry) {
+    return Boolean(entry) && typeof entry.id === 'string' && isSafeName(entry.id)
+        && Array.isArray(entry.subAssets) && Array.isArray(entry.files);
+}
+
+/**
+ * Check backed up records against their schema
+ * @param {Object[]} records - Assets or components
+ * @param {Object} schema - ASSET_SCHEMA or SUB_ASSET_SCHEMA
+ * @param {string} label - Name of the record type for error messages
+ * @returns {{ values: Object[], errors: string[] }} The records, and a description of each invalid one
+ */
+function validateRecords(records, schema, label) {
+    const errors = [];
+    const values = records.map(record => {
+        const { value, errors: recordErrors } = validate(schema, record);
+        if (recordErrors.length > 0) {
+            errors.push(`${label} "${record.name || record.id}": ${describeErrors(recordErrors)}`);
+        }
+        // Keep the fields the server manages outside the schema, such as checkouts, the way an update
+        // keeps them from the stored record
+        return { ...record, ...value };
+    });
+    return { values, errors };
+}
+
+/**
+ * Open and validate a backup archive without changing any data
+ * @param {Buffer} buffer - The uploaded ZIP file
+ * @returns {{ backup?: Object, error?: string }} The parsed backup, or a description of what is wrong with it
+ */
+function readBackupArchive(buffer) {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        return { error: 'The file is not a valid ZIP archive' };
+    }
+
+    let manifest;
+    let data;
+    try {
+        manifest = readJsonEntry(zip, MANIFEST_FILE);
+        data = Object.fromEntries(
+            Object.entries(BACKUP_FILES).map(([collection, name]) => [collection, readJsonEntry(zip, name)])
+        );
+        data.config = readJsonEntry(zip, CONFIG_FILE);
+    } catch (error) {
+        return { error: `The backup contains invalid JSON: ${error.message}` };
+    }
+
+    if (!manifest || manifest.app !== 'DumbAssets') {
+        return { error: 'The archive is not a DumbAssets backup (manifest.json is missing)' };
+    }
+    if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+        return { error: `Unsupported backup format version ${manifest.formatVersion}` };
+    }
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        return { error: `The backup was made with a newer version of DumbAssets (schema ${manifest.schemaVersion})` };
+    }
+    if (manifest.formatVersion < 2) {
+        Object.keys(HISTORY_FILES).forEach(collection => { data[collection] = data[collection] || []; });
+    }
+    for (const [collection, name] of Object.entries(BACKUP_FILES)) {
+        if (!Array.isArray(data[collection])) {
+            return { error: `${name} is missing or is not a list` };
+        }
+    }
+    if (!data[COLLECTIONS.TRASH].every(isValidTrashEntry)) {
+        return { error: `${HISTORY_FILES[COLLECTIONS.TRASH]} contains an invalid entry` };
+    }
+    if (manifest.includesConfig && (!data.config || typeof data.config !== 'object' || Array.isArray(data.config))) {
+        return { error: `${CONFIG_FILE} is missing or invalid` };
+    }
+
+    // Every file in the manifest must be present and intact, and nothing else may be in the archive
+    const listedFiles = Array.isArray(manifest.files) ? manifest.files : [];
+    const expectedEntries = new Set([MANIFEST_FILE, CONFIG_FILE, ...Object.values(BACKUP_FILES)]);
+    for (const file of listedFiles) {
+        if (!isSafeFileEntry(file?.path)) {
+            return { error: `Invalid file path in manifest: ${file?.path}` };
+        }
+        if (!Number.isInteger(file.size) || file.size < 0) {
+            return { error: `Invalid file size in manifest for ${file.path}` };
+        }
+        const entry = zip.getEntry(file.path);
+        if (!entry || entry.header.size !== file.size) {
+            return { error: `The backup is incomplete: ${file.path} is missing or damaged` };
+        }
+        expectedEntries.add(file.path);
+    }
+    const unexpected = zip.getEntries().find(entry => !entry.isDirectory && !expectedEntries.has(entry.entryName));
+    if (unexpected) {
+        return { error: `Unexpected file in backup: ${unexpected.entryName}` };
+    }
+
+    migrateRecords(data[COLLECTIONS.ASSETS], COLLECTIONS.ASSETS, manifest.schemaVersion);
+    migrateRecords(data[COLLECTIONS.SUB_ASSETS], COLLECTIONS.SUB_ASSETS, manifest.schemaVersion);
+    migrateTrash(data[COLLECTIONS.TRASH], manifest.schemaVersion);
+    const assets = validateRecords(data[COLLECTIONS.ASSETS], ASSET_SCHEMA, 'Asset');
+    const subAssets = validateRecords(data[COLLECTIONS.SUB_ASSETS], SUB_ASSET_SCHEMA, 'Component');
+    const errors = [...assets.errors, ...subAssets.errors];
+    if (errors.length > 0) {
+        const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+        return { error: `The backup contains invalid records: ${errors.slice(0, 5).join('; ')}${more}` };
+    }
+
+    return {
+        backup: {
+            zip,
+            manifest,
+            assets: assets.values,
+            subAssets: subAssets.values,
+            maintenanceTracking: data[COLLECTIONS.MAINTENANCE_TRACKING],
+            trash: data[COLLECTIONS.TRASH],
+            auditLog: data[COLLECTIONS.AUDIT_LOG],
+            config: data.config,
+            files: listedFiles.map(file => file.path)
+        }
+    };
+}
+
+/**
+ * Find components whose parent asset or component would not exist after the restore
+ * @param {Object[]} assets - Assets after the restore
+ * @param {Object[]} subAssets - Components after the restore
+ * @returns {Object|undefined} The first orphaned component
+ */
+function findOrphan(assets, subAssets) {
+    const assetIds = new Set(assets.map(asset => asset.id));
+    const subAssetIds = new Set(subAssets.map(subAsset => subAsset.id));
+    return subAssets.find(subAsset => !assetIds.has(subAsset.parentId)
+        || (subAsset.parentSubId && !subAssetIds.has(subAsset.parentSubId)));
+}
+
+/**
+ * Copy files from the archive into the data directory
+ * @param {AdmZip} zip - The backup archive
+ * @param {string[]} names - Entry names ('Images/photo.jpg')
+ * @param {boolean} overwrite - Replace files that already exist
+ * @returns {number} Number of files written
+ */
+function extractFiles(zip, names, overwrite) {
+    let written = 0;
+    for (const name of names) {
+        const target = path.join(DEFAULT_DATA_DIR, name);
+        if (!overwrite && fs.existsSync(target)) continue;
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, zip.getEntry(name).getData());
+        written++;
+    }
+    return written;
+}
+
+/**
+ * Restore a backup archive
+ * @param {Buffer} buffer - The uploaded ZIP file
+ * @param {'replace'|'merge'} mode - "replace" swaps all current data, trash, history, settings and files for the
+ *   backup; "merge" only adds the records, tracking entries and files that don't exist yet and keeps the current
+ *   trash, history and settings
+ * @param {Object} [req] - Express request, used for the audit log
+ * @returns {{ result?: Object, error?: string, status?: number }} A summary of what was restored, or an error and HTTP status
+ */
+function restoreBackup(buffer, mode, req) {
+    if (!RESTORE_MODES.includes(mode)) {
+        return { error: `Restore mode must be one of: ${RESTORE_MODES.join(', ')}`, status: 400 };
+    }
+    const { backup, error } = readBackupArchive(buffer);
+    if (error) {
+        return { error, status: 400 };
+    }
+
+    const storage = getStorage();
+    const currentAssets = storage.getAll(COLLECTIONS.ASSETS);
+    const currentSubAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
+    const currentTracking = storage.getAll(COLLECTIONS.MAINTENANCE_TRACKING);
+    const existingAssetIds = new Set(currentAssets.map(asset => asset.id));
+    const existingSubAssetIds = new Set(currentSubAssets.map(subAsset => subAsset.id));
+
+    const newAssets = backup.assets.filter(asset => !existingAssetIds.has(asset.id));
+    const newSubAssets = backup.subAssets.filter(subAsset => !existingSubAssetIds.has(subAsset.id));
+    const existingTrackingKeys = new Set(currentTracking.map(tracking => tracking.key));
+    const newTracking = backup.maintenanceTracking.filter(tracking => !existingTrackingKeys.has(tracking.key));
+
+    const isReplace = mode === 'replace';
+    const finalAssets = isReplace ? backup.assets : [...currentAssets, ...newAssets];
+    const finalSubAssets = isReplace ? backup.subAssets : [...currentSubAssets, ...newSubAssets];
+    const orphan = findOrphan(finalAssets, finalSubAssets);
+    if (orphan) {
+        return { error: `Component "${orphan.name}" belongs to an asset or component that is not in the backup`, status: 400 };
+    }
+
+    const saved = isReplace
+        ? storage.replaceAll(COLLECTIONS.ASSETS, backup.assets)
+            && storage.replaceAll(COLLECTIONS.SUB_ASSETS, backup.subAssets)
+            && storage.replaceAll(COLLECTIONS.MAINTENANCE_TRACKING, backup.maintenanceTracking)
+            && storage.replaceAll(COLLECTIONS.TRASH, backup.trash)
+            && storage.replaceAll(COLLECTIONS.AUDIT_LOG, backup.auditLog)
+            && (!backup.config || writeJsonFile(path.join(DEFAULT_DATA_DIR, CONFIG_FILE), backup.config))
+        : (newAssets.length === 0 || storage.insertMany(COLLECTIONS.ASSETS, newAssets))
+            && (newSubAssets.length === 0 || storage.insertMany(COLLECTIONS.SUB_ASSETS, newSubAssets))
+            && (newTracking.length === 0 || storage.insertMany(COLLECTIONS.MAINTENANCE_TRACKING, newTracking));
+    if (!saved) {
+        return { error: 'Failed to save the restored data', status: 500 };
+    }
+
+    const filesWritten = extractFiles(backup.zip, backup.files, isReplace);
+    if (isReplace) {
+        // Remove uploads and trash folders that aren't part of the backup
+        const keep = new Set(backup.files);
+        const trashIds = new Set(backup.trash.map(entry => entry.id));
+        listAllFiles()
+            .filter(name => !keep.has(name))
+            .forEach(name => fs.rmSync(path.join(DEFAULT_DATA_DIR, name), { force: true }));
+        listTrashFolders()
+            .filter(entryId => !trashIds.has(entryId))
+            .forEach(entryId => fs.rmSync(path.join(DEFAULT_DATA_DIR, TRASH_FOLDER, entryId), { recursive: true, force: true }));
+    }
+
+    recordChanges([
+        ...newAssets.map(asset => ({ action: 'create', type: 'asset', after: asset, req, source: 'import' })),
+        ...newSubAssets.map(subAsset => ({ action: 'create', type: 'subAsset', after: subAsset, req, source: 'import' }))
+    ]);
+
+    return {
+        result: {
+            mode,
+            backupCreatedAt: backup.manifest.createdAt,
+            assets: isReplace ? backup.assets.length : newAssets.length,
+            subAssets: isReplace ? backup.subAssets.length : newSubAssets.length,
+            maintenanceTracking: isReplace ? backup.maintenanceTracking.length : newTracking.length,
+            files: filesWritten,
+            skipped: isReplace ? null : {
+                assets: backup.assets.length - newAssets.length,
+                subAssets: backup.subAssets.length - newSubAssets.length
+            }
+        }
+    };
+}
+
+module.exports = { BACKUP_FORMAT_VERSION, createBackupArchive, readBackupArchive, restoreBackup };
@@ -0,0 +1,215 @@
+/**
+ * Scheduled Backups
+ * Writes a backup archive into BACKUP_DIR (default /data/Backups) daily or weekly at the time
+ * chosen in the backup settings, prunes old archives with a keep-N-daily / keep-M-weekly policy
+ * and records the outcome of the last run. Failed runs can send an Apprise notification.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { DateTime } = require('luxon');
+const { DEFAULT_DATA_DIR, readJsonFile, writeJsonFile } = require('../storage');
+const { sendNotification } = require('../notifications/appriseNotifier');
+const { createBackupArchive } = require('./index');
+
+const TIMEZONE = process.env.TZ || 'America/Chicago';
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DEFAULT_DATA_DIR, 'Backups');
+// Kept with the data rather than the backups so a missing backup directory still shows up as a failure
+const STATUS_FILE = path.join(DEFAULT_DATA_DIR, 'backupStatus.json');
+const CONFIG_FILE = path.join(DEFAULT_DATA_DIR, 'config.json');
+const BACKUP_NAME_PATTERN = /^dumbAssets_backup_(\d{8}-\d{6})\.zip$/;
+
+const DEFAULT_BACKUP_SETTINGS = {
+    enabled: false,
+    frequency: 'daily',
+    time: '02:00',
+    dayOfWeek: 0,
+    keepDaily: 7,
+    keepWeekly: 4
+};
+
+let scheduledTask = null;
+let running = false;
+
+function getSettings() {
+    return readJsonFile(CONFIG_FILE, {}) || {};
+}
+
+/**
+ * Current backup settings with defaults filled in
+ * @returns {Object} Backup settings
+ */
+function getBackupSettings() {
+    return { ...DEFAULT_BACKUP_SETTINGS, ...(getSettings().backupSettings || {}) };
+}
+
+/**
+ * Cron expression for the configured schedule
+ * @param {Object} settings - Backup settings
+ * @returns {string} e.g. "30 2 * * *" for daily at 02:30 or "0 3 * * 0" for Sundays at 03:00
+ */
+function getCronExpression({ frequency, time, dayOfWeek }) {
+    const [hour, minute] = time.split(':').map(Number);
+    return `${minute} ${hour} * * ${frequency === 'weekly' ? dayOfWeek : '*'}`;
+}
+
+/**
+ * Backup archives in the backup directory, newest first
+ * @returns {Array<{ name: string, size: number, createdAt: string }>} Stored backups
+ */
+function listBackups() {
+    if (!fs.existsSync(BACKUP_DIR) || !fs.statSync(BACKUP_DIR).isDirectory()) return [];
+    return fs.readdirSync(BACKUP_DIR)
+        .map(name => ({ name, match: name.match(BACKUP_NAME_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => ({
+            name,
+            size: fs.statSync(path.join(BACKUP_DIR, name)).size,
+            createdAt: DateTime.fromFormat(match[1], 'yyyyMMdd-HHmmss', { zone: 'utc' }).toISO()
+        }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Full path of a stored backup, or null if the name isn't a backup in the backup directory
+ * @param {string} name - Archive file name
+ * @returns {string|null} Absolute path
+ */
+function getBackupPath(name) {
+    if (!BACKUP_NAME_PATTERN.test(name)) return null;
+    const filePath = path.join(BACKUP_DIR, name);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Delete backups that fall outside the retention policy. The newest backup of each of the last
+ * keepDaily days is kept, as is the newest backup of each of the last keepWeekly weeks.
+ * @param {Object} settings - Backup settings
+ * @returns {string[]} Names of the deleted archives
+ */
+function pruneBackups({ keepDaily, keepWeekly }) {
+    const backups = listBackups();
+    const keep = new Set();
+    const keepNewestPer = (periodOf, count) => {
+        const periods = new Set();
+        for (const backup of backups) {
+            const period = periodOf(DateTime.fromISO(backup.createdAt).setZone(TIMEZONE));
+            if (periods.has(period)) continue;
+            if (periods.size >= count) break;
+            periods.add(period);
+            keep.add(backup.name);
+        }
+    };
+    keepNewestPer(date => date.toISODate(), keepDaily);
+    keepNewestPer(date => `${date.weekYear}-W${date.weekNumber}`, keepWeekly);
+
+    const deleted = backups.filter(backup => !keep.has(backup.name)).map(backup => backup.name);
+    deleted.forEach(name => fs.rmSync(path.join(BACKUP_DIR, name), { force: true }));
+    return deleted;
+}
+
+/**
+ * Outcome of the most recent backup run
+ * @returns {Object|null} { lastRunAt, success, file, size, error, lastSuccessAt }, or null if no backup has run yet
+ */
+function getBackupStatus() {
+    return readJsonFile(STATUS_FILE, null);
+}
+
+function notifyFailure(error) {
+    const settings = getSettings();
+    const appriseUrl = process.env.APPRISE_URL || settings.appriseUrl;
+    if (!appriseUrl || settings.notificationSettings?.notifyBackupFailure === false) return;
+    sendNotification('backup_failed', { name: 'Scheduled backup', error: error.message }, {
+        appriseUrl,
+        baseUrl: process.env.BASE_URL || 'http://localhost:3000'
+    }).catch(err => console.error('Failed to send backup failure notification:', err.message));
+}
+
+/**
+ * Write a backup archive to the backup directory and apply the retention policy
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true] - Send an Apprise notification if the backup fails
+ * @returns {Promise<Object>} The new backup status
+ */
+async function runBackup({ notify = true } = {}) {
+    if (running) {
+        return { ...getBackupStatus(), success: false, error: 'A backup is already running' };
+    }
+    running = true;
+    const startedAt = DateTime.utc();
+    const name = `dumbAssets_backup_${startedAt.toFormat('yyyyMMdd-HHmmss')}.zip`;
+    const filePath = path.join(BACKUP_DIR, name);
+    const partialPath = `${filePath}.partial`;
+    const previous = getBackupStatus() || {};
+    let status;
+
+    try {
+        fs.mkdirSync(BACKUP_DIR, { recursive: true });
+        const output = fs.createWriteStream(partialPath);
+        try {
+            await createBackupArchive(output);
+        } catch (error) {
+            output.destroy();
+            throw error;
+        }
+        // Only complete archives get a .zip name, so a crash never leaves a truncated backup behind
+        fs.renameSync(partialPath, filePath);
+        const pruned = pruneBackups(getBackupSettings());
+        status = {
+            lastRunAt: startedAt.toISO(),
+            success: true,
+            file: name,
+            size: fs.statSync(filePath).size,
+            error: null,
+            lastSuccessAt: startedAt.toISO()
+        };
+        console.log(`Backup written to ${filePath}${pruned.length > 0 ? `, removed ${pruned.length} old backup(s)` : ''}`);
+    } catch (error) {
+        if (fs.existsSync(partialPath)) fs.rmSync(partialPath);
+        status = {
+            lastRunAt: startedAt.toISO(),
+            success: false,
+            file: null,
+            size: null,
+            error: error.message,
+            lastSuccessAt: previous.lastSuccessAt || null
+        };
+        console.error('Backup failed:', error);
+        if (notify) notifyFailure(error);
+    } finally {
+        running = false;
+    }
+
+    writeJsonFile(STATUS_FILE, status);
+    return status;
+}
+
+/**
+ * (Re)create the backup cron job from the current settings. Call again after the settings change.
+ */
+function scheduleBackups() {
+    if (scheduledTask) {
+        scheduledTask.stop();
+        scheduledTask = null;
+    }
+    const settings = getBackupSettings();
+    if (!settings.enabled) return;
+
+    scheduledTask = cron.schedule(getCronExpression(settings), () => runBackup(), {
+        timezone: TIMEZONE
+    });
+    console.log(`Automatic backups scheduled ${settings.frequency} at ${settings.time} (${TIMEZONE})`);
+}
+
+module.exports = {
+    DEFAULT_BACKUP_SETTINGS,
+    getBackupSettings,
+    listBackups,
+    getBackupPath,
+    getBackupStatus,
+    pruneBackups,
+    runBackup,
+    scheduleBackups
+};
@@ -0,0 +1,153 @@
+/**
+ * Bulk Asset Operations
+ * Checks POST /api/assets/bulk requests and applies batch edits (adding or removing tags, setting
+ * fields) to assets. Each asset is edited and validated on its own, so a request either applies
+ * to every selected asset or to none of them. Also builds the JSON and spreadsheet exports.
+ */
+
+const XLSX = require('xlsx');
+const { validate, ASSET_SCHEMA, BULK_REQUEST_SCHEMA } = require('../validation');
+const { applyMergePatch } = require('../patch');
+const { getPath } = require('../tree');
+const { getDepreciation, getBookValue } = require('../depreciation');
+
+const MAX_IDS = 1000;
+// Fields that can be set on many assets at once. Names and serial numbers belong to one asset,
+// and files and maintenance events are edited per asset.
+const BULK_FIELDS = [
+    'manufacturer',
+    'modelNumber',
+    'purchaseDate',
+    'price',
+    'quantity',
+    'consumable',
+    'reorderThreshold',
+    'depreciation',
+    'salvageValue',
+    'link',
+    'description',
+    'tags',
+    'warranty',
+    'secondaryWarranty'
+];
+// Spreadsheet columns, named so the import dialog maps them automatically
+const EXPORT_COLUMNS = [
+    ['Name', asset => asset.name],
+    ['Manufacturer', asset => asset.manufacturer],
+    ['Model Number', asset => asset.modelNumber],
+    ['Serial Number', asset => asset.serialNumber],
+    ['Purchase Date', asset => asset.purchaseDate],
+    ['Purchase Price', asset => asset.price],
+    ['Quantity', asset => asset.quantity],
+    ['Description', asset => asset.description],
+    ['URL', asset => asset.link],
+    ['Warranty', asset => asset.warranty?.scope],
+    ['Warranty Expiration', asset => asset.warranty?.expirationDate],
+    ['Lifetime Warranty', asset => asset.warranty?.isLifetime ? 'yes' : ''],
+    ['Secondary Warranty', asset => asset.secondaryWarranty?.scope],
+    ['Secondary Warranty Expiration', asset => asset.secondaryWarranty?.expirationDate],
+    ['Tags', asset => (asset.tags || []).join(', ')]
+];
+
+/**
+ * Validate a bulk request body
+ * @param {Object} body - Request body
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} The request with
+ *   duplicate ids and tags removed, and every invalid field
+ */
+function parseBulkRequest(body) {
+    const { value, errors } = validate(BULK_REQUEST_SCHEMA, body);
+    if (Array.isArray(value.ids)) {
+        value.ids = [...new Set(value.ids)];
+        if (value.ids.length === 0) errors.push({ field: 'ids', message: 'must list at least one asset' });
+        if (value.ids.length > MAX_IDS) errors.push({ field: 'ids', message: `must list at most ${MAX_IDS} assets` });
+    }
+    if (Array.isArray(value.tags)) {
+        value.tags = [...new Set(value.tags.map(tag => tag.trim()).filter(Boolean))];
+        if (value.tags.length === 0 && ['addTags', 'removeTags'].includes(value.action)) {
+            errors.push({ field: 'tags', message: 'must list at least one tag' });
+        }
+    }
+    if (value.action === 'set' && value.fields && typeof value.fields === 'object') {
+        const keys = Object.keys(value.fields);
+        if (keys.length === 0) errors.push({ field: 'fields', message: 'must set at least one field' });
+        keys.filter(key => !BULK_FIELDS.includes(key)).forEach(key => {
+            errors.push({ field: `fields.${key}`, message: 'cannot be set on several assets at once' });
+        });
+    }
+    return { value, errors };
+}
+
+/**
+ * Apply a tag or field edit to one asset
+ * @param {Object} asset - Asset as currently stored
+ * @param {Object} request - Request returned by parseBulkRequest()
+ * @returns {{ value: Object, errors: Array }} The edited asset and its validation errors
+ */
+function applyBulkEdit(asset, request) {
+    const currentTags = Array.isArray(asset.tags) ? asset.tags : [];
+    let edited;
+    switch (request.action) {
+        case 'addTags': {
+            // Tags are matched case-insensitively, so "Garage" isn't added next to "garage"
+            const existing = new Set(currentTags.map(tag => tag.toLowerCase()));
+            edited = { ...asset, tags: [...currentTags, ...request.tags.filter(tag => !existing.has(tag.toLowerCase()))] };
+            break;
+        }
+        case 'removeTags': {
+            const removed = new Set(request.tags.map(tag => tag.toLowerCase()));
+            edited = { ...asset, tags: currentTags.filter(tag => !removed.has(String(tag).toLowerCase())) };
+            break;
+        }
+        case 'set':
+            edited = applyMergePatch(asset, request.fields);
+            break;
+        default:
+            throw new Error(`"${request.action}" is not an edit`);
+    }
+
+    const { value, errors } = validate(ASSET_SCHEMA, edited);
+    // Keep stored fields the schema doesn't describe
+    const unknownFields = Object.fromEntries(Object.entries(asset).filter(([key]) => !(key in ASSET_SCHEMA)));
+    return { value: { ...unknownFields, ...value }, errors };
+}
+
+/**
+ * Describe a bulk edit for the summary notification
+ * @param {Object} request - Request returned by parseBulkRequest()
+ * @returns {string} e.g. "Added tags: garage, tools"
+ */
+function describeBulkEdit(request) {
+    switch (request.action) {
+        case 'addTags': return `Added tags: ${request.tags.join(', ')}`;
+        case 'removeTags': return `Removed tags: ${request.tags.join(', ')}`;
+        case 'set': return `Set ${Object.keys(request.fields).join(', ')}`;
+        default: return request.action;
+    }
+}
+
+/**
+ * Build a spreadsheet of assets in the column layout the importer understands
+ * @param {Object[]} assets - Assets to export
+ * @param {Object} [settings]
+ * @param {Object[]} [settings.customFields] - Custom field definitions, exported as one column each
+ * @param {Object[]} [settings.categories] - Categories, exported by their full path and used for the book value
+ * @param {Object[]} [settings.locations] - Locations, exported by their full path
+ * @returns {Buffer} The .xlsx file
+ */
+function buildExportWorkbook(assets, { customFields = [], categories = [], locations = [] } = {}) {
+    const columns = [
+        ...EXPORT_COLUMNS,
+        ['Category', asset => getPath(categories, asset.categoryId)],
+        ['Location', asset => getPath(locations, asset.locationId)],
+        ['Book Value', asset => getBookValue(asset, getDepreciation(asset, categories))],
+        ...customFields.map(definition => [definition.name, asset => asset.customFields?.[definition.id]])
+    ];
+    const rows = assets.map(asset => columns.map(([, getValue]) => getValue(asset) ?? ''));
+    const sheet = XLSX.utils.aoa_to_sheet([columns.map(([header]) => header), ...rows]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Assets');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = { BULK_FIELDS, MAX_IDS, parseBulkRequest, applyBulkEdit, describeBulkEdit, buildExportWorkbook };
@@ -0,0 +1,46 @@
+/**
+ * Categories
+ * A managed tree of asset types (Electronics > Computers > Laptops) stored in config.json. Every
+ * asset and component can be put in one category with categoryId. A category has an icon and
+ * defaults that are filled in when a record is put in it: a warranty length and custom field
+ * values. Subcategories inherit the defaults they don't set themselves. A category's depreciation
+ * method is not filled in but applies to every record in it that doesn't set its own.
+ */
+
+const { validate, CATEGORY_SCHEMA } = require('../validation');
+const { withCustomFields } = require('../customFields');
+const { getParentError } = require('../tree');
+
+/**
+ * Validate a category payload
+ * @param {Object} body - Request body
+ * @param {Object} context
+ * @param {Object[]} context.categories - Existing categories
+ * @param {Object[]} context.customFields - Custom field definitions, for the default values
+ * @param {string} [context.id] - ID of the category being edited
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} The category and
+ *   every invalid field
+ */
+function validateCategory(body, { categories, customFields, id = null }) {
+    const schema = withCustomFields(CATEGORY_SCHEMA, customFields);
+    const { value, errors } = validate(schema, body);
+    if (typeof value.name === 'string') value.name = value.name.trim();
+    if (typeof value.icon === 'string') value.icon = value.icon.trim();
+    if (errors.length > 0) return { value, errors };
+
+    if (!value.name) {
+        errors.push({ field: 'name', message: 'is required' });
+    }
+    const parentError = getParentError(categories, value.parentId, id, 'category');
+    if (parentError) {
+        errors.push({ field: 'parentId', message: parentError });
+    }
+    value.parentId = value.parentId || null;
+    value.icon = value.icon || '';
+    value.warrantyMonths = value.warrantyMonths || null;
+    value.customFields = value.customFields || {};
+    value.depreciation = value.depreciation || null;
+    return { value, errors };
+}
+
+module.exports = { validateCategory };
@@ -0,0 +1,98 @@
+/**
+ * Checkouts
+ * Who has an asset or component while it is lent out. Every record keeps its loans in `checkouts`,
+ * oldest first, and the one without a check-in date is the current loan. Loans only change through
+ * the checkout and checkin endpoints, so saving the record from the edit form leaves them alone.
+ */
+
+const { DateTime } = require('luxon');
+const { validate, CHECKOUT_SCHEMA, CHECKIN_SCHEMA } = require('../validation');
+
+const TIMEZONE = process.env.TZ || 'America/Chicago';
+
+/**
+ * Today's date in the configured timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function getToday() {
+    return DateTime.now().setZone(TIMEZONE).toISODate();
+}
+
+/**
+ * The loan a record is currently out on
+ * @param {Object} record - Asset or component
+ * @returns {Object|null} The open checkout, or null if the record is in
+ */
+function getOpenCheckout(record) {
+    return (record.checkouts || []).find(checkout => !checkout.checkedInAt) || null;
+}
+
+/**
+ * How many days an open loan is past its expected return date
+ * @param {Object} checkout - Checkout
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {number} Days overdue, 0 if it isn't due yet, has no due date or was returned
+ */
+function getDaysOverdue(checkout, today = getToday()) {
+    if (!checkout?.dueDate || checkout.checkedInAt || checkout.dueDate >= today) return 0;
+    return Math.round(DateTime.fromISO(today).diff(DateTime.fromISO(checkout.dueDate), 'days').days);
+}
+
+/**
+ * Lend a record out
+ * @param {Object} record - Asset or component as stored
+ * @param {Object} body - Request body, checked against CHECKOUT_SCHEMA
+ * @param {Function} generateId - Returns a new checkout ID
+ * @returns {{ value: Object|null, errors: Array<{ field: string, message: string }>, error?: string, status?: number }}
+ *   The record with the new loan, or the reason it can't be lent out
+ */
+function checkOut(record, body, generateId) {
+    const { value, errors } = validate(CHECKOUT_SCHEMA, body);
+    if (errors.length > 0) return { value: null, errors };
+
+    const open = getOpenCheckout(record);
+    if (open) {
+        return { value: null, errors: [], error: `Already checked out to ${open.borrower}`, status: 409 };
+    }
+
+    const checkout = {
+        id: generateId(),
+        borrower: value.borrower.trim(),
+        checkedOutAt: value.checkedOutAt || getToday(),
+        dueDate: value.dueDate || null,
+        conditionOut: (value.conditionOut || '').trim()
+    };
+    if (checkout.dueDate && checkout.dueDate < checkout.checkedOutAt) {
+        return { value: null, errors: [{ field: 'dueDate', message: 'cannot be before checkedOutAt' }] };
+    }
+    return { value: { ...record, checkouts: [...(record.checkouts || []), checkout] }, errors: [] };
+}
+
+/**
+ * Record that a lent record came back
+ * @param {Object} record - Asset or component as stored
+ * @param {Object} body - Request body, checked against CHECKIN_SCHEMA
+ * @returns {{ value: Object|null, errors: Array<{ field: string, message: string }>, error?: string, status?: number }}
+ *   The record with the loan closed, or the reason it can't be checked in
+ */
+function checkIn(record, body) {
+    const { value, errors } = validate(CHECKIN_SCHEMA, body);
+    if (errors.length > 0) return { value: null, errors };
+
+    const open = getOpenCheckout(record);
+    if (!open) {
+        return { value: null, errors: [], error: 'Not checked out', status: 409 };
+    }
+
+    const checkedInAt = value.checkedInAt || getToday();
+    if (checkedInAt < open.checkedOutAt) {
+        return { value: null, errors: [{ field: 'checkedInAt', message: 'cannot be before the checkout date' }] };
+    }
+    const closed = { ...open, checkedInAt, conditionIn: (value.conditionIn || '').trim() };
+    return {
+        value: { ...record, checkouts: record.checkouts.map(checkout => (checkout === open ? closed : checkout)) },
+        errors: []
+    };
+}
+
+module.exports = { getToday, getOpenCheckout, getDaysOverdue, checkOut, checkIn };
@@ -0,0 +1,89 @@
+/**
+ * Asset Cloning
+ * Copies an asset for POST /api/assets/:id/clone, optionally together with its nested components and
+ * maintenance schedules. Every copy gets new IDs; attachments are duplicated, shared with the
+ * original or left out, and per-unit fields such as the serial number can be cleared.
+ */
+
+const { validate, CLONE_SCHEMA } = require('../validation');
+const { FILE_KEYS, FILE_INFO_KEYS, copyRecordFiles } = require('../files');
+
+const DEFAULT_OPTIONS = {
+    count: 1,
+    includeComponents: true,
+    includeMaintenance: true,
+    attachments: 'copy',
+    clearFields: ['serialNumber']
+};
+
+/**
+ * Validate a clone request body and fill in the defaults
+ * @param {Object} [body] - Request body
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} The clone options
+ *   and every invalid field
+ */
+function parseCloneRequest(body = {}) {
+    const { value, errors } = validate(CLONE_SCHEMA, body);
+    return { value: { ...DEFAULT_OPTIONS, ...value }, errors };
+}
+
+// A copy of one asset or component with the fields that don't carry over cleared
+function cloneRecord(record, options, fields) {
+    let copy = { ...JSON.parse(JSON.stringify(record)), ...fields };
+    const isSubAsset = 'parentId' in copy;
+    options.clearFields.forEach(field => {
+        delete copy[field === 'price' && isSubAsset ? 'purchasePrice' : field];
+    });
+    if (!options.includeMaintenance) copy.maintenanceEvents = [];
+    // A copy starts out on the shelf, without the original's loans
+    delete copy.checkouts;
+    // and with its own stock log, counted from the copied quantity
+    delete copy.stockMovements;
+
+    if (options.attachments === 'copy') {
+        copy = copyRecordFiles(copy);
+    } else if (options.attachments === 'none') {
+        FILE_KEYS.forEach(key => {
+            if (key in copy) copy[key] = [];
+            if (FILE_INFO_KEYS[key] in copy) copy[FILE_INFO_KEYS[key]] = [];
+        });
+    }
+    return copy;
+}
+
+/**
+ * Create copies of an asset and, if requested, its component tree
+ * @param {Object} params
+ * @param {Object} params.asset - Asset to copy
+ * @param {Object[]} params.subAssets - All of the asset's components, at any depth
+ * @param {Object} params.options - Options returned by parseCloneRequest()
+ * @param {Function} params.generateId - Returns a new record ID
+ * @returns {{ assets: Object[], subAssets: Object[] }} The new records, not yet stored
+ */
+function cloneAssetTree({ asset, subAssets, options, generateId }) {
+    const now = new Date().toISOString();
+    const timestamps = { createdAt: now, updatedAt: now, revision: 1 };
+    const baseName = (options.name || '').trim() || `${asset.name} (Copy)`;
+    const result = { assets: [], subAssets: [] };
+
+    for (let index = 0; index < options.count; index++) {
+        const newAsset = cloneRecord(asset, options, {
+            ...timestamps,
+            id: generateId(),
+            name: options.count > 1 ? `${baseName} ${index + 1}` : baseName
+        });
+        result.assets.push(newAsset);
+        if (!options.includeComponents) continue;
+
+        // Nested components point at their parent component's new ID
+        const idMap = new Map(subAssets.map(subAsset => [subAsset.id, generateId()]));
+        subAssets.forEach(subAsset => {
+            const copy = cloneRecord(subAsset, options, { ...timestamps, id: idMap.get(subAsset.id), parentId: newAsset.id });
+            if (subAsset.parentSubId) copy.parentSubId = idMap.get(subAsset.parentSubId);
+            result.subAssets.push(copy);
+        });
+    }
+    return result;
+}
+
+module.exports = { parseCloneRequest, cloneAssetTree };
@@ -0,0 +1,53 @@
+/**
+ * Record Conversion
+ * Turns a component into an asset (promote) and an asset into a component (demote). Everything
+ * the two record types share is carried over as it is, including the ID, files, tags, warranties
+ * and maintenance events; only the fields that are named differently are mapped:
+ *   asset.price       <-> component.purchasePrice
+ *   asset.description <-> component.notes
+ * Fields only one type shows (such as an asset's secondary warranty) are kept on the record so
+ * nothing is lost if it is converted back later.
+ */
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Move a value to the field the other record type uses for it, unless that field is already set
+function renameField(record, from, to) {
+    if (!(from in record)) return;
+    if (isEmpty(record[to])) record[to] = record[from];
+    delete record[from];
+}
+
+/**
+ * Convert a component into an asset
+ * @param {Object} subAsset - Component as stored
+ * @returns {Object} The asset, without parentId/parentSubId
+ */
+function toAsset(subAsset) {
+    const asset = { ...subAsset };
+    delete asset.parentId;
+    delete asset.parentSubId;
+    renameField(asset, 'purchasePrice', 'price');
+    renameField(asset, 'notes', 'description');
+    return asset;
+}
+
+/**
+ * Convert an asset into a component
+ * @param {Object} asset - Asset as stored
+ * @param {Object} parent
+ * @param {string} parent.parentId - Asset the component belongs to
+ * @param {string|null} [parent.parentSubId] - Component it is nested under, if any
+ * @returns {Object} The component
+ */
+function toSubAsset(asset, { parentId, parentSubId = null }) {
+    const subAsset = { ...asset, parentId };
+    if (parentSubId) subAsset.parentSubId = parentSubId;
+    renameField(subAsset, 'price', 'purchasePrice');
+    renameField(subAsset, 'description', 'notes');
+    return subAsset;
+}
+
+module.exports = { toAsset, toSubAsset };
@@ -0,0 +1,95 @@
+/**
+ * Custom Fields
+ * Extra fields defined in Settings (IP address, license key, VIN…) that every asset and component
+ * can have. The definitions are stored in config.json next to the templates; the values are stored
+ * on each record as customFields: { <field ID>: value } and checked against the definitions when
+ * the record is saved.
+ */
+
+const { validate, CUSTOM_FIELD_SCHEMA } = require('../validation');
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const TRUE_VALUES = ['true', 'yes', '1', 'y', 'x'];
+const FALSE_VALUES = ['false', 'no', '0', 'n'];
+
+/**
+ * Validate a custom field definition
+ * @param {Object} body - Request body
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} The definition
+ *   with a trimmed name and de-duplicated options, and every invalid field
+ */
+function validateCustomField(body) {
+    const { value, errors } = validate(CUSTOM_FIELD_SCHEMA, body);
+    if (typeof value.name === 'string') value.name = value.name.trim();
+    if (errors.length > 0) return { value, errors };
+
+    if (!value.name) {
+        errors.push({ field: 'name', message: 'is required' });
+    }
+    if (value.type === 'select') {
+        value.options = [...new Set(value.options.map(option => option.trim()).filter(Boolean))];
+        if (value.options.length === 0) errors.push({ field: 'options', message: 'must have at least one choice' });
+    } else {
+        delete value.options;
+    }
+    return { value, errors };
+}
+
+// The validation rule for the values of one field
+function getValueRule(definition) {
+    switch (definition.type) {
+        case 'number': return { type: 'number', nullable: true };
+        case 'date': return { type: 'date' };
+        case 'select': return { type: 'string', enum: definition.options || [] };
+        case 'url': return { type: 'url', maxLength: 2000 };
+        case 'boolean': return { type: 'boolean' };
+        default: return { type: 'string', maxLength: 500 };
+    }
+}
+
+/**
+ * Add the custom field definitions to an asset or component schema. Values of fields that are no
+ * longer defined are dropped.
+ * @param {Object} schema - ASSET_SCHEMA or SUB_ASSET_SCHEMA
+ * @param {Object[]} definitions - Custom field definitions
+ * @returns {Object} The schema with customFields checked field by field
+ */
+function withCustomFields(schema, definitions = []) {
+    const properties = Object.fromEntries(definitions.map(definition => [definition.id, getValueRule(definition)]));
+    return { ...schema, customFields: { type: 'object', properties } };
+}
+
+/**
+ * Turn a spreadsheet cell into a custom field value
+ * @param {Object} definition - Custom field definition
+ * @param {*} cell - Cell value as read from the file
+ * @param {Function} parseDate - Turns a cell into a YYYY-MM-DD date, or '' if it isn't one
+ * @returns {*} The value, or undefined if the cell is empty or doesn't fit the field
+ */
+function parseImportValue(definition, cell, parseDate) {
+    if (cell === undefined || cell === null || String(cell).trim() === '') return undefined;
+    const text = String(cell).trim();
+
+    switch (definition.type) {
+        case 'number': {
+            const number = typeof cell === 'number' ? cell : parseFloat(text.replace(/[^0-9.-]/g, ''));
+            return Number.isFinite(number) ? number : undefined;
+        }
+        case 'date':
+            return parseDate(cell) || undefined;
+        case 'select':
+            // Choices match regardless of case, but are stored as defined
+            return (definition.options || []).find(option => option.toLowerCase() === text.toLowerCase());
+        case 'url':
+            return URL_PATTERN.test(text) ? text : undefined;
+        case 'boolean':
+            if (typeof cell === 'boolean') return cell;
+            if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+            if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+            return undefined;
+        default:
+            return text.slice(0, 500);
+    }
+}
+
+module.exports = { validateCustomField, withCustomFields, parseImportValue };
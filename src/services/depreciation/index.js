@@ -0,0 +1,54 @@
+/**
+ * Depreciation
+ * What an asset or component is worth today (its book value) rather than what it cost. A record
+ * uses its own depreciation method, or else that of its category or the nearest parent category
+ * that sets one. Value is lost from the purchase date down to the record's salvage value at the
+ * end of its useful life. public/helpers/depreciation.js does the same in the browser.
+ */
+
+const { getAncestry } = require('../tree');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * The depreciation that applies to a record
+ * @param {Object} record - Asset or component
+ * @param {Object[]} categories - All categories
+ * @returns {Object|null} { method, usefulLifeYears, rate }, or null if neither the record nor its
+ *   categories set one
+ */
+function getDepreciation(record, categories = []) {
+    if (record.depreciation?.method) return record.depreciation;
+    return getAncestry(categories, record.categoryId).reverse()
+        .find(category => category.depreciation?.method)?.depreciation || null;
+}
+
+/**
+ * The book value of one unit of a record
+ * @param {Object} record - Asset or component
+ * @param {Object|null} depreciation - From getDepreciation()
+ * @param {Date} [today]
+ * @returns {number|null} The value, rounded to cents, or null if the record has no price. Without
+ *   a purchase date or a depreciation method it is the price.
+ */
+function getBookValue(record, depreciation, today = new Date()) {
+    const price = record.price ?? record.purchasePrice;
+    if (typeof price !== 'number') return null;
+    if (!depreciation || depreciation.method === 'none' || !record.purchaseDate) return price;
+
+    const salvageValue = Math.min(record.salvageValue || 0, price);
+    const years = Math.max(0, (today - new Date(`${record.purchaseDate}T00:00:00`)) / YEAR_MS);
+    const { method, usefulLifeYears } = depreciation;
+    let value;
+    if (years >= usefulLifeYears) {
+        value = salvageValue;
+    } else if (method === 'straightLine') {
+        value = price - (price - salvageValue) * (years / usefulLifeYears);
+    } else {
+        const rate = (depreciation.rate || 200 / usefulLifeYears) / 100;
+        value = Math.max(salvageValue, price * Math.pow(1 - rate, years));
+    }
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { getDepreciation, getBookValue };
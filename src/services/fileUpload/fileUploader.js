@@ -304,9 +304,8 @@ async function handleFileUploads(asset, isEditMode, isSubAsset = false) {
         const typeMap = { photo: 'image', receipt: 'receipt', manual: 'manual' };
         const pathsKey = `${fileType}Paths`;
         const infoKey = `${fileType}Info`;
-        const legacyPathKey = `${fileType}Path`;
 
-        let currentPaths = assetCopy[pathsKey] || (assetCopy[legacyPathKey] ? [assetCopy[legacyPathKey]] : []);
+        let currentPaths = assetCopy[pathsKey] || [];
         let currentInfos = assetCopy[infoKey] || [];
 
         // 1. Filter out files marked for deletion
@@ -382,7 +381,6 @@ async function handleFileUploads(asset, isEditMode, isSubAsset = false) {
         // 3. Merge and set the final arrays
         assetCopy[pathsKey] = [...currentPaths, ...newPaths];
         assetCopy[infoKey] = [...currentInfos, ...newInfos];
-        assetCopy[legacyPathKey] = assetCopy[pathsKey][0] || null;
     };
 
     await processFiles('photo');
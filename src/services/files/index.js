@@ -0,0 +1,75 @@
+/**
+ * Attachment Files
+ * Photos, receipts and manuals stored under /data and referenced by path ('/Images/...') from
+ * assets and components. A cloned record can share its files with the original, so a file is only
+ * removed once no other record refers to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage, COLLECTIONS, DEFAULT_DATA_DIR } = require('../storage');
+
+// Path arrays and the matching file info arrays (original name, size) on a record
+const FILE_KEYS = ['photoPaths', 'receiptPaths', 'manualPaths'];
+const FILE_INFO_KEYS = { photoPaths: 'photoInfo', receiptPaths: 'receiptInfo', manualPaths: 'manualInfo' };
+
+// File paths are stored as '/Images/filename.jpg' relative to the data directory
+function getDataFilePath(filePath) {
+    return path.join(DEFAULT_DATA_DIR, filePath.replace(/^\/+/, ''));
+}
+
+/**
+ * Every file path referenced by a set of records
+ * @param {Object[]} records - Assets or components
+ * @returns {string[]} File paths
+ */
+function getRecordFiles(records) {
+    return records.flatMap(record => FILE_KEYS.flatMap(key => Array.isArray(record[key]) ? record[key] : [])).filter(Boolean);
+}
+
+/**
+ * Files that are still referenced by an asset or component other than the given ones
+ * @param {string[]} excludeIds - IDs of the records the files are being removed from
+ * @returns {Set<string>} File paths in use elsewhere
+ */
+function getFilesInUse(excludeIds = []) {
+    const storage = getStorage();
+    const excluded = new Set(excludeIds);
+    const records = [...storage.getAll(COLLECTIONS.ASSETS), ...storage.getAll(COLLECTIONS.SUB_ASSETS)]
+        .filter(record => !excluded.has(record.id));
+    return new Set(getRecordFiles(records));
+}
+
+/**
+ * Copy a record's files under new names, for a record that shouldn't share them with the original
+ * @param {Object} record - Asset or component
+ * @returns {Object} The record with its paths and file info pointing at the copies. Files that
+ *   can't be copied are left out.
+ */
+function copyRecordFiles(record) {
+    const copy = { ...record };
+    FILE_KEYS.filter(key => Array.isArray(record[key])).forEach(key => {
+        const infoKey = FILE_INFO_KEYS[key];
+        const info = Array.isArray(record[infoKey]) ? record[infoKey] : [];
+        const paths = [];
+        const infos = [];
+        record[key].forEach((filePath, index) => {
+            const fileName = `${uuidv4()}${path.extname(filePath)}`;
+            const newPath = `${path.posix.dirname(filePath)}/${fileName}`;
+            try {
+                fs.copyFileSync(getDataFilePath(filePath), getDataFilePath(newPath));
+            } catch (error) {
+                console.warn(`Files: could not copy ${filePath}, leaving it out:`, error.message);
+                return;
+            }
+            paths.push(newPath);
+            if (info[index]) infos.push({ ...info[index], fileName });
+        });
+        copy[key] = paths;
+        if (infoKey in record) copy[infoKey] = infos;
+    });
+    return copy;
+}
+
+module.exports = { FILE_KEYS, FILE_INFO_KEYS, getDataFilePath, getRecordFiles, getFilesInUse, copyRecordFiles };
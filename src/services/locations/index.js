@@ -0,0 +1,37 @@
+/**
+ * Locations
+ * A managed tree of places (Home > Garage > Shelf 2) stored in config.json. Every asset and
+ * component can be stored at one location with locationId. A component without a location of its
+ * own is wherever its asset is.
+ */
+
+const { validate, LOCATION_SCHEMA } = require('../validation');
+const { getParentError } = require('../tree');
+
+/**
+ * Validate a location payload
+ * @param {Object} body - Request body
+ * @param {Object} context
+ * @param {Object[]} context.locations - Existing locations
+ * @param {string} [context.id] - ID of the location being edited
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} The location and
+ *   every invalid field
+ */
+function validateLocation(body, { locations, id = null }) {
+    const { value, errors } = validate(LOCATION_SCHEMA, body);
+    if (typeof value.name === 'string') value.name = value.name.trim();
+    if (errors.length > 0) return { value, errors };
+
+    if (!value.name) {
+        errors.push({ field: 'name', message: 'is required' });
+    }
+    const parentError = getParentError(locations, value.parentId, id, 'location');
+    if (parentError) {
+        errors.push({ field: 'parentId', message: parentError });
+    }
+    value.parentId = value.parentId || null;
+    value.notes = value.notes || '';
+    return { value, errors };
+}
+
+module.exports = { validateLocation };
@@ -51,6 +51,12 @@ function formatNotification(eventType, assetData, baseUrl = '') {
     if (assetData.parentId) {
       lines.push('📦 Component');
     }
+  } else if (eventType === 'assets_bulk_edited' || eventType === 'assets_bulk_deleted') {
+    // One message for a whole batch instead of one per asset
+    lines.push(eventType === 'assets_bulk_edited' ? '✏️ Assets Edited' : '❌ Assets Deleted');
+    lines.push(`${assetData.count} asset${String(assetData.count) === '1' ? '' : 's'}`);
+    if (assetData.summary) lines.push(assetData.summary);
+    if (assetData.names) lines.push(assetData.names);
   } else if (eventType === 'warranty_expiring') {
     lines.push(`⏰ Warranty Expiring in ${assetData.days ? assetData.days + ' days' : assetData.time || ''}`);
     if (assetData.assetType === 'Component') {
@@ -73,6 +79,33 @@ function formatNotification(eventType, assetData, baseUrl = '') {
     if (assetData.eventName) lines.push(`Event: ${assetData.eventName}`);
     if (assetData.schedule) lines.push(`Schedule: ${assetData.schedule}`);
     if (assetData.notes) lines.push(`Notes: ${assetData.notes}`);
+  } else if (eventType === 'checkout_overdue') {
+    lines.push(`📤 Checkout Overdue by ${assetData.days} day${String(assetData.days) === '1' ? '' : 's'}`);
+    if (assetData.type === 'Component') {
+      lines.push(`Component: ${assetData.name}`);
+      if (assetData.parentAsset) lines.push(`Parent Asset: ${assetData.parentAsset}`);
+    } else {
+      lines.push(`Asset: ${assetData.name}`);
+    }
+    if (assetData.modelNumber) lines.push(`Model #: ${assetData.modelNumber}`);
+    if (assetData.borrower) lines.push(`Borrower: ${assetData.borrower}`);
+    if (assetData.checkedOutAt) lines.push(`Checked Out: ${assetData.checkedOutAt}`);
+    if (assetData.dueDate) lines.push(`Due: ${assetData.dueDate}`);
+  } else if (eventType === 'low_stock') {
+    lines.push('📦 Low Stock');
+    if (assetData.type === 'Component') {
+      lines.push(`Component: ${assetData.name}`);
+      if (assetData.parentAsset) lines.push(`Parent Asset: ${assetData.parentAsset}`);
+    } else {
+      lines.push(`Asset: ${assetData.name}`);
+    }
+    if (assetData.modelNumber) lines.push(`Model #: ${assetData.modelNumber}`);
+    lines.push(`In Stock: ${assetData.quantity}`);
+    if (assetData.reorderThreshold) lines.push(`Reorder Below: ${assetData.reorderThreshold}`);
+  } else if (eventType === 'backup_failed') {
+    lines.push('⚠️ Backup Failed');
+    if (assetData.name) lines.push(assetData.name);
+    if (assetData.error) lines.push(`Error: ${assetData.error}`);
   } else if (eventType === 'test') {
     lines.push('🧪🔔 Test Notification');
   } else {
@@ -80,7 +113,7 @@ function formatNotification(eventType, assetData, baseUrl = '') {
   }
   
   // Add basic info for other event types
-  if (!['asset_deleted','maintenance_schedule','warranty_expiring'].includes(eventType)) {
+  if (!['asset_deleted','assets_bulk_edited','assets_bulk_deleted','maintenance_schedule','warranty_expiring','checkout_overdue','low_stock','backup_failed'].includes(eventType)) {
     if (assetData.name) lines.push(assetData.name);
     if (assetData.modelNumber) lines.push(assetData.modelNumber);
     if (assetData.description) lines.push(assetData.description);
@@ -118,7 +151,7 @@ async function _sendNotificationImmediate(eventType, assetData, config) {
 
     // Use formatted message for known event types
     let message = appriseMessage;
-    if (!appriseMessage || ['asset_added','asset_deleted','asset_edited','warranty_expiring','test'].includes(eventType)) {
+    if (!appriseMessage || ['asset_added','asset_deleted','asset_edited','assets_bulk_edited','assets_bulk_deleted','warranty_expiring','checkout_overdue','low_stock','backup_failed','test'].includes(eventType)) {
       message = formatNotification(eventType, safeData, baseUrl);
     } else {
       Object.entries(safeData).forEach(([key, value]) => {
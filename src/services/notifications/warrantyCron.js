@@ -7,8 +7,10 @@
 const cron = require('node-cron');
 const { DateTime } = require('luxon');
 const path = require('path');
-const fs = require('fs');
 const sendNotification = require('./appriseNotifier').sendNotification;
+const { getStorage, COLLECTIONS, readJsonFile } = require('../storage');
+const { recordChanges } = require('../audit');
+const { getOpenCheckout, getDaysOverdue } = require('../checkouts');
 
 // Helper: debugLog fallback
 const debugLog = (typeof global.debugLog === 'function') ? global.debugLog : (...args) => {
@@ -147,37 +149,14 @@ function toDateString(dateTime) {
 }
 
 // File paths
-const assetsFilePath = path.join(__dirname, '..', '..', '..', 'data', 'Assets.json');
-const subAssetsFilePath = path.join(__dirname, '..', '..', '..', 'data', 'SubAssets.json');
 const configFilePath = path.join(__dirname, '..', '..', '..', 'data', 'config.json');
-const maintenanceTrackingPath = path.join(__dirname, '..', '..', '..', 'data', 'maintenanceTracking.json');
-
-function readJsonFile(filePath) {
-    try {
-        if (fs.existsSync(filePath)) {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        }
-    } catch (error) {
-        console.error(`Error reading JSON file ${filePath}:`, error);
-    }
-    return [];
-}
-
-function writeJsonFile(filePath, data) {
-    try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.error(`Error writing JSON file ${filePath}:`, error);
-        return false;
-    }
-}
 
 async function startWarrantyCron() {
     // Warranty expiration checks at 12:01 PM daily
     cron.schedule('1 12 * * *', async () => {
-        const assets = readJsonFile(assetsFilePath);
-        const subAssets = readJsonFile(subAssetsFilePath);
+        const storage = getStorage();
+        const assets = storage.getAll(COLLECTIONS.ASSETS);
+        const subAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
         const now = DateTime.now().setZone(TIMEZONE);
         const today = getTodayString();
         const settings = readJsonFile(configFilePath);
@@ -328,6 +307,100 @@ async function startWarrantyCron() {
     }, {
         timezone: process.env.TZ || 'America/Chicago'
     });
+
+    // Overdue checkout checks at 12:03 PM daily
+    cron.schedule('3 12 * * *', () => {
+        checkOverdueCheckouts();
+    }, {
+        timezone: process.env.TZ || 'America/Chicago'
+    });
+}
+
+// Days after the expected return date on which an overdue reminder is sent: the first day, then weekly
+function isOverdueReminderDay(daysOverdue) {
+    return daysOverdue > 0 && (daysOverdue - 1) % 7 === 0;
+}
+
+// Overdue checkout notification logic
+async function checkOverdueCheckouts() {
+    const settings = readJsonFile(configFilePath);
+    const notificationSettings = settings.notificationSettings || {};
+    if (notificationSettings.notifyOverdue === false) return;
+
+    const storage = getStorage();
+    const assets = storage.getAll(COLLECTIONS.ASSETS);
+    const subAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
+    const today = getTodayString();
+    const appriseUrl = process.env.APPRISE_URL;
+
+    debugLog(`[DEBUG] Starting overdue checkout check for ${today} in timezone ${TIMEZONE}`);
+
+    const notificationsToSend = [];
+    let overdueCount = 0;
+    const records = [
+        ...assets.map(record => ({ record, isSubAsset: false })),
+        ...subAssets.map(record => ({ record, isSubAsset: true }))
+    ];
+    for (const { record, isSubAsset } of records) {
+        try {
+            const checkout = getOpenCheckout(record);
+            const daysOverdue = getDaysOverdue(checkout, today);
+            if (daysOverdue === 0) continue;
+            overdueCount++;
+            if (!isOverdueReminderDay(daysOverdue)) continue;
+
+            const notificationData = {
+                id: record.id,
+                name: record.name,
+                modelNumber: record.modelNumber,
+                borrower: checkout.borrower,
+                checkedOutAt: checkout.checkedOutAt,
+                dueDate: checkout.dueDate,
+                days: daysOverdue,
+                type: isSubAsset ? 'Component' : 'Asset'
+            };
+            if (isSubAsset && record.parentId) {
+                notificationData.parentId = record.parentId;
+                const parentAsset = assets.find(a => a.id === record.parentId);
+                notificationData.parentAsset = parentAsset ? parentAsset.name : 'Unknown Parent';
+            }
+
+            notificationsToSend.push({
+                type: 'checkout_overdue',
+                data: notificationData,
+                config: {
+                    appriseUrl,
+                    baseUrl: process.env.BASE_URL || 'http://localhost:3000'
+                }
+            });
+            debugLog(`[DEBUG] Overdue checkout notification queued for ${notificationData.type.toLowerCase()}: ${record.name}, borrower: ${checkout.borrower}, ${daysOverdue} days overdue`);
+        } catch (error) {
+            debugLog(`[ERROR] Error checking checkout of "${record.name}":`, error.message);
+        }
+    }
+
+    let successfulNotifications = 0;
+    let failedNotifications = 0;
+    for (const notification of notificationsToSend) {
+        try {
+            await sendNotification(notification.type, notification.data, notification.config);
+            successfulNotifications++;
+        } catch (error) {
+            debugLog(`[ERROR] Failed to send overdue checkout notification for ${notification.data.type} "${notification.data.name}":`, error.message);
+            failedNotifications++;
+        }
+    }
+
+    debugLog(`[SUMMARY] Overdue checkout check completed for ${today}:`);
+    debugLog(`  - Assets checked: ${records.length} (${assets.length} main assets, ${subAssets.length} components)`);
+    debugLog(`  - Overdue checkouts: ${overdueCount}`);
+    debugLog(`  - Notifications queued: ${notificationsToSend.length}`);
+    debugLog(`  - Notifications sent successfully: ${successfulNotifications}`);
+    debugLog(`  - Notifications failed: ${failedNotifications}`);
+
+    if (notificationsToSend.length > 0) {
+        console.log(`Overdue checkout check completed: ${successfulNotifications}/${notificationsToSend.length} notifications sent successfully`);
+    }
 }
 
 // Maintenance Schedule notification logic
@@ -336,8 +409,9 @@ async function checkMaintenanceSchedules() {
     const notificationSettings = settings.notificationSettings || {};
     if (!notificationSettings.notifyMaintenance) return;
     
-    const assets = readJsonFile(assetsFilePath);
-    const subAssets = readJsonFile(subAssetsFilePath);
+    const storage = getStorage();
+    const assets = storage.getAll(COLLECTIONS.ASSETS);
+    const subAssets = storage.getAll(COLLECTIONS.SUB_ASSETS);
     const now = DateTime.now().setZone(TIMEZONE);
     const today = getTodayString();
     const appriseUrl = process.env.APPRISE_URL;
@@ -345,7 +419,7 @@ async function checkMaintenanceSchedules() {
     debugLog(`[DEBUG] Starting maintenance check for ${today} in timezone ${TIMEZONE}`);
 
     // Load and update maintenance tracking
-    let maintenanceTracking = readJsonFile(maintenanceTrackingPath);
+    let maintenanceTracking = storage.getAll(COLLECTIONS.MAINTENANCE_TRACKING);
     if (!Array.isArray(maintenanceTracking)) {
         maintenanceTracking = [];
     }
@@ -581,8 +655,8 @@ async function checkMaintenanceSchedules() {
 
     // Save updated maintenance tracking with error handling
     try {
-        if (!writeJsonFile(maintenanceTrackingPath, maintenanceTracking)) {
-            debugLog(`[ERROR] Failed to save maintenance tracking data to ${maintenanceTrackingPath}`);
+        if (!storage.replaceAll(COLLECTIONS.MAINTENANCE_TRACKING, maintenanceTracking)) {
+            debugLog(`[ERROR] Failed to save maintenance tracking data`);
         } else {
             debugLog(`[DEBUG] Maintenance tracking data saved successfully (${maintenanceTracking.length} records)`);
         }
@@ -591,8 +665,8 @@ async function checkMaintenanceSchedules() {
     }
 
     // Update nextDueDate in asset maintenance events based on tracking updates
-    let assetsUpdated = false;
-    let subAssetsUpdated = false;
+    const updatedAssets = new Set();
+    const updatedSubAssets = new Set();
 
     try {
         // Update assets
@@ -604,7 +678,7 @@ async function checkMaintenanceSchedules() {
                         const tracking = maintenanceTracking.find(t => t.key === trackingKey);
                         if (tracking && tracking.nextDueDate !== event.nextDueDate) {
                             event.nextDueDate = tracking.nextDueDate;
-                            assetsUpdated = true;
+                            updatedAssets.add(asset);
                             debugLog(`[DEBUG] Updated nextDueDate for asset ${asset.name}, event ${event.name}: ${event.nextDueDate}`);
                         }
                     }
@@ -621,7 +695,7 @@ async function checkMaintenanceSchedules() {
                         const tracking = maintenanceTracking.find(t => t.key === trackingKey);
                         if (tracking && tracking.nextDueDate !== event.nextDueDate) {
                             event.nextDueDate = tracking.nextDueDate;
-                            subAssetsUpdated = true;
+                            updatedSubAssets.add(subAsset);
                             debugLog(`[DEBUG] Updated nextDueDate for sub-asset ${subAsset.name}, event ${event.name}: ${event.nextDueDate}`);
                         }
                     }
@@ -629,24 +703,42 @@ async function checkMaintenanceSchedules() {
             }
         });
 
+        // Keep the stored versions for the audit log before anything is saved
+        const auditChanges = [
+            ...[...updatedAssets].map(asset => ({ type: 'asset', collection: COLLECTIONS.ASSETS, record: asset })),
+            ...[...updatedSubAssets].map(subAsset => ({ type: 'subAsset', collection: COLLECTIONS.SUB_ASSETS, record: subAsset }))
+        ].map(({ type, collection, record }) => ({
+            action: 'update',
+            type,
+            before: storage.getById(collection, record.id),
+            after: record
+        }));
+
+        // Bump the revision of every changed record so open edit forms detect the change
+        [...updatedAssets, ...updatedSubAssets].forEach(record => {
+            record.revision = (Number.isInteger(record.revision) ? record.revision : 0) + 1;
+        });
+
         // Save updated assets and sub-assets if any nextDueDate was updated
-        if (assetsUpdated) {
-            if (writeJsonFile(assetsFilePath, assets)) {
-                debugLog(`[DEBUG] Assets file updated with new nextDueDate values`);
+        if (updatedAssets.size > 0) {
+            if (storage.updateMany(COLLECTIONS.ASSETS, [...updatedAssets])) {
+                recordChanges(auditChanges.filter(change => change.type === 'asset'));
+                debugLog(`[DEBUG] ${updatedAssets.size} assets updated with new nextDueDate values`);
             } else {
-                debugLog(`[ERROR] Failed to save updated assets file`);
+                debugLog(`[ERROR] Failed to save updated assets`);
             }
         }
 
-        if (subAssetsUpdated) {
-            if (writeJsonFile(subAssetsFilePath, subAssets)) {
-                debugLog(`[DEBUG] SubAssets file updated with new nextDueDate values`);
+        if (updatedSubAssets.size > 0) {
+            if (storage.updateMany(COLLECTIONS.SUB_ASSETS, [...updatedSubAssets])) {
+                recordChanges(auditChanges.filter(change => change.type === 'subAsset'));
+                debugLog(`[DEBUG] ${updatedSubAssets.size} sub-assets updated with new nextDueDate values`);
             } else {
-                debugLog(`[ERROR] Failed to save updated sub-assets file`);
+                debugLog(`[ERROR] Failed to save updated sub-assets`);
             }
         }
     } catch (error) {
-        debugLog(`[ERROR] Exception while updating asset files:`, error.message);
+        debugLog(`[ERROR] Exception while updating assets:`, error.message);
     }
 
     // Send all queued maintenance notifications with error handling
@@ -675,8 +767,8 @@ async function checkMaintenanceSchedules() {
     debugLog(`  - Notifications sent successfully: ${successfulNotifications}`);
     debugLog(`  - Notifications failed: ${failedNotifications}`);
     debugLog(`  - Tracking records: ${maintenanceTracking.length}`);
-    debugLog(`  - Assets updated: ${assetsUpdated ? 'Yes' : 'No'}`);
-    debugLog(`  - Sub-assets updated: ${subAssetsUpdated ? 'Yes' : 'No'}`);
+    debugLog(`  - Assets updated: ${updatedAssets.size > 0 ? 'Yes' : 'No'}`);
+    debugLog(`  - Sub-assets updated: ${updatedSubAssets.size > 0 ? 'Yes' : 'No'}`);
 
     if (notificationsToSend.length > 0) {
         console.log(`Maintenance check completed: ${successfulNotifications}/${notificationsToSend.length} notifications sent successfully`);
@@ -769,4 +861,4 @@ function validateMaintenanceEvent(event, assetId) {
     return true;
 }
 
-module.exports = { startWarrantyCron, checkMaintenanceSchedules };
\ No newline at end of file
+module.exports = { startWarrantyCron, checkMaintenanceSchedules, checkOverdueCheckouts };
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Record Patching
+ * Applies partial updates to a record for the PATCH routes, using either JSON Merge Patch
+ * (RFC 7386, an object of changed fields where null removes a field) or JSON Patch
+ * (RFC 6902, an array of add/remove/replace/move/copy/test operations).
+ * The record passed in is never modified; a patched copy is returned.
+ */
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+class PatchError extends Error {
+    /**
+     * @param {string} message - What is wrong with the patch
+     * @param {number} [status=400] - HTTP status to respond with (409 for a failed test operation)
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PatchError';
+        this.status = status;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Apply a JSON Merge Patch
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch
+ * @returns {*} The patched value
+ */
+function applyMergePatch(target, patch) {
+    if (!isObject(patch)) return clone(patch);
+    const result = isObject(target) ? clone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+// "/warranty/expirationDate" -> ["warranty", "expirationDate"], with ~1 and ~0 unescaped
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new PatchError(`"${pointer}" is not a JSON pointer`);
+    }
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getArrayIndex(array, token, allowEnd) {
+    if (allowEnd && token === '-') return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(token)) throw new PatchError(`"${token}" is not an array index`);
+    const index = Number(token);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw new PatchError(`Array index ${index} is out of range`);
+    }
+    return index;
+}
+
+// The container holding the value at a pointer, and the key/index within it
+function resolveParent(document, tokens, pointer) {
+    let container = document;
+    for (const token of tokens.slice(0, -1)) {
+        const next = Array.isArray(container) ? container[getArrayIndex(container, token, false)] : container?.[token];
+        if (next === null || typeof next !== 'object') throw new PatchError(`Path "${pointer}" does not exist`);
+        container = next;
+    }
+    return { container, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return document;
+    const { container, key } = resolveParent(document, tokens, pointer);
+    if (Array.isArray(container)) return container[getArrayIndex(container, key, false)];
+    if (!Object.hasOwn(container, key)) throw new PatchError(`Path "${pointer}" does not exist`);
+    return container[key];
+}
+
+function addValue(document, pointer, value) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+    const { container, key } = resolveParent(document, tokens, pointer);
+    if (Array.isArray(container)) {
+        container.splice(getArrayIndex(container, key, true), 0, value);
+    } else {
+        container[key] = value;
+    }
+    return document;
+}
+
+function removeValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) throw new PatchError('The whole record cannot be removed');
+    const { container, key } = resolveParent(document, tokens, pointer);
+    if (Array.isArray(container)) {
+        container.splice(getArrayIndex(container, key, false), 1);
+    } else {
+        if (!Object.hasOwn(container, key)) throw new PatchError(`Path "${pointer}" does not exist`);
+        delete container[key];
+    }
+    return document;
+}
+
+/**
+ * Apply a JSON Patch. Operations are applied in order and the whole patch fails if any of them does.
+ * @param {*} document - Current value
+ * @param {Array<Object>} operations - JSON Patch operations
+ * @returns {*} The patched value
+ * @throws {PatchError} If an operation is invalid or a test operation fails
+ */
+function applyJsonPatch(document, operations) {
+    let result = clone(document);
+    operations.forEach((operation, index) => {
+        if (!isObject(operation)) throw new PatchError(`Operation ${index} must be an object`);
+        const { op, path, from } = operation;
+        const needsValue = ['add', 'replace', 'test'].includes(op);
+        if (needsValue && !Object.hasOwn(operation, 'value')) {
+            throw new PatchError(`Operation ${index} (${op}) needs a value`);
+        }
+        parsePointer(path);
+        if (op === 'move' || op === 'copy') parsePointer(from);
+        const value = clone(operation.value);
+
+        switch (op) {
+            case 'add':
+                result = addValue(result, path, value);
+                break;
+            case 'remove':
+                result = removeValue(result, path);
+                break;
+            case 'replace':
+                getValue(result, path);
+                result = parsePointer(path).length === 0 ? value : addValue(removeValue(result, path), path, value);
+                break;
+            case 'move': {
+                if (path.startsWith(`${from}/`)) throw new PatchError(`Cannot move "${from}" into itself`);
+                const moved = getValue(result, from);
+                result = addValue(removeValue(result, from), path, moved);
+                break;
+            }
+            case 'copy':
+                result = addValue(result, path, clone(getValue(result, from)));
+                break;
+            case 'test':
+                if (!isEqual(getValue(result, path), value)) {
+                    throw new PatchError(`Test failed: "${path}" does not have the expected value`, 409);
+                }
+                break;
+            default:
+                throw new PatchError(`Operation ${index} has an unknown op "${op}"`);
+        }
+    });
+    return result;
+}
+
+/**
+ * Apply a PATCH request body to a record. A JSON array (or the application/json-patch+json
+ * content type) is a JSON Patch; an object is a JSON Merge Patch.
+ * @param {Object} record - Current record
+ * @param {Object|Array} body - Parsed request body
+ * @param {string} [contentType] - Request Content-Type header
+ * @returns {Object} The patched record
+ * @throws {PatchError} If the patch can't be applied
+ */
+function applyPatch(record, body, contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    const isJsonPatch = type === JSON_PATCH_TYPE || (type !== MERGE_PATCH_TYPE && Array.isArray(body));
+
+    if (isJsonPatch && !Array.isArray(body)) throw new PatchError('A JSON Patch must be an array of operations');
+    if (!isJsonPatch && !isObject(body)) throw new PatchError('A merge patch must be a JSON object');
+
+    const patched = isJsonPatch ? applyJsonPatch(record, body) : applyMergePatch(record, body);
+    if (!isObject(patched)) throw new PatchError('The patched record must be an object');
+    return patched;
+}
+
+module.exports = {
+    MERGE_PATCH_TYPE,
+    JSON_PATCH_TYPE,
+    PatchError,
+    applyMergePatch,
+    applyJsonPatch,
+    applyPatch
+};
@@ -0,0 +1,222 @@
+/**
+ * Asset Query
+ * Filtering, sorting and paging for the asset and component list endpoints.
+ * parseListQuery() turns the request's query string into options (reporting invalid parameters
+ * the same way payload validation does) and queryRecords() applies them to a collection.
+ */
+
+const { DateTime } = require('luxon');
+const { getOpenCheckout, getDaysOverdue } = require('../checkouts');
+const { isLowStock } = require('../stock');
+
+const TIMEZONE = process.env.TZ || 'America/Chicago';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 1000;
+const WARRANTY_STATUSES = ['none', 'active', 'within60', 'within30', 'expired', 'lifetime'];
+// out: lent to someone, overdue: lent and past the expected return date, in: not lent
+const CHECKOUT_STATUSES = ['out', 'overdue', 'in'];
+// consumable: any consumable, low: a consumable below its reorder threshold
+const STOCK_STATUSES = ['consumable', 'low'];
+const SORT_FIELDS = ['name', 'manufacturer', 'purchaseDate', 'price', 'warranty', 'createdAt', 'updatedAt'];
+// Text fields searched by the q parameter, matching the search box in the sidebar
+const SEARCH_FIELDS = [
+    record => record.name,
+    record => record.manufacturer,
+    record => record.modelNumber,
+    record => record.serialNumber,
+    record => record.location,
+    record => record.notes,
+    record => record.description,
+    record => record.link,
+    record => record.warranty?.scope,
+    record => record.secondaryWarranty?.scope
+];
+
+// A repeated parameter arrives as an array; commas also separate values
+function toList(value) {
+    return [].concat(value ?? [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function single(value) {
+    const last = Array.isArray(value) ? value[value.length - 1] : value;
+    return typeof last === 'string' ? last : undefined;
+}
+
+/**
+ * Read the list parameters from a request's query string
+ * @param {Object} query - req.query
+ * @returns {{ options: Object, errors: Array<{ field: string, message: string }> }} Parsed options and invalid parameters
+ */
+function parseListQuery(query = {}) {
+    const errors = [];
+    const options = {
+        q: single(query.q)?.trim().toLowerCase() || null,
+        tags: toList(query.tag).map(tag => tag.toLowerCase()),
+        manufacturer: single(query.manufacturer)?.trim().toLowerCase() || null,
+        // A category ID, or "none" for records without a category
+        category: single(query.category)?.trim() || null,
+        // A location ID, or "none" for records without a location
+        location: single(query.location)?.trim() || null,
+        warrantyStatus: single(query.warrantyStatus) || null,
+        checkout: single(query.checkout) || null,
+        stock: single(query.stock) || null,
+        purchasedAfter: single(query.purchasedAfter) || null,
+        purchasedBefore: single(query.purchasedBefore) || null,
+        sort: single(query.sort) || null,
+        order: single(query.order) || 'asc',
+        limit: null,
+        offset: 0
+    };
+
+    if (options.warrantyStatus && !WARRANTY_STATUSES.includes(options.warrantyStatus)) {
+        errors.push({ field: 'warrantyStatus', message: `must be one of: ${WARRANTY_STATUSES.join(', ')}` });
+    }
+    if (options.checkout && !CHECKOUT_STATUSES.includes(options.checkout)) {
+        errors.push({ field: 'checkout', message: `must be one of: ${CHECKOUT_STATUSES.join(', ')}` });
+    }
+    if (options.stock && !STOCK_STATUSES.includes(options.stock)) {
+        errors.push({ field: 'stock', message: `must be one of: ${STOCK_STATUSES.join(', ')}` });
+    }
+    for (const field of ['purchasedAfter', 'purchasedBefore']) {
+        if (options[field] && !(DATE_PATTERN.test(options[field]) && DateTime.fromISO(options[field]).isValid)) {
+            errors.push({ field, message: 'must be a date (YYYY-MM-DD)' });
+        }
+    }
+    if (options.sort && !SORT_FIELDS.includes(options.sort)) {
+        errors.push({ field: 'sort', message: `must be one of: ${SORT_FIELDS.join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(options.order)) {
+        errors.push({ field: 'order', message: 'must be asc or desc' });
+    }
+
+    const limit = single(query.limit);
+    if (limit !== undefined) {
+        options.limit = Number(limit);
+        if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+            errors.push({ field: 'limit', message: `must be a whole number from 1 to ${MAX_LIMIT}` });
+        }
+    }
+    const offset = single(query.offset);
+    if (offset !== undefined) {
+        options.offset = Number(offset);
+        if (!Number.isInteger(options.offset) || options.offset < 0) {
+            errors.push({ field: 'offset', message: 'must be a whole number of at least 0' });
+        }
+    }
+
+    return { options, errors };
+}
+
+function getPrice(record) {
+    const price = record.price ?? record.purchasePrice;
+    return typeof price === 'number' ? price : null;
+}
+
+/**
+ * Classify a record's primary warranty the same way as the dashboard cards
+ * @param {Object} record - Asset or component
+ * @param {DateTime} today - Start of today in the configured timezone
+ * @returns {string} "none", "lifetime", "expired", "within30", "within60" or "active" (more than 60 days left)
+ */
+function getWarrantyStatus(record, today) {
+    if (record.warranty?.isLifetime) return 'lifetime';
+    const expirationDate = record.warranty?.expirationDate;
+    if (!expirationDate) return 'none';
+    const days = DateTime.fromISO(expirationDate, { zone: TIMEZONE }).diff(today, 'days').days;
+    if (days < 0) return 'expired';
+    if (days <= 30) return 'within30';
+    if (days <= 60) return 'within60';
+    return 'active';
+}
+
+// Text, number, date, choice and link values of custom fields; yes/no values have no text to match
+function getCustomFieldValues(record) {
+    return Object.values(record.customFields || {}).filter(value => value !== null && typeof value !== 'boolean');
+}
+
+function matchesText(record, q) {
+    return SEARCH_FIELDS.some(getValue => getValue(record)?.toString().toLowerCase().includes(q))
+        || (record.tags || []).some(tag => tag.toString().toLowerCase().includes(q))
+        || getCustomFieldValues(record).some(value => value.toString().toLowerCase().includes(q));
+}
+
+function compareValues(a, b) {
+    if (typeof a === 'string') return a.localeCompare(b, undefined, { sensitivity: 'base' });
+    return a - b;
+}
+
+function getSortValue(record, field) {
+    switch (field) {
+        case 'price': return getPrice(record);
+        case 'warranty': return record.warranty?.expirationDate || null;
+        default: return record[field] || null;
+    }
+}
+
+/**
+ * Filter, sort and page a list of assets or components
+ * @param {Object[]} records - All records of the collection
+ * @param {Object} options - Options from parseListQuery()
+ * @param {Object[]} [children] - Components; an asset also matches q when one of its components does
+ * @param {Object} [subtrees] - The category and location filters with the nodes below them; a
+ *   filter matches nothing without its set
+ * @param {Set<string>} [subtrees.categoryIds] - The category filter with its subcategories
+ * @param {Set<string>} [subtrees.locationIds] - The location filter with the locations inside it
+ * @returns {{ items: Object[], total: number }} The requested page and the number of matching records
+ */
+function queryRecords(records, options, children = [], { categoryIds = new Set(), locationIds = new Set() } = {}) {
+    const today = DateTime.now().setZone(TIMEZONE).startOf('day');
+    const { q, tags, manufacturer, category, location, warrantyStatus, checkout, stock, purchasedAfter, purchasedBefore } = options;
+
+    let items = records.filter(record => {
+        if (q && !matchesText(record, q)
+            && !children.some(child => child.parentId === record.id && matchesText(child, q))) {
+            return false;
+        }
+        if (tags.length > 0) {
+            const recordTags = (record.tags || []).map(tag => tag.toString().toLowerCase());
+            if (!tags.every(tag => recordTags.includes(tag))) return false;
+        }
+        if (manufacturer && (record.manufacturer || '').trim().toLowerCase() !== manufacturer) return false;
+        if (category === 'none' ? !!record.categoryId : category && !categoryIds.has(record.categoryId)) return false;
+        if (location === 'none' ? !!record.locationId : location && !locationIds.has(record.locationId)) return false;
+        if (warrantyStatus) {
+            const status = getWarrantyStatus(record, today);
+            const matches = warrantyStatus === 'active' ? ['active', 'lifetime'].includes(status) : status === warrantyStatus;
+            if (!matches) return false;
+        }
+        if (checkout) {
+            const openCheckout = getOpenCheckout(record);
+            if (checkout === 'in' ? !!openCheckout : !openCheckout) return false;
+            if (checkout === 'overdue' && getDaysOverdue(openCheckout, today.toISODate()) === 0) return false;
+        }
+        if (stock === 'consumable' && !record.consumable) return false;
+        if (stock === 'low' && !isLowStock(record)) return false;
+        // Dates are stored as YYYY-MM-DD, so they compare correctly as strings
+        if (purchasedAfter && !(record.purchaseDate && record.purchaseDate >= purchasedAfter)) return false;
+        if (purchasedBefore && !(record.purchaseDate && record.purchaseDate <= purchasedBefore)) return false;
+        return true;
+    });
+
+    if (options.sort) {
+        const direction = options.order === 'desc' ? -1 : 1;
+        items = [...items].sort((a, b) => {
+            const valueA = getSortValue(a, options.sort);
+            const valueB = getSortValue(b, options.sort);
+            // Records without a value always go last
+            if (valueA === null && valueB === null) return 0;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return compareValues(valueA, valueB) * direction;
+        });
+    }
+
+    const total = items.length;
+    const end = options.limit ? options.offset + options.limit : undefined;
+    return { items: items.slice(options.offset, end), total };
+}
+
+module.exports = { WARRANTY_STATUSES, CHECKOUT_STATUSES, STOCK_STATUSES, SORT_FIELDS, parseListQuery, queryRecords };
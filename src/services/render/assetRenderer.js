@@ -13,9 +13,23 @@ let openAssetModal;
 let openSubAssetModal;
 let deleteAsset;
 let deleteSubAsset;
+let convertRecord;
+let cloneAsset;
 let createSubAssetElement;
 let handleSidebarNav;
 let renderSubAssets;
+let getCustomFields;
+let getCategoryLabel;
+let getLocationPath;
+let getEffectiveLocationId;
+let openLocationContents;
+let openCheckout;
+let getDaysOverdue;
+let adjustStock;
+let isLowStock;
+let getDepreciation;
+let getBookValue;
+let describeDepreciation;
 
 // Search functionality
 let searchInput;
@@ -47,9 +61,23 @@ function initRenderer(config) {
     openSubAssetModal = config.openSubAssetModal;
     deleteAsset = config.deleteAsset;
     deleteSubAsset = config.deleteSubAsset;
+    convertRecord = config.convertRecord;
+    cloneAsset = config.cloneAsset;
     createSubAssetElement = config.createSubAssetElement;
     handleSidebarNav = config.handleSidebarNav;
     renderSubAssets = config.renderSubAssets;
+    getCustomFields = config.getCustomFields;
+    getCategoryLabel = config.getCategoryLabel;
+    getLocationPath = config.getLocationPath;
+    getEffectiveLocationId = config.getEffectiveLocationId;
+    openLocationContents = config.openLocationContents;
+    openCheckout = config.openCheckout;
+    getDaysOverdue = config.getDaysOverdue;
+    adjustStock = config.adjustStock;
+    isLowStock = config.isLowStock;
+    getDepreciation = config.getDepreciation;
+    getBookValue = config.getBookValue;
+    describeDepreciation = config.describeDepreciation;
     
     // Store references to search functionality
     searchInput = config.searchInput;
@@ -157,13 +185,131 @@ function generateMaintenanceEventsHTML(maintenanceEvents) {
     `;
 }
 
+/**
+ * Generate HTML for the checkout section: who has the record and since when, with a button to
+ * check it out or in, and the loans that have ended
+ * @param {Object} asset - Asset or component
+ * @returns {string} HTML string for the checkout section
+ */
+function generateCheckoutHTML(asset) {
+    const checkouts = asset.checkouts || [];
+    const open = checkouts.find(checkout => !checkout.checkedInAt);
+    const returned = checkouts.filter(checkout => checkout.checkedInAt).reverse();
+    const daysOverdue = open ? getDaysOverdue?.(open) || 0 : 0;
+
+    const statusHTML = open ? `
+                <div class="checkout-status">
+                    Out with <strong>${open.borrower}</strong> since ${formatDate(open.checkedOutAt)}${open.dueDate ? `, due back ${formatDate(open.dueDate)}` : ''}
+                    ${daysOverdue > 0 ? `<span class="checkout-overdue">${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue</span>` : ''}
+                </div>
+                ${open.conditionOut ? `<div class="checkout-condition"><strong>Condition:</strong> ${open.conditionOut}</div>` : ''}` : `
+                <div class="checkout-status">Available</div>`;
+
+    return `
+        <div class="checkout-section-inline">
+            <div class="info-label">Checkout</div>
+            <div class="checkout-current">
+                <div>${statusHTML}
+                </div>
+                <button type="button" class="checkout-btn">${open ? 'Check In' : 'Check Out'}</button>
+            </div>
+            ${returned.length > 0 ? `
+            <details class="checkout-history">
+                <summary>Past loans (${returned.length})</summary>
+                <ul>
+                    ${returned.map(checkout => `
+                    <li>
+                        <strong>${checkout.borrower}</strong>: ${formatDate(checkout.checkedOutAt)} – ${formatDate(checkout.checkedInAt)}
+                        ${checkout.conditionIn ? `<div class="checkout-condition"><strong>Returned:</strong> ${checkout.conditionIn}</div>` : ''}
+                    </li>`).join('')}
+                </ul>
+            </details>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generate HTML for the stock section of a consumable: how many are left, inputs to use some up or
+ * restock it, and the movement log
+ * @param {Object} asset - Asset or component
+ * @returns {string} HTML string for the stock section, empty if the record isn't a consumable
+ */
+function generateStockHTML(asset) {
+    if (!asset.consumable) return '';
+    const movements = [...(asset.stockMovements || [])].reverse();
+    const hasThreshold = Number.isInteger(asset.reorderThreshold);
+
+    return `
+        <div class="stock-section-inline">
+            <div class="info-label">Stock</div>
+            <div class="stock-current">
+                <div class="stock-status">
+                    <strong>${asset.quantity}</strong> in stock${hasThreshold ? `, reorder below ${asset.reorderThreshold}` : ''}
+                    ${isLowStock?.(asset) ? '<span class="stock-low">Low stock</span>' : ''}
+                </div>
+                <div class="stock-adjust">
+                    <input type="number" class="stock-amount" min="1" value="1" aria-label="Amount">
+                    <input type="text" class="stock-note" maxlength="500" placeholder="Note (optional)" aria-label="Note">
+                    <button type="button" class="stock-btn" data-direction="-1" title="Use">−</button>
+                    <button type="button" class="stock-btn" data-direction="1" title="Restock">+</button>
+                </div>
+            </div>
+            ${movements.length > 0 ? `
+            <details class="stock-history">
+                <summary>Stock log (${movements.length})</summary>
+                <ul>
+                    ${movements.map(movement => `
+                    <li>
+                        <strong>${movement.change > 0 ? `+${movement.change}` : movement.change}</strong> → ${movement.quantity}, ${formatDate(movement.date)}
+                        ${movement.note ? `<div class="stock-note-text">${movement.note}</div>` : ''}
+                    </li>`).join('')}
+                </ul>
+            </details>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generate HTML for the current (book) value of a record that depreciates
+ * @param {Object} asset - Asset or component
+ * @returns {string} HTML string for the info item, empty without a price or a depreciation method
+ */
+function generateBookValueHTML(asset) {
+    const depreciation = getDepreciation?.(asset);
+    if (!depreciation || depreciation.method === 'none') return '';
+    const bookValue = getBookValue?.(asset, depreciation);
+    if (bookValue === null || bookValue === undefined) return '';
+    return `
+        <div class="info-item">
+            <div class="info-label">Current Value</div>
+            <div>${formatCurrency(bookValue * (asset.quantity ?? 1))}</div>
+            <div class="book-value-method">${describeDepreciation(depreciation)}${asset.purchaseDate ? '' : ', from the purchase date once set'}${asset.salvageValue ? `, salvage ${formatCurrency(asset.salvageValue)}` : ''}</div>
+        </div>
+    `;
+}
+
 /**
  * Generate HTML for asset info section
  * @param {Object} asset - The asset object
+ * @param {boolean} [isSub] - Whether the asset is a component
  * @returns {string} HTML string for asset info section
  */
-function generateAssetInfoHTML(asset) {
+function generateAssetInfoHTML(asset, isSub = false) {
+    const categoryLabel = asset.categoryId ? getCategoryLabel?.(asset.categoryId) : '';
+    // Components without a location of their own are shown where their parent is
+    const locationId = getEffectiveLocationId?.(asset, isSub) || '';
+    const locationPath = locationId ? getLocationPath?.(locationId) : '';
     return `
+        ${categoryLabel ? `
+        <div class="info-item">
+            <div class="info-label">Category</div>
+            <div>${categoryLabel}</div>
+        </div>` : ''}
+        ${locationPath ? `
+        <div class="info-item">
+            <div class="info-label">Location</div>
+            <div><button type="button" class="location-link" data-location-id="${locationId}" title="Show everything stored here">${locationPath}</button>${locationId !== asset.locationId ? ' (with its parent)' : ''}</div>
+        </div>` : ''}
         <div class="info-item">
             <div class="info-label">Manufacturer</div>
             <div>${asset.manufacturer || 'N/A'}</div>
@@ -186,7 +332,7 @@ function generateAssetInfoHTML(asset) {
         </div>
         <div class="info-item">
             <div class="info-label">Quantity</div>
-            <div>${asset.quantity || 1}</div>
+            <div>${asset.quantity}</div>
         </div>
         ${(asset.quantity > 1 && (asset.price || asset.purchasePrice)) ? `
         <div class="info-item">
@@ -194,6 +340,7 @@ function generateAssetInfoHTML(asset) {
             <div>${formatCurrency((asset.price || asset.purchasePrice) * asset.quantity)}</div>
         </div>
         ` : ''}
+        ${generateBookValueHTML(asset)}
         ${asset.warranty?.expirationDate || asset.warranty?.isLifetime ? `
         <div class="info-item">
             <div class="info-label">Warranty</div>
@@ -213,9 +360,38 @@ function generateAssetInfoHTML(asset) {
             <div class="info-label">Link</div>
             <div><a href="${asset.link}" target="_blank" rel="noopener noreferrer">${asset.link}</a></div>
         </div>` : ''}
+        ${generateCustomFieldsHTML(asset)}
     `;
 }
 
+/**
+ * Generate HTML for the custom fields that have a value on an asset or sub-asset
+ * 
+ * @param {Object} asset - Asset or sub-asset
+ * @returns {string} HTML string with one info item per field
+ */
+function generateCustomFieldsHTML(asset) {
+    const values = asset.customFields || {};
+    return (getCustomFields?.() || [])
+        .filter(field => values[field.id] !== undefined && values[field.id] !== null && values[field.id] !== '')
+        .map(field => {
+            const value = values[field.id];
+            let display;
+            switch (field.type) {
+                case 'date': display = formatDate(value); break;
+                case 'boolean': display = value ? 'Yes' : 'No'; break;
+                case 'url': display = `<a href="${value}" target="_blank" rel="noopener noreferrer">${value}</a>`; break;
+                default: display = value;
+            }
+            return `
+        <div class="info-item">
+            <div class="info-label">${field.name}</div>
+            <div>${display}</div>
+        </div>`;
+        })
+        .join('');
+}
+
 /**
  * Generate HTML for file grid display (supports multiple files)
  * 
@@ -271,18 +447,6 @@ function generateFileGridHTML(asset) {
                 </div>
             `;
         });
-    } else if (asset.photoPath) {
-        // Backward compatibility for single photo
-        const photoInfo = asset.photoInfo?.[0] || {};
-        const fileName = photoInfo.originalName || asset.photoPath.split('/').pop();
-        html += `
-            <div class="file-item photo">
-                <a href="${formatFilePath(asset.photoPath)}" target="_blank" class="file-preview">
-                    <img src="${formatFilePath(asset.photoPath)}" alt="${asset.name}" class="asset-image">
-                    <div class="file-label">${formatDisplayFileName(fileName)}</div>
-                </a>
-            </div>
-        `;
     }
     
     // Handle multiple receipts
@@ -302,21 +466,6 @@ function generateFileGridHTML(asset) {
                 </div>
             `;
         });
-    } else if (asset.receiptPath) {
-        // Backward compatibility for single receipt
-        const receiptInfo = asset.receiptInfo?.[0] || {};
-        const fileName = receiptInfo.originalName || asset.receiptPath.split('/').pop();
-        html += `
-            <div class="file-item receipt">
-                <a href="${formatFilePath(asset.receiptPath)}" target="_blank" class="file-preview">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
-                        <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
-                        <path d="M5 21v-16a2 2 0 0 1 2 -2h10a2 2 0 0 1 2 2v16l-3 -2l-2 2l-2 -2l-2 2l-2 -2l-3 2m4 -14h6m-6 4h6m-2 4h2" />
-                    </svg>
-                    <div class="file-label">${formatDisplayFileName(fileName)}</div>
-                </a>
-            </div>
-        `;
     }
     
     // Handle multiple manuals
@@ -339,29 +488,188 @@ function generateFileGridHTML(asset) {
                 </div>
             `;
         });
-    } else if (asset.manualPath) {
-        // Backward compatibility for single manual
-        const manualInfo = asset.manualInfo?.[0] || {};
-        const fileName = manualInfo.originalName || asset.manualPath.split('/').pop();
-        html += `
-            <div class="file-item manual">
-                <a href="${formatFilePath(asset.manualPath)}" target="_blank" class="file-preview">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
-                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
-                        <polyline points="14 2 14 8 20 8"></polyline>
-                        <line x1="16" y1="13" x2="8" y2="13"></line>
-                        <line x1="16" y1="17" x2="8" y2="17"></line>
-                        <polyline points="10 9 9 9 8 9"></polyline>
-                    </svg>
-                    <div class="file-label">${formatDisplayFileName(fileName)}</div>
-                </a>
-            </div>
-        `;
     }
     
     return html || '<!-- No files available -->';
 }
 
+// Readable names for the fields recorded in the change history
+const HISTORY_FIELD_LABELS = {
+    name: 'Name',
+    manufacturer: 'Manufacturer',
+    modelNumber: 'Model',
+    serialNumber: 'Serial Number',
+    purchaseDate: 'Purchase Date',
+    price: 'Price',
+    purchasePrice: 'Price',
+    quantity: 'Quantity',
+    consumable: 'Consumable',
+    reorderThreshold: 'Reorder Below',
+    salvageValue: 'Salvage Value',
+    'depreciation.method': 'Depreciation',
+    'depreciation.usefulLifeYears': 'Useful Life (years)',
+    'depreciation.rate': 'Depreciation Rate (%)',
+    stockMovements: 'Stock',
+    link: 'Link',
+    categoryId: 'Category',
+    locationId: 'Location',
+    description: 'Description',
+    notes: 'Notes',
+    tags: 'Tags',
+    maintenanceEvents: 'Maintenance Events',
+    checkouts: 'Checkout',
+    photoPaths: 'Photos',
+    receiptPaths: 'Receipts',
+    manualPaths: 'Manuals',
+    parentId: 'Parent Asset',
+    parentSubId: 'Parent Component',
+    'warranty.scope': 'Warranty',
+    'warranty.expirationDate': 'Warranty Expiration',
+    'warranty.isLifetime': 'Lifetime Warranty',
+    'secondaryWarranty.scope': 'Secondary Warranty',
+    'secondaryWarranty.expirationDate': 'Secondary Warranty Expiration',
+    'secondaryWarranty.isLifetime': 'Lifetime Secondary Warranty'
+};
+const HISTORY_ACTION_LABELS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    restore: 'Restored',
+    promote: 'Made an asset',
+    demote: 'Made a component'
+};
+const HISTORY_FILE_FIELDS = ['photoPaths', 'receiptPaths', 'manualPaths'];
+
+/**
+ * Format a value from the change history for display
+ * @param {string} field - Changed field, e.g. "price" or "warranty.expirationDate"
+ * @param {*} value - Old or new value
+ * @returns {string} Display text
+ */
+function formatHistoryValue(field, value) {
+    if (value === null || value === undefined) return '—';
+    if (field === 'price' || field === 'purchasePrice' || field === 'salvageValue') return formatCurrency(value);
+    if (field === 'depreciation.method') return { none: 'None', straightLine: 'Straight-line', decliningBalance: 'Declining balance' }[value] || value;
+    // Categories deleted since the change no longer have a name
+    if (field === 'categoryId') return value ? getCategoryLabel?.(value) || 'Deleted category' : '—';
+    if (field === 'locationId') return value ? getLocationPath?.(value) || 'Deleted location' : '—';
+    if (field.endsWith('Date')) return formatDate(value);
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (field === 'maintenanceEvents') {
+        return value.map(event => event.nextDueDate ? `${event.name} (due ${formatDate(event.nextDueDate)})` : event.name).join(', ');
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+/**
+ * Describe what happened to the loans of a record
+ * @param {Object[]} from - Checkouts before the change
+ * @param {Object[]} to - Checkouts after the change
+ * @returns {string} e.g. "checked out to Sam (due 06/01/2025)" or "checked in from Sam"
+ */
+function describeCheckoutChange(from, to) {
+    const added = to.find(checkout => !from.some(old => old.id === checkout.id));
+    if (added) return `checked out to ${added.borrower}${added.dueDate ? ` (due ${formatDate(added.dueDate)})` : ''}`;
+    const returned = to.find(checkout => checkout.checkedInAt && from.some(old => old.id === checkout.id && !old.checkedInAt));
+    if (returned) return `checked in from ${returned.borrower}${returned.conditionIn ? ` (${returned.conditionIn})` : ''}`;
+    return 'changed';
+}
+
+/**
+ * Describe a stock adjustment
+ * @param {Object[]} from - Stock movements before the change
+ * @param {Object[]} to - Stock movements after the change
+ * @returns {string} e.g. "used 2 (Replaced the upstairs filter)" or "restocked 10"
+ */
+function describeStockChange(from, to) {
+    const added = to.find(movement => !from.some(old => old.id === movement.id));
+    if (!added) return 'changed';
+    return `${added.change > 0 ? 'restocked' : 'used'} ${Math.abs(added.change)}${added.note ? ` (${added.note})` : ''}`;
+}
+
+/**
+ * Describe a single field change
+ * @param {{ field: string, from: *, to: * }} change - Change from the audit log
+ * @returns {string} e.g. "Price: $10.00 → $12.00" or "Photos: added receipt.jpg"
+ */
+function describeHistoryChange({ field, from, to }) {
+    let label = HISTORY_FIELD_LABELS[field] || field;
+    if (field === 'checkouts') return `${label}: ${describeCheckoutChange(from || [], to || [])}`;
+    if (field === 'stockMovements') return `${label}: ${describeStockChange(from || [], to || [])}`;
+    if (field.startsWith('customFields.')) {
+        // Fields deleted since the change no longer have a name
+        const customField = (getCustomFields?.() || []).find(definition => `customFields.${definition.id}` === field);
+        label = customField?.name || 'Custom Field';
+    }
+    if (HISTORY_FILE_FIELDS.includes(field)) {
+        const fileName = filePath => filePath.split('/').pop();
+        const added = (to || []).filter(filePath => !(from || []).includes(filePath)).map(fileName);
+        const removed = (from || []).filter(filePath => !(to || []).includes(filePath)).map(fileName);
+        return `${label}: ${[
+            added.length > 0 ? `added ${added.join(', ')}` : null,
+            removed.length > 0 ? `removed ${removed.join(', ')}` : null
+        ].filter(Boolean).join('; ')}`;
+    }
+    return `${label}: ${formatHistoryValue(field, from)} → ${formatHistoryValue(field, to)}`;
+}
+
+/**
+ * Fetch and render the change history of an asset or component
+ * @param {HTMLElement} container - Element to render the entries into
+ * @param {String} assetId - ID of the asset or component
+ * @param {Boolean} isSub - Whether the record is a component
+ */
+async function loadAssetHistory(container, assetId, isSub) {
+    container.innerHTML = '<div class="asset-history-empty">Loading history...</div>';
+    try {
+        const apiBaseUrl = globalThis.getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/api/${isSub ? 'subassets' : 'assets'}/${assetId}/history`, {
+            credentials: 'include'
+        });
+        const responseValidation = await globalThis.validateResponse(response);
+        if (responseValidation.errorMessage) throw new Error(responseValidation.errorMessage);
+
+        const entries = await response.json();
+        container.innerHTML = '';
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="asset-history-empty">No changes recorded yet.</div>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'asset-history-entry';
+
+            const header = document.createElement('div');
+            header.className = 'asset-history-header';
+            const action = document.createElement('strong');
+            action.textContent = HISTORY_ACTION_LABELS[entry.action] || entry.action;
+            const meta = document.createElement('span');
+            meta.className = 'asset-history-meta';
+            const actor = entry.source === 'web' ? entry.ip : entry.source;
+            meta.textContent = [new Date(entry.timestamp).toLocaleString(), actor].filter(Boolean).join(' • ');
+            header.append(action, meta);
+            item.appendChild(header);
+
+            if (['update', 'promote', 'demote'].includes(entry.action) && entry.changes.length > 0) {
+                const list = document.createElement('ul');
+                list.className = 'asset-history-changes';
+                entry.changes.forEach(change => {
+                    const li = document.createElement('li');
+                    li.textContent = describeHistoryChange(change);
+                    list.appendChild(li);
+                });
+                item.appendChild(list);
+            }
+            container.appendChild(item);
+        });
+    } catch (error) {
+        container.innerHTML = '<div class="asset-history-empty">Could not load history.</div>';
+        globalThis.logError('Failed to load history:', error.message);
+    }
+}
+
 /**
  * Render asset details in the UI
  * 
@@ -390,9 +698,9 @@ function renderAssetDetails(assetId, isSubAsset = false) {
     console.log(`Asset data before formatting:`, {
         id: asset.id,
         name: asset.name,
-        photoPath: asset.photoPath,
-        receiptPath: asset.receiptPath,
-        manualPath: asset.manualPath
+        photoPaths: asset.photoPaths,
+        receiptPaths: asset.receiptPaths,
+        manualPaths: asset.manualPaths
     });
     
     // Update selected asset/sub-asset
@@ -416,18 +724,6 @@ function renderAssetDetails(assetId, isSubAsset = false) {
         });
     }
     
-    // Format file paths with the correct base URL
-    const photoPath = asset.photoPath ? formatFilePath(asset.photoPath) : null;
-    const receiptPath = asset.receiptPath ? formatFilePath(asset.receiptPath) : null;
-    const manualPath = asset.manualPath ? formatFilePath(asset.manualPath) : null;
-    
-    // Log the formatted paths
-    console.log(`Formatted paths for asset ${asset.id}:`, {
-        photoPath,
-        receiptPath,
-        manualPath
-    });
-    
     // Determine legend title
     let legendTitle = 'Asset Details';
     if (isSubAsset) legendTitle = 'Component Details';
@@ -469,15 +765,23 @@ function renderAssetDetails(assetId, isSubAsset = false) {
                     <button class="edit-asset-btn" data-id="${asset.id}" title="Edit">
                       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19.5 3 21l1.5-4L16.5 3.5z"/></svg>
                     </button>
+                    ${isSub ? '' : `<button class="clone-asset-btn" data-id="${asset.id}" title="Duplicate">
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+                    </button>`}
+                    <button class="convert-asset-btn" data-id="${asset.id}" title="${isSub ? 'Make Asset' : 'Make Component of…'}">
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>
+                    </button>
                     <button class="delete-asset-btn" data-id="${asset.id}" title="Delete">
                       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h2a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>
                     </button>
                 </div>
             </div>
             <div class="asset-info">
-                ${generateAssetInfoHTML(asset)}
+                ${generateAssetInfoHTML(asset, isSub)}
                 ${maintenanceScheduleHtml}
                 ${generateMaintenanceEventsHTML(asset.maintenanceEvents)}
+                ${generateStockHTML(asset)}
+                ${generateCheckoutHTML(asset)}
             </div>
             ${(asset.description || asset.notes) ? `
             <div class="asset-description">
@@ -497,6 +801,10 @@ function renderAssetDetails(assetId, isSubAsset = false) {
                     ${generateFileGridHTML(asset)}
                 </div>
             </div>
+            <details class="asset-history">
+                <summary>History</summary>
+                <div class="asset-history-list"></div>
+            </details>
         </fieldset>
     `;
     // Add event listeners
@@ -552,6 +860,17 @@ function renderAssetDetails(assetId, isSubAsset = false) {
         });
     }
     
+    // Load the change history the first time the panel is opened
+    const historyPanel = assetDetails.querySelector('.asset-history');
+    if (historyPanel) {
+        historyPanel.addEventListener('toggle', () => {
+            if (historyPanel.open && !historyPanel.dataset.loaded) {
+                historyPanel.dataset.loaded = 'true';
+                loadAssetHistory(historyPanel.querySelector('.asset-history-list'), asset.id, isSub);
+            }
+        });
+    }
+
     const editBtn = assetDetails.querySelector('.edit-asset-btn');
     if (editBtn) {
         editBtn.addEventListener('click', () => {
@@ -559,6 +878,14 @@ function renderAssetDetails(assetId, isSubAsset = false) {
             else openAssetModal(asset);
         });
     }
+    const cloneBtn = assetDetails.querySelector('.clone-asset-btn');
+    if (cloneBtn) {
+        cloneBtn.addEventListener('click', () => cloneAsset(asset));
+    }
+    const convertBtn = assetDetails.querySelector('.convert-asset-btn');
+    if (convertBtn) {
+        convertBtn.addEventListener('click', () => convertRecord(asset, isSub));
+    }
     const deleteBtn = assetDetails.querySelector('.delete-asset-btn');
     if (deleteBtn) {
         deleteBtn.addEventListener('click', async () => {
@@ -567,6 +894,24 @@ function renderAssetDetails(assetId, isSubAsset = false) {
         });
     }
     
+    const checkoutBtn = assetDetails.querySelector('.checkout-btn');
+    if (checkoutBtn) {
+        checkoutBtn.addEventListener('click', () => openCheckout?.(asset, isSub));
+    }
+
+    assetDetails.querySelectorAll('.stock-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const amount = parseInt(assetDetails.querySelector('.stock-amount').value, 10);
+            if (!Number.isInteger(amount) || amount < 1) return;
+            adjustStock?.(asset, isSub, amount * Number(button.dataset.direction), assetDetails.querySelector('.stock-note').value.trim());
+        });
+    });
+
+    const locationLink = assetDetails.querySelector('.location-link[data-location-id]');
+    if (locationLink) {
+        locationLink.addEventListener('click', () => openLocationContents?.(locationLink.dataset.locationId));
+    }
+
     // Add click event listeners to tags in the details view
     const tagElements = assetDetails.querySelectorAll('.tag[data-tag]');
     tagElements.forEach(tagElement => {
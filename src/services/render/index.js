@@ -34,6 +34,9 @@ import {
     updateDashboardFilter,
     updateSort,
     renderAssetList,
+    getVisibleAssetIds,
+    filterAssets,
+    subAssetMatchesSearch,
     sortAssets
 } from './listRenderer.js';
 
@@ -63,6 +66,9 @@ export {
     updateDashboardFilter,
     updateSort,
     renderAssetList,
+    getVisibleAssetIds,
+    filterAssets,
+    subAssetMatchesSearch,
     sortAssets,
     
     // Preview renderer functions
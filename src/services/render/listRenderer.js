@@ -3,12 +3,21 @@
  * Handles rendering of the asset list sidebar with search and filter functionality
  */
 
+import { parseSearchQuery, removeSearchTerm } from './searchQuery.js';
+
 // These functions from other modules will be injected
 let updateSelectedIds;
 let renderAssetDetails;
 let handleSidebarNav;
 let formatDate;
 let formatCurrency;
+// Category lookups, provided by the category manager
+let findCategoryIds;
+let getCategoryIcon;
+let syncCategoryFilter;
+// Location lookups, provided by the location manager
+let findLocationIds;
+let syncLocationFilter;
 
 // Global state references - will be passed from main script
 let assets = [];
@@ -17,6 +26,11 @@ let selectedAssetId = null;
 let dashboardFilter = null;
 let currentSort = { field: null, direction: 'asc' };
 let searchInput;
+let searchChips;
+// Multi-select mode, provided by the bulk action manager
+let bulkSelection = null;
+// Ids of the listed assets in display order, used for shift-click range selection
+let visibleAssetIds = [];
 
 // DOM element references
 let assetList;
@@ -33,6 +47,11 @@ function initListRenderer(config) {
     handleSidebarNav = config.handleSidebarNav;
     formatDate = config.formatDate;
     formatCurrency = config.formatCurrency;
+    findCategoryIds = config.findCategoryIds;
+    getCategoryIcon = config.getCategoryIcon;
+    syncCategoryFilter = config.syncCategoryFilter;
+    findLocationIds = config.findLocationIds;
+    syncLocationFilter = config.syncLocationFilter;
     
     // Store references to global state
     assets = config.assets;
@@ -41,6 +60,8 @@ function initListRenderer(config) {
     dashboardFilter = config.dashboardFilter;
     currentSort = config.currentSort;
     searchInput = config.searchInput;
+    searchChips = config.searchChips;
+    bulkSelection = config.bulkSelection || null;
     
     // Store references to DOM elements
     assetList = config.assetList;
@@ -77,6 +98,15 @@ function updateSort(newSort) {
     currentSort = newSort;
 }
 
+/**
+ * Ids of the assets currently shown in the list, in display order
+ * 
+ * @returns {Array<String>} Asset ids
+ */
+function getVisibleAssetIds() {
+    return visibleAssetIds;
+}
+
 /**
  * Get the appropriate warranty dot type based on expiration date
  * 
@@ -122,6 +152,234 @@ function getWarrantyDotType(asset) {
     return null;
 }
 
+/**
+ * Check whether a record contains the search text in any of its fields
+ * 
+ * @param {Object} record Asset or sub-asset
+ * @param {String} text Lowercase search text
+ * @returns {Boolean} True if the text was found
+ */
+function matchesText(record, text) {
+    return record.name?.toString().toLowerCase().includes(text) ||
+        record.tags?.some(tag => tag.toString().toLowerCase().includes(text)) ||
+        record.manufacturer?.toString().toLowerCase().includes(text) ||
+        record.modelNumber?.toString().toLowerCase().includes(text) ||
+        record.serialNumber?.toString().toLowerCase().includes(text) ||
+        record.location?.toString().toLowerCase().includes(text) ||
+        record.notes?.toString().toLowerCase().includes(text) ||
+        record.description?.toString().toLowerCase().includes(text) ||
+        record.link?.toString().toLowerCase().includes(text) ||
+        record.warranty?.scope?.toString().toLowerCase().includes(text) ||
+        record.secondaryWarranty?.scope?.toString().toLowerCase().includes(text) ||
+        // Yes/no custom fields have no text to match
+        Object.values(record.customFields || {}).some(value => typeof value !== 'boolean' && value?.toString().toLowerCase().includes(text)) ||
+        formatCurrency(record.price ?? record.purchasePrice, true).toLowerCase().includes(formatCurrency(text, true)) ||
+        formatDate(record.warranty?.expirationDate, true).includes(text) ||
+        formatDate(record.secondaryWarranty?.expirationDate, true).includes(text) ||
+        formatDate(record.purchaseDate, true).includes(text);
+}
+
+/**
+ * Classify a warranty the same way as the dashboard cards
+ * 
+ * @param {Object} warranty Warranty of an asset or sub-asset
+ * @param {Date} now Current time
+ * @returns {String} 'none', 'lifetime', 'expired', 'within30', 'within60' or 'active'
+ */
+function getWarrantyStatus(warranty, now) {
+    if (warranty?.isLifetime) return 'lifetime';
+    const exp = warranty?.expirationDate;
+    if (!exp) return 'none';
+    const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
+    if (diff < 0) return 'expired';
+    if (diff <= 30) return 'within30';
+    if (diff <= 60) return 'within60';
+    return 'active';
+}
+
+/**
+ * Check whether an asset belongs in the list for a dashboard card filter. Warranty and checkout
+ * filters also match assets where one of the sub-assets has a warranty in that state, is lent out or
+ * is low on stock.
+ * 
+ * @param {Object} asset Asset to check
+ * @param {String} filter Dashboard filter ('components', 'checkedOut', 'lowStock', 'warranties', 'expired', 'within30', 'within60' or 'active')
+ * @param {Array} components Sub-assets of the asset
+ * @param {Date} now Current time
+ * @returns {Boolean} True if the asset matches
+ */
+function matchesDashboardFilter(asset, filter, components, now) {
+    switch (filter) {
+        case 'components':
+            return components.length > 0;
+        case 'checkedOut':
+            // The asset or one of its components is lent out
+            return [asset, ...components].some(record => (record.checkouts || []).some(checkout => !checkout.checkedInAt));
+        case 'lowStock':
+            // The asset or one of its components is a consumable below its reorder threshold
+            return [asset, ...components].some(record => record.consumable
+                && Number.isInteger(record.reorderThreshold) && record.quantity < record.reorderThreshold);
+        case 'warranties':
+            return !!asset.warranty?.expirationDate;
+        case 'expired':
+        case 'within30':
+        case 'within60':
+            return [asset, ...components].some(record => getWarrantyStatus(record.warranty, now) === filter);
+        case 'active':
+            // Active includes lifetime warranties
+            return [asset, ...components].some(record => ['active', 'lifetime'].includes(getWarrantyStatus(record.warranty, now)));
+        default:
+            return true;
+    }
+}
+
+function compareValue(actual, operator, expected) {
+    switch (operator) {
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+function hasFiles(record, type) {
+    return (record[`${type}Paths`] || []).length > 0 || !!record[`${type}Path`];
+}
+
+/**
+ * Check whether an asset matches one search term, ignoring negation. Words, phrases and
+ * categories also match when one of the asset's sub-assets does.
+ * 
+ * @param {Object} asset Asset to check
+ * @param {Object} term Term from parseSearchQuery
+ * @param {Array} components Sub-assets of the asset
+ * @param {Date} now Current time
+ * @returns {Boolean} True if the asset matches
+ */
+function matchesSearchTerm(asset, term, components, now) {
+    const value = term.value.toLowerCase();
+    if (term.type === 'text') {
+        return matchesText(asset, value) || components.some(subAsset => matchesText(subAsset, value));
+    }
+
+    switch (term.field) {
+        case 'tag':
+            return (asset.tags || []).some(tag => tag.toString().toLowerCase() === value);
+        case 'category': {
+            if (value === 'none') return !asset.categoryId;
+            // A category also matches its subcategories; an unknown category matches nothing
+            const categoryIds = findCategoryIds?.(term.value);
+            return !!categoryIds && [asset, ...components].some(record => categoryIds.has(record.categoryId));
+        }
+        case 'name':
+            return !!asset.name?.toString().toLowerCase().includes(value);
+        case 'manufacturer':
+            return !!asset.manufacturer?.toString().toLowerCase().includes(value);
+        case 'model':
+            return !!asset.modelNumber?.toString().toLowerCase().includes(value);
+        case 'serial':
+            return !!asset.serialNumber?.toString().toLowerCase().includes(value);
+        case 'location': {
+            if (value === 'none') return !asset.locationId;
+            // A location also matches the locations inside it. Text that names no location is
+            // looked for in the location text of older records.
+            const locationIds = findLocationIds?.(term.value);
+            if (!locationIds) return !!asset.location?.toString().toLowerCase().includes(value);
+            return [asset, ...components].some(record => locationIds.has(record.locationId));
+        }
+        case 'price':
+            return typeof asset.price === 'number' && compareValue(asset.price, term.operator, Number(value));
+        case 'purchased':
+            // Compare only as much of the date as was typed, so purchased:2023 matches the whole year
+            return !!asset.purchaseDate && compareValue(asset.purchaseDate.slice(0, value.length), term.operator, value);
+        case 'warranty':
+            if (value === 'lifetime' || value === 'none') return getWarrantyStatus(asset.warranty, now) === value;
+            return matchesDashboardFilter(asset, value, components, now);
+        case 'has':
+            if (value === 'components') return matchesDashboardFilter(asset, 'components', components, now);
+            if (value === 'warranty') return matchesDashboardFilter(asset, 'warranties', components, now);
+            if (value === 'maintenance') return (asset.maintenanceEvents || []).length > 0;
+            return hasFiles(asset, value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Filter assets by a search query and a dashboard card filter, the way the sidebar list does
+ * 
+ * @param {Array} allAssets Assets to filter
+ * @param {Array} allSubAssets All sub-assets
+ * @param {String} searchQuery Search query
+ * @param {String} filter Dashboard filter, or null
+ * @returns {Array} Matching assets
+ */
+function filterAssets(allAssets, allSubAssets, searchQuery, filter) {
+    const now = new Date();
+    // Filters that can't be applied (e.g. price>abc) are shown as invalid chips and ignored
+    const searchTerms = parseSearchQuery(searchQuery).filter(term => !term.error);
+    return allAssets.filter(asset => {
+        const components = allSubAssets.filter(sa => sa.parentId === asset.id);
+        const matchesSearch = searchTerms.every(term => {
+            const matches = matchesSearchTerm(asset, term, components, now);
+            return term.negated ? !matches : matches;
+        });
+        return matchesSearch && (!filter || matchesDashboardFilter(asset, filter, components, now));
+    });
+}
+
+/**
+ * Check whether a sub-asset itself matches the words and phrases of a search query.
+ * Field filters only apply to assets, so a query made only of filters matches no sub-asset.
+ * 
+ * @param {Object} subAsset Sub-asset to check
+ * @param {String} searchQuery Search query
+ * @returns {Boolean} True if the sub-asset matches
+ */
+function subAssetMatchesSearch(subAsset, searchQuery) {
+    const textTerms = parseSearchQuery(searchQuery).filter(term => term.type === 'text');
+    return textTerms.length > 0 && textTerms.every(term => {
+        const matches = matchesText(subAsset, term.value.toLowerCase());
+        return term.negated ? !matches : matches;
+    });
+}
+
+/**
+ * Show each term of the search query as a chip under the search box. Closing a chip
+ * removes that term from the query.
+ * 
+ * @param {String} searchQuery Current search query
+ * @param {Array} searchTerms Terms parsed from the query
+ */
+function renderSearchChips(searchQuery, searchTerms) {
+    if (!searchChips) return;
+    searchChips.innerHTML = '';
+    searchChips.style.display = searchTerms.length > 0 ? 'flex' : 'none';
+
+    searchTerms.forEach(term => {
+        const chip = document.createElement('span');
+        chip.className = `search-chip${term.negated ? ' negated' : ''}${term.error ? ' invalid' : ''}`;
+        chip.title = term.error || (term.negated ? `Excluding ${term.raw.slice(1)}` : term.raw);
+
+        const label = document.createElement('span');
+        label.textContent = term.raw;
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'search-chip-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${term.raw}`);
+        removeBtn.innerHTML = '&times;';
+        removeBtn.addEventListener('click', () => {
+            searchInput.value = removeSearchTerm(searchQuery, term);
+            // Let the search box's own handler re-render the list and the clear button
+            searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        chip.append(label, removeBtn);
+        searchChips.appendChild(chip);
+    });
+}
+
 /**
  * Render the asset list in the sidebar with filtering and searching
  * 
@@ -131,169 +389,27 @@ function renderAssetList(searchQuery = '') {
     if (!assetList) return;
     assetList.innerHTML = '';
 
+    const searchTerms = parseSearchQuery(searchQuery);
+    renderSearchChips(searchQuery, searchTerms);
+    syncCategoryFilter?.(searchQuery);
+    syncLocationFilter?.(searchQuery);
+
+    const selecting = !!bulkSelection?.isActive();
+    assetList.classList.toggle('selecting', selecting);
+
     if (assets.length === 0) {
+        visibleAssetIds = [];
         assetList.innerHTML = '<div class="empty-state">No assets found</div>';
         return;
     }
 
-    let filteredAssets = searchQuery
-        ? assets.filter(asset => {
-            // Check if the asset itself matches the search query
-            const assetMatches = asset.name?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.tags?.some(tag => tag.toString().toString().toLowerCase().includes(searchQuery.toLowerCase())) ||
-                asset.manufacturer?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.modelNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.serialNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.location?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.notes?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.description?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.link?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.warranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                asset.secondaryWarranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                formatCurrency(asset.price, true).toLowerCase().includes(formatCurrency(searchQuery, true)) ||
-                formatDate(asset.warranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                formatDate(asset.secondaryWarranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                formatDate(asset.purchaseDate, true).includes(searchQuery.toLowerCase());
-            
-            // If asset matches, return true
-            if (assetMatches) return true;
-            
-            // Check if any of its sub-assets match the search query
-            const hasMatchingSubAsset = subAssets.some(subAsset => {
-                if (subAsset.parentId !== asset.id) return false;
-                
-                return subAsset.name?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.tags?.some(tag => tag.toString().toLowerCase().includes(searchQuery.toLowerCase())) ||
-                    subAsset.manufacturer?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.modelNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.serialNumber?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.location?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.notes?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.description?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.link?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.warranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    subAsset.secondaryWarranty?.scope?.toString().toLowerCase().includes(searchQuery.toLowerCase()) ||
-                    formatCurrency(subAsset.purchasePrice, true).toLowerCase().includes(formatCurrency(searchQuery, true)) ||
-                    formatDate(subAsset.warranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                    formatDate(subAsset.secondaryWarranty?.expirationDate, true).includes(searchQuery.toLowerCase()) ||
-                    formatDate(subAsset.purchaseDate, true).includes(searchQuery.toLowerCase());
-            });
-            
-            return hasMatchingSubAsset;
-        })
-        : assets;
-
-    // Apply dashboard filter
-    if (dashboardFilter) {
-        const now = new Date();
-        
-        // Special case for components filter
-        if (dashboardFilter === 'components') {
-            // Only show assets that have sub-assets associated with them
-            filteredAssets = filteredAssets.filter(a => 
-                subAssets.some(sa => sa.parentId === a.id)
-            );
-        }
-        else if (dashboardFilter === 'warranties') {
-            // Assets with warranties
-            filteredAssets = filteredAssets.filter(a => a.warranty && a.warranty.expirationDate);
-        } else if (dashboardFilter === 'expired') {
-            // Assets with expired warranties
-            filteredAssets = filteredAssets.filter(a => {
-                const exp = a.warranty?.expirationDate;
-                if (!exp) return false;
-                return new Date(formatDate(exp)) < now;
-            });
-            
-            // Also include assets with sub-assets that have expired warranties
-            const assetsWithExpiredComponents = assets.filter(a => 
-                !filteredAssets.includes(a) && // Don't duplicate
-                subAssets.some(sa => {
-                    if (sa.parentId !== a.id) return false;
-                    const exp = sa.warranty?.expirationDate;
-                    if (!exp) return false;
-                    return new Date(formatDate(exp)) < now;
-                })
-            );
-            
-            filteredAssets = [...filteredAssets, ...assetsWithExpiredComponents];
-        } else if (dashboardFilter === 'within30') {
-            // Assets with warranties expiring within 30 days
-            filteredAssets = filteredAssets.filter(a => {
-                const exp = a.warranty?.expirationDate;
-                if (!exp) return false;
-                const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                return diff >= 0 && diff <= 30;
-            });
-            
-            // Also include assets with sub-assets expiring within 30 days
-            const assetsWithExpiringComponents = assets.filter(a => 
-                !filteredAssets.includes(a) && // Don't duplicate
-                subAssets.some(sa => {
-                    if (sa.parentId !== a.id) return false;
-                    const exp = sa.warranty?.expirationDate;
-                    if (!exp) return false;
-                    const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                    return diff >= 0 && diff <= 30;
-                })
-            );
-            
-            filteredAssets = [...filteredAssets, ...assetsWithExpiringComponents];
-        } else if (dashboardFilter === 'within60') {
-            // Assets with warranties expiring between 31-60 days
-            filteredAssets = filteredAssets.filter(a => {
-                const exp = a.warranty?.expirationDate;
-                if (!exp) return false;
-                const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                return diff > 30 && diff <= 60;
-            });
-            
-            // Also include assets with sub-assets expiring within 31-60 days
-            const assetsWithWarningComponents = assets.filter(a => 
-                !filteredAssets.includes(a) && // Don't duplicate
-                subAssets.some(sa => {
-                    if (sa.parentId !== a.id) return false;
-                    const exp = sa.warranty?.expirationDate;
-                    if (!exp) return false;
-                    const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                    return diff > 30 && diff <= 60;
-                })
-            );
-            
-            filteredAssets = [...filteredAssets, ...assetsWithWarningComponents];
-        } else if (dashboardFilter === 'active') {
-            // Assets with active warranties (more than 60 days)
-            filteredAssets = filteredAssets.filter(a => {
-                const exp = a.warranty?.expirationDate;
-                const isLifetime = a.warranty?.isLifetime;
-                if (!exp && !isLifetime) return false;
-                if (isLifetime) return true;
-                const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                return diff > 60;
-            });
-            
-            // Also include assets with sub-assets having active warranties
-            const assetsWithActiveComponents = assets.filter(a => 
-                !filteredAssets.includes(a) && // Don't duplicate
-                subAssets.some(sa => {
-                    if (sa.parentId !== a.id) return false;
-                    const exp = sa.warranty?.expirationDate;
-                    const isLifetime = sa.warranty?.isLifetime;
-                    if (!exp && !isLifetime) return false;
-                    if (isLifetime) return true;
-                    const diff = (new Date(formatDate(exp)) - now) / (1000 * 60 * 60 * 24);
-                    return diff > 60;
-                })
-            );
-            
-            filteredAssets = [...filteredAssets, ...assetsWithActiveComponents];
-        }
-    }
+    let filteredAssets = filterAssets(assets, subAssets, searchQuery, dashboardFilter);
 
     // Apply sorting if a sort field is selected
     if (currentSort.field) {
         filteredAssets = sortAssets(filteredAssets, currentSort.field, currentSort.direction);
     }
+    visibleAssetIds = filteredAssets.map(asset => asset.id);
 
     filteredAssets.forEach(asset => {
         const assetItem = document.createElement('div');
@@ -329,8 +445,9 @@ function renderAssetList(searchQuery = '') {
         }
         
         // Format asset item with name, model, and tags
+        const categoryIcon = asset.categoryId ? getCategoryIcon?.(asset.categoryId) : '';
         assetItem.innerHTML += `
-            <div class="asset-item-name">${asset.name || 'Unnamed Asset'}</div>
+            <div class="asset-item-name">${categoryIcon ? `${categoryIcon} ` : ''}${asset.name || 'Unnamed Asset'}</div>
             ${asset.modelNumber ? `<div class="asset-item-model">${asset.modelNumber}</div>` : ''}
             ${asset.tags && asset.tags.length > 0 ? `
                 <div class="asset-item-tags">
@@ -338,12 +455,30 @@ function renderAssetList(searchQuery = '') {
                 </div>
             ` : ''}
         `;
+
+        // Added after the markup above, which would otherwise reset the checked state
+        if (selecting) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'asset-item-checkbox';
+            checkbox.checked = bulkSelection.isSelected(asset.id);
+            checkbox.setAttribute('aria-label', `Select ${asset.name || 'asset'}`);
+            assetItem.classList.add('selectable');
+            assetItem.classList.toggle('selected', checkbox.checked);
+            assetItem.prepend(checkbox);
+        }
             
         assetItem.addEventListener('click', (e) => {
             // Don't trigger asset click if clicking on a tag
             if (e.target.classList.contains('asset-tag')) {
                 return;
             }
+
+            // In multi-select mode a click selects the asset instead of opening it
+            if (selecting) {
+                bulkSelection.toggle(asset.id, { range: e.shiftKey, orderedIds: visibleAssetIds });
+                return;
+            }
             
             // Remove active class from all asset items
             document.querySelectorAll('.asset-item').forEach(item => {
@@ -476,5 +611,8 @@ export {
     updateDashboardFilter,
     updateSort,
     renderAssetList,
+    getVisibleAssetIds,
+    filterAssets,
+    subAssetMatchesSearch,
     sortAssets
 };
\ No newline at end of file
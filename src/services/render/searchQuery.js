@@ -0,0 +1,121 @@
+/**
+ * Search Query Parser
+ * Parses the sidebar search box into terms: plain words, "quoted phrases" and field filters
+ * such as tag:garage, price>200, purchased:2023 or has:receipt. A leading "-" negates a term.
+ */
+
+// Fields that compare a value with an operator; every other field only accepts ":"
+const FIELDS = {
+    tag: { operators: [':'] },
+    category: { operators: [':'] },
+    name: { operators: [':'] },
+    manufacturer: { operators: [':'] },
+    model: { operators: [':'] },
+    serial: { operators: [':'] },
+    location: { operators: [':'] },
+    price: { operators: [':', '>', '<', '>=', '<='] },
+    purchased: { operators: [':', '>', '<', '>=', '<='] },
+    warranty: { operators: [':'], values: ['expired', 'within30', 'within60', 'active', 'lifetime', 'none'] },
+    has: { operators: [':'], values: ['components', 'warranty', 'photo', 'receipt', 'manual', 'maintenance'] }
+};
+const DATE_PREFIX_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const TERM_PATTERN = /(-)?(?:([a-zA-Z]+)(>=|<=|:|>|<))?(?:"([^"]*)"?|([^\s"]+))/g;
+
+function validateFilter(field, operator, value) {
+    const definition = FIELDS[field];
+    if (!definition.operators.includes(operator)) return `${field} only supports ${field}:value`;
+    if (value === '') return `${field} needs a value`;
+    if (definition.values && !definition.values.includes(value.toLowerCase())) {
+        return `${field} must be one of: ${definition.values.join(', ')}`;
+    }
+    if (field === 'price' && !Number.isFinite(Number(value))) return 'price must be a number';
+    if (field === 'purchased' && !DATE_PREFIX_PATTERN.test(value)) return 'purchased must be YYYY, YYYY-MM or YYYY-MM-DD';
+    return null;
+}
+
+/**
+ * Split a search query into terms
+ *
+ * @param {String} query Text typed in the search box
+ * @returns {Array<Object>} Terms, each with:
+ *   type ('text' or 'filter'), field, operator, value, negated, raw (the typed text),
+ *   start/end (position in the query) and error (why a filter can't be applied, or null)
+ */
+export function parseSearchQuery(query = '') {
+    const terms = [];
+    for (const match of query.matchAll(TERM_PATTERN)) {
+        const [raw, negation, fieldName, operator, quoted, word] = match;
+        if (!raw || raw === '-') continue;
+        const value = (quoted ?? word ?? '').trim();
+        const field = fieldName?.toLowerCase();
+        const term = {
+            negated: !!negation,
+            raw,
+            start: match.index,
+            end: match.index + raw.length,
+            error: null
+        };
+
+        if (field && FIELDS[field]) {
+            terms.push({ ...term, type: 'filter', field, operator, value, error: validateFilter(field, operator, value) });
+        } else if (fieldName) {
+            // Not a known field (e.g. a URL), so search for the text as typed
+            terms.push({ ...term, type: 'text', value: raw.slice(negation ? 1 : 0).replace(/"/g, '') });
+        } else if (value) {
+            terms.push({ ...term, type: 'text', value });
+        }
+    }
+    return terms;
+}
+
+/**
+ * Remove one term from a query, e.g. when its chip is closed
+ *
+ * @param {String} query Search query
+ * @param {Object} term Term returned by parseSearchQuery for this query
+ * @returns {String} The query without the term
+ */
+export function removeSearchTerm(query, term) {
+    return `${query.slice(0, term.start)} ${query.slice(term.end)}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Write a field filter, quoting values with spaces or characters the parser would split on
+ *
+ * @param {String} field Filter field, e.g. "location"
+ * @param {String} value Filter value
+ * @returns {String} e.g. location:garage or location:"Home > Garage"
+ */
+export function formatFilterTerm(field, value) {
+    return /^[^\s">]+$/.test(value) ? `${field}:${value}` : `${field}:"${value.replace(/"/g, '')}"`;
+}
+
+/**
+ * The filter on a field that applies to a query, i.e. the last one that isn't negated or invalid
+ *
+ * @param {String} query Search query
+ * @param {String} field Filter field
+ * @returns {Object|null} Term returned by parseSearchQuery, or null if the query doesn't filter on the field
+ */
+export function getFilterTerm(query, field) {
+    return parseSearchQuery(query)
+        .filter(term => term.type === 'filter' && term.field === field && !term.negated && !term.error)
+        .pop() || null;
+}
+
+/**
+ * Replace every filter on a field, e.g. when a value is picked in a sidebar menu
+ *
+ * @param {String} query Search query
+ * @param {String} field Filter field
+ * @param {String} newTerm Term to add at the end, or '' to only remove the filters
+ * @returns {String} The new query
+ */
+export function replaceFilterTerms(query, field, newTerm) {
+    // Remove from the end so the positions of earlier terms stay valid
+    const remaining = parseSearchQuery(query)
+        .filter(term => term.type === 'filter' && term.field === field)
+        .reverse()
+        .reduce((text, term) => removeSearchTerm(text, term), query);
+    return [remaining, newTerm].filter(Boolean).join(' ');
+}
@@ -0,0 +1,341 @@
+/**
+ * Search Index
+ * Full-text index over every asset and component: their text fields, tags, custom fields, the
+ * paths of their category and location, maintenance events and the original names of attached files.
+ * The index follows storage "change" events so it is updated on every write, and is saved to
+ * data/searchIndex.json so it doesn't have to be rebuilt on every start. A fingerprint of the records
+ * and the category and location trees tells whether the saved index is still current.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage, COLLECTIONS, DEFAULT_DATA_DIR, readJsonFile, writeJsonFile } = require('../storage');
+const { getPath } = require('../tree');
+
+const INDEX_FILE = path.join(DEFAULT_DATA_DIR, 'searchIndex.json');
+const CONFIG_FILE = path.join(DEFAULT_DATA_DIR, 'config.json');
+// 2: adds categoryPath and locationPath
+const INDEX_VERSION = 2;
+const SAVE_DELAY_MS = 2000;
+const SNIPPET_LENGTH = 120;
+const TYPES = {
+    asset: COLLECTIONS.ASSETS,
+    subAsset: COLLECTIONS.SUB_ASSETS
+};
+// How much a match in each field counts towards a hit's score
+const FIELD_WEIGHTS = {
+    name: 10,
+    tags: 6,
+    modelNumber: 5,
+    serialNumber: 5,
+    manufacturer: 4,
+    location: 3,
+    locationPath: 3,
+    categoryPath: 3,
+    description: 2,
+    notes: 1,
+    link: 1
+};
+const DEFAULT_WEIGHT = 2;
+const TEXT_FIELDS = ['name', 'manufacturer', 'modelNumber', 'serialNumber', 'location', 'description', 'notes', 'link'];
+const FILE_FIELDS = ['photoInfo', 'receiptInfo', 'manualInfo'];
+
+// Keyed by "type:id"
+let documents = new Map();
+// Token -> keys of the documents that contain it
+let postings = new Map();
+let saveTimer = null;
+
+function tokenize(text) {
+    return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// The category and location trees from config.json, to index records under their full paths
+function getTrees() {
+    const config = readJsonFile(CONFIG_FILE, {}) || {};
+    return { categories: config.categories || [], locations: config.locations || [] };
+}
+
+/**
+ * The searchable text of a record
+ * @param {Object} record - Asset or component
+ * @param {{ categories: Object[], locations: Object[] }} trees - From getTrees()
+ * @returns {Array<{ field: string, text: string }>} Field path and its text, e.g. "maintenanceEvents[0].notes"
+ */
+function getSearchableFields(record, trees) {
+    const fields = [];
+    const add = (field, value) => {
+        if (value === undefined || value === null || value === '') return;
+        fields.push({ field, text: String(value) });
+    };
+
+    TEXT_FIELDS.forEach(field => add(field, record[field]));
+    if (Array.isArray(record.tags) && record.tags.length > 0) add('tags', record.tags.join(', '));
+    if (record.categoryId) add('categoryPath', getPath(trees.categories, record.categoryId));
+    if (record.locationId) add('locationPath', getPath(trees.locations, record.locationId));
+    add('warranty.scope', record.warranty?.scope);
+    add('secondaryWarranty.scope', record.secondaryWarranty?.scope);
+    Object.entries(record.customFields || {}).forEach(([id, value]) => {
+        if (typeof value !== 'boolean') add(`customFields.${id}`, value);
+    });
+    (record.maintenanceEvents || []).forEach((event, index) => {
+        add(`maintenanceEvents[${index}].name`, event?.name);
+        add(`maintenanceEvents[${index}].notes`, event?.notes);
+    });
+    FILE_FIELDS.forEach(field => {
+        (Array.isArray(record[field]) ? record[field] : []).forEach((file, index) => {
+            add(`${field}[${index}].originalName`, file?.originalName);
+        });
+    });
+    return fields;
+}
+
+function getWeight(field) {
+    return FIELD_WEIGHTS[field] ?? DEFAULT_WEIGHT;
+}
+
+function removeDocument(key) {
+    const document = documents.get(key);
+    if (!document) return;
+    for (const token of new Set(document.fields.flatMap(field => field.tokens))) {
+        const keys = postings.get(token);
+        keys.delete(key);
+        if (keys.size === 0) postings.delete(token);
+    }
+    documents.delete(key);
+}
+
+function addDocument(document) {
+    const key = `${document.type}:${document.id}`;
+    removeDocument(key);
+    documents.set(key, document);
+    for (const { tokens } of document.fields) {
+        for (const token of tokens) {
+            if (!postings.has(token)) postings.set(token, new Set());
+            postings.get(token).add(key);
+        }
+    }
+}
+
+function indexRecord(type, record, trees) {
+    addDocument({
+        type,
+        id: record.id,
+        fields: getSearchableFields(record, trees).map(({ field, text }) => ({ field, text, tokens: tokenize(text) }))
+    });
+}
+
+function getRecords() {
+    const storage = getStorage();
+    return {
+        assets: storage.getAll(COLLECTIONS.ASSETS),
+        subAssets: storage.getAll(COLLECTIONS.SUB_ASSETS)
+    };
+}
+
+// Changes whenever any indexed record or path changes, so a saved index can be checked against the data
+function getFingerprint({ assets, subAssets }, { categories, locations }) {
+    return crypto.createHash('sha1').update(JSON.stringify([assets, subAssets, categories, locations])).digest('hex');
+}
+
+function saveIndex() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    writeJsonFile(INDEX_FILE, {
+        version: INDEX_VERSION,
+        fingerprint: getFingerprint(getRecords(), getTrees()),
+        documents: [...documents.values()]
+    });
+}
+
+function scheduleSave() {
+    if (saveTimer) return;
+    // Writes often come in bursts (an import, a restore), so they are saved together
+    saveTimer = setTimeout(saveIndex, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+/**
+ * Rebuild the whole index from storage and save it
+ * @returns {number} Number of indexed records
+ */
+function rebuildSearchIndex() {
+    const { assets, subAssets } = getRecords();
+    const trees = getTrees();
+    documents = new Map();
+    postings = new Map();
+    assets.forEach(asset => indexRecord('asset', asset, trees));
+    subAssets.forEach(subAsset => indexRecord('subAsset', subAsset, trees));
+    saveIndex();
+    return documents.size;
+}
+
+/**
+ * Re-index the records in a category or location after the category or location tree changed,
+ * since a rename, move or delete changes the paths they are found under
+ * @returns {number} Number of re-indexed records
+ */
+function reindexTreePaths() {
+    const { assets, subAssets } = getRecords();
+    const trees = getTrees();
+    const inTree = record => record.categoryId || record.locationId;
+    const records = [
+        ...assets.filter(inTree).map(asset => ['asset', asset]),
+        ...subAssets.filter(inTree).map(subAsset => ['subAsset', subAsset])
+    ];
+    try {
+        records.forEach(([type, record]) => indexRecord(type, record, trees));
+    } catch (error) {
+        console.error('Failed to update search index:', error);
+    }
+    scheduleSave();
+    return records.length;
+}
+
+function loadSavedIndex() {
+    const saved = readJsonFile(INDEX_FILE, null);
+    if (!saved || saved.version !== INDEX_VERSION || !Array.isArray(saved.documents)) return false;
+    if (saved.fingerprint !== getFingerprint(getRecords(), getTrees())) return false;
+    documents = new Map();
+    postings = new Map();
+    saved.documents.forEach(addDocument);
+    return true;
+}
+
+function handleChange({ collection, ids }) {
+    const type = Object.keys(TYPES).find(key => TYPES[key] === collection);
+    if (!type) return;
+    try {
+        if (ids === null) {
+            rebuildSearchIndex();
+            return;
+        }
+        const storage = getStorage();
+        const trees = getTrees();
+        for (const id of ids) {
+            const record = storage.getById(collection, id);
+            if (record) {
+                indexRecord(type, record, trees);
+            } else {
+                removeDocument(`${type}:${id}`);
+            }
+        }
+        scheduleSave();
+    } catch (error) {
+        // The write itself already succeeded; a stale index is fixed by the next rebuild
+        console.error('Failed to update search index:', error);
+    }
+}
+
+/**
+ * Load the saved index (rebuilding it if it's missing or out of date) and keep it in sync with storage
+ */
+function initSearchIndex() {
+    if (loadSavedIndex()) {
+        console.log(`Search index loaded (${documents.size} records)`);
+    } else {
+        console.log(`Search index rebuilt (${rebuildSearchIndex()} records)`);
+    }
+    const storage = getStorage();
+    storage.off('change', handleChange);
+    storage.on('change', handleChange);
+}
+
+// Tokens in the index that a query term matches: the term itself scores fully, longer words starting with it score half
+function expandTerm(term) {
+    const matches = new Map();
+    for (const token of postings.keys()) {
+        if (token === term) matches.set(token, 1);
+        else if (token.startsWith(term)) matches.set(token, 0.5);
+    }
+    return matches;
+}
+
+function getSnippet(text, query, firstToken) {
+    if (text.length <= SNIPPET_LENGTH) return text;
+    const lower = text.toLowerCase();
+    const index = Math.max(lower.indexOf(query), lower.indexOf(firstToken), 0);
+    const start = Math.max(0, Math.min(index - 20, text.length - SNIPPET_LENGTH));
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + SNIPPET_LENGTH).trim()}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+// Root asset, then each parent component, ending with the record itself
+function getRecordPath(type, record, assetsById, subAssetsById) {
+    const pathItems = [{ type, id: record.id, name: record.name }];
+    if (type === 'asset') return pathItems;
+
+    const seen = new Set([record.id]);
+    let parent = subAssetsById.get(record.parentSubId);
+    while (parent && !seen.has(parent.id)) {
+        seen.add(parent.id);
+        pathItems.unshift({ type: 'subAsset', id: parent.id, name: parent.name });
+        parent = subAssetsById.get(parent.parentSubId);
+    }
+    const asset = assetsById.get(record.parentId);
+    if (asset) pathItems.unshift({ type: 'asset', id: asset.id, name: asset.name });
+    return pathItems;
+}
+
+/**
+ * Search assets and components. Every word of the query has to appear in the record (as a word
+ * or the start of one); hits are ranked by where the words matched, with a bonus for the whole phrase.
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Maximum number of hits
+ * @returns {{ query: string, total: number, hits: Object[] }} Hits with the fields that matched and the path from the root asset
+ */
+function search(query, { limit = 20 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const phrase = String(query).trim().toLowerCase();
+    if (terms.length === 0) return { query, total: 0, hits: [] };
+
+    // Every term must match, so start from the documents containing the first term and narrow down
+    const expansions = terms.map(expandTerm);
+    let candidates = null;
+    for (const expansion of expansions) {
+        const keys = new Set();
+        for (const token of expansion.keys()) postings.get(token).forEach(key => keys.add(key));
+        candidates = candidates ? new Set([...candidates].filter(key => keys.has(key))) : keys;
+        if (candidates.size === 0) return { query, total: 0, hits: [] };
+    }
+
+    const scored = [...candidates].map(key => {
+        const document = documents.get(key);
+        let score = 0;
+        const matches = [];
+        for (const field of document.fields) {
+            const weight = getWeight(field.field.replace(/\[\d+\]/, ''));
+            let fieldScore = 0;
+            for (const expansion of expansions) {
+                const best = Math.max(0, ...field.tokens.map(token => expansion.get(token) || 0));
+                fieldScore += best * weight;
+            }
+            if (fieldScore === 0) continue;
+            if (terms.length > 1 && field.text.toLowerCase().includes(phrase)) fieldScore += weight;
+            score += fieldScore;
+            matches.push({ field: field.field, text: getSnippet(field.text, phrase, terms[0]), score: fieldScore });
+        }
+        matches.sort((a, b) => b.score - a.score);
+        return { document, score, matches: matches.map(({ field, text }) => ({ field, text })) };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    const { assets, subAssets } = getRecords();
+    const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+    const subAssetsById = new Map(subAssets.map(subAsset => [subAsset.id, subAsset]));
+
+    const hits = scored.slice(0, limit).map(({ document, score, matches }) => {
+        const record = (document.type === 'asset' ? assetsById : subAssetsById).get(document.id) || { id: document.id };
+        return {
+            type: document.type,
+            id: document.id,
+            name: record.name || null,
+            score: Math.round(score * 100) / 100,
+            matches,
+            path: getRecordPath(document.type, record, assetsById, subAssetsById)
+        };
+    });
+    return { query, total: scored.length, hits };
+}
+
+module.exports = { initSearchIndex, rebuildSearchIndex, reindexTreePaths, search };
@@ -0,0 +1,75 @@
+/**
+ * Stock
+ * Quantities of consumables, such as printer toner, HVAC filters or batteries. A record marked
+ * `consumable` with a `reorderThreshold` is low on stock once its quantity drops below the threshold.
+ * Every adjustment is logged in `stockMovements`, oldest first, with the quantity it left behind.
+ */
+
+const { validate, STOCK_ADJUSTMENT_SCHEMA } = require('../validation');
+
+/**
+ * Whether a consumable needs reordering
+ * @param {Object} record - Asset or component
+ * @returns {boolean} True if it is a consumable below its reorder threshold
+ */
+function isLowStock(record) {
+    return !!record?.consumable
+        && Number.isInteger(record.reorderThreshold)
+        && (record.quantity ?? 0) < record.reorderThreshold;
+}
+
+/**
+ * Whether an edit took a record below its reorder threshold, so the low-stock alert is sent once
+ * when stock runs low rather than on every edit while it stays low
+ * @param {Object} before - Record as it was stored
+ * @param {Object} after - Record as saved
+ * @returns {boolean}
+ */
+function fellBelowThreshold(before, after) {
+    return isLowStock(after) && !isLowStock(before);
+}
+
+/**
+ * The edits in a batch, such as a bulk edit, that took a record below its reorder threshold
+ * @param {Array<{ before: Object, after: Object }>} changes - Records as stored and as saved
+ * @returns {Array<{ before: Object, after: Object }>} The changes that need a low-stock alert
+ */
+function getLowStockChanges(changes) {
+    return changes.filter(({ before, after }) => fellBelowThreshold(before, after));
+}
+
+/**
+ * Use up or restock a consumable
+ * @param {Object} record - Asset or component as stored
+ * @param {Object} body - Request body, checked against STOCK_ADJUSTMENT_SCHEMA
+ * @param {Function} generateId - Returns a new movement ID
+ * @returns {{ value: Object|null, errors: Array<{ field: string, message: string }>, error?: string, status?: number }}
+ *   The record with its new quantity and the movement logged, or the reason it can't be adjusted
+ */
+function adjustStock(record, body, generateId) {
+    const { value, errors } = validate(STOCK_ADJUSTMENT_SCHEMA, body);
+    if (value.change === 0) errors.push({ field: 'change', message: 'cannot be 0' });
+    if (errors.length > 0) return { value: null, errors };
+
+    if (!record.consumable) {
+        return { value: null, errors: [], error: 'Not a consumable', status: 409 };
+    }
+
+    const quantity = (record.quantity ?? 0) + value.change;
+    if (quantity < 0) {
+        return { value: null, errors: [{ field: 'change', message: `would take the quantity below 0 (${record.quantity ?? 0} in stock)` }] };
+    }
+    const movement = {
+        id: generateId(),
+        date: new Date().toISOString(),
+        change: value.change,
+        quantity,
+        note: (value.note || '').trim()
+    };
+    return {
+        value: { ...record, quantity, stockMovements: [...(record.stockMovements || []), movement] },
+        errors: []
+    };
+}
+
+module.exports = { isLowStock, fellBelowThreshold, getLowStockChanges, adjustStock };
@@ -0,0 +1,36 @@
+/**
+ * Storage Collections
+ * Names of the record collections managed by the storage layer, along with the
+ * JSON file and primary key used for each of them.
+ */
+
+const COLLECTIONS = {
+    ASSETS: 'assets',
+    SUB_ASSETS: 'subAssets',
+    MAINTENANCE_TRACKING: 'maintenanceTracking',
+    TRASH: 'trash',
+    AUDIT_LOG: 'auditLog'
+};
+
+const COLLECTION_DEFINITIONS = {
+    [COLLECTIONS.ASSETS]: { file: 'Assets.json', table: 'assets', key: 'id' },
+    [COLLECTIONS.SUB_ASSETS]: { file: 'SubAssets.json', table: 'sub_assets', key: 'id' },
+    [COLLECTIONS.MAINTENANCE_TRACKING]: { file: 'maintenanceTracking.json', table: 'maintenance_tracking', key: 'key' },
+    [COLLECTIONS.TRASH]: { file: 'Trash.json', table: 'trash', key: 'id' },
+    [COLLECTIONS.AUDIT_LOG]: { file: 'AuditLog.json', table: 'audit_log', key: 'id' }
+};
+
+/**
+ * Look up the definition for a collection
+ * @param {string} collection - One of the COLLECTIONS values
+ * @returns {{file: string, table: string, key: string}} The collection definition
+ */
+function getCollectionDefinition(collection) {
+    const definition = COLLECTION_DEFINITIONS[collection];
+    if (!definition) {
+        throw new Error(`Unknown storage collection: ${collection}`);
+    }
+    return definition;
+}
+
+module.exports = { COLLECTIONS, COLLECTION_DEFINITIONS, getCollectionDefinition };
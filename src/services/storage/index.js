@@ -0,0 +1,72 @@
+/**
+ * Storage Module
+ * Main entry point for persisting assets, sub-assets and maintenance tracking records.
+ * The driver is selected with the STORAGE_DRIVER environment variable ("json" or "sqlite").
+ */
+
+const path = require('path');
+const { COLLECTIONS } = require('./collections');
+const { readJsonFile, writeJsonFile, updateJsonFile } = require('./jsonFile');
+const { runSchemaMigrations, CURRENT_SCHEMA_VERSION } = require('./schemaMigrations');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', '..', 'data');
+const SQLITE_FILE_NAME = 'dumbassets.db';
+
+let storage = null;
+
+/**
+ * Create and initialize a storage driver, bringing its records up to the current schema
+ * @param {Object} [options]
+ * @param {string} [options.driver] - "json" or "sqlite" (defaults to STORAGE_DRIVER or "json")
+ * @param {string} [options.dataDir] - Data directory (defaults to ./data)
+ * @returns {JsonStorage|SqliteStorage} The initialized driver
+ */
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'json', dataDir = DEFAULT_DATA_DIR } = {}) {
+    const driverStorage = createDriver(driver, dataDir);
+    runSchemaMigrations(driverStorage);
+    return driverStorage;
+}
+
+function createDriver(driver, dataDir) {
+    switch (driver.toLowerCase()) {
+        case 'json': {
+            const { JsonStorage } = require('./jsonStorage');
+            const jsonStorage = new JsonStorage({ dataDir });
+            jsonStorage.init();
+            return jsonStorage;
+        }
+        case 'sqlite': {
+            // Required lazily so the native module is only loaded when it is used
+            const { SqliteStorage } = require('./sqliteStorage');
+            const { migrateJsonToSqlite } = require('./migrate');
+            const sqliteStorage = new SqliteStorage({ filePath: path.join(dataDir, SQLITE_FILE_NAME) });
+            sqliteStorage.init();
+            migrateJsonToSqlite(sqliteStorage, dataDir);
+            return sqliteStorage;
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected "json" or "sqlite".`);
+    }
+}
+
+/**
+ * Get the shared storage driver, creating it on first use
+ * @returns {JsonStorage|SqliteStorage} The shared driver
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+}
+
+module.exports = {
+    COLLECTIONS,
+    CURRENT_SCHEMA_VERSION,
+    DEFAULT_DATA_DIR,
+    createStorage,
+    getStorage,
+    readJsonFile,
+    writeJsonFile,
+    updateJsonFile
+};
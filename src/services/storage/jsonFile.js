@@ -0,0 +1,161 @@
+/**
+ * JSON File Helpers
+ * Low-level helpers for reading and writing JSON files in the data directory.
+ * Writes go to a temp file that is renamed into place, the previous version is kept
+ * as a rolling `.bak`, and read-modify-write cycles are serialized per file with a lock file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_RETRY_INTERVAL = 25; // ms
+const LOCK_TIMEOUT = 5000; // ms
+const STALE_LOCK_AGE = 30000; // ms
+
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Block the current thread for a short time while waiting on a lock
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleepSync(ms) {
+    Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+/**
+ * Parse a JSON file, throwing if it is missing or invalid
+ * @param {string} filePath - Absolute path to the file
+ * @returns {*} The parsed file contents
+ */
+function parseJsonFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Read and parse a JSON file. If the file is corrupt, the rolling backup is used instead.
+ * @param {string} filePath - Absolute path to the file
+ * @param {*} [fallback=[]] - Value returned when the file is missing or unreadable
+ * @returns {*} The parsed file contents or the fallback value
+ */
+function readJsonFile(filePath, fallback = []) {
+    try {
+        if (!fs.existsSync(filePath)) {
+            return fallback;
+        }
+        return parseJsonFile(filePath);
+    } catch (error) {
+        console.error(`Error reading ${filePath}:`, error);
+        const backupPath = `${filePath}.bak`;
+        try {
+            if (fs.existsSync(backupPath)) {
+                console.warn(`Falling back to backup ${backupPath}`);
+                return parseJsonFile(backupPath);
+            }
+        } catch (backupError) {
+            console.error(`Error reading backup ${backupPath}:`, backupError);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Serialize data and atomically replace a JSON file, creating the parent directory if needed.
+ * The data is written and flushed to a temp file first, the current file is copied to
+ * `<file>.bak`, and the temp file is then renamed over the original.
+ * @param {string} filePath - Absolute path to the file
+ * @param {*} data - Data to serialize
+ * @returns {boolean} True if the file was written
+ */
+function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2), null, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        if (fs.existsSync(filePath)) {
+            fs.copyFileSync(filePath, `${filePath}.bak`);
+        }
+        fs.renameSync(tempPath, filePath);
+        return true;
+    } catch (error) {
+        console.error(`Error writing to ${filePath}:`, error);
+        if (fs.existsSync(tempPath)) fs.rmSync(tempPath);
+        return false;
+    }
+}
+
+/**
+ * Run a function while holding an exclusive lock on a file. The lock is a `<file>.lock`
+ * file created with O_EXCL, so it also serializes writers in other processes.
+ * @param {string} filePath - Absolute path of the file to lock
+ * @param {Function} fn - Synchronous function to run while the lock is held
+ * @returns {*} The return value of fn
+ */
+function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const startedAt = Date.now();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    while (true) {
+        try {
+            fs.closeSync(fs.openSync(lockPath, 'wx'));
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // Remove locks left behind by a process that crashed mid-write
+            try {
+                if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_AGE) {
+                    console.warn(`Removing stale lock ${lockPath}`);
+                    fs.rmSync(lockPath, { force: true });
+                    continue;
+                }
+            } catch (statError) {
+                if (statError.code === 'ENOENT') continue;
+                throw statError;
+            }
+
+            if (Date.now() - startedAt > LOCK_TIMEOUT) {
+                throw new Error(`Timed out waiting for lock on ${filePath}`);
+            }
+            sleepSync(LOCK_RETRY_INTERVAL);
+        }
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+/**
+ * Read, modify and write a JSON file as a single locked operation so concurrent
+ * writers cannot overwrite each other's changes.
+ * @param {string} filePath - Absolute path to the file
+ * @param {Function} updater - Receives the current contents and returns the new contents,
+ *   or undefined to leave the file unchanged
+ * @param {*} [fallback=[]] - Contents used when the file does not exist yet
+ * @returns {boolean} True if the file was written
+ */
+function updateJsonFile(filePath, updater, fallback = []) {
+    try {
+        return withFileLock(filePath, () => {
+            const updated = updater(readJsonFile(filePath, fallback));
+            if (updated === undefined) return false;
+            return writeJsonFile(filePath, updated);
+        });
+    } catch (error) {
+        console.error(`Error updating ${filePath}:`, error);
+        return false;
+    }
+}
+
+module.exports = { readJsonFile, writeJsonFile, updateJsonFile, withFileLock };
@@ -0,0 +1,174 @@
+/**
+ * JSON Storage Driver
+ * Stores each collection as an array in its own JSON file inside the data directory
+ * (Assets.json, SubAssets.json, ...). This is the default driver.
+ * Every write is a locked read-modify-write of the file, so changes made by concurrent
+ * requests are applied one after another instead of overwriting each other.
+ * Emits a "change" event ({ collection, ids }) after every successful write.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { COLLECTION_DEFINITIONS, getCollectionDefinition } = require('./collections');
+const { readJsonFile, writeJsonFile, updateJsonFile } = require('./jsonFile');
+
+const SCHEMA_VERSION_FILE = 'schemaVersion.json';
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+class JsonStorage extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory holding the JSON files
+     */
+    constructor({ dataDir }) {
+        super();
+        this.driver = 'json';
+        this.dataDir = dataDir;
+    }
+
+    /**
+     * Create any missing collection files
+     */
+    init() {
+        for (const collection of Object.keys(COLLECTION_DEFINITIONS)) {
+            const filePath = this.getFilePath(collection);
+            if (!fs.existsSync(filePath)) {
+                writeJsonFile(filePath, []);
+            }
+        }
+    }
+
+    /**
+     * Get the schema version of the stored records
+     * @returns {number} The last applied schema migration, or 0
+     */
+    getSchemaVersion() {
+        const schema = readJsonFile(path.join(this.dataDir, SCHEMA_VERSION_FILE), {});
+        return Number.isInteger(schema.version) ? schema.version : 0;
+    }
+
+    /**
+     * Record the schema version of the stored records
+     * @param {number} version - The last applied schema migration
+     * @returns {boolean} True if the version was saved
+     */
+    setSchemaVersion(version) {
+        return writeJsonFile(path.join(this.dataDir, SCHEMA_VERSION_FILE), { version, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Get the JSON file backing a collection
+     * @param {string} collection - Collection name
+     * @returns {string} Absolute file path
+     */
+    getFilePath(collection) {
+        return path.join(this.dataDir, getCollectionDefinition(collection).file);
+    }
+
+    /**
+     * Get every record in a collection
+     * @param {string} collection - Collection name
+     * @returns {Array} Records in insertion order
+     */
+    getAll(collection) {
+        return toArray(readJsonFile(this.getFilePath(collection)));
+    }
+
+    /**
+     * Get a single record by its key
+     * @param {string} collection - Collection name
+     * @param {string} id - Record key
+     * @returns {Object|null} The record or null if it does not exist
+     */
+    getById(collection, id) {
+        const { key } = getCollectionDefinition(collection);
+        return this.getAll(collection).find(record => record[key] === id) || null;
+    }
+
+    /**
+     * Append a record to a collection
+     * @param {string} collection - Collection name
+     * @param {Object} record - Record to add
+     * @returns {boolean} True if the record was saved
+     */
+    insert(collection, record) {
+        return this.insertMany(collection, [record]);
+    }
+
+    /**
+     * Append several records to a collection in a single write
+     * @param {string} collection - Collection name
+     * @param {Array} records - Records to add
+     * @returns {boolean} True if the records were saved
+     */
+    insertMany(collection, records) {
+        const { key } = getCollectionDefinition(collection);
+        const saved = updateJsonFile(this.getFilePath(collection), existing => [...toArray(existing), ...records]);
+        if (saved) this.emit('change', { collection, ids: records.map(record => record[key]) });
+        return saved;
+    }
+
+    /**
+     * Replace an existing record, matched by its key
+     * @param {string} collection - Collection name
+     * @param {Object} record - Updated record
+     * @returns {boolean} True if the record existed and was saved
+     */
+    update(collection, record) {
+        return this.updateMany(collection, [record]);
+    }
+
+    /**
+     * Replace several existing records in a single write
+     * @param {string} collection - Collection name
+     * @param {Array} records - Updated records
+     * @returns {boolean} True if every record existed and the collection was saved
+     */
+    updateMany(collection, records) {
+        const { key } = getCollectionDefinition(collection);
+        const saved = updateJsonFile(this.getFilePath(collection), current => {
+            const existing = toArray(current);
+            for (const record of records) {
+                const index = existing.findIndex(item => item[key] === record[key]);
+                if (index === -1) return undefined;
+                existing[index] = record;
+            }
+            return existing;
+        });
+        if (saved) this.emit('change', { collection, ids: records.map(record => record[key]) });
+        return saved;
+    }
+
+    /**
+     * Remove records by key
+     * @param {string} collection - Collection name
+     * @param {string[]} ids - Keys of the records to remove
+     * @returns {boolean} True if the collection was saved
+     */
+    remove(collection, ids) {
+        const { key } = getCollectionDefinition(collection);
+        const idSet = new Set(ids);
+        const saved = updateJsonFile(this.getFilePath(collection), existing => toArray(existing).filter(record => !idSet.has(record[key])));
+        if (saved) this.emit('change', { collection, ids: [...idSet] });
+        return saved;
+    }
+
+    /**
+     * Replace the entire contents of a collection
+     * @param {string} collection - Collection name
+     * @param {Array} records - New contents
+     * @returns {boolean} True if the collection was saved
+     */
+    replaceAll(collection, records) {
+        const saved = updateJsonFile(this.getFilePath(collection), () => records);
+        // ids is null when the whole collection changed
+        if (saved) this.emit('change', { collection, ids: null });
+        return saved;
+    }
+}
+
+module.exports = { JsonStorage };
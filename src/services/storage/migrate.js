@@ -0,0 +1,52 @@
+/**
+ * JSON to SQLite Migration
+ * Copies the contents of the JSON data files into a freshly created SQLite database.
+ * Runs once; the completion time is recorded in the database's meta table and the
+ * JSON files are left untouched as a backup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTION_DEFINITIONS } = require('./collections');
+const { readJsonFile } = require('./jsonFile');
+
+const MIGRATION_META_KEY = 'jsonMigratedAt';
+
+/**
+ * Import the JSON data files into an initialized SQLite storage driver
+ * @param {import('./sqliteStorage').SqliteStorage} sqliteStorage - Target storage
+ * @param {string} dataDir - Directory holding the JSON files
+ * @returns {Object|null} Number of records imported per collection, or null if the migration already ran
+ */
+function migrateJsonToSqlite(sqliteStorage, dataDir) {
+    if (sqliteStorage.getMeta(MIGRATION_META_KEY)) {
+        return null;
+    }
+
+    const imported = {};
+    for (const [collection, { file }] of Object.entries(COLLECTION_DEFINITIONS)) {
+        const filePath = path.join(dataDir, file);
+        imported[collection] = 0;
+        if (!fs.existsSync(filePath)) continue;
+
+        // Never overwrite rows that already exist in the database
+        if (sqliteStorage.count(collection) > 0) {
+            console.warn(`Skipping migration of ${file}: SQLite table already contains data`);
+            continue;
+        }
+
+        const records = readJsonFile(filePath);
+        if (!Array.isArray(records) || records.length === 0) continue;
+
+        if (!sqliteStorage.replaceAll(collection, records)) {
+            throw new Error(`Failed to migrate ${file} to SQLite`);
+        }
+        imported[collection] = records.length;
+    }
+
+    sqliteStorage.setMeta(MIGRATION_META_KEY, new Date().toISOString());
+    console.log('Migrated JSON data files to SQLite:', imported);
+    return imported;
+}
+
+module.exports = { migrateJsonToSqlite };
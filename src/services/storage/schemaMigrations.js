@@ -0,0 +1,147 @@
+/**
+ * Schema Migrations
+ * Ordered, idempotent steps that bring stored assets and sub-assets up to the current
+ * record shape. The storage driver remembers the last applied version, so each step
+ * runs once at startup and the rest of the app can rely on normalized records.
+ */
+
+const { COLLECTIONS } = require('./collections');
+
+const FILE_TYPES = ['photo', 'receipt', 'manual'];
+
+/**
+ * Parse a stored price into a number
+ * @param {*} value - Stored price (number, numeric string, empty string or null)
+ * @returns {number|null} The price, or null if it is empty or not a number
+ */
+function toPrice(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Each step receives a record and the collection it belongs to, mutates the record
+ * in place and returns true if anything changed. Steps must be safe to run twice.
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move single photoPath/receiptPath/manualPath values into the photoPaths/receiptPaths/manualPaths arrays',
+        migrate(record) {
+            let changed = false;
+            for (const type of FILE_TYPES) {
+                const legacyKey = `${type}Path`;
+                const pathsKey = `${type}Paths`;
+                const infoKey = `${type}Info`;
+
+                if (!Array.isArray(record[pathsKey])) {
+                    record[pathsKey] = [];
+                    changed = true;
+                }
+                if (!Array.isArray(record[infoKey])) {
+                    record[infoKey] = [];
+                    changed = true;
+                }
+                if (!(legacyKey in record)) continue;
+
+                const legacyPath = record[legacyKey];
+                if (legacyPath && !record[pathsKey].includes(legacyPath)) {
+                    // Keep the info array aligned with the paths array
+                    record[pathsKey].unshift(legacyPath);
+                    record[infoKey].unshift({ originalName: legacyPath.split('/').pop() });
+                }
+                delete record[legacyKey];
+                changed = true;
+            }
+            return changed;
+        }
+    },
+    {
+        version: 2,
+        description: 'Store prices as numbers in price (assets) and purchasePrice (components)',
+        migrate(record, collection) {
+            const [priceKey, otherKey] = collection === COLLECTIONS.ASSETS
+                ? ['price', 'purchasePrice']
+                : ['purchasePrice', 'price'];
+            const before = JSON.stringify([record[priceKey], record[otherKey]]);
+
+            let price = toPrice(record[priceKey]);
+            if (price === null && otherKey in record) {
+                price = toPrice(record[otherKey]);
+            }
+            delete record[otherKey];
+            record[priceKey] = price;
+
+            return JSON.stringify([record[priceKey], record[otherKey]]) !== before;
+        }
+    },
+    {
+        version: 3,
+        description: 'Remove the legacy maintenanceReminder field',
+        migrate(record) {
+            if (!('maintenanceReminder' in record)) return false;
+            delete record.maintenanceReminder;
+            return true;
+        }
+    },
+    {
+        version: 4,
+        description: 'Default quantity to 1 and make sure tags and maintenanceEvents are arrays',
+        migrate(record) {
+            let changed = false;
+            const quantity = parseInt(record.quantity, 10);
+            const normalizedQuantity = Number.isInteger(quantity) && quantity > 0 ? quantity : 1;
+            if (record.quantity !== normalizedQuantity) {
+                record.quantity = normalizedQuantity;
+                changed = true;
+            }
+            if (!Array.isArray(record.tags)) {
+                // Keep tags that were stored as a comma separated string
+                record.tags = typeof record.tags === 'string'
+                    ? record.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+                    : [];
+                changed = true;
+            }
+            if (!Array.isArray(record.maintenanceEvents)) {
+                record.maintenanceEvents = [];
+                changed = true;
+            }
+            return changed;
+        }
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration step newer than the stored schema version
+ * @param {JsonStorage|SqliteStorage} storage - An initialized storage driver
+ * @returns {number[]} Versions that were applied
+ */
+function runSchemaMigrations(storage) {
+    const currentVersion = storage.getSchemaVersion();
+    const pending = SCHEMA_MIGRATIONS.filter(step => step.version > currentVersion);
+    if (currentVersion > CURRENT_SCHEMA_VERSION) {
+        console.warn(`Data schema version ${currentVersion} is newer than this app supports (${CURRENT_SCHEMA_VERSION})`);
+    }
+
+    for (const step of pending) {
+        for (const collection of [COLLECTIONS.ASSETS, COLLECTIONS.SUB_ASSETS]) {
+            const changed = storage.getAll(collection).filter(record => step.migrate(record, collection));
+            if (changed.length > 0 && !storage.updateMany(collection, changed)) {
+                throw new Error(`Schema migration ${step.version} failed for ${collection}`);
+            }
+            if (changed.length > 0) {
+                console.log(`Schema migration ${step.version}: updated ${changed.length} ${collection}`);
+            }
+        }
+        // Record progress after every step so a failure resumes where it stopped
+        storage.setSchemaVersion(step.version);
+        console.log(`Applied schema migration ${step.version}: ${step.description}`);
+    }
+
+    return pending.map(step => step.version);
+}
+
+module.exports = { SCHEMA_MIGRATIONS, CURRENT_SCHEMA_VERSION, runSchemaMigrations };
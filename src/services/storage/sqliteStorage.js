@@ -0,0 +1,239 @@
+/**
+ * SQLite Storage Driver
+ * Stores each collection in a table of an embedded SQLite database. Records are kept
+ * as JSON documents keyed by their id, so edits touch a single row instead of
+ * rewriting the whole collection.
+ * Emits a "change" event ({ collection, ids }) after every successful write.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { COLLECTION_DEFINITIONS, getCollectionDefinition } = require('./collections');
+
+class SqliteStorage extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Path of the SQLite database file
+     */
+    constructor({ filePath }) {
+        super();
+        this.driver = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    /**
+     * Open the database and create any missing tables
+     */
+    init() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec('CREATE TABLE IF NOT EXISTS meta (name TEXT PRIMARY KEY, value TEXT)');
+        for (const { table } of Object.values(COLLECTION_DEFINITIONS)) {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+        }
+    }
+
+    /**
+     * Read a value from the meta table
+     * @param {string} name - Meta key
+     * @returns {string|null} The stored value or null
+     */
+    getMeta(name) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE name = ?').get(name);
+        return row ? row.value : null;
+    }
+
+    /**
+     * Write a value to the meta table
+     * @param {string} name - Meta key
+     * @param {string} value - Value to store
+     */
+    setMeta(name, value) {
+        this.db.prepare('INSERT INTO meta (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value')
+            .run(name, value);
+    }
+
+    /**
+     * Get the schema version of the stored records
+     * @returns {number} The last applied schema migration, or 0
+     */
+    getSchemaVersion() {
+        const version = parseInt(this.getMeta('schemaVersion'), 10);
+        return isNaN(version) ? 0 : version;
+    }
+
+    /**
+     * Record the schema version of the stored records
+     * @param {number} version - The last applied schema migration
+     * @returns {boolean} True if the version was saved
+     */
+    setSchemaVersion(version) {
+        this.setMeta('schemaVersion', String(version));
+        return true;
+    }
+
+    /**
+     * Count the records in a collection
+     * @param {string} collection - Collection name
+     * @returns {number} Number of rows
+     */
+    count(collection) {
+        const { table } = getCollectionDefinition(collection);
+        return this.db.prepare(`SELECT COUNT(*) AS total FROM ${table}`).get().total;
+    }
+
+    /**
+     * Get every record in a collection
+     * @param {string} collection - Collection name
+     * @returns {Array} Records in insertion order
+     */
+    getAll(collection) {
+        const { table } = getCollectionDefinition(collection);
+        return this.db.prepare(`SELECT data FROM ${table} ORDER BY rowid`).all().map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Get a single record by its key
+     * @param {string} collection - Collection name
+     * @param {string} id - Record key
+     * @returns {Object|null} The record or null if it does not exist
+     */
+    getById(collection, id) {
+        const { table } = getCollectionDefinition(collection);
+        const row = this.db.prepare(`SELECT data FROM ${table} WHERE id = ?`).get(String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Add a record to a collection
+     * @param {string} collection - Collection name
+     * @param {Object} record - Record to add
+     * @returns {boolean} True if the record was saved
+     */
+    insert(collection, record) {
+        return this.insertMany(collection, [record]);
+    }
+
+    /**
+     * Add several records to a collection in a single transaction
+     * @param {string} collection - Collection name
+     * @param {Array} records - Records to add
+     * @returns {boolean} True if the records were saved
+     */
+    insertMany(collection, records) {
+        const { table, key } = getCollectionDefinition(collection);
+        try {
+            const statement = this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+            this.db.transaction(items => {
+                for (const record of items) {
+                    statement.run(String(record[key]), JSON.stringify(record));
+                }
+            })(records);
+            this.emit('change', { collection, ids: records.map(record => record[key]) });
+            return true;
+        } catch (error) {
+            console.error(`Error inserting into ${table}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace an existing record, matched by its key
+     * @param {string} collection - Collection name
+     * @param {Object} record - Updated record
+     * @returns {boolean} True if the record existed and was saved
+     */
+    update(collection, record) {
+        return this.updateMany(collection, [record]);
+    }
+
+    /**
+     * Replace several existing records in a single transaction
+     * @param {string} collection - Collection name
+     * @param {Array} records - Updated records
+     * @returns {boolean} True if every record existed and was saved
+     */
+    updateMany(collection, records) {
+        const { table, key } = getCollectionDefinition(collection);
+        try {
+            const statement = this.db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+            this.db.transaction(items => {
+                for (const record of items) {
+                    const result = statement.run(JSON.stringify(record), String(record[key]));
+                    if (result.changes === 0) {
+                        throw new Error(`Record ${record[key]} not found`);
+                    }
+                }
+            })(records);
+            this.emit('change', { collection, ids: records.map(record => record[key]) });
+            return true;
+        } catch (error) {
+            console.error(`Error updating ${table}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove records by key
+     * @param {string} collection - Collection name
+     * @param {string[]} ids - Keys of the records to remove
+     * @returns {boolean} True if the removal succeeded
+     */
+    remove(collection, ids) {
+        const { table } = getCollectionDefinition(collection);
+        try {
+            const statement = this.db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+            this.db.transaction(keys => {
+                for (const id of keys) {
+                    statement.run(String(id));
+                }
+            })(ids);
+            this.emit('change', { collection, ids });
+            return true;
+        } catch (error) {
+            console.error(`Error deleting from ${table}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the entire contents of a collection
+     * @param {string} collection - Collection name
+     * @param {Array} records - New contents
+     * @returns {boolean} True if the collection was saved
+     */
+    replaceAll(collection, records) {
+        const { table, key } = getCollectionDefinition(collection);
+        try {
+            const statement = this.db.prepare(`INSERT OR REPLACE INTO ${table} (id, data) VALUES (?, ?)`);
+            this.db.transaction(items => {
+                this.db.prepare(`DELETE FROM ${table}`).run();
+                for (const record of items) {
+                    statement.run(String(record[key]), JSON.stringify(record));
+                }
+            })(records);
+            // ids is null when the whole collection changed
+            this.emit('change', { collection, ids: null });
+            return true;
+        } catch (error) {
+            console.error(`Error replacing ${table}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = { SqliteStorage };
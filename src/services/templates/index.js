@@ -0,0 +1,62 @@
+/**
+ * Asset Templates
+ * Reusable starting points for new assets ("Laptop", "HVAC unit"), stored in config.json next to the
+ * saved searches. A template holds default fields, tags, a warranty length, a maintenance schedule
+ * and a list of components. The asset form is pre-filled in the browser; the components are
+ * created by the server together with the asset.
+ */
+
+const { validate, TEMPLATE_SCHEMA } = require('../validation');
+
+/**
+ * Validate a template payload
+ * @param {Object} body - Request body
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} The template with
+ *   empty lists filled in, and every invalid field
+ */
+function validateTemplate(body) {
+    const { value, errors } = validate(TEMPLATE_SCHEMA, body);
+    if (typeof value.name === 'string') value.name = value.name.trim();
+    if (errors.length === 0 && !value.name) {
+        errors.push({ field: 'name', message: 'is required' });
+    }
+    value.fields = value.fields || {};
+    value.tags = value.tags || [];
+    value.maintenanceEvents = value.maintenanceEvents || [];
+    value.components = value.components || [];
+    return { value, errors };
+}
+
+/**
+ * Build the components a template adds to a new asset
+ * @param {Object} template - Stored template
+ * @param {Object} asset - The asset just created from it
+ * @param {Function} generateId - Returns a new record ID
+ * @returns {Object[]} Components, not yet stored
+ */
+function createTemplateComponents(template, asset, generateId) {
+    const now = new Date().toISOString();
+    return (template.components || []).map(component => ({
+        id: generateId(),
+        name: component.name,
+        manufacturer: component.manufacturer || '',
+        modelNumber: component.modelNumber || '',
+        quantity: component.quantity || 1,
+        notes: component.notes || '',
+        tags: component.tags || [],
+        purchaseDate: asset.purchaseDate || '',
+        parentId: asset.id,
+        maintenanceEvents: [],
+        photoPaths: [],
+        receiptPaths: [],
+        manualPaths: [],
+        photoInfo: [],
+        receiptInfo: [],
+        manualInfo: [],
+        createdAt: now,
+        updatedAt: now,
+        revision: 1
+    }));
+}
+
+module.exports = { validateTemplate, createTemplateComponents };
@@ -0,0 +1,225 @@
+/**
+ * Trash
+ * Soft delete for assets and components. Deleting moves the record, its nested components
+ * and their photos, receipts and manuals into the trash (Trash.json / the trash table and
+ * /data/Trash/<entryId>), where they can be restored or purged for good.
+ * Entries older than TRASH_RETENTION_DAYS are purged automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { getStorage, COLLECTIONS, DEFAULT_DATA_DIR } = require('../storage');
+const { getDataFilePath, getRecordFiles, getFilesInUse } = require('../files');
+
+const TRASH_DIR = path.join(DEFAULT_DATA_DIR, 'Trash');
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Number of days deleted items are kept before they are purged automatically
+ * @returns {number} Days to keep items, or 0 to keep them until they are purged by hand
+ */
+function getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function generateEntryId() {
+    return `${Date.now()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+}
+
+function getTrashFilePath(entryId, filePath) {
+    return path.join(TRASH_DIR, entryId, filePath.replace(/^\/+/, ''));
+}
+
+/**
+ * Move files between the data directory and an entry's trash folder
+ * @param {string} entryId - Trash entry ID
+ * @param {string[]} filePaths - Stored file paths ('/Images/...')
+ * @param {boolean} intoTrash - True to move files into the trash, false to move them back
+ * @param {Set<string>} [sharedFiles] - Files other records still use, copied into the trash rather than moved
+ * @returns {string[]} The file paths that were moved or copied
+ */
+function moveFiles(entryId, filePaths, intoTrash, sharedFiles = new Set()) {
+    const moved = [];
+    for (const filePath of filePaths) {
+        const from = intoTrash ? getDataFilePath(filePath) : getTrashFilePath(entryId, filePath);
+        const to = intoTrash ? getTrashFilePath(entryId, filePath) : getDataFilePath(filePath);
+        try {
+            if (!fs.existsSync(from)) {
+                console.warn(`Trash: file not found, skipping: ${from}`);
+                continue;
+            }
+            if (fs.existsSync(to)) {
+                console.warn(`Trash: not overwriting existing file: ${to}`);
+                continue;
+            }
+            fs.mkdirSync(path.dirname(to), { recursive: true });
+            if (sharedFiles.has(filePath)) {
+                fs.copyFileSync(from, to);
+            } else {
+                fs.renameSync(from, to);
+            }
+            moved.push(filePath);
+        } catch (error) {
+            console.error(`Trash: failed to move ${from} to ${to}:`, error);
+        }
+    }
+    return moved;
+}
+
+function removeEntryFolder(entryId) {
+    fs.rmSync(path.join(TRASH_DIR, entryId), { recursive: true, force: true });
+}
+
+/**
+ * Move an asset or component, together with its nested components and files, into the trash
+ * @param {Object} options
+ * @param {'asset'|'subAsset'} options.type - Kind of record that was deleted
+ * @param {Object} options.record - The deleted asset or component
+ * @param {Object[]} [options.subAssets] - Nested components deleted along with it
+ * @returns {Object|null} The trash entry, or null if the records could not be moved
+ */
+function moveToTrash({ type, record, subAssets = [] }) {
+    const storage = getStorage();
+    const entryId = generateEntryId();
+    // Files shared with a cloned record stay where they are for that record, and the entry keeps
+    // its own copy so restoring it still works once the clone is deleted too
+    const filesInUse = getFilesInUse([record, ...subAssets].map(r => r.id));
+    const files = moveFiles(entryId, getRecordFiles([record, ...subAssets]), true, filesInUse);
+
+    const entry = {
+        id: entryId,
+        type,
+        name: record.name,
+        deletedAt: new Date().toISOString(),
+        asset: type === 'asset' ? record : null,
+        subAssets: type === 'asset' ? subAssets : [record, ...subAssets],
+        files
+    };
+
+    const subAssetIds = entry.subAssets.map(subAsset => subAsset.id);
+    const removed = storage.insert(COLLECTIONS.TRASH, entry)
+        && (type !== 'asset' || storage.remove(COLLECTIONS.ASSETS, [record.id]))
+        && storage.remove(COLLECTIONS.SUB_ASSETS, subAssetIds);
+
+    if (!removed) {
+        // Put everything back the way it was
+        storage.remove(COLLECTIONS.TRASH, [entryId]);
+        moveFiles(entryId, files.filter(filePath => !filesInUse.has(filePath)), false);
+        removeEntryFolder(entryId);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Summaries of everything in the trash, newest first
+ * @returns {Object[]} Entries without the stored records
+ */
+function listTrash() {
+    const retentionDays = getRetentionDays();
+    return getStorage().getAll(COLLECTIONS.TRASH)
+        .map(entry => ({
+            id: entry.id,
+            type: entry.type,
+            name: entry.name,
+            deletedAt: entry.deletedAt,
+            componentCount: entry.type === 'asset' ? entry.subAssets.length : entry.subAssets.length - 1,
+            fileCount: entry.files.length,
+            purgeAt: retentionDays > 0
+                ? new Date(new Date(entry.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+                : null
+        }))
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Put a trash entry's records and files back
+ * @param {string} entryId - Trash entry ID
+ * @returns {{ entry?: Object, error?: string, status?: number }} The restored entry, or an error and HTTP status
+ */
+function restoreFromTrash(entryId) {
+    const storage = getStorage();
+    const entry = storage.getById(COLLECTIONS.TRASH, entryId);
+    if (!entry) {
+        return { error: 'Item not found in trash', status: 404 };
+    }
+
+    const root = entry.asset || entry.subAssets[0];
+    if (entry.type === 'subAsset') {
+        const parentExists = storage.getById(COLLECTIONS.ASSETS, root.parentId)
+            && (!root.parentSubId || storage.getById(COLLECTIONS.SUB_ASSETS, root.parentSubId));
+        if (!parentExists) {
+            return { error: `The parent of "${root.name}" no longer exists. Restore the parent first.`, status: 409 };
+        }
+    }
+
+    const conflict = (entry.asset && storage.getById(COLLECTIONS.ASSETS, entry.asset.id))
+        || entry.subAssets.find(subAsset => storage.getById(COLLECTIONS.SUB_ASSETS, subAsset.id));
+    if (conflict) {
+        return { error: `"${conflict.name}" already exists and can't be restored over`, status: 409 };
+    }
+
+    const restored = (!entry.asset || storage.insert(COLLECTIONS.ASSETS, entry.asset))
+        && (entry.subAssets.length === 0 || storage.insertMany(COLLECTIONS.SUB_ASSETS, entry.subAssets));
+    if (!restored) {
+        if (entry.asset) storage.remove(COLLECTIONS.ASSETS, [entry.asset.id]);
+        return { error: 'Failed to restore item', status: 500 };
+    }
+
+    // Shared files that are still in place for another record are left as they are
+    moveFiles(entry.id, entry.files.filter(filePath => !fs.existsSync(getDataFilePath(filePath))), false);
+    storage.remove(COLLECTIONS.TRASH, [entry.id]);
+    removeEntryFolder(entry.id);
+    return { entry };
+}
+
+/**
+ * Permanently delete trash entries and their files
+ * @param {string[]} entryIds - Trash entry IDs
+ * @returns {boolean} True if the entries were removed
+ */
+function purgeTrash(entryIds) {
+    if (!getStorage().remove(COLLECTIONS.TRASH, entryIds)) return false;
+    entryIds.forEach(removeEntryFolder);
+    return true;
+}
+
+/**
+ * Permanently delete entries that have been in the trash longer than the retention period
+ * @returns {number} Number of entries purged
+ */
+function purgeExpiredTrash() {
+    const retentionDays = getRetentionDays();
+    if (retentionDays === 0) return 0;
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredIds = getStorage().getAll(COLLECTIONS.TRASH)
+        .filter(entry => new Date(entry.deletedAt).getTime() < cutoff)
+        .map(entry => entry.id);
+
+    if (expiredIds.length === 0 || !purgeTrash(expiredIds)) return 0;
+    console.log(`Trash: purged ${expiredIds.length} item(s) older than ${retentionDays} days`);
+    return expiredIds.length;
+}
+
+/**
+ * Purge expired trash now and then daily at 3:00 AM in the configured timezone
+ */
+function startTrashPurgeCron() {
+    purgeExpiredTrash();
+    cron.schedule('0 3 * * *', purgeExpiredTrash, {
+        timezone: process.env.TZ || 'America/Chicago'
+    });
+}
+
+module.exports = {
+    getRetentionDays,
+    moveToTrash,
+    listTrash,
+    restoreFromTrash,
+    purgeTrash,
+    purgeExpiredTrash,
+    startTrashPurgeCron
+};
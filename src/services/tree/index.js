@@ -0,0 +1,103 @@
+/**
+ * Tree
+ * Helpers for the hierarchies stored in config.json as flat lists, such as categories and
+ * locations. Every node has an id, a name and the parentId of the node above it (null at the top).
+ */
+
+const PATH_SEPARATOR = ' > ';
+
+/**
+ * A node and its parents, from the root down
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {Object[]} Nodes; empty for an unknown ID
+ */
+function getAncestry(nodes, id) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const ancestry = [];
+    for (let node = byId.get(id); node && !ancestry.includes(node); node = byId.get(node.parentId)) {
+        ancestry.unshift(node);
+    }
+    return ancestry;
+}
+
+/**
+ * The names from the root down to a node
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {string} e.g. "Home > Garage > Shelf 2", or '' for an unknown ID
+ */
+function getPath(nodes, id) {
+    return getAncestry(nodes, id).map(node => node.name).join(PATH_SEPARATOR);
+}
+
+/**
+ * A node and every node below it
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node ID
+ * @returns {Set<string>} Node IDs
+ */
+function getDescendantIds(nodes, id) {
+    const ids = new Set([id]);
+    let added = true;
+    while (added) {
+        added = false;
+        nodes.forEach(node => {
+            if (node.parentId && ids.has(node.parentId) && !ids.has(node.id)) {
+                ids.add(node.id);
+                added = true;
+            }
+        });
+    }
+    return ids;
+}
+
+/**
+ * Find a node by its path or name, ignoring case, e.g. for an imported column
+ * @param {Object[]} nodes - All nodes
+ * @param {string} text - "Home > Garage > Shelf 2" or "Shelf 2"
+ * @returns {Object|null} The node; a name used by several nodes matches the first one
+ */
+function findNode(nodes, text) {
+    const normalize = value => String(value).split('>').map(part => part.trim().toLowerCase()).join(PATH_SEPARATOR);
+    const wanted = normalize(text ?? '');
+    if (!wanted) return null;
+    return nodes.find(node => normalize(getPath(nodes, node.id)) === wanted)
+        || nodes.find(node => node.name.toLowerCase() === wanted)
+        || null;
+}
+
+/**
+ * Check the parent of a node that is created or moved
+ * @param {Object[]} nodes - All nodes
+ * @param {string|null} parentId - New parent
+ * @param {string|null} id - ID of the node being moved, null for a new node
+ * @param {string} noun - What the nodes are, used in the message, e.g. "category"
+ * @returns {string|null} Error message, or null if the parent is allowed
+ */
+function getParentError(nodes, parentId, id, noun) {
+    if (!parentId) return null;
+    if (!nodes.some(node => node.id === parentId)) return `is not an existing ${noun}`;
+    if (id && getDescendantIds(nodes, id).has(parentId)) return `cannot be the ${noun} itself or one below it`;
+    return null;
+}
+
+/**
+ * Remove a node from the tree. The nodes below it move up to its parent.
+ * @param {Object[]} nodes - All nodes
+ * @param {string} id - Node to remove
+ * @returns {{ nodes: Object[], parentId: string|null }} The remaining nodes and the node that takes
+ *   the removed one's place
+ */
+function removeNode(nodes, id) {
+    const removed = nodes.find(node => node.id === id);
+    const parentId = removed?.parentId || null;
+    return {
+        nodes: nodes
+            .filter(node => node.id !== id)
+            .map(node => (node.parentId === id ? { ...node, parentId } : node)),
+        parentId
+    };
+}
+
+module.exports = { getAncestry, getPath, getDescendantIds, findNode, getParentError, removeNode };
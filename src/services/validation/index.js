@@ -0,0 +1,204 @@
+/**
+ * Validation Module
+ * Checks request payloads against the declarative schemas in schemas.js. Keys a schema
+ * doesn't describe are dropped, and every invalid field is reported instead of stopping
+ * at the first one.
+ */
+
+const {
+    ASSET_SCHEMA,
+    SUB_ASSET_SCHEMA,
+    MAINTENANCE_EVENT_SCHEMA,
+    WARRANTY_SCHEMA,
+    DEPRECIATION_SCHEMA,
+    DEPRECIATION_METHODS,
+    SETTINGS_SCHEMA,
+    SAVED_SEARCH_SCHEMA,
+    MOVE_SCHEMA,
+    BULK_REQUEST_SCHEMA,
+    CLONE_SCHEMA,
+    TEMPLATE_SCHEMA,
+    CUSTOM_FIELD_SCHEMA,
+    CUSTOM_FIELD_TYPES,
+    CATEGORY_SCHEMA,
+    LOCATION_SCHEMA,
+    CHECKOUT_SCHEMA,
+    CHECKIN_SCHEMA,
+    STOCK_ADJUSTMENT_SCHEMA
+} = require('./schemas');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    // Rejects dates like 2024-02-31 that Date would silently roll over
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function joinPath(parent, key) {
+    if (typeof key === 'number') return `${parent}[${key}]`;
+    return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Check a single value against a rule
+ * @param {Object} rule - Schema rule ({ type, required, nullable, min, max, maxLength, enum, enumMessage, items, properties })
+ * @param {*} value - Value to check
+ * @param {string} field - Path of the value, used in error messages
+ * @param {Array} errors - Collected { field, message } errors
+ * @param {Object} parent - Object containing the value, passed to conditional `required` rules
+ * @returns {*} The value with unknown keys removed
+ */
+function checkValue(rule, value, field, errors, parent) {
+    const required = typeof rule.required === 'function' ? rule.required(parent || {}) : rule.required;
+    if (isEmpty(value)) {
+        if (required) {
+            errors.push({ field, message: 'is required' });
+            return value;
+        }
+        // Empty strings are how the forms send "not set" for text and date inputs
+        if (value === undefined) return value;
+        if (value === null && (rule.nullable || rule.type === 'date')) return value;
+        if (value === '' && ['string', 'date', 'url'].includes(rule.type)) return value;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push({ field, message: 'must be text' });
+            } else if (rule.maxLength && value.length > rule.maxLength) {
+                errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+            } else if (rule.enum && !rule.enum.includes(value)) {
+                errors.push({ field, message: rule.enumMessage || `must be one of: ${rule.enum.join(', ')}` });
+            }
+            return value;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push({ field, message: rule.type === 'integer' ? 'must be a whole number' : 'must be a number' });
+            } else if (rule.type === 'integer' && !Number.isInteger(value)) {
+                errors.push({ field, message: 'must be a whole number' });
+            } else if (rule.min !== undefined && value < rule.min) {
+                errors.push({ field, message: `must be at least ${rule.min}` });
+            } else if (rule.max !== undefined && value > rule.max) {
+                errors.push({ field, message: `must be at most ${rule.max}` });
+            }
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push({ field, message: 'must be true or false' });
+            }
+            return value;
+        case 'date':
+            if (!isValidDate(value)) {
+                errors.push({ field, message: 'must be a date (YYYY-MM-DD)' });
+            }
+            return value;
+        case 'url':
+            if (typeof value !== 'string' || !URL_PATTERN.test(value)) {
+                errors.push({ field, message: 'must be a link starting with http:// or https://' });
+            } else if (rule.maxLength && value.length > rule.maxLength) {
+                errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+            }
+            return value;
+        case 'time':
+            if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+                errors.push({ field, message: 'must be a time (HH:MM)' });
+            }
+            return value;
+        case 'datetime':
+            if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+                errors.push({ field, message: 'must be a date and time (ISO 8601)' });
+            }
+            return value;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push({ field, message: 'must be a list' });
+                return value;
+            }
+            if (rule.enum) {
+                const unknown = value.filter(item => !rule.enum.includes(item));
+                if (unknown.length > 0) {
+                    errors.push({ field, message: `must only contain: ${rule.enum.join(', ')}` });
+                }
+                return value;
+            }
+            return rule.items
+                ? value.map((item, index) => checkValue(rule.items, item, joinPath(field, index), errors, value))
+                : value;
+        case 'object':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                errors.push({ field, message: 'must be an object' });
+                return value;
+            }
+            // Objects without properties (such as uploaded file info) are stored as they are
+            return rule.properties ? checkObject(rule.properties, value, field, errors) : value;
+        default:
+            throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+    }
+}
+
+function checkObject(properties, data, field, errors) {
+    const result = {};
+    for (const [key, rule] of Object.entries(properties)) {
+        const value = checkValue(rule, data[key], joinPath(field, key), errors, data);
+        if (value !== undefined) result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * Validate a payload against a schema
+ * @param {Object} schema - Map of field name to rule
+ * @param {Object} data - Payload to check
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }}
+ *   The payload without unknown keys, and every invalid field
+ */
+function validate(schema, data) {
+    const errors = [];
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        return { value: {}, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+    }
+    const value = checkObject(schema, data, '', errors);
+    return { value, errors };
+}
+
+/**
+ * Turn validation errors into a single readable sentence
+ * @param {Array<{ field: string, message: string }>} errors - Errors returned by validate()
+ * @returns {string} e.g. "name is required, price must be at least 0"
+ */
+function describeErrors(errors) {
+    return errors.map(({ field, message }) => field ? `${field} ${message}` : message).join(', ');
+}
+
+module.exports = {
+    validate,
+    describeErrors,
+    ASSET_SCHEMA,
+    SUB_ASSET_SCHEMA,
+    MAINTENANCE_EVENT_SCHEMA,
+    WARRANTY_SCHEMA,
+    DEPRECIATION_SCHEMA,
+    DEPRECIATION_METHODS,
+    SETTINGS_SCHEMA,
+    SAVED_SEARCH_SCHEMA,
+    MOVE_SCHEMA,
+    BULK_REQUEST_SCHEMA,
+    CLONE_SCHEMA,
+    TEMPLATE_SCHEMA,
+    CUSTOM_FIELD_SCHEMA,
+    CUSTOM_FIELD_TYPES,
+    CATEGORY_SCHEMA,
+    LOCATION_SCHEMA,
+    CHECKOUT_SCHEMA,
+    CHECKIN_SCHEMA,
+    STOCK_ADJUSTMENT_SCHEMA
+};
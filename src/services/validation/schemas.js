@@ -0,0 +1,310 @@
+/**
+ * Validation Schemas
+ * Field rules for every payload the API accepts. Each schema maps a field name to a rule:
+ *   type       - string, number, integer, boolean, date (YYYY-MM-DD), time (HH:MM), datetime, url (http or https link),
+ *                array or object
+ *   required   - true, or a function of the containing object for conditional fields
+ *   nullable   - accept null as "not set"
+ *   min / max  - bounds for numbers
+ *   maxLength  - limit for strings and links
+ *   enum       - allowed values for strings (or array items)
+ *   enumMessage - error shown instead of listing the allowed values, e.g. when they are IDs
+ *   items      - rule for each array item
+ *   properties - schema for a nested object
+ */
+
+const TEXT = { type: 'string', maxLength: 500 };
+const LONG_TEXT = { type: 'string', maxLength: 10000 };
+const FILE_PATHS = { type: 'array', items: { type: 'string' } };
+const FILE_INFO = { type: 'array', items: { type: 'object' } };
+
+const WARRANTY_SCHEMA = {
+    scope: TEXT,
+    expirationDate: { type: 'date' },
+    isLifetime: { type: 'boolean' }
+};
+
+const MAINTENANCE_EVENT_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    type: { type: 'string', required: true, enum: ['frequency', 'specific'] },
+    notes: LONG_TEXT,
+    frequency: { type: 'integer', min: 1, required: event => event.type === 'frequency' },
+    frequencyUnit: { type: 'string', enum: ['days', 'weeks', 'months', 'years'], required: event => event.type === 'frequency' },
+    nextDueDate: { type: 'date' },
+    specificDate: { type: 'date', required: event => event.type === 'specific' }
+};
+
+const DEPRECIATION_METHODS = ['none', 'straightLine', 'decliningBalance'];
+
+// How a record loses value: evenly over its useful life (straightLine), by a share of what is left
+// every year (decliningBalance), or not at all (none)
+const DEPRECIATION_SCHEMA = {
+    method: { type: 'string', required: true, enum: DEPRECIATION_METHODS },
+    usefulLifeYears: { type: 'integer', min: 1, max: 100, required: depreciation => depreciation.method !== 'none' },
+    // Yearly rate of a declining balance in percent; twice the straight-line rate if not set
+    rate: { type: 'number', min: 1, max: 100, nullable: true }
+};
+
+// Fields shared by assets and sub-assets
+const COMMON_FIELDS = {
+    id: { type: 'string', maxLength: 100 },
+    name: { type: 'string', required: true, maxLength: 200 },
+    manufacturer: TEXT,
+    modelNumber: TEXT,
+    serialNumber: TEXT,
+    purchaseDate: { type: 'date' },
+    // 0 once a consumable runs out
+    quantity: { type: 'integer', min: 0 },
+    // Something used up and restocked, e.g. printer toner or HVAC filters
+    consumable: { type: 'boolean' },
+    // A consumable is low on stock when its quantity drops below this
+    reorderThreshold: { type: 'integer', min: 0, nullable: true },
+    link: { type: 'string', maxLength: 2000 },
+    tags: { type: 'array', items: { type: 'string', maxLength: 100 } },
+    warranty: { type: 'object', properties: WARRANTY_SCHEMA },
+    maintenanceEvents: { type: 'array', items: { type: 'object', properties: MAINTENANCE_EVENT_SCHEMA } },
+    photoPaths: FILE_PATHS,
+    receiptPaths: FILE_PATHS,
+    manualPaths: FILE_PATHS,
+    photoInfo: FILE_INFO,
+    receiptInfo: FILE_INFO,
+    manualInfo: FILE_INFO,
+    filesToDelete: FILE_PATHS,
+    categoryId: { type: 'string', maxLength: 100 },
+    locationId: { type: 'string', maxLength: 100 },
+    // Not set: the category's depreciation applies
+    depreciation: { type: 'object', properties: DEPRECIATION_SCHEMA, nullable: true },
+    // What one unit is worth at the end of its useful life
+    salvageValue: { type: 'number', min: 0, nullable: true },
+    // Values of the custom fields defined in Settings, keyed by field ID. They are checked against
+    // the field definitions by src/services/customFields.
+    customFields: { type: 'object' },
+    createdAt: { type: 'datetime' },
+    updatedAt: { type: 'datetime' },
+    revision: { type: 'integer', min: 0 }
+};
+
+const ASSET_SCHEMA = {
+    ...COMMON_FIELDS,
+    price: { type: 'number', min: 0, nullable: true },
+    description: LONG_TEXT,
+    secondaryWarranty: { type: 'object', properties: WARRANTY_SCHEMA }
+};
+
+const SUB_ASSET_SCHEMA = {
+    ...COMMON_FIELDS,
+    parentId: { type: 'string', required: true, maxLength: 100 },
+    parentSubId: { type: 'string', maxLength: 100 },
+    purchasePrice: { type: 'number', min: 0, nullable: true },
+    notes: LONG_TEXT
+};
+
+const DASHBOARD_SECTIONS = ['analytics', 'totals', 'warranties', 'events'];
+// Dashboard card filters a saved search can include
+const DASHBOARD_FILTERS = ['components', 'checkedOut', 'lowStock', 'warranties', 'within60', 'within30', 'expired', 'active'];
+const BOOLEAN = { type: 'boolean' };
+
+const SETTINGS_SCHEMA = {
+    notificationSettings: {
+        type: 'object',
+        properties: {
+            notifyAdd: BOOLEAN,
+            notifyDelete: BOOLEAN,
+            notifyEdit: BOOLEAN,
+            notify1Month: BOOLEAN,
+            notify2Week: BOOLEAN,
+            notify7Day: BOOLEAN,
+            notify3Day: BOOLEAN,
+            notifyMaintenance: BOOLEAN,
+            notifyOverdue: BOOLEAN,
+            notifyLowStock: BOOLEAN,
+            notifyBackupFailure: BOOLEAN
+        }
+    },
+    interfaceSettings: {
+        type: 'object',
+        properties: {
+            dashboardOrder: { type: 'array', enum: DASHBOARD_SECTIONS },
+            dashboardVisibility: {
+                type: 'object',
+                properties: Object.fromEntries(DASHBOARD_SECTIONS.map(section => [section, BOOLEAN]))
+            },
+            cardVisibility: {
+                type: 'object',
+                properties: {
+                    assets: BOOLEAN,
+                    components: BOOLEAN,
+                    value: BOOLEAN,
+                    checkedOut: BOOLEAN,
+                    lowStock: BOOLEAN,
+                    warranties: BOOLEAN,
+                    within60: BOOLEAN,
+                    within30: BOOLEAN,
+                    expired: BOOLEAN,
+                    active: BOOLEAN
+                }
+            }
+        }
+    },
+    backupSettings: {
+        type: 'object',
+        properties: {
+            enabled: BOOLEAN,
+            frequency: { type: 'string', required: true, enum: ['daily', 'weekly'] },
+            time: { type: 'time', required: true },
+            dayOfWeek: { type: 'integer', min: 0, max: 6 },
+            keepDaily: { type: 'integer', min: 0, max: 365 },
+            keepWeekly: { type: 'integer', min: 0, max: 520 }
+        }
+    },
+    appriseUrl: { type: 'string', maxLength: 2000 }
+};
+
+const SAVED_SEARCH_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    query: { type: 'string', maxLength: 500 },
+    filter: { type: 'string', enum: DASHBOARD_FILTERS, nullable: true },
+    showOnDashboard: BOOLEAN
+};
+
+// Where to move a component: under an asset (parentId), or under another component (parentSubId)
+const MOVE_SCHEMA = {
+    parentId: { type: 'string', maxLength: 100, required: target => !target.parentSubId },
+    parentSubId: { type: 'string', maxLength: 100, nullable: true }
+};
+
+const BULK_ACTIONS = ['addTags', 'removeTags', 'set', 'delete', 'export'];
+const TAG_ACTIONS = ['addTags', 'removeTags'];
+
+const BULK_REQUEST_SCHEMA = {
+    action: { type: 'string', required: true, enum: BULK_ACTIONS },
+    ids: { type: 'array', required: true, items: { type: 'string', required: true, maxLength: 100 } },
+    tags: { type: 'array', required: request => TAG_ACTIONS.includes(request.action), items: { type: 'string', required: true, maxLength: 100 } },
+    // A merge patch applied to every asset; checked against ASSET_SCHEMA once applied
+    fields: { type: 'object', required: request => request.action === 'set' },
+    format: { type: 'string', enum: ['json', 'xlsx'] }
+};
+
+// Fields that differ per unit and can be left empty on a clone. price is purchasePrice on components.
+const CLONE_CLEARABLE_FIELDS = ['serialNumber', 'purchaseDate', 'price', 'warranty', 'secondaryWarranty'];
+
+const CLONE_SCHEMA = {
+    name: { type: 'string', maxLength: 200 },
+    count: { type: 'integer', min: 1, max: 25 },
+    includeComponents: BOOLEAN,
+    includeMaintenance: BOOLEAN,
+    // copy: duplicate the files, share: point at the same files, none: leave them out
+    attachments: { type: 'string', enum: ['copy', 'share', 'none'] },
+    clearFields: { type: 'array', enum: CLONE_CLEARABLE_FIELDS }
+};
+
+// A component created with every asset made from a template
+const TEMPLATE_COMPONENT_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    manufacturer: TEXT,
+    modelNumber: TEXT,
+    quantity: { type: 'integer', min: 1 },
+    notes: LONG_TEXT,
+    tags: COMMON_FIELDS.tags
+};
+
+const TEMPLATE_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    // Values the asset form starts with
+    fields: {
+        type: 'object',
+        properties: {
+            manufacturer: TEXT,
+            modelNumber: TEXT,
+            price: ASSET_SCHEMA.price,
+            quantity: { type: 'integer', min: 1 },
+            link: COMMON_FIELDS.link,
+            description: LONG_TEXT
+        }
+    },
+    tags: COMMON_FIELDS.tags,
+    // The expiration date is worked out from the purchase date and the warranty length
+    warranty: {
+        type: 'object',
+        properties: {
+            scope: TEXT,
+            months: { type: 'integer', min: 1, max: 1200 },
+            isLifetime: BOOLEAN
+        }
+    },
+    maintenanceEvents: COMMON_FIELDS.maintenanceEvents,
+    components: { type: 'array', items: { type: 'object', required: true, properties: TEMPLATE_COMPONENT_SCHEMA } }
+};
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'url', 'boolean'];
+
+// A field added to every asset and component, e.g. "IP Address" or "Firmware Version"
+const CUSTOM_FIELD_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    type: { type: 'string', required: true, enum: CUSTOM_FIELD_TYPES },
+    // Choices of a select field
+    options: { type: 'array', items: { type: 'string', maxLength: 100 }, required: field => field.type === 'select' }
+};
+
+// A node of the category tree, e.g. Electronics > Computers > Laptops
+const CATEGORY_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    parentId: { type: 'string', maxLength: 100, nullable: true },
+    // An emoji shown next to the name
+    icon: { type: 'string', maxLength: 16 },
+    // Filled in when a record is put in the category: the warranty length counted from the
+    // purchase date, and custom field values
+    warrantyMonths: { type: 'integer', min: 1, max: 1200, nullable: true },
+    customFields: { type: 'object' },
+    // Used for the records in the category that don't set their own, subcategories included
+    depreciation: { type: 'object', properties: DEPRECIATION_SCHEMA, nullable: true }
+};
+
+const LOCATION_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    parentId: { type: 'string', maxLength: 100, nullable: true },
+    notes: { type: 'string', maxLength: 1000 }
+};
+
+// Lending an asset or component to someone. The dates default to today.
+const CHECKOUT_SCHEMA = {
+    borrower: { type: 'string', required: true, maxLength: 200 },
+    checkedOutAt: { type: 'date' },
+    // Expected return date, checked daily for overdue loans
+    dueDate: { type: 'date', nullable: true },
+    conditionOut: { type: 'string', maxLength: 1000 }
+};
+
+// Getting it back
+const CHECKIN_SCHEMA = {
+    checkedInAt: { type: 'date' },
+    conditionIn: { type: 'string', maxLength: 1000 }
+};
+
+// Using up or restocking a consumable: a negative change takes units out, a positive one puts them in
+const STOCK_ADJUSTMENT_SCHEMA = {
+    change: { type: 'integer', required: true, min: -100000, max: 100000 },
+    note: { type: 'string', maxLength: 500 }
+};
+
+module.exports = {
+    ASSET_SCHEMA,
+    SUB_ASSET_SCHEMA,
+    MAINTENANCE_EVENT_SCHEMA,
+    WARRANTY_SCHEMA,
+    DEPRECIATION_SCHEMA,
+    DEPRECIATION_METHODS,
+    SETTINGS_SCHEMA,
+    SAVED_SEARCH_SCHEMA,
+    MOVE_SCHEMA,
+    BULK_REQUEST_SCHEMA,
+    CLONE_SCHEMA,
+    TEMPLATE_SCHEMA,
+    CUSTOM_FIELD_SCHEMA,
+    CUSTOM_FIELD_TYPES,
+    CATEGORY_SCHEMA,
+    LOCATION_SCHEMA,
+    CHECKOUT_SCHEMA,
+    CHECKIN_SCHEMA,
+    STOCK_ADJUSTMENT_SCHEMA
+};